@@ -0,0 +1,68 @@
+// examples/plugins/license-headers.js
+// An example plugin for collect-files. Enable it in collect-files.config.json:
+//
+//   {
+//     "plugins": ["./examples/plugins/license-headers.js"],
+//     "compressionRules": [{ "pathPattern": "src/**", "strategy": "drop_console" }]
+//   }
+//
+// It leaves out jest snapshots, removes the license comment that starts every source file (it
+// says the same thing hundreds of times), adds a 'drop_console' compression strategy and reports
+// what was written.
+
+// The first comment of a file (a block comment or a run of '//' lines), after an optional shebang
+// line and 'use strict' directive, which are kept. It is removed when it mentions a license or copyright.
+const LICENSE_HEADER = /^((?:#![^\n]*\n)?(?:\s*(['"])use strict\2;?[^\S\n]*\n)?)\s*(\/\*[\s\S]*?\*\/|(?:[^\S\n]*\/\/[^\n]*(?:\n|$))+)\s*/;
+
+module.exports = {
+  name: 'license-headers',
+
+  /**
+   * Leaves out snapshot directories; everything else keeps the decision of the ignore rules.
+   * @param {{path: string, isDirectory: boolean, ignored: boolean}} entry - The scanned entry.
+   * @returns {boolean|undefined} False to exclude the entry.
+   */
+  onScanEntry(entry) {
+    if (entry.isDirectory && entry.path.split('/').pop() === '__snapshots__') {
+      return false;
+    }
+    return undefined;
+  },
+
+  /**
+   * Removes the license header of a file, keeping a shebang line and 'use strict' before it.
+   * @param {string} content - The file content (secrets are already redacted).
+   * @param {{path: string, language: string}} file - The file.
+   * @returns {string} The content without its license header.
+   */
+  transformContent(content, file) {
+    const header = content.match(LICENSE_HEADER);
+    if (!header || !/license|copyright/i.test(header[3])) {
+      return content;
+    }
+    return header[1] + content.slice(header[0].length);
+  },
+
+  compressionStrategies: {
+    /**
+     * Removes the lines that only log to the console, in JavaScript and TypeScript files.
+     * @param {string} content - The file content.
+     * @param {{language: string, path: string, options: object}} context - The compression context.
+     * @returns {string} The content without console calls.
+     */
+    drop_console(content, context) {
+      if (!['js', 'jsx', 'mjs', 'cjs', 'ts', 'tsx'].includes(context.language)) {
+        return content;
+      }
+      return content.split('\n').filter(line => !/^\s*console\.(log|debug|info)\(.*\);?\s*$/.test(line)).join('\n');
+    },
+  },
+
+  /**
+   * Reports every output that was written.
+   * @param {{path: string|null, part: number|'index'|null, bytes: number, tokens: number}} written - The output.
+   */
+  afterWrite(written) {
+    console.error(`[license-headers] ${written.path || 'stdout'}: ${written.bytes} bytes`);
+  },
+};
@@ -0,0 +1,302 @@
+// src/cache.js
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { readFile, stat, mkdir, unlink, rmdir, rm, writeFileAtomic, existsSync } = require('./fs_utils');
+const { processFileContent, estimateFileTokens, attachGitChange } = require('./file_processor');
+const { logger } = require('./logger');
+
+// The index holds one small entry per file; the results, which hold file contents, are in one
+// file each below RESULTS_DIR_NAME and are only read when they are reused.
+const CACHE_FILE_NAME = 'cache.json';
+const RESULTS_DIR_NAME = 'results';
+const CACHE_FORMAT_VERSION = 7;
+
+// Config keys that change the result of processFileContent. Anything else (format, splitting,
+// token budget...) only affects rendering, so cached results stay valid when it changes.
+const CACHE_CONFIG_KEYS = ['metadataSuffix', 'maxFileSize', 'compressionRules', 'transformRules', 'truncation', 'truncationRules', 'lineNumbers', 'gitDiff', 'redactSecrets', 'secretRules', 'secretAllowlist', 'failOnSecrets'];
+
+/**
+ * Hashes data with SHA-1 (used as a fingerprint, not for security).
+ * @param {string|Buffer} data - The data.
+ * @returns {string} The hex digest.
+ */
+function hash(data) {
+  return crypto.createHash('sha1').update(data).digest('hex');
+}
+
+/**
+ * Finds the user's cache directory: %LOCALAPPDATA% on Windows, ~/Library/Caches on macOS and
+ * $XDG_CACHE_HOME (default ~/.cache) elsewhere.
+ * @returns {string} The absolute path of the directory.
+ */
+function getUserCacheRoot() {
+  if (process.platform === 'win32' && process.env.LOCALAPPDATA) {
+    return process.env.LOCALAPPDATA;
+  }
+  if (process.platform === 'darwin') {
+    return path.join(os.homedir(), 'Library', 'Caches');
+  }
+  return process.env.XDG_CACHE_HOME || path.join(os.homedir(), '.cache');
+}
+
+/**
+ * Resolves the cache directory of a scan root. An explicit config.cacheDir is resolved against the
+ * scan root. By default every scan root gets its own directory below the user's cache directory,
+ * outside the project: cached results hold file contents, which must not end up in the output or
+ * in version control.
+ * @param {string} scanRootPath - The absolute path of the scan root.
+ * @param {string|null} cacheDir - The configured cache directory, or null for the default.
+ * @returns {string} The absolute path of the cache directory.
+ */
+function getCacheDirPath(scanRootPath, cacheDir) {
+  if (cacheDir) {
+    return path.resolve(scanRootPath, cacheDir);
+  }
+  return path.join(getUserCacheRoot(), 'collect-files', hash(scanRootPath).substring(0, 16));
+}
+
+/**
+ * Computes the hash of the configuration values that affect processed results.
+ * @param {object} config - The application configuration.
+ * @param {string} toolVersion - The tool version; results of another version are never reused.
+ * @param {string|null} [pluginFingerprint=null] - Changes when the plugins change (see plugin_manager.js).
+ * @returns {string} The config hash.
+ */
+function getConfigHash(config, toolVersion, pluginFingerprint = null) {
+  const relevant = { toolVersion, plugins: pluginFingerprint };
+  for (const key of CACHE_CONFIG_KEYS) {
+    relevant[key] = config[key] === undefined ? null : config[key];
+  }
+  return hash(JSON.stringify(relevant));
+}
+
+/**
+ * Gives the path of the file holding the cached result of a file.
+ * @param {object} cache - The cache returned by loadCache.
+ * @param {string} filePath - The path of the file, relative to the scan root.
+ * @returns {string} The absolute path of the result file.
+ */
+function getResultPath(cache, filePath) {
+  return path.join(cache.dirPath, RESULTS_DIR_NAME, `${hash(filePath)}.json`);
+}
+
+/**
+ * Loads the cache index from `cacheDirPath`; results are read one by one as they are reused (see
+ * processFileWithCache). A missing, unreadable or outdated index yields an empty cache.
+ * @param {string} cacheDirPath - Absolute path of the cache directory.
+ * @param {object} config - The application configuration.
+ * @param {string} toolVersion - The tool version.
+ * @param {string|null} [pluginFingerprint=null] - The fingerprint of the plugins (see getConfigHash).
+ * @returns {Promise<{dirPath: string, configHash: string, entries: Map<string, object>, hits: number, misses: number}>}
+ *          The cache. Entries hold the fingerprints of the files, not their results.
+ */
+async function loadCache(cacheDirPath, config, toolVersion, pluginFingerprint = null) {
+  const cache = {
+    dirPath: cacheDirPath,
+    configHash: getConfigHash(config, toolVersion, pluginFingerprint),
+    entries: new Map(),
+    hits: 0,
+    misses: 0,
+    resultsDirReady: null,
+    writeError: null,
+  };
+  const cacheFilePath = path.join(cacheDirPath, CACHE_FILE_NAME);
+  if (existsSync(cacheFilePath)) {
+    try {
+      const stored = JSON.parse(await readFile(cacheFilePath, 'utf8'));
+      if (stored.version === CACHE_FORMAT_VERSION && stored.entries) {
+        cache.entries = new Map(Object.entries(stored.entries));
+      }
+    } catch (error) {
+      logger.warn(`Warning: Ignoring unreadable cache ${cacheFilePath}: ${error.message}`);
+    }
+  }
+  return cache;
+}
+
+/**
+ * Writes the cache index to disk (results are written as files are processed). Entries of files
+ * that no longer exist are dropped, with their results.
+ * @param {object} cache - The cache returned by loadCache.
+ * @param {string} scanRootPath - The absolute path of the scan root (cache keys are relative to it).
+ * @returns {Promise<void>}
+ */
+async function saveCache(cache, scanRootPath) {
+  const entries = {};
+  for (const [filePath, entry] of cache.entries) {
+    if (existsSync(path.join(scanRootPath, filePath))) {
+      entries[filePath] = entry;
+    } else {
+      await unlink(getResultPath(cache, filePath)).catch(() => {});
+    }
+  }
+  if (cache.writeError) {
+    logger.warn(`Warning: Could not write cached results to ${cache.dirPath}: ${cache.writeError.message}`);
+  }
+  try {
+    await mkdir(cache.dirPath, { recursive: true, mode: 0o700 }); // Only readable by the user: results hold file contents
+    await writeFileAtomic(path.join(cache.dirPath, CACHE_FILE_NAME), JSON.stringify({ version: CACHE_FORMAT_VERSION, entries }), 'utf8');
+  } catch (error) {
+    logger.warn(`Warning: Could not write cache to ${cache.dirPath}: ${error.message}`);
+  }
+}
+
+/**
+ * Deletes the cache index and results and, if it is then empty, the cache directory.
+ * @param {string} cacheDirPath - Absolute path of the cache directory.
+ * @returns {Promise<boolean>} True if a cache was deleted.
+ */
+async function clearCache(cacheDirPath) {
+  const cacheFilePath = path.join(cacheDirPath, CACHE_FILE_NAME);
+  const resultsDirPath = path.join(cacheDirPath, RESULTS_DIR_NAME);
+  if (!existsSync(cacheFilePath) && !existsSync(resultsDirPath)) {
+    return false;
+  }
+  await unlink(cacheFilePath).catch(() => {});
+  await rm(resultsDirPath, { recursive: true, force: true });
+  await rmdir(cacheDirPath).catch(() => {}); // Leave the directory if it holds anything else
+  return true;
+}
+
+/**
+ * Reads the cached result of a file.
+ * @param {object} cache - The cache returned by loadCache.
+ * @param {string} filePath - The path of the file, relative to the scan root.
+ * @returns {Promise<object|null>} The result, or null if it is missing or unreadable.
+ */
+async function readResult(cache, filePath) {
+  try {
+    return JSON.parse(await readFile(getResultPath(cache, filePath), 'utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Writes the result of a file to the cache. A failure is reported once, by saveCache.
+ * @param {object} cache - The cache returned by loadCache.
+ * @param {string} filePath - The path of the file, relative to the scan root.
+ * @param {object} result - The result to cache.
+ * @returns {Promise<boolean>} True if the result was written.
+ */
+async function writeResult(cache, filePath, result) {
+  try {
+    if (!cache.resultsDirReady) {
+      cache.resultsDirReady = mkdir(path.join(cache.dirPath, RESULTS_DIR_NAME), { recursive: true, mode: 0o700 });
+    }
+    await cache.resultsDirReady;
+    await writeFileAtomic(getResultPath(cache, filePath), JSON.stringify(result), 'utf8');
+    return true;
+  } catch (error) {
+    cache.writeError = cache.writeError || error;
+    return false;
+  }
+}
+
+/**
+ * Stats a file, resolving with null if it does not exist.
+ * @param {string} filePath - The file.
+ * @returns {Promise<fs.Stats|null>} The stats.
+ */
+async function statOrNull(filePath) {
+  try {
+    return await stat(filePath);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Processes a file, reusing the cached result when the file, its metadata file, the directives of its
+ * directories' metadata files and the relevant configuration are unchanged. Unchanged mtime and size
+ * count as unchanged; otherwise the content hash decides, so touching a file without changing it still
+ * hits the cache.
+ * @param {{path: string, fullPath: string, directives?: object, git?: object, group?: string}} fileInfo - The file to process.
+ * @param {object} config - The application configuration.
+ * @param {object|null} cache - The cache returned by loadCache, or null to bypass caching.
+ * @param {object} [options] - Options for processFileContent (e.g. the plugins of the run).
+ * @returns {Promise<object>} The processed file (see processFileContent).
+ */
+async function processFileWithCache(fileInfo, config, cache, options = {}) {
+  if (!cache || (fileInfo.git && fileInfo.git.status === 'deleted')) {
+    return processFileContent(fileInfo, config, options);
+  }
+
+  const metadataPath = config.metadataSuffix ? fileInfo.fullPath + config.metadataSuffix : null;
+  const [fileStat, metadataStat] = await Promise.all([
+    statOrNull(fileInfo.fullPath),
+    metadataPath ? statOrNull(metadataPath) : null,
+  ]);
+  if (!fileStat) {
+    return processFileContent(fileInfo, config, options);
+  }
+  // Directives can come from the metadata file of a directory, which is not part of the stats.
+  const directives = fileInfo.directives && Object.keys(fileInfo.directives).length ? JSON.stringify(fileInfo.directives) : null;
+  const statKey = [fileStat.mtimeMs, fileStat.size, metadataStat ? `${metadataStat.mtimeMs}:${metadataStat.size}` : '-']
+    .concat(directives ? [directives] : []).join(':');
+
+  const entry = cache.entries.get(fileInfo.path);
+  const reuse = async () => {
+    const result = await readResult(cache, fileInfo.path);
+    if (!result) {
+      return null; // Processed again
+    }
+    cache.hits++;
+    if (fileInfo.git) {
+      // The git change (and its diff) is not part of the cached result.
+      attachGitChange(result, fileInfo.git, config);
+      result.tokens = estimateFileTokens(result);
+    }
+    if (fileInfo.group !== undefined) {
+      result.group = fileInfo.group;
+    }
+    return result;
+  };
+
+  if (entry && entry.configHash === cache.configHash && entry.statKey === statKey) {
+    const reused = await reuse();
+    if (reused) {
+      return reused;
+    }
+  }
+
+  let contentHash = null;
+  try {
+    const fingerprint = crypto.createHash('sha1').update(await readFile(fileInfo.fullPath));
+    if (metadataStat) fingerprint.update('\0').update(await readFile(metadataPath));
+    if (directives) fingerprint.update('\0').update(directives);
+    contentHash = fingerprint.digest('hex');
+  } catch (error) {
+    return processFileContent(fileInfo, config, options); // Reports the read error
+  }
+  if (entry && entry.configHash === cache.configHash && entry.contentHash === contentHash) {
+    const reused = await reuse();
+    if (reused) {
+      entry.statKey = statKey;
+      return reused;
+    }
+  }
+
+  cache.misses++;
+  const result = await processFileContent(fileInfo, config, options);
+  if (result.status === 'error' || result.status === 'unreadable') {
+    return result; // Worth retrying next time
+  }
+  const { git, group, ...cachedResult } = result;
+  cachedResult.redactions = cachedResult.redactions.filter(finding => finding.source !== 'diff');
+  cache.entries.delete(fileInfo.path);
+  if (await writeResult(cache, fileInfo.path, { ...cachedResult, tokens: estimateFileTokens(cachedResult) })) {
+    cache.entries.set(fileInfo.path, { statKey, contentHash, configHash: cache.configHash });
+  }
+  return result;
+}
+
+module.exports = {
+  loadCache,
+  saveCache,
+  clearCache,
+  processFileWithCache,
+  getCacheDirPath,
+  getConfigHash, // Exporting for potential direct use or testing
+};
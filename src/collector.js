@@ -0,0 +1,1065 @@
+// src/collector.js
+const path = require('path');
+const EventEmitter = require('events');
+const { version } = require('../package.json');
+const { readFile, stat, writeFileAtomic, writeFileAtomicStream, writeChunks, unlink, existsSync } = require('./fs_utils');
+const { resolveConfig, DEFAULT_CONFIG_FILENAME } = require('./config_manager');
+const { ConfigError, UsageError, SecretsError } = require('./errors');
+const { logger, routeLogs } = require('./logger');
+const { scanFiles, findSystemFiles, resolveRoots, loadStartDirIgnoreRules } = require('./file_scanner');
+const { shouldIgnore, explainIgnore, loadRootIgnoreRules, loadDirectoryIgnoreRules } = require('./ignore_handler');
+const { loadCache, saveCache, processFileWithCache, getCacheDirPath } = require('./cache');
+const { getRenderer, renderDocument, renderDocumentChunks, summarizeBinaries } = require('./renderers');
+const { formatSize } = require('./content_sniffer');
+const { parsePartSize, parseByteSize, splitDocument, getPartPath, getPartIgnorePatterns } = require('./output_splitter');
+const { applyTokenBudget, formatBudgetReport } = require('./token_budget');
+const { renderTree } = require('./tree_view');
+const { resolveDependencies } = require('./dependency_resolver');
+const { estimateTokens } = require('./token_estimator');
+const { isGitModeEnabled, selectChangedFiles } = require('./git_utils');
+const { mapConcurrent } = require('./concurrency');
+const { createResultStore } = require('./result_store');
+const { loadPlugins } = require('./plugin_manager');
+const { createMetadataReader } = require('./metadata');
+
+// Output name that writes the output to stdout instead of a file.
+const STDOUT_OUTPUT = '-';
+
+// Group of the files that were named individually rather than found in a directory root.
+const LISTED_FILES_GROUP = 'Listed files';
+
+// Text appended to the output, read from the scan root.
+const POSTAMBLE_FILE_NAME = 'POSTAMBLE.txt';
+
+/**
+ * Emits an event on the emitter of a run, if it has one.
+ * @param {object} run - The value returned by prepareRun.
+ * @param {string} eventName - The event.
+ * @param {object} payload - The event data.
+ */
+function emit(run, eventName, payload) {
+  if (run.events) run.events.emit(eventName, payload);
+}
+
+/**
+ * Prepares a run: loads the configuration and the plugins, picks the renderer, reads the SYSTEM.txt preamble,
+ * the SYSTEM.txt files of subdirectories and the POSTAMBLE.txt, and keeps the output files out of the scan.
+ * @param {object} [options] - See collect.
+ * @param {EventEmitter|null} [events=null] - Emitter for progress events.
+ * @returns {Promise<{config: object, configFiles: string[], profiles: string[], renderer: object, partSize: object|null, cwd: string,
+ *          scanRootPath: string, roots: Array<object>, outputPath: string|null, systemFilePreamble: string,
+ *          systemContexts: Array<{directory: string, source: string, content: string}>, postamble: string,
+ *          automaticIgnores: Map<string, string>, cacheDirPath: string, cache: object|null, plugins: object, stream: boolean,
+ *          store: object, events: EventEmitter|null}>} Everything a build needs; `roots` are the directories and files to collect
+ *          (see resolveRoots), `outputPath` is null when writing to stdout, `plugins` is the plugin set (see
+ *          plugin_manager.js), `stream` tells whether the outputs are streamed (options.stream, unless a plugin has a
+ *          beforeWrite hook), `systemContexts` are the SYSTEM.txt files below the scan root (context for their
+ *          directories), `automaticIgnores` maps the patterns added to
+ *          config.ignore for the tool's own files to what they keep out (e.g. 'the output file'). `store` holds the processed
+ *          files (see result_store.js): when streaming, their text is kept in a temporary file until the store is closed.
+ * @throws {UsageError} If one of the paths does not exist.
+ * @throws {PluginError} If a plugin cannot be loaded.
+ */
+async function prepareRun(options = {}, events = null) {
+  const {
+    root = '.', paths, cwd = process.cwd(), configFile = DEFAULT_CONFIG_FILENAME, userConfigFile, profiles = [], config: overrides = {},
+  } = options;
+  const { config, sources, files: configFiles, paths: profilePaths } = await resolveConfig({ configFile, cwd, overrides, userConfigFile, profiles });
+  if (configFiles.length) {
+    configFiles.forEach(filePath => logger.debug(`Using config file: ${filePath}`));
+  } else if (configFile) {
+    logger.debug(`No config file at '${path.resolve(cwd, configFile)}'. Using default configuration.`);
+  }
+  let partSize;
+  try {
+    partSize = parsePartSize(config.maxPartSize);
+    parseByteSize(config.maxFileSize, 'maxFileSize'); // Parsed again per file; fail early on a bad value
+  } catch (error) {
+    throw new ConfigError(error.message);
+  }
+  const toStdout = config.output === STDOUT_OUTPUT;
+  if (toStdout && partSize) {
+    throw new ConfigError('Cannot split the output into parts (maxPartSize) when writing it to stdout.');
+  }
+
+  let resolvedRoots;
+  try {
+    resolvedRoots = await resolveRoots(paths || profilePaths || [root], cwd);
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+  const { scanRootPath, roots } = resolvedRoots;
+
+  // Plugins can add output formats, so they are loaded before the renderer is picked.
+  const plugins = await loadPlugins(config.plugins, { cwd, config, root: scanRootPath });
+  if (plugins.plugins.length) logger.debug(`Plugins: ${plugins.plugins.map(plugin => `${plugin.name} (${plugin.path})`).join(', ')}`);
+  let formatRenderer;
+  try {
+    formatRenderer = getRenderer(config.format, plugins.formats);
+  } catch (error) {
+    throw new ConfigError(`Invalid configuration in ${sources.format}: ${error.message}`, { source: sources.format });
+  }
+  const renderer = plugins.wrapRenderer(formatRenderer);
+  // A markdown output name (typically the default 'output.md') follows the chosen format,
+  // unless the name was given explicitly as an override.
+  if (!overrides.output && !toStdout && renderer.extension !== '.md' && path.extname(config.output).toLowerCase() === '.md') {
+    config.output = config.output.slice(0, -3) + renderer.extension;
+  }
+  // Every profile collected by runAllProfiles gets its own output, unless the profile names one.
+  if (options.outputLabel && sources.output !== `profile '${options.outputLabel}'`) {
+    if (toStdout) {
+      throw new ConfigError('Cannot write the outputs of all profiles to stdout. Give each profile its own "output".');
+    }
+    const extension = path.extname(config.output);
+    config.output = `${config.output.slice(0, config.output.length - extension.length)}.${options.outputLabel}${extension}`;
+  }
+
+  // Patterns added to config.ignore to keep the tool's own files out of the scan, with what they are for.
+  const automaticIgnores = new Map();
+  const addAutomaticIgnore = (pattern, purpose) => {
+    if (pattern && !config.ignore.includes(pattern)) {
+      config.ignore.push(pattern);
+      automaticIgnores.set(pattern, purpose);
+    }
+  };
+
+  // The SYSTEM.txt at the scan root is the preamble; the ones below it are context for their directories.
+  let systemFilePreamble = '';
+  const systemContexts = [];
+  for (const systemFileInfo of await findSystemFiles(scanRootPath, config, roots)) {
+    const isPreamble = systemFileInfo.relativePath === 'SYSTEM.txt';
+    addAutomaticIgnore(systemFileInfo.relativePath, isPreamble ? 'the SYSTEM.txt preamble' : 'a SYSTEM.txt context');
+    if (config.includeSystem === false) {
+      logger.debug(`Leaving out SYSTEM.txt found at: ${systemFileInfo.fullPath}`);
+      continue;
+    }
+    logger.info(`Using SYSTEM.txt found at: ${systemFileInfo.fullPath}`);
+    try {
+      const content = (await readFile(systemFileInfo.fullPath, 'utf8')).trim();
+      if (isPreamble) {
+        systemFilePreamble = content;
+      } else if (content) {
+        systemContexts.push({ directory: path.posix.dirname(systemFileInfo.relativePath), source: systemFileInfo.relativePath, content });
+      }
+    } catch (err) {
+      logger.warn(`Could not read SYSTEM.txt ${systemFileInfo.fullPath}: ${err.message}`);
+    }
+  }
+
+  let postamble = '';
+  const postamblePath = path.join(scanRootPath, POSTAMBLE_FILE_NAME);
+  if (existsSync(postamblePath)) {
+    addAutomaticIgnore(`/${POSTAMBLE_FILE_NAME}`, 'the POSTAMBLE.txt postamble');
+    if (config.includeSystem === false) {
+      logger.debug(`Leaving out ${POSTAMBLE_FILE_NAME} found at: ${postamblePath}`);
+    } else {
+      logger.info(`Using ${POSTAMBLE_FILE_NAME} found at: ${postamblePath}`);
+      try {
+        postamble = (await readFile(postamblePath, 'utf8')).trim();
+      } catch (err) {
+        logger.warn(`Could not read ${POSTAMBLE_FILE_NAME} ${postamblePath}: ${err.message}`);
+      }
+    }
+  }
+
+  if (!toStdout) {
+    addAutomaticIgnore(path.basename(config.output), 'the output file');
+    addAutomaticIgnore(path.relative(cwd, path.resolve(cwd, config.output)).replace(/\\/g, '/'), 'the output file');
+  }
+  const cacheDirPath = getCacheDirPath(scanRootPath, config.cacheDir);
+  const cacheDirRelativeToRoot = path.relative(scanRootPath, cacheDirPath).replace(/\\/g, '/');
+  if (cacheDirRelativeToRoot && !cacheDirRelativeToRoot.startsWith('..')) {
+    addAutomaticIgnore(`${cacheDirRelativeToRoot}/`, 'the cache directory');
+  }
+  if (partSize) {
+    // Keep part and index files of earlier runs out of the scan.
+    for (const pattern of getPartIgnorePatterns(config.output)) {
+      addAutomaticIgnore(pattern, 'the output parts');
+    }
+  }
+  // Plugins that change outputs before they are written (beforeWrite) get their whole text, so the
+  // outputs are not streamed then.
+  const stream = Boolean(options.stream) && !plugins.hasHook('beforeWrite');
+
+  // Metadata files (such as output.md.meta.txt) are never collected: explainIgnore leaves out every
+  // file ending with config.metadataSuffix.
+
+  return {
+    config,
+    configFiles,
+    profiles,
+    renderer,
+    partSize,
+    cwd,
+    scanRootPath,
+    roots,
+    outputPath: toStdout ? null : path.resolve(cwd, config.output),
+    systemFilePreamble,
+    systemContexts,
+    postamble,
+    automaticIgnores,
+    cacheDirPath,
+    cache: config.cache ? await loadCache(cacheDirPath, config, version, plugins.fingerprint) : null,
+    plugins,
+    stream,
+    store: createResultStore({ spool: stream }),
+    events,
+  };
+}
+
+/**
+ * Logs the settings of a run.
+ * @param {object} run - The value returned by prepareRun.
+ */
+function logRunSettings(run) {
+  const { config } = run;
+  if (run.profiles.length) logger.info(`Profile: ${run.profiles.join(', ')}`);
+  logger.info(`Starting scan in: ${run.scanRootPath}`);
+  if (run.roots.length !== 1 || !run.roots[0].isDirectory) {
+    logger.info(`Collecting: ${run.roots.map(root => root.label + (root.isDirectory ? '/' : '')).join(', ') || 'nothing'}`);
+  }
+  logger.info(`Outputting to: ${run.outputPath || 'stdout'}`);
+  if (config.ignore.length) logger.debug(`Effective ignore patterns (gitignore-style, relative to scan root): ${config.ignore.join(', ')}`);
+  if (config.ignoreExtensions.length) logger.debug(`Ignoring extensions: ${config.ignoreExtensions.join(', ')}`);
+  if (config.includeExtensions.length) logger.debug(`Including only extensions: ${config.includeExtensions.join(', ')}`);
+  if (config.metadataSuffix) logger.debug(`Using metadata file suffix: ${config.metadataSuffix} (these will be ignored as primary files)`);
+}
+
+/**
+ * Names the group a file belongs to: the first directory root containing it, or the listed files.
+ * @param {object} run - The value returned by prepareRun.
+ * @param {string} fullPath - Absolute path of the file.
+ * @returns {string|null} The group, or null if the file is not inside any root.
+ */
+function findFileGroup(run, fullPath) {
+  for (const root of run.roots) {
+    if (root.isDirectory ? fullPath.startsWith(root.fullPath + path.sep) : fullPath === root.fullPath) {
+      return root.isDirectory ? root.label : LISTED_FILES_GROUP;
+    }
+  }
+  return null;
+}
+
+/**
+ * Checks whether a path relative to the scan root can contain or be a collected file: a directory root,
+ * a path inside one, a listed file, or a directory on the way to one of them.
+ * @param {object} run - The value returned by prepareRun.
+ * @param {string} relativePath - Forward-slash path relative to the scan root.
+ * @returns {boolean} True if the path is within the roots.
+ */
+function isWithinRoots(run, relativePath) {
+  const fullPath = path.join(run.scanRootPath, relativePath);
+  return run.roots.some(root => root.fullPath === fullPath
+    || (root.isDirectory && fullPath.startsWith(root.fullPath + path.sep))
+    || root.fullPath.startsWith(fullPath + path.sep));
+}
+
+/**
+ * Narrows the scanned files to the entry points of config.entry and the files they import,
+ * transitively (see resolveDependencies). The imports between them are kept in run.dependencies.
+ * @param {object} run - The value returned by prepareRun.
+ * @param {Array<{path: string, fullPath: string}>} scannedFiles - The files found in the roots.
+ * @returns {Promise<Array<{path: string, fullPath: string}>>} The entry points and their dependencies.
+ * @throws {UsageError} If an entry point is not an existing file.
+ */
+async function followEntryPoints(run, scannedFiles) {
+  const { config } = run;
+  const collectable = new Map(scannedFiles.map(fileInfo => [fileInfo.fullPath, fileInfo]));
+  const entryPaths = [];
+  for (const entry of config.entry) {
+    const fullPath = path.resolve(run.cwd, entry);
+    const stats = await stat(fullPath).catch(() => null);
+    if (!stats || !stats.isFile()) {
+      throw new UsageError(stats ? `Entry point is not a file: ${entry}` : `Entry point not found: ${entry}`);
+    }
+    if (!collectable.has(fullPath)) {
+      logger.warn(`Warning: Entry point ${entry} is ignored or outside the collected directories; skipped.`);
+      continue;
+    }
+    entryPaths.push(fullPath);
+  }
+
+  const dependencies = await resolveDependencies(entryPaths, collectable, { maxDepth: config.entryDepth });
+  for (const { from, specifier } of dependencies.unresolved) {
+    logger.warn(`Warning: Cannot resolve '${specifier}' imported by ${from}.`);
+  }
+  const excludedPaths = [...new Set(dependencies.excluded.map(dependency => dependency.fullPath))];
+  if (excludedPaths.length) {
+    logger.info(`Imported files that are ignored or outside the collected directories, left out: ${excludedPaths.length}.`);
+    excludedPaths.forEach(fullPath => logger.debug(`  ${path.relative(run.cwd, fullPath).replace(/\\/g, '/')}`));
+  }
+  logger.info(`Following imports from ${entryPaths.length} entry point${entryPaths.length === 1 ? '' : 's'}: ${dependencies.files.length} files, ${dependencies.edges.length} imports.`);
+  run.dependencies = dependencies.edges;
+  return dependencies.files;
+}
+
+/**
+ * Walks the roots for the files to collect, yielding each file as soon as it is found (see scanFiles),
+ * so files can be processed while the walk goes on. Files are de-duplicated across roots, and get the
+ * directives of their metadata files. With config.tree and config.treeShowIgnored, the entries left out by
+ * the ignore rules are kept in run.ignoredEntries for the tree. Once the walk ends, the directory metadata
+ * files found on the way are kept in run.directoryContexts (see metadata.js).
+ * @param {object} run - The value returned by prepareRun.
+ * @yields {{fileInfo: {path: string, fullPath: string, directives?: object}, rootIndex: number}} Each file and the index
+ *         of the root it was found in.
+ */
+async function* walkRoots(run) {
+  const { config, scanRootPath } = run;
+  const metadata = createMetadataReader(scanRootPath, config);
+  const seenPaths = new Set();
+  run.ignoredEntries = [];
+  for (const [rootIndex, root] of run.roots.entries()) {
+    let rootFiles;
+    if (root.isDirectory) {
+      rootFiles = scanFiles(scanRootPath, config, root.fullPath, config.tree && config.treeShowIgnored ? run.ignoredEntries : null, run.plugins, metadata);
+    } else {
+      // Named files skip the ignore files of their directories, but not the configured patterns and extensions,
+      // their metadata or the plugins.
+      const relativePath = path.relative(scanRootPath, root.fullPath).replace(/\\/g, '/');
+      const { directives, excludedBy } = await metadata.describe(relativePath, false);
+      const { ignored } = await run.plugins.filterEntry({
+        path: relativePath,
+        isDirectory: false,
+        ignored: shouldIgnore(relativePath, false, config) || excludedBy !== null,
+      });
+      rootFiles = ignored ? [] : [{ path: relativePath, fullPath: root.fullPath, directives }];
+    }
+    for await (const fileInfo of rootFiles) {
+      if (seenPaths.has(fileInfo.fullPath)) continue;
+      seenPaths.add(fileInfo.fullPath);
+      yield { fileInfo, rootIndex };
+    }
+  }
+  run.directoryContexts = await metadata.contexts();
+}
+
+/**
+ * Puts the files yielded by walkRoots in output order: root by root, each root's files sorted by path.
+ * @param {Array<{fileInfo: {path: string, fullPath: string}, rootIndex: number}>} walkedFiles - The files, as yielded.
+ * @returns {Array<{path: string, fullPath: string}>} The files, in order.
+ */
+function orderWalkedFiles(walkedFiles) {
+  return walkedFiles
+    .slice()
+    .sort((a, b) => a.rootIndex - b.rootIndex || a.fileInfo.path.localeCompare(b.fileInfo.path))
+    .map(walked => walked.fileInfo);
+}
+
+/**
+ * Groups the files to collect by root (see findFileGroup): with more than one group, every file gets
+ * its `group` and the files are put in the order of the groups. Then emits 'files' with the list.
+ * @param {object} run - The value returned by prepareRun.
+ * @param {Array<{path: string, fullPath: string}>} filesToProcess - The files, in order; sorted in place.
+ * @returns {Array<{path: string, fullPath: string, group?: string}>} The files.
+ */
+function groupFiles(run, filesToProcess) {
+  if (filesToProcess.length === 0) {
+      logger.info("No files found to process. Output file will not be created or will be minimal.");
+  }
+
+  // Groups follow the order of the roots.
+  const presentGroups = new Set(filesToProcess.map(fileInfo => findFileGroup(run, fileInfo.fullPath)));
+  const groups = [...new Set(run.roots.map(root => (root.isDirectory ? root.label : LISTED_FILES_GROUP)))]
+    .filter(group => presentGroups.has(group));
+  if (groups.length > 1) {
+    for (const fileInfo of filesToProcess) {
+      fileInfo.group = findFileGroup(run, fileInfo.fullPath);
+    }
+    filesToProcess.sort((a, b) => groups.indexOf(a.group) - groups.indexOf(b.group)); // Stable: keeps the order within a group
+  }
+  emit(run, 'files', { files: filesToProcess });
+  return filesToProcess;
+}
+
+/**
+ * Tells whether the files of a run can be processed while the roots are walked: following entry
+ * points and selecting git changes need the whole list first (see collectFiles).
+ * @param {object} run - The value returned by prepareRun.
+ * @returns {boolean} True if scanAndProcessFiles can be used.
+ */
+function canProcessWhileScanning(run) {
+  return !run.config.entry.length && !isGitModeEnabled(run.config);
+}
+
+/**
+ * Scans the roots for the files to collect, limited to changed files in git mode, and groups them
+ * (see groupFiles). With config.entry, only the entry points and their dependencies are collected
+ * (see followEntryPoints).
+ * @param {object} run - The value returned by prepareRun.
+ * @returns {Promise<Array<{path: string, fullPath: string, group?: string}>>} The files to process.
+ */
+async function collectFiles(run) {
+  const { config, scanRootPath } = run;
+  const walkedFiles = [];
+  for await (const walked of walkRoots(run)) {
+    walkedFiles.push(walked);
+  }
+  let filesToProcess = orderWalkedFiles(walkedFiles);
+  logger.info(`Found ${filesToProcess.length} files matching criteria.`);
+  run.dependencies = null;
+  if (config.entry.length) {
+    filesToProcess = await followEntryPoints(run, filesToProcess);
+  }
+  if (isGitModeEnabled(config)) {
+    // Deleted files are found in git rather than by the scan: keep the ones inside the roots
+    // (none when following entry points, as deleted files import nothing).
+    const collectedPaths = new Set(filesToProcess.map(fileInfo => fileInfo.fullPath));
+    filesToProcess = (await selectChangedFiles(scanRootPath, filesToProcess, config))
+      .filter(fileInfo => collectedPaths.has(fileInfo.fullPath)
+        || (!config.entry.length && findFileGroup(run, fileInfo.fullPath) !== null));
+    const deletedCount = filesToProcess.filter(fileInfo => fileInfo.git.status === 'deleted').length;
+    logger.info(`Git: ${filesToProcess.length} changed files (${deletedCount} deleted)${config.gitSince ? ` since ${config.gitSince}` : ''}${config.gitStaged ? ', staged only' : ''}.`);
+  }
+  return groupFiles(run, filesToProcess);
+}
+
+/**
+ * Describes the rule that decided an ignore decision (see explainIgnore).
+ * @param {object} run - The value returned by prepareRun.
+ * @param {object} decision - The decision.
+ * @returns {string} E.g. "'*.log' in .gitignore (line 3)".
+ */
+function describeIgnoreDecision(run, decision) {
+  const { config } = run;
+  if (decision.reason === 'plugin') {
+    return `the plugin '${decision.plugin}'`;
+  }
+  if (decision.reason === 'metadata') {
+    return `'exclude: true' in ${decision.metadata}`;
+  }
+  if (decision.reason === 'metadataSuffix') {
+    return `the metadata suffix '${config.metadataSuffix}' (metadata files are shown with what they describe)`;
+  }
+  if (decision.reason === 'ignoreExtensions') {
+    return `the extension '${decision.extension}' in ignoreExtensions`;
+  }
+  if (decision.reason === 'includeExtensions') {
+    const extension = decision.extension ? `the extension '${decision.extension}'` : 'a missing extension';
+    return `includeExtensions (${config.includeExtensions.join(', ')}), which does not list ${extension}`;
+  }
+  const { rule } = decision;
+  if (rule.source !== 'config') {
+    return `'${rule.pattern}' in ${rule.source}${rule.line ? ` (line ${rule.line})` : ''}`;
+  }
+  const purpose = run.automaticIgnores.get(rule.pattern);
+  return purpose ? `'${rule.pattern}', added automatically to keep out ${purpose}` : `the ignore pattern '${rule.pattern}' in the configuration`;
+}
+
+/**
+ * Lets an 'exclude: true' directive of a metadata file (see metadata.js) change an ignore decision
+ * (see explainIgnore), as it does in the scan.
+ * @param {object} metadata - The metadata reader.
+ * @param {string} relativePath - Forward-slash path relative to the scan root.
+ * @param {boolean} isDirectory - Whether the path is a directory.
+ * @param {object} decision - The decision of the ignore rules.
+ * @returns {Promise<object>} The decision, or one with reason 'metadata' naming the metadata file that excludes the path.
+ */
+async function applyMetadataDecision(metadata, relativePath, isDirectory, decision) {
+  if (decision.ignored) {
+    return decision;
+  }
+  const { excludedBy } = await metadata.describe(relativePath, isDirectory);
+  return excludedBy ? { ignored: true, reason: 'metadata', metadata: excludedBy, rule: null } : decision;
+}
+
+/**
+ * Lets the plugins' onScanEntry hooks change an ignore decision (see explainIgnore), as they do in the scan.
+ * @param {object} run - The value returned by prepareRun.
+ * @param {string} relativePath - Forward-slash path relative to the scan root.
+ * @param {boolean} isDirectory - Whether the path is a directory.
+ * @param {object} decision - The decision of the ignore rules.
+ * @returns {Promise<object>} The decision, or one with reason 'plugin' naming the plugin that changed it.
+ */
+async function applyPluginDecision(run, relativePath, isDirectory, decision) {
+  const { ignored, plugin } = await run.plugins.filterEntry({ path: relativePath, isDirectory, ignored: decision.ignored });
+  return plugin ? { ignored, reason: 'plugin', plugin, rule: null } : decision;
+}
+
+/**
+ * Explains why paths would or would not be collected: outside the roots, excluded by an ignore
+ * pattern (from the configuration, an ignore file, or added for the output file, SYSTEM.txt or
+ * the cache), by the extension lists, by a metadata file, by a plugin or by an ignored ancestor directory, or, when following
+ * entry points or git changes, not imported or not changed.
+ * @param {object} run - The value returned by prepareRun.
+ * @param {string[]} targetPaths - The paths, relative to run.cwd.
+ * @returns {Promise<Array<{path: string, exists: boolean, isDirectory: boolean, included: boolean,
+ *          reason: 'included'|'reincluded'|'ignored'|'ancestor-ignored'|'outside-roots'|'not-imported'|'not-changed',
+ *          rule: {pattern: string, source: string, line: number|null, automatic: string|null}|null, metadata: string|null,
+ *          plugin: string|null, ancestor: string|null, message: string}>>} One explanation per path. `path` is relative
+ *          to the scan root (absolute outside it), `rule` is the ignore rule that decided (`automatic` says what an
+ *          automatically added pattern keeps out), `metadata` the metadata file whose 'exclude: true' decided, `plugin`
+ *          the plugin that overrode the rules, `ancestor` the ignored directory, and
+ *          `message` a sentence such as
+ *          "excluded by '*.log' in .gitignore (line 3)".
+ */
+async function explainPaths(run, targetPaths) {
+  const { config, scanRootPath } = run;
+  const rootRuleSets = await loadRootIgnoreRules(scanRootPath, config);
+  const metadata = createMetadataReader(scanRootPath, config);
+  let collectedPaths = null; // Only needed when entry points or git narrow the scanned files
+
+  const explanations = [];
+  for (const targetPath of targetPaths) {
+    const fullPath = path.resolve(run.cwd, targetPath);
+    const stats = await stat(fullPath).catch(() => null);
+    const relativePath = path.relative(scanRootPath, fullPath).replace(/\\/g, '/') || '.';
+    const explanation = {
+      path: relativePath.startsWith('../') ? fullPath : relativePath,
+      exists: Boolean(stats),
+      isDirectory: Boolean(stats && stats.isDirectory()),
+      included: false,
+      reason: 'included',
+      rule: null,
+      metadata: null,
+      plugin: null,
+      ancestor: null,
+      message: '',
+    };
+    explanations.push(explanation);
+    const exclude = (reason, message) => Object.assign(explanation, { reason, message });
+
+    const root = run.roots.find(candidate => candidate.fullPath === fullPath)
+      || run.roots.find(candidate => candidate.isDirectory && fullPath.startsWith(candidate.fullPath + path.sep));
+    if (!root) {
+      exclude('outside-roots', 'excluded: not inside the directories or files being collected');
+      continue;
+    }
+
+    // Check the path the way the scan reaches it: every directory below the root, then the path itself.
+    // Named files and roots skip the ignore files, as in collectFiles.
+    let decision = null;
+    if (root.fullPath !== fullPath) {
+      let ruleSets = rootRuleSets.concat(await loadStartDirIgnoreRules(scanRootPath, root.fullPath, config));
+      let dirPath = root.fullPath;
+      for (const segment of path.relative(root.fullPath, fullPath).split(path.sep)) {
+        ruleSets = ruleSets.concat(await loadDirectoryIgnoreRules(dirPath, path.relative(scanRootPath, dirPath) || '.', config));
+        const itemPath = path.join(dirPath, segment);
+        const relativeItemPath = path.relative(scanRootPath, itemPath).replace(/\\/g, '/');
+        const isDirectory = itemPath === fullPath ? explanation.isDirectory : true;
+        decision = await applyMetadataDecision(metadata, relativeItemPath, isDirectory, explainIgnore(relativeItemPath, isDirectory, config, ruleSets));
+        decision = await applyPluginDecision(run, relativeItemPath, isDirectory, decision);
+        if (decision.ignored && itemPath !== fullPath) {
+          explanation.ancestor = relativeItemPath;
+        }
+        if (decision.ignored) break;
+        dirPath = itemPath;
+      }
+    } else if (!root.isDirectory) {
+      decision = await applyMetadataDecision(metadata, relativePath, false, explainIgnore(relativePath, false, config));
+      decision = await applyPluginDecision(run, relativePath, false, decision);
+    }
+    if (decision && decision.metadata) {
+      explanation.metadata = decision.metadata;
+    }
+    if (decision && decision.plugin) {
+      explanation.plugin = decision.plugin;
+    }
+    if (decision && decision.rule) {
+      const { pattern, source, line = null } = decision.rule;
+      explanation.rule = { pattern, source, line, automatic: (source === 'config' && run.automaticIgnores.get(pattern)) || null };
+    }
+    if (decision && decision.ignored) {
+      if (explanation.ancestor) {
+        exclude('ancestor-ignored', `excluded: its directory '${explanation.ancestor}' is excluded by ${describeIgnoreDecision(run, decision)}`);
+      } else {
+        exclude('ignored', `excluded by ${describeIgnoreDecision(run, decision)}`);
+      }
+      continue;
+    }
+
+    if (!explanation.isDirectory && (config.entry.length || isGitModeEnabled(config))) {
+      if (!collectedPaths) {
+        collectedPaths = new Set((await collectFiles(run)).map(fileInfo => fileInfo.fullPath));
+      }
+      if (!collectedPaths.has(fullPath)) {
+        if (config.entry.length) {
+          exclude('not-imported', 'excluded: not one of the entry points or the files they import');
+        } else {
+          exclude('not-changed', `excluded: not changed${config.gitSince ? ` since ${config.gitSince}` : ''}${config.gitStaged ? ' (staged)' : ''}`);
+        }
+        continue;
+      }
+    }
+
+    explanation.included = true;
+    const reincluded = decision && ((decision.rule && decision.rule.negated) || decision.plugin);
+    explanation.reason = reincluded ? 'reincluded' : 'included';
+    explanation.message = reincluded ? `included: re-included by ${describeIgnoreDecision(run, decision)}` : 'included: no ignore rule matches';
+    if (explanation.isDirectory) explanation.message += '; its files are checked one by one';
+  }
+  return explanations;
+}
+
+/**
+ * Processes the files to collect, through the on-disk cache when it is enabled, with at most
+ * config.concurrency files open at once, and puts each result in run.store as soon as it is done.
+ * The files can come from a lazy source (see scanAndProcessFiles): a file is only taken from it when
+ * it can be processed. Results of a previous build are reused for files that are not in `changedPaths`
+ * (and whose git change is the same). Emits 'file' as each file is done; `total` is null while a lazy
+ * source has more files.
+ * @param {object} run - The value returned by prepareRun.
+ * @param {Array<{path: string, fullPath: string}>|AsyncIterable<{path: string, fullPath: string}>} filesToProcess - The files to process.
+ * @param {Map<string, object>} [previousResults] - Results of the previous build, keyed by path.
+ * @param {Set<string>} [changedPaths] - Paths changed since the previous build; without it, everything is processed.
+ * @returns {Promise<Array<object>>} The records returned by run.store.put, in the order of filesToProcess.
+ */
+async function processFiles(run, filesToProcess, previousResults = new Map(), changedPaths = null) {
+  let completed = 0;
+  let total = Array.isArray(filesToProcess) ? filesToProcess.length : null;
+  const counted = async function* () {
+    let found = 0;
+    for await (const fileInfo of filesToProcess) {
+      found++;
+      yield fileInfo;
+    }
+    total = found;
+  };
+  if (run.cache) {
+    run.cache.hits = 0;
+    run.cache.misses = 0;
+  }
+  const results = await mapConcurrent(counted(), run.config.concurrency, async fileInfo => {
+    const previous = previousResults.get(fileInfo.path);
+    const reusable = previous && changedPaths && !changedPaths.has(fileInfo.path)
+      && JSON.stringify(previous.git) === JSON.stringify(fileInfo.git);
+    const result = reusable ? previous : await processFileWithCache(fileInfo, run.config, run.cache, { plugins: run.plugins });
+    emit(run, 'file', { file: result, completed: ++completed, total });
+    return run.store.put(result);
+  });
+  if (run.cache) {
+    await saveCache(run.cache, run.scanRootPath);
+    logger.info(`Cache: ${run.cache.hits} hits, ${run.cache.misses} misses (${run.cacheDirPath})`);
+  }
+  return results;
+}
+
+/**
+ * Scans the roots and processes the files while the scan goes on (see walkRoots and processFiles),
+ * instead of waiting for the whole list. Once the scan ends, the files are put in output order and
+ * grouped (see groupFiles), which emits 'files'. Only when canProcessWhileScanning; see collectFiles otherwise.
+ * @param {object} run - The value returned by prepareRun.
+ * @returns {Promise<{files: Array<{path: string, fullPath: string, group?: string}>, results: Array<object>}>}
+ *          The files and their records in run.store (see processFiles), in output order.
+ */
+async function scanAndProcessFiles(run) {
+  const walkedFiles = [];
+  let files = null;
+  const scan = async function* () {
+    for await (const walked of walkRoots(run)) {
+      walkedFiles.push(walked);
+      yield walked.fileInfo;
+    }
+    files = orderWalkedFiles(walkedFiles);
+    logger.info(`Found ${files.length} files matching criteria.`);
+    groupFiles(run, files);
+  };
+  run.dependencies = null;
+  const processed = await processFiles(run, scan());
+  // Results are in the order the files were found; groups are only known once the scan has ended.
+  const resultsByFile = new Map(walkedFiles.map((walked, index) => [walked.fileInfo, processed[index]]));
+  const results = files.map((fileInfo) => {
+    const result = resultsByFile.get(fileInfo);
+    if (fileInfo.group !== undefined) {
+      result.group = fileInfo.group;
+    }
+    return result;
+  });
+  return { files, results };
+}
+
+/**
+ * Checks the processed files for redacted secrets.
+ * @param {object} run - The value returned by prepareRun.
+ * @param {Array<object>} processedFiles - The processed files.
+ * @throws {SecretsError} If secrets were found and config.failOnSecrets is set.
+ */
+function checkSecrets(run, processedFiles) {
+  const filesWithSecrets = processedFiles.filter(file => file.redactions.length);
+  if (filesWithSecrets.length === 0) {
+    return;
+  }
+  const findingCount = filesWithSecrets.reduce((sum, file) => sum + file.redactions.length, 0);
+  if (run.config.failOnSecrets) {
+    throw new SecretsError(
+      `Found ${findingCount} secrets in ${filesWithSecrets.length} files.`,
+      filesWithSecrets.map(file => ({ path: file.path, redactions: file.redactions }))
+    );
+  }
+  logger.info(`Redacted ${findingCount} secrets in ${filesWithSecrets.length} files.`);
+}
+
+/**
+ * Attaches the contexts of directories (their SYSTEM.txt and directory metadata) to the first file of
+ * each directory that the output shows, so they are rendered just before it. Contexts of directories
+ * without such a file are left out.
+ * @param {Array<object>} files - The processed files, in output order.
+ * @param {Array<{directory: string, source: string, content: string}>} contexts - The contexts, in the order
+ *        they are shown before a file.
+ * @param {object} store - The store holding the files (see result_store.js); the copies that get contexts are put in it.
+ * @returns {Promise<{files: Array<object>, contexts: Array<object>}>} The files (copies with `contexts` where they
+ *          get some) and the contexts that are shown.
+ */
+async function attachContexts(files, contexts, store) {
+  const contextsByIndex = new Map();
+  const shown = [];
+  for (const context of contexts) {
+    const index = files.findIndex(file => file.status !== 'omitted'
+      && (context.directory === '.' || file.path.startsWith(`${context.directory}/`)));
+    if (index === -1) continue;
+    if (!contextsByIndex.has(index)) contextsByIndex.set(index, []);
+    contextsByIndex.get(index).push(context);
+    shown.push(context);
+  }
+  const attachedFiles = files.slice();
+  for (const [index, fileContexts] of contextsByIndex) {
+    attachedFiles[index] = await store.put({ ...await store.load(files[index]), contexts: fileContexts });
+  }
+  return { files: attachedFiles, contexts: shown };
+}
+
+/**
+ * Renders the processed files, applying the token budget and splitting the output into parts.
+ * When the run streams (options.stream), the documents of the outputs are kept instead of their text,
+ * for writeOutputs to render file by file as it writes them.
+ * @param {object} run - The value returned by prepareRun.
+ * @param {Array<{path: string, fullPath: string}>} filesToProcess - The files, for re-processing by the token budget.
+ * @param {Array<object>} processedFiles - Results of processFileContent, in the same order.
+ * @returns {Promise<{document: object, outputs: Array<{path: string|null, content: string|null, part: number|'index'|null,
+ *          files: Array<object>, document?: object}>, budget: object|null}>} The rendered document (with the `contexts`
+ *          shown before its files, see attachContexts), and its outputs:
+ *          a single one, or the parts followed by the index. `path` is where the output goes (null for stdout);
+ *          `content` is null (and `document` set) for a streamed output; `budget` is the result of applyTokenBudget.
+ */
+async function renderOutputs(run, filesToProcess, processedFiles) {
+  const { config, renderer, partSize, outputPath } = run;
+  const document = {
+    meta: {
+      generatedAt: new Date(),
+      toolVersion: version,
+      scanDirectory: path.relative(run.cwd, run.scanRootPath).replace(/\\/g, '/') || '.',
+    },
+    systemPreamble: run.systemFilePreamble,
+    postamble: run.postamble,
+    files: processedFiles,
+    tree: null,
+    dependencies: null,
+  };
+  if (config.tree) {
+    document.tree = renderTree(processedFiles, {
+      ignored: run.ignoredEntries || [],
+      maxDepth: config.treeDepth,
+      collapseAbove: config.treeCollapseAbove,
+      rootLabel: document.meta.scanDirectory,
+    });
+  }
+  if (run.dependencies) {
+    // In git mode, only the imports between collected (changed) files.
+    const collectedPaths = new Set(processedFiles.map(file => file.path));
+    document.dependencies = run.dependencies.filter(edge => collectedPaths.has(edge.from) && collectedPaths.has(edge.to));
+  }
+
+  // Contexts of shallower directories first; in the same directory, SYSTEM.txt before the directory metadata.
+  const depth = (context) => (context.directory === '.' ? 0 : context.directory.split('/').length);
+  const contexts = run.systemContexts.concat(run.directoryContexts || []).sort((a, b) => depth(a) - depth(b));
+
+  let budget = null;
+  if (config.tokenBudget > 0) {
+    const overheadTokens = estimateTokens(renderer.renderHeader(document) + renderer.renderFooter(document))
+      + contexts.reduce((sum, context) => sum + estimateTokens(context.content), 0);
+    budget = await applyTokenBudget(filesToProcess, document.files, config, overheadTokens, result => run.store.put(result), { plugins: run.plugins });
+    document.files = budget.results;
+    logger.info(formatBudgetReport(budget));
+  }
+  const attached = await attachContexts(document.files, contexts, run.store);
+  document.files = attached.files;
+  document.contexts = attached.contexts;
+
+  const binaries = summarizeBinaries(document.files);
+  if (binaries) {
+    logger.info(`Skipped ${binaries.files.length} binary files (${formatSize(binaries.totalSize)}); listed in the output.`);
+  }
+
+  // A streamed output is rendered while it is written (see writeOutputs).
+  const render = (outputDocument) => (run.stream
+    ? { content: null, document: outputDocument }
+    : { content: renderDocument(renderer, outputDocument) });
+  const partDocuments = partSize ? await splitDocument(renderer, document, partSize, config.partPreamble, run.store) : [document];
+  if (partDocuments.length === 1) {
+    return {
+      document,
+      outputs: [{ path: outputPath, ...render(document), part: null, files: document.files }],
+      budget,
+    };
+  }
+
+  const outputs = partDocuments.map(partDocument => ({
+    path: getPartPath(outputPath, partDocument.part.number),
+    ...render(partDocument),
+    part: partDocument.part.number,
+    files: partDocument.files,
+  }));
+  const parts = outputs.map(output => ({ number: output.part, fileName: path.basename(output.path), files: output.files }));
+  outputs.push({ path: getPartPath(outputPath, 'index'), content: renderer.renderIndex(parts, document), part: 'index', files: [] });
+  return { document, outputs, budget };
+}
+
+/**
+ * Removes part files (and the index) left over from an earlier build that had more parts.
+ * @param {string} outputPath - The output path.
+ * @param {number} firstStalePart - The first part number that was not written by this build.
+ * @param {boolean} removeIndex - Whether the index is stale too (the output is no longer split).
+ * @returns {Promise<void>}
+ */
+async function removeStaleParts(outputPath, firstStalePart, removeIndex) {
+  const stalePaths = removeIndex ? [getPartPath(outputPath, 'index')] : [];
+  for (let part = firstStalePart; existsSync(getPartPath(outputPath, part)); part++) {
+    stalePaths.push(getPartPath(outputPath, part));
+  }
+  for (const stalePath of stalePaths.filter(existsSync)) {
+    await unlink(stalePath);
+  }
+}
+
+/**
+ * Measures an output: its size in bytes and estimated tokens. A streamed output is measured while
+ * it is written (see writeOutput).
+ * @param {object} output - An output returned by renderOutputs.
+ * @returns {{bytes: number, tokens: number}} The measures; 0 for a streamed output that was not written.
+ */
+function measureOutput(output) {
+  if (output.content === null) {
+    return { bytes: output.bytes || 0, tokens: output.tokens || 0 };
+  }
+  return { bytes: Buffer.byteLength(output.content, 'utf8'), tokens: estimateTokens(output.content) };
+}
+
+/**
+ * Writes one output atomically, or to stdout when it has no path, after the plugins' beforeWrite
+ * hooks. A streamed output is rendered file by file as it is written, and gets its `bytes` and
+ * `tokens` recorded.
+ * @param {object} run - The value returned by prepareRun.
+ * @param {object} output - An output returned by renderOutputs.
+ * @returns {Promise<void>}
+ */
+async function writeOutput(run, output) {
+  if (output.content !== null) {
+    await run.plugins.beforeWrite(output);
+    if (output.path) {
+      await writeFileAtomic(output.path, output.content, 'utf8');
+    } else {
+      await writeChunks(process.stdout, [output.content]);
+    }
+    return;
+  }
+  const measured = { bytes: 0, tokens: 0 };
+  const chunks = async function* () {
+    for await (const chunk of renderDocumentChunks(run.renderer, output.document, file => run.store.load(file))) {
+      measured.bytes += Buffer.byteLength(chunk, 'utf8');
+      measured.tokens += estimateTokens(chunk);
+      yield chunk;
+    }
+  };
+  if (output.path) {
+    await writeFileAtomicStream(output.path, chunks());
+  } else {
+    await writeChunks(process.stdout, chunks());
+  }
+  output.bytes = measured.bytes;
+  output.tokens = measured.tokens;
+}
+
+/**
+ * Writes the outputs of renderOutputs atomically (or to stdout) and removes stale part files.
+ * Emits 'write' and calls the plugins' afterWrite hooks for every output.
+ * @param {object} run - The value returned by prepareRun.
+ * @param {Array<object>} outputs - The outputs returned by renderOutputs.
+ * @returns {Promise<void>}
+ */
+async function writeOutputs(run, outputs) {
+  const { renderer, partSize, outputPath } = run;
+  const fileCount = outputs.reduce((sum, output) => sum + output.files.length, 0);
+
+  if (outputs.length === 1) {
+    const [output] = outputs;
+    await writeOutput(run, output);
+    if (outputPath && partSize) await removeStaleParts(outputPath, 1, true);
+    const { bytes, tokens } = measureOutput(output);
+    emit(run, 'write', { path: outputPath, bytes });
+    await run.plugins.afterWrite({ path: outputPath, part: null, bytes, tokens });
+    logger.info(`Successfully wrote ${fileCount} files to ${outputPath || 'stdout'} as ${renderer.name} (~${tokens.toLocaleString()} tokens)`);
+    return;
+  }
+
+  const parts = outputs.filter(output => output.part !== 'index');
+  for (const output of outputs) {
+    await writeOutput(run, output);
+    const { bytes, tokens } = measureOutput(output);
+    emit(run, 'write', { path: output.path, bytes });
+    await run.plugins.afterWrite({ path: output.path, part: output.part, bytes, tokens });
+    if (output.part !== 'index') {
+      logger.info(`Wrote part ${output.part} of ${parts.length}: ${output.path} (${output.files.length} files, ${bytes.toLocaleString()} bytes, ~${tokens.toLocaleString()} tokens)`);
+    }
+  }
+  await removeStaleParts(outputPath, parts.length + 1, false);
+  logger.info(`Successfully wrote ${fileCount} files in ${parts.length} parts as ${renderer.name}. Index: ${getPartPath(outputPath, 'index')}`);
+}
+
+/**
+ * Runs a complete build: prepare, scan, process, render and (with options.write) write.
+ * @param {object} options - See collect.
+ * @param {EventEmitter} events - Emitter for progress events.
+ * @returns {Promise<object>} See collect.
+ */
+async function runCollect(options, events) {
+  const run = await prepareRun({ ...options, stream: Boolean(options.write && options.stream) }, events);
+  logRunSettings(run);
+  emit(run, 'start', { root: run.scanRootPath, roots: run.roots, outputPath: run.outputPath, config: run.config, configFiles: run.configFiles });
+
+  let filesToProcess;
+  let results;
+  let rendered;
+  try {
+    if (canProcessWhileScanning(run)) {
+      ({ files: filesToProcess, results } = await scanAndProcessFiles(run));
+    } else {
+      filesToProcess = await collectFiles(run);
+      results = await processFiles(run, filesToProcess);
+    }
+    checkSecrets(run, results);
+    rendered = await renderOutputs(run, filesToProcess, results);
+    if (options.write) {
+      await writeOutputs(run, rendered.outputs);
+    }
+  } finally {
+    await run.store.close();
+  }
+  const { document, outputs, budget } = rendered;
+
+  const binaries = summarizeBinaries(document.files);
+  return {
+    config: run.config,
+    configFiles: run.configFiles,
+    root: run.scanRootPath,
+    outputPath: run.outputPath,
+    systemPreamble: run.systemFilePreamble,
+    postamble: run.postamble,
+    contexts: document.contexts,
+    files: document.files,
+    outputs,
+    stats: {
+      fileCount: document.files.length,
+      tokens: outputs.reduce((sum, output) => sum + measureOutput(output).tokens, 0),
+      bytes: outputs.reduce((sum, output) => sum + measureOutput(output).bytes, 0),
+      redactions: document.files.reduce((sum, file) => sum + file.redactions.length, 0),
+      skippedBinaries: binaries ? binaries.files.length : 0,
+      cache: run.cache ? { hits: run.cache.hits, misses: run.cache.misses } : null,
+      budget: budget ? { budget: budget.budget, totalTokens: budget.totalTokens, report: budget.report } : null,
+    },
+  };
+}
+
+/**
+ * Runs a complete build for every profile of the configuration, one after another (see runCollect).
+ * Profiles that do not name their own output write to the configured one with the profile name
+ * inserted (output.backend.md). Emits 'profile' before each build.
+ * @param {object} options - See collect; `profiles` is replaced by each profile in turn.
+ * @param {EventEmitter} events - Emitter for progress events.
+ * @returns {Promise<Array<object>>} The result of each build (see collect), with the `profile` name.
+ * @throws {ConfigError} If the configuration defines no profiles.
+ */
+async function runAllProfiles(options, events) {
+  const { cwd = process.cwd(), configFile = DEFAULT_CONFIG_FILENAME, userConfigFile, config: overrides = {} } = options;
+  const { config } = await resolveConfig({ configFile, cwd, overrides, userConfigFile });
+  const names = Object.keys(config.profiles);
+  if (names.length === 0) {
+    throw new ConfigError('No profiles to collect: the configuration defines no "profiles".');
+  }
+  const results = [];
+  for (const name of names) {
+    logger.info(`${results.length ? '\n' : ''}Collecting profile '${name}' (${results.length + 1} of ${names.length})`);
+    emit({ events }, 'profile', { name, index: results.length, total: names.length });
+    results.push({ profile: name, ...await runCollect({ ...options, profiles: [name], outputLabel: name }, events) });
+  }
+  return results;
+}
+
+/**
+ * Creates a collector: an EventEmitter whose `run()` performs the build and reports progress as events.
+ * With options.allProfiles, it builds every profile and resolves with a list of results.
+ *
+ * Events:
+ *   'log'    {level: 'error'|'warn'|'info'|'debug', message: string} - What the command line tool would log.
+ *   'profile' {name, index, total} - With options.allProfiles: the build of a profile starts.
+ *   'start'  {root, roots, outputPath, config, configFiles} - The configuration has been resolved.
+ *   'files'  {files: Array<{path, fullPath}>} - The files to collect have been found. Files are processed
+ *            while they are being found, so 'file' events can come first.
+ *   'file'   {file: object, completed: number, total: number|null} - A file has been processed; `total` is null
+ *            until the files have all been found.
+ *   'write'  {path: string|null, bytes: number} - An output was written (only with options.write).
+ *
+ * @param {object} [options] - See collect.
+ * @returns {EventEmitter & {run: function(): Promise<object>}} The collector.
+ */
+function createCollector(options = {}) {
+  const events = new EventEmitter();
+  events.run = () => routeLogs(
+    (level, message) => events.emit('log', { level, message }),
+    () => (options.allProfiles ? runAllProfiles(options, events) : runCollect(options, events))
+  );
+  return events;
+}
+
+/**
+ * Collects the files of a directory into a single document, without logging to the console or
+ * exiting the process. Use createCollector to follow the progress.
+ * @param {object} [options]
+ * @param {string} [options.root='.'] - The directory to scan, relative to cwd.
+ * @param {string[]} [options.paths] - Directories and individual files to collect, relative to cwd, instead
+ *        of `root` (or the `paths` of the profiles). Paths in the output are relative to the deepest directory
+ *        containing all of them.
+ * @param {string} [options.cwd=process.cwd()] - Directory that root, the config file and the output are resolved against.
+ * @param {string|null} [options.configFile='collect-files.config.json'] - The project config file (skipped if it does
+ *        not exist); null to use none.
+ * @param {string|null} [options.userConfigFile] - The user-global config file; null to skip it.
+ * @param {object} [options.config={}] - Configuration values that override the config files, as on the
+ *        command line: arrays are appended to the configured ones.
+ * @param {string[]} [options.profiles=[]] - Profiles of the configuration to apply, combined in order.
+ * @param {boolean} [options.allProfiles=false] - Collect every profile into its own output instead; the
+ *        result is then a list with one result per profile, each with its `profile` name.
+ * @param {boolean} [options.write=false] - Write the outputs to disk (to stdout when config.output is '-').
+ * @param {boolean} [options.stream=false] - With write: render each output file by file while writing it, instead
+ *        of building its whole text in memory first. The text of the processed files is kept in a temporary file
+ *        meanwhile (see result_store.js), so the files of the result have no `content`, `metadata` or git `diff`
+ *        (null), and streamed outputs have no `content` (null), only their `bytes` and `tokens`.
+ * @returns {Promise<{config: object, configFiles: string[], root: string, outputPath: string|null, systemPreamble: string,
+ *          postamble: string, contexts: Array<{directory: string, source: string, content: string}>,
+ *          files: Array<object>, outputs: Array<{path: string|null, content: string|null, part: number|'index'|null,
+ *          files: Array<object>, bytes?: number, tokens?: number}>,
+ *          stats: {fileCount: number, tokens: number, bytes: number, redactions: number, skippedBinaries: number,
+ *          cache: {hits: number, misses: number}|null, budget: {budget: number, totalTokens: number, report: Array<object>}|null}}>}
+ *          The effective configuration, the SYSTEM.txt preamble and the POSTAMBLE.txt, the contexts of directories
+ *          (their SYSTEM.txt and directory metadata, see metadata.js) shown before the first of their files, which
+ *          has them as `contexts`, the processed files (see processFileContent), the rendered outputs
+ *          (one, or the parts followed by the index) and statistics; `tokens` is estimated and `budget`
+ *          is set when config.tokenBudget applies (see applyTokenBudget).
+ * @throws {ConfigError} If the configuration is invalid.
+ * @throws {SecretsError} If secrets were found and config.failOnSecrets is set.
+ */
+function collect(options = {}) {
+  return createCollector(options).run();
+}
+
+module.exports = {
+  collect,
+  createCollector,
+  prepareRun,
+  logRunSettings,
+  collectFiles,
+  explainPaths,
+  isWithinRoots,
+  processFiles,
+  checkSecrets,
+  renderOutputs,
+  writeOutputs,
+  STDOUT_OUTPUT,
+};
@@ -0,0 +1,501 @@
+// src/compression.js
+const path = require('path');
+const { matchesPathPattern } = require('./glob_matcher');
+const { logger } = require('./logger');
+
+// Languages (by extension) understood by the signature extractor.
+const JS_LIKE_LANGUAGES = ['js', 'jsx', 'mjs', 'cjs', 'ts', 'tsx', 'mts', 'cts'];
+// Languages with '//' line comments and '/* */' block comments.
+const C_LIKE_LANGUAGES = [
+  ...JS_LIKE_LANGUAGES,
+  'java', 'c', 'h', 'cpp', 'hpp', 'cc', 'cxx', 'hxx', 'cs', 'go', 'rs', 'swift', 'kt', 'kts',
+  'scala', 'dart', 'php', 'groovy', 'gradle', 'proto', 'scss', 'less', 'jsonc', 'json5',
+];
+// Languages with only '/* */' block comments ('//' can legitimately appear in CSS urls).
+const BLOCK_COMMENT_LANGUAGES = ['css'];
+// Languages with '#' line comments.
+const HASH_COMMENT_LANGUAGES = [
+  'py', 'rb', 'sh', 'bash', 'zsh', 'fish', 'yaml', 'yml', 'toml', 'r', 'pl', 'ps1', 'psm1',
+  'cmake', 'tf', 'conf', 'ini', 'properties', 'ex', 'exs', 'nim', 'dockerfile', 'makefile',
+];
+// Languages with '--' line comments.
+const DASH_COMMENT_LANGUAGES = ['sql', 'lua', 'hs', 'elm'];
+// Languages with '<!-- -->' comments.
+const MARKUP_LANGUAGES = ['html', 'htm', 'xml', 'xhtml', 'svg', 'vue', 'svelte', 'md', 'markdown'];
+
+const JS_REGEX_PRECEDING_KEYWORDS = [
+  'return', 'typeof', 'instanceof', 'in', 'of', 'new', 'delete', 'void', 'throw', 'case', 'do', 'else', 'yield', 'await',
+];
+
+/**
+ * Determines the language key used to pick comment syntax: the lowercased extension,
+ * or the lowercased file name for extensionless files such as 'Dockerfile' or 'Makefile'.
+ * @param {string} filePath - The file path.
+ * @returns {string} The language key.
+ */
+function getLanguageKey(filePath) {
+  const extension = path.extname(filePath).substring(1).toLowerCase();
+  return extension || path.basename(filePath).toLowerCase();
+}
+
+/**
+ * Finds the end of a quoted string literal.
+ * @param {string} source - The source text.
+ * @param {number} start - Index of the opening quote.
+ * @param {boolean} jsSyntax - In JS an unterminated string ends at the line break; elsewhere it is
+ *                             not treated as a string at all (e.g. Rust lifetimes, apostrophes).
+ * @returns {number} Index just past the closing quote, or -1 if this is not a string.
+ */
+function findStringEnd(source, start, jsSyntax) {
+  const quote = source[start];
+  for (let j = start + 1; j < source.length; j++) {
+    const char = source[j];
+    if (char === '\\') {
+      j++;
+    } else if (char === quote) {
+      return j + 1;
+    } else if (char === '\n') {
+      return jsSyntax ? j : -1;
+    }
+  }
+  return jsSyntax ? source.length : -1;
+}
+
+/**
+ * Reads a chunk of a JS template literal, up to its closing backtick or the next '${'.
+ * @param {string} source - The source text.
+ * @param {number} start - Index of the first character inside the chunk.
+ * @returns {{end: number, opensExpression: boolean}} Index past the chunk and whether it ended with '${'.
+ */
+function readTemplateChunk(source, start) {
+  for (let j = start; j < source.length; j++) {
+    const char = source[j];
+    if (char === '\\') {
+      j++;
+    } else if (char === '`') {
+      return { end: j + 1, opensExpression: false };
+    } else if (char === '$' && source[j + 1] === '{') {
+      return { end: j + 2, opensExpression: true };
+    }
+  }
+  return { end: source.length, opensExpression: false };
+}
+
+/**
+ * Finds the end of a JS regular expression literal (including flags).
+ * @param {string} source - The source text.
+ * @param {number} start - Index of the opening '/'.
+ * @returns {number} Index past the literal, or -1 if it is not terminated on the same line.
+ */
+function findRegexEnd(source, start) {
+  let inCharacterClass = false;
+  for (let j = start + 1; j < source.length; j++) {
+    const char = source[j];
+    if (char === '\\') {
+      j++;
+    } else if (char === '\n') {
+      return -1;
+    } else if (inCharacterClass) {
+      if (char === ']') inCharacterClass = false;
+    } else if (char === '[') {
+      inCharacterClass = true;
+    } else if (char === '/') {
+      let end = j + 1;
+      while (end < source.length && /[a-z]/i.test(source[end])) end++;
+      return end;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Splits C-like source text into code, string, regex and comment segments.
+ * Template literal expressions ('${...}') are lexed as code, with the '${' and '}' delimiters
+ * kept in the surrounding string segments so braces in code segments always balance.
+ *
+ * @param {string} source - The source text.
+ * @param {object} [options]
+ * @param {boolean} [options.jsSyntax=false] - Recognize JS template literals and regex literals.
+ * @param {boolean} [options.lineComments=true] - Recognize '//' line comments.
+ * @returns {Array<{type: 'code'|'string'|'regex'|'comment', text: string, block?: boolean, doc?: boolean}>} The segments.
+ */
+function lexSource(source, options = {}) {
+  const jsSyntax = Boolean(options.jsSyntax);
+  const lineComments = options.lineComments !== false;
+  const segments = [];
+  const templateStack = []; // braceDepth at which each open '${' expression closes
+  let code = '';
+  let braceDepth = 0;
+  let lastSignificant = '';
+  let trailingWord = '';
+
+  const flushCode = () => {
+    if (code) {
+      segments.push({ type: 'code', text: code });
+      code = '';
+    }
+  };
+  const pushTemplateChunk = (start, chunkStart) => {
+    const chunk = readTemplateChunk(source, chunkStart);
+    segments.push({ type: 'string', text: source.substring(start, chunk.end) });
+    if (chunk.opensExpression) {
+      templateStack.push(braceDepth);
+      lastSignificant = '{';
+    } else {
+      lastSignificant = '`';
+    }
+    trailingWord = '';
+    return chunk.end;
+  };
+
+  let i = 0;
+  while (i < source.length) {
+    const char = source[i];
+    const next = source[i + 1];
+
+    if (char === '/' && next === '/' && lineComments) {
+      flushCode();
+      let end = source.indexOf('\n', i);
+      if (end === -1) end = source.length;
+      segments.push({ type: 'comment', text: source.substring(i, end), block: false, doc: false });
+      i = end;
+      continue;
+    }
+    if (char === '/' && next === '*') {
+      flushCode();
+      let end = source.indexOf('*/', i + 2);
+      end = end === -1 ? source.length : end + 2;
+      const doc = source[i + 2] === '*' && source[i + 3] !== '/';
+      segments.push({ type: 'comment', text: source.substring(i, end), block: true, doc });
+      i = end;
+      continue;
+    }
+    if (char === '"' || char === '\'') {
+      const end = findStringEnd(source, i, jsSyntax);
+      if (end !== -1) {
+        flushCode();
+        segments.push({ type: 'string', text: source.substring(i, end) });
+        lastSignificant = char;
+        trailingWord = '';
+        i = end;
+        continue;
+      }
+    }
+    if (char === '`') {
+      flushCode();
+      if (jsSyntax) {
+        i = pushTemplateChunk(i, i + 1);
+      } else {
+        // Raw strings (Go, Kotlin): no interpolation to track.
+        let end = source.indexOf('`', i + 1);
+        end = end === -1 ? source.length : end + 1;
+        segments.push({ type: 'string', text: source.substring(i, end) });
+        lastSignificant = char;
+        i = end;
+      }
+      continue;
+    }
+    if (char === '/' && jsSyntax) {
+      const isRegexPosition = /[A-Za-z0-9_$]/.test(lastSignificant)
+        ? JS_REGEX_PRECEDING_KEYWORDS.includes(trailingWord)
+        : !/[)\]]/.test(lastSignificant);
+      const end = isRegexPosition ? findRegexEnd(source, i) : -1;
+      if (end !== -1) {
+        flushCode();
+        segments.push({ type: 'regex', text: source.substring(i, end) });
+        lastSignificant = '/';
+        trailingWord = '';
+        i = end;
+        continue;
+      }
+    }
+    if (char === '}' && templateStack.length && templateStack[templateStack.length - 1] === braceDepth) {
+      templateStack.pop();
+      flushCode();
+      i = pushTemplateChunk(i, i + 1);
+      continue;
+    }
+
+    if (char === '{') braceDepth++;
+    if (char === '}') braceDepth--;
+    code += char;
+    if (/[A-Za-z0-9_$]/.test(char)) {
+      trailingWord = /[A-Za-z0-9_$]/.test(source[i - 1] || '') ? trailingWord + char : char;
+      lastSignificant = char;
+    } else if (!/\s/.test(char)) {
+      trailingWord = '';
+      lastSignificant = char;
+    }
+    i++;
+  }
+  flushCode();
+  return segments;
+}
+
+/**
+ * Removes trailing whitespace and collapses runs of blank lines.
+ * @param {string} content - The text to tidy.
+ * @param {number} [maxBlankLines=1] - Maximum number of consecutive blank lines to keep.
+ * @returns {string} The tidied text.
+ */
+function tidyLines(content, maxBlankLines = 1) {
+  const lines = content.split(/\r?\n/).map(line => line.replace(/\s+$/, ''));
+  const result = [];
+  let blankRun = 0;
+  for (const line of lines) {
+    if (line === '') {
+      blankRun++;
+      if (blankRun > maxBlankLines) continue;
+    } else {
+      blankRun = 0;
+    }
+    result.push(line);
+  }
+  while (result.length && result[0] === '') result.shift();
+  while (result.length && result[result.length - 1] === '') result.pop();
+  return result.join('\n');
+}
+
+/**
+ * Tells whether a return type annotation is complete, i.e. a '{' after it cannot be part of the type.
+ * @param {string} annotation - The code after the ':' (type literals already read are written '{}').
+ * @returns {boolean} False if the annotation is empty, ends with an operator or leaves a bracket open.
+ */
+function isCompleteAnnotation(annotation) {
+  const text = annotation.trim();
+  if (!text || /(?:[|&,:<([.?=]|=>|\b(?:extends|keyof|typeof|infer|is|asserts|readonly|unique|new))$/.test(text)) {
+    return false;
+  }
+  const brackets = text.replace(/=>/g, '');
+  const count = (pattern) => (brackets.match(pattern) || []).length;
+  return count(/</g) === count(/>/g) && count(/\(/g) === count(/\)/g) && count(/\[/g) === count(/\]/g);
+}
+
+/**
+ * Decides what an opening brace starts, from the code of the statement that precedes it.
+ * @param {string} statement - Code since the last ';', '{' or '}' (strings collapsed, type literals written '{}').
+ * @param {string|undefined} parentKind - Kind of the enclosing brace.
+ * @returns {'class'|'body'|'type'|'block'} 'class' for class bodies, 'body' for function/method bodies
+ *          (which are elided), 'type' for object types in a return type annotation (e.g. `f(): { a: number } {`),
+ *          'block' for everything else (object literals, interfaces, namespaces...).
+ */
+function classifyBrace(statement, parentKind) {
+  const text = statement.trim();
+  if (parentKind === 'type') {
+    return 'type';
+  }
+  if (/(^|[^.\w$])class\b/.test(text)) {
+    return 'class';
+  }
+  if (parentKind === 'class' && text === 'static') {
+    return 'body'; // static initialization block
+  }
+  const annotated = text.match(/\)\s*:((?:[^;{}]|\{\})*)$/);
+  if (annotated) {
+    // '(): void => {' is an arrow function with its return type
+    const annotation = annotated[1].replace(/=>\s*$/, '');
+    return isCompleteAnnotation(annotation) ? 'body' : 'type';
+  }
+  if (/(?:\)|=>)\s*$/.test(text)) {
+    return 'body';
+  }
+  return 'block';
+}
+
+/**
+ * Strategy 'extract_signatures': keeps the API shape of JS/TS source (imports, exports,
+ * top-level declarations, class and function/method signatures and JSDoc blocks) and
+ * replaces every function body with '{ ... }'. Other comments are dropped.
+ * Files in other languages are returned unchanged.
+ *
+ * @param {string} content - The file content.
+ * @param {{language: string}} context - Compression context.
+ * @returns {string} The compressed content.
+ */
+function extractSignatures(content, context) {
+  if (!JS_LIKE_LANGUAGES.includes(context.language)) {
+    return content;
+  }
+  const segments = lexSource(content, { jsSyntax: true });
+  const stack = [];
+  let output = '';
+  let statement = ''; // Current statement's code, used to classify the next '{'
+  let elidedAt = -1; // Stack index of the function body being elided, or -1
+  let typeStatement = ''; // Statement before the outermost type literal of a return type
+
+  for (const segment of segments) {
+    if (segment.type === 'comment') {
+      if (elidedAt === -1 && segment.doc) {
+        output += segment.text;
+      }
+      continue;
+    }
+    if (segment.type !== 'code') {
+      if (elidedAt === -1) {
+        output += segment.text;
+        statement += '""';
+      }
+      continue;
+    }
+    for (const char of segment.text) {
+      if (char === '{') {
+        if (elidedAt !== -1) {
+          stack.push('block');
+          continue;
+        }
+        const kind = classifyBrace(statement, stack[stack.length - 1]);
+        stack.push(kind);
+        if (kind === 'type' && stack[stack.length - 2] !== 'type') {
+          typeStatement = statement; // The annotation goes on after the type literal
+        }
+        statement = '';
+        if (kind === 'body') {
+          elidedAt = stack.length - 1;
+          output += '{ ... }';
+        } else {
+          output += char;
+        }
+        continue;
+      }
+      if (char === '}') {
+        const closingIndex = stack.length - 1;
+        const kind = stack.pop();
+        if (closingIndex === elidedAt) {
+          elidedAt = -1; // The closing brace was already written with '{ ... }'
+        } else if (elidedAt === -1) {
+          output += char;
+        }
+        statement = kind === 'type' && stack[stack.length - 1] !== 'type' ? typeStatement + '{}' : '';
+        continue;
+      }
+      if (elidedAt !== -1) {
+        continue;
+      }
+      output += char;
+      statement = char === ';' ? '' : statement + char;
+    }
+  }
+  return tidyLines(output);
+}
+
+/**
+ * Strategy 'strip_comments': removes comments using the comment syntax of the file's language.
+ * Files in unknown languages are returned unchanged.
+ *
+ * @param {string} content - The file content.
+ * @param {{language: string, options: object}} context - Compression context.
+ *        options.keepDocComments (boolean) keeps '/** ... *\/' blocks in C-like languages.
+ * @returns {string} The content without comments.
+ */
+function stripComments(content, context) {
+  const language = context.language;
+  const options = context.options || {};
+  const isCLike = C_LIKE_LANGUAGES.includes(language);
+
+  if (isCLike || BLOCK_COMMENT_LANGUAGES.includes(language)) {
+    const segments = lexSource(content, {
+      jsSyntax: JS_LIKE_LANGUAGES.includes(language),
+      lineComments: isCLike,
+    });
+    const output = segments
+      .filter(segment => segment.type !== 'comment' || (options.keepDocComments && segment.doc))
+      .map(segment => segment.text)
+      .join('');
+    return tidyLines(output);
+  }
+
+  let lineCommentPrefix = null;
+  if (HASH_COMMENT_LANGUAGES.includes(language)) lineCommentPrefix = '#';
+  if (DASH_COMMENT_LANGUAGES.includes(language)) lineCommentPrefix = '--';
+  if (lineCommentPrefix) {
+    // Only whole-line comments are removed: trailing comments cannot be told apart from
+    // '#' or '--' inside strings without a full parser for each language.
+    const lines = content.split(/\r?\n/).filter((line, index) => {
+      const trimmed = line.trim();
+      if (index === 0 && trimmed.startsWith('#!')) return true; // shebang
+      return !trimmed.startsWith(lineCommentPrefix);
+    });
+    return tidyLines(lines.join('\n'));
+  }
+
+  if (MARKUP_LANGUAGES.includes(language)) {
+    return tidyLines(content.replace(/<!--[\s\S]*?-->/g, ''));
+  }
+
+  return content;
+}
+
+/**
+ * Strategy 'collapse_whitespace': removes trailing whitespace and collapses runs of blank lines.
+ * Indentation is preserved, as it is significant in several languages.
+ *
+ * @param {string} content - The file content.
+ * @param {{options: object}} context - Compression context.
+ *        options.maxBlankLines (number, default 0) is the number of consecutive blank lines to keep.
+ * @returns {string} The collapsed content.
+ */
+function collapseWhitespace(content, context) {
+  const options = context.options || {};
+  const maxBlankLines = typeof options.maxBlankLines === 'number' ? options.maxBlankLines : 0;
+  return tidyLines(content, maxBlankLines);
+}
+
+const COMPRESSION_STRATEGIES = {
+  extract_signatures: extractSignatures,
+  strip_comments: stripComments,
+  collapse_whitespace: collapseWhitespace,
+};
+
+/**
+ * Finds the first compression rule whose pathPattern selects the file.
+ * @param {string} filePath - Forward-slash path relative to the scan root.
+ * @param {Array<{pathPattern: string, strategy: string|string[], options?: object}>} compressionRules - The rules from config.
+ * @returns {object|null} The applicable rule, or null.
+ */
+function findApplicableCompressionRule(filePath, compressionRules) {
+  if (!Array.isArray(compressionRules)) {
+    return null;
+  }
+  for (const rule of compressionRules) {
+    if (rule && typeof rule.pathPattern === 'string' && matchesPathPattern(filePath, rule.pathPattern)) {
+      return rule;
+    }
+  }
+  return null;
+}
+
+/**
+ * Applies a compression rule to file content. A rule's `strategy` may be a single strategy name
+ * or a list of names applied in order (e.g. ["strip_comments", "collapse_whitespace"]).
+ *
+ * @param {string} content - The file content.
+ * @param {string} filePath - Forward-slash path of the file (used to determine its language).
+ * @param {{strategy: string|string[], options?: object}} rule - The compression rule.
+ * @param {Object<string, function>} [strategies=COMPRESSION_STRATEGIES] - The available strategies (with the ones
+ *        registered by plugins).
+ * @returns {{content: string, strategies: string[]}} The compressed content and the strategies that were applied.
+ */
+function applyCompression(content, filePath, rule, strategies = COMPRESSION_STRATEGIES) {
+  const strategyNames = Array.isArray(rule.strategy) ? rule.strategy : [rule.strategy];
+  const context = { language: getLanguageKey(filePath), path: filePath, options: rule.options || {} };
+  const applied = [];
+  let result = content;
+  for (const strategyName of strategyNames) {
+    const strategy = strategies[strategyName];
+    if (!strategy) {
+      logger.warn(`Warning: Unknown compression strategy '${strategyName}' for ${filePath}. Skipping it.`);
+      continue;
+    }
+    result = strategy(result, context);
+    applied.push(strategyName);
+  }
+  return { content: result, strategies: applied };
+}
+
+module.exports = {
+  COMPRESSION_STRATEGIES,
+  findApplicableCompressionRule,
+  applyCompression,
+  getLanguageKey,
+  lexSource, // Exporting for potential direct use or testing
+};
@@ -0,0 +1,44 @@
+// src/concurrency.js
+
+/**
+ * Maps the items of an iterable or async iterable (such as the file scanner) with an async function,
+ * running at most `limit` calls at a time. An item is only taken from the source when a call can
+ * start, so a lazy source is never read far ahead. Results keep the order of the items, whatever
+ * order the calls finish in.
+ * @param {Iterable<*>|AsyncIterable<*>} items - The items.
+ * @param {number} limit - The maximum number of calls running at once (at least 1).
+ * @param {function(*, number): Promise<*>} mapper - Called with each item and its index.
+ * @returns {Promise<Array<*>>} The results, in the order of the items.
+ * @throws The first error of a call. No calls start after it; calls already running are not waited for.
+ */
+async function mapConcurrent(items, limit, mapper) {
+  const iterator = items[Symbol.asyncIterator] ? items[Symbol.asyncIterator]() : items[Symbol.iterator]();
+  const results = [];
+  let nextIndex = 0;
+  let failed = false;
+
+  const work = async () => {
+    while (!failed) {
+      // Taking the index before the item keeps indexes in item order: pending next() calls settle in order.
+      const index = nextIndex++;
+      const { value, done } = await iterator.next();
+      if (done || failed) {
+        return;
+      }
+      try {
+        results[index] = await mapper(value, index);
+      } catch (error) {
+        failed = true;
+        throw error;
+      }
+    }
+  };
+
+  const workerCount = Math.max(1, Math.floor(limit) || 1);
+  await Promise.all(Array.from({ length: workerCount }, work));
+  return results;
+}
+
+module.exports = {
+  mapConcurrent, // Exporting for potential direct use or testing
+};
@@ -1,10 +1,19 @@
 // src/config_manager.js
 const path = require('path');
+const os = require('os');
 const { readFile, writeFile, existsSync } = require('./fs_utils'); // Using our promisified utils
+const { validateConfig } = require('./config_schema');
+const { findClosestMatch } = require('./string_utils');
+const { ConfigError } = require('./errors');
+const { logger } = require('./logger');
+
+// Name of the project config file, looked up in the working directory.
+const DEFAULT_CONFIG_FILENAME = 'collect-files.config.json';
 
 // Default configuration (used if no config file is found and --init is not used)
 const DEFAULT_CONFIG = {
   output: 'output.md',
+  format: 'markdown', // Output renderer: 'markdown', 'json', 'xml' or 'text'
   ignore: [ // Simple list of directory/file names or full relative paths
     'node_modules',
     '.git',
@@ -13,18 +22,57 @@ const DEFAULT_CONFIG = {
   ignoreExtensions: [], // List of extensions to ignore
   includeExtensions: [], // If non-empty, only these extensions are included (after ignores)
   metadataSuffix: '.meta.txt', // New: Suffix for metadata files
-  compressionRules: [] // New: Rules for content compression
+  maxFileSize: 0, // Leave out the content of larger files: bytes (500000, '500kb', '1mb'); 0 = no limit
+  truncation: { strategy: 'head', maxBytes: 200000 }, // Content limits: maxLines, maxBytes and/or maxTokens;
+                                                      // strategy 'head', 'tail', 'head_tail' or 'skip'
+  truncationRules: [], // [{ pathPattern, strategy, maxLines, maxBytes, maxTokens }]: first match replaces "truncation"
+  lineNumbers: false, // Prefix each line with its line number (not in compressed files)
+  includeSystem: true, // Use the SYSTEM.txt files and POSTAMBLE.txt (the files themselves are never collected)
+  entry: [], // Only collect these files (relative to the working directory) and what they import, transitively
+  entryDepth: 0, // Import levels followed from the entry points (0 = all)
+  tree: false, // Add a directory tree with line counts and sizes to the output header
+  treeDepth: 0, // Directory levels shown in the tree; deeper directories are collapsed (0 = all)
+  treeCollapseAbove: 0, // Collapse directories with more entries than this into a summary line (0 = never)
+  treeShowIgnored: false, // Also show the entries left out by the ignore rules, marked [ignored]
+  useGitignore: true, // Apply .gitignore files found in the scanned tree (and above it, up to the repository root)
+  useGitInfoExclude: true, // Apply .git/info/exclude of the enclosing repository
+  useCollectignore: true, // Apply .collectignore files (same syntax as .gitignore, only read by this tool)
+  compressionRules: [], // New: Rules for content compression (first matching rule wins)
   // Example compression rule:
   // {
   //   pathPattern: "src/services/**/*.js", // Glob pattern for files/directories
-  //   strategy: "summarize_js_class", // "extract_signatures", "custom_script"
+  //   strategy: "extract_signatures", // "strip_comments", "collapse_whitespace", or a list applied in order
   //   options: {} // Options specific to the strategy
   // }
+  transformRules: [], // [{ pathPattern, transformer, options }]: rewrite structured files before redaction and compression;
+                      // transformer 'notebook', 'lockfile', 'minify' or 'outline' (first matching rule wins)
+  redactSecrets: true, // Replace detected credentials (AWS keys, private keys, JWTs, passwords...) with placeholders
+  secretRules: [], // Custom detectors: { name, pattern, flags } with a JavaScript regular expression
+  secretAllowlist: [], // Exact values, or { pattern, pathPattern, rule } objects, that are not redacted
+  failOnSecrets: false, // Exit with an error listing the findings instead of writing the output
+  plugins: [], // Local plugin modules (relative to the working directory) or packages, applied in order (see plugin_manager.js)
+  concurrency: 16, // Files read and processed at the same time (keeps open files and memory bounded)
+  cache: true, // Reuse processed files from earlier runs when neither they nor the relevant config changed
+  cacheDir: null, // Cache location, relative to the scan root; null: a directory per scan root in the user's cache directory
+  watchDebounceMs: 200, // --watch: quiet time (ms) after the last change before rebuilding
+  gitSince: null, // Only collect files changed since this git ref (working tree compared with the ref)
+  gitStaged: false, // Only collect staged changes (compared with gitSince, or HEAD)
+  gitDiff: 'none', // Unified diffs of changed files: 'none', 'alongside' the content, or 'only' (instead of the content)
+  maxPartSize: 0, // Split the output into parts: bytes (2000000, '2mb') or estimated tokens ('50000tokens'); 0 = no split
+  partPreamble: 'all', // SYSTEM.txt preamble and POSTAMBLE.txt on 'all' parts or only the 'first' (and last)
+  tokenBudget: 0, // Max estimated tokens for the whole output; 0 disables budgeting
+  priorities: [], // [{ pathPattern, priority }]: first match wins, default 0, higher is demoted later
+  budgetCompression: { // Compression rule used when the budget demotes a file to "compressed"
+    strategy: ['extract_signatures', 'strip_comments', 'collapse_whitespace'],
+    options: { keepDocComments: true }
+  },
+  profiles: {}, // Named bundles: { "backend": { "paths": ["src/server"], "output": "backend.md", ... } } (see --profile)
 };
 
 // Universal config template for --init (will use simple ignores)
 const UNIVERSAL_INIT_CONFIG = {
   output: 'output.md',
+  format: 'markdown',
   ignore: [
     // Common directory/file names to ignore
     '.git', '.svn', '.hg',
@@ -96,42 +144,255 @@ const UNIVERSAL_INIT_CONFIG = {
   ],
   includeExtensions: [], // Empty by default: include all not ignored files
   metadataSuffix: '.meta.txt',
-  compressionRules: []
+  useGitignore: true,
+  useGitInfoExclude: true,
+  useCollectignore: true,
+  compressionRules: [],
+  transformRules: [],
+  truncationRules: [],
+  maxPartSize: 0,
+  partPreamble: 'all',
+  tokenBudget: 0,
+  priorities: [],
+  redactSecrets: true,
+  secretAllowlist: []
+};
+
+// Built-in configurations that config files can extend, as "extends": "collect-files:<name>".
+const PRESET_PREFIX = 'collect-files:';
+const CONFIG_PRESETS = {
+  universal: { // The ignore lists of --init
+    ignore: UNIVERSAL_INIT_CONFIG.ignore,
+    ignoreExtensions: UNIVERSAL_INIT_CONFIG.ignoreExtensions,
+  },
+  compact: { // Smaller output: no comments, no blank lines
+    compressionRules: [{ pathPattern: '**', strategy: ['strip_comments', 'collapse_whitespace'] }],
+  },
 };
 
+const COMMAND_LINE_SOURCE = 'command line';
+
+/**
+ * Returns the path of the user-global config file: $XDG_CONFIG_HOME/collect-files/config.json,
+ * %APPDATA%\collect-files\config.json on Windows, or ~/.config/collect-files/config.json.
+ * @returns {string} The absolute path (the file may not exist).
+ */
+function getUserConfigPath() {
+  const configHome = process.env.XDG_CONFIG_HOME
+    || (process.platform === 'win32' && process.env.APPDATA)
+    || path.join(os.homedir(), '.config');
+  return path.join(configHome, 'collect-files', 'config.json');
+}
+
+/**
+ * Names a config file for messages: relative to the working directory when inside it.
+ * @param {string} filePath - Absolute path of the file.
+ * @returns {string} The name.
+ */
+function describeConfigFile(filePath) {
+  const relativePath = path.relative(process.cwd(), filePath);
+  return relativePath && !relativePath.startsWith('..') && !path.isAbsolute(relativePath) ? relativePath.replace(/\\/g, '/') : filePath;
+}
+
+/**
+ * Checks whether a value is a plain object (not an array or null).
+ * @param {*} value - The value.
+ * @returns {boolean} True for plain objects.
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
 /**
- * Loads configuration from a JSON file.
- * @param {string} configFilePath - Path to the configuration file.
- * @returns {Promise<object>} The loaded and merged configuration.
+ * Reads and parses a config file.
+ * @param {string} filePath - Absolute path of the file.
+ * @returns {Promise<object>} The parsed configuration.
+ * @throws {ConfigError} If the file cannot be read, is not valid JSON or is not a JSON object.
  */
-async function loadConfig(configFilePath) {
+async function readConfigFile(filePath) {
+  const source = describeConfigFile(filePath);
+  let text;
   try {
-    const resolvedPath = path.resolve(process.cwd(), configFilePath);
-    if (existsSync(resolvedPath)) { // Use sync version as it's a one-time setup check
-      console.log(`Using config file: ${resolvedPath}`);
-      const userConfigStr = await readFile(resolvedPath, 'utf8');
-      const userConfig = JSON.parse(userConfigStr);
-      
-      // Deep merge with default config, ensuring arrays are handled correctly
-      // For simplicity, we'll just overwrite arrays if present in userConfig.
-      // A more sophisticated merge might concatenate or uniquely merge array items.
-      const mergedConfig = {
-        ...DEFAULT_CONFIG,
-        ...userConfig,
-        ignore: userConfig.ignore !== undefined ? userConfig.ignore : DEFAULT_CONFIG.ignore,
-        ignoreExtensions: userConfig.ignoreExtensions !== undefined ? userConfig.ignoreExtensions : DEFAULT_CONFIG.ignoreExtensions,
-        includeExtensions: userConfig.includeExtensions !== undefined ? userConfig.includeExtensions : DEFAULT_CONFIG.includeExtensions,
-        compressionRules: userConfig.compressionRules !== undefined ? userConfig.compressionRules : DEFAULT_CONFIG.compressionRules,
-        metadataSuffix: userConfig.metadataSuffix !== undefined ? userConfig.metadataSuffix : DEFAULT_CONFIG.metadataSuffix,
-      };
-      return mergedConfig;
+    text = await readFile(filePath, 'utf8');
+  } catch (error) {
+    throw new ConfigError(`Cannot read config file ${source}: ${error.message}`, { source });
+  }
+  let config;
+  try {
+    config = JSON.parse(text);
+  } catch (error) {
+    throw new ConfigError(`Invalid JSON in config file ${source}: ${error.message}`, { source });
+  }
+  if (!isPlainObject(config)) {
+    throw new ConfigError(`Config file ${source} must contain a JSON object.`, { source });
+  }
+  return config;
+}
+
+/**
+ * Validates a configuration against the schema (see config_schema.js). Values that plugins can add
+ * (such as a format) only fail alongside other problems, unless `strict`: whether a plugin adds them
+ * is only known once the layers are merged (see resolveConfig).
+ * @param {object} config - The configuration.
+ * @param {string} source - Where it came from, for the error message.
+ * @param {boolean} [strict=false] - Also fail on values that are not built in but could be added by a plugin.
+ * @throws {ConfigError} Listing the key path of every problem.
+ */
+function assertValidConfig(config, source, strict = false) {
+  const issues = validateConfig(config);
+  if (issues.some(issue => strict || !issue.extensible)) {
+    const details = issues.map(issue => `  ${issue.keyPath}: ${issue.message}`).join('\n');
+    throw new ConfigError(`Invalid configuration in ${source}:\n${details}`, { source, issues });
+  }
+}
+
+/**
+ * Expands a configuration into layers to merge in order: what it extends (recursively), then itself.
+ * @param {object} config - The configuration.
+ * @param {string} source - Where it came from.
+ * @param {string} baseDir - Directory that relative 'extends' paths are resolved against.
+ * @param {string[]} chain - Absolute paths of the files being expanded, to detect cycles.
+ * @param {string[]} files - Absolute paths of the files read are appended here.
+ * @returns {Promise<Array<{config: object, source: string}>>} The layers.
+ */
+async function expandConfigLayers(config, source, baseDir, chain, files) {
+  assertValidConfig(config, source);
+  const layers = [];
+  for (const reference of [].concat(config.extends || [])) {
+    if (reference.startsWith(PRESET_PREFIX)) {
+      const presetName = reference.slice(PRESET_PREFIX.length);
+      if (!CONFIG_PRESETS[presetName]) {
+        const suggestion = findClosestMatch(presetName, Object.keys(CONFIG_PRESETS));
+        const available = Object.keys(CONFIG_PRESETS).map(name => PRESET_PREFIX + name).join(', ');
+        throw new ConfigError(`Unknown preset '${reference}' in ${source}.${suggestion ? ` Did you mean '${PRESET_PREFIX}${suggestion}'?` : ''} Available presets: ${available}.`, { source });
+      }
+      layers.push({ config: CONFIG_PRESETS[presetName], source: reference });
+      continue;
+    }
+    const filePath = path.resolve(baseDir, reference.replace(/^~(?=$|[\\/])/, os.homedir()));
+    if (chain.includes(filePath)) {
+      throw new ConfigError(`Circular 'extends' in ${source}: ${[...chain, filePath].map(describeConfigFile).join(' -> ')}`, { source });
+    }
+    if (!existsSync(filePath)) {
+      throw new ConfigError(`Config file '${reference}' extended by ${source} does not exist (${filePath}).`, { source });
+    }
+    files.push(filePath);
+    const extended = await readConfigFile(filePath);
+    layers.push(...await expandConfigLayers(extended, describeConfigFile(filePath), path.dirname(filePath), [...chain, filePath], files));
+  }
+  layers.push({ config, source });
+  return layers;
+}
+
+/**
+ * Merges a layer into the configuration. Objects are merged key by key; arrays replace the
+ * previous value, or are appended to it when the layer's "arrayMerge" says so (for all arrays,
+ * or per key: { "ignore": "append" }). Records the source of every key it sets.
+ * @param {object} config - The configuration being built (modified).
+ * @param {Object<string, string>} sources - Source of each key (modified).
+ * @param {{config: object, source: string}} layer - The layer.
+ */
+function mergeConfigLayer(config, sources, layer) {
+  const { extends: extendsValue, arrayMerge = 'replace', ...values } = layer.config;
+  for (const [key, value] of Object.entries(values)) {
+    const mode = typeof arrayMerge === 'string' ? arrayMerge : arrayMerge[key] || 'replace';
+    const copy = JSON.parse(JSON.stringify(value)); // Callers modify the result (e.g. push to ignore)
+    if (Array.isArray(copy) && Array.isArray(config[key]) && mode === 'append') {
+      config[key] = [...config[key], ...copy];
+      sources[key] = `${sources[key]} + ${layer.source}`;
+    } else if (isPlainObject(copy) && isPlainObject(config[key])) {
+      config[key] = { ...config[key], ...copy };
+      sources[key] = `${sources[key]} + ${layer.source}`;
     } else {
-      console.log(`No config file at '${resolvedPath}'. Using default configuration.`);
+      config[key] = copy;
+      sources[key] = layer.source;
     }
-  } catch (error) {
-    console.warn(`Failed to load or parse config '${configFilePath}': ${error.message}. Using default configuration.`);
   }
-  return { ...DEFAULT_CONFIG }; // Return a copy of default config
+}
+
+/**
+ * Resolves the effective configuration from its layers, each overriding the previous ones:
+ * the built-in defaults, the user-global config file (see getUserConfigPath), the project
+ * config file, the selected profiles (in order) and the command line (whose arrays are appended).
+ * Config files may "extends" other files or built-in presets.
+ * @param {object} [options]
+ * @param {string|null} [options.configFile=null] - Path of the project config file; skipped if it does not exist.
+ * @param {string} [options.cwd=process.cwd()] - Directory a relative configFile is resolved against.
+ * @param {object} [options.overrides={}] - Values from the command line (undefined values are skipped).
+ * @param {string|null} [options.userConfigFile] - Path of the user-global config file; null to skip it.
+ * @param {string[]} [options.profiles=[]] - Names of the profiles (keys of config.profiles) to apply.
+ * @returns {Promise<{config: object, sources: Object<string, string>, files: string[], paths: string[]|null}>} The
+ *          configuration, where each key's value came from ('default', a file, a preset, a profile or 'command line',
+ *          joined with ' + ' when merged), the absolute paths of the config files that were read, and the
+ *          directories and files to collect set by the profiles (null if none does).
+ * @throws {ConfigError} If a config file is invalid or a profile does not exist.
+ */
+async function resolveConfig({ configFile = null, cwd = process.cwd(), overrides = {}, userConfigFile = getUserConfigPath(), profiles = [] } = {}) {
+  const config = JSON.parse(JSON.stringify(DEFAULT_CONFIG));
+  const sources = {};
+  for (const key of Object.keys(config)) {
+    sources[key] = 'default';
+  }
+  const files = [];
+  const layers = [];
+
+  const projectConfigFile = configFile ? path.resolve(cwd, configFile) : null;
+  for (const filePath of [userConfigFile, projectConfigFile]) {
+    if (filePath && existsSync(filePath) && !files.includes(filePath)) {
+      files.push(filePath);
+      const fileConfig = await readConfigFile(filePath);
+      layers.push(...await expandConfigLayers(fileConfig, describeConfigFile(filePath), path.dirname(filePath), [filePath], files));
+    }
+  }
+
+  const commandLine = {};
+  for (const [key, value] of Object.entries(overrides)) {
+    if (value !== undefined) commandLine[key] = value;
+  }
+  assertValidConfig(commandLine, COMMAND_LINE_SOURCE);
+
+  for (const layer of layers) {
+    mergeConfigLayer(config, sources, layer);
+  }
+
+  // Profiles are looked up in the merged files, so every file can define or extend them.
+  const profilePaths = [];
+  for (const name of profiles) {
+    const profile = config.profiles[name];
+    if (!profile) {
+      const names = Object.keys(config.profiles);
+      const suggestion = findClosestMatch(name, names);
+      const available = names.length ? ` Available profiles: ${names.join(', ')}.` : ' The configuration defines no profiles.';
+      throw new ConfigError(`Unknown profile '${name}'.${suggestion ? ` Did you mean '${suggestion}'?` : ''}${available}`, { source: COMMAND_LINE_SOURCE });
+    }
+    const { paths, ...values } = profile;
+    profilePaths.push(...(paths || []));
+    mergeConfigLayer(config, sources, { config: values, source: `profile '${name}'` });
+  }
+
+  // Lists from the command line (--ignore, --ignore-ext...) add to the configured ones.
+  mergeConfigLayer(config, sources, { config: { ...commandLine, arrayMerge: 'append' }, source: COMMAND_LINE_SOURCE });
+
+  // Without plugins, the format must be a built-in one; plugin formats are checked once the plugins are loaded.
+  if (!config.plugins.length) {
+    assertValidConfig({ format: config.format }, sources.format, true);
+  }
+  return { config, sources, files, paths: profilePaths.length ? profilePaths : null };
+}
+
+/**
+ * Formats a configuration as JSON with a comment after every key saying where its value came from.
+ * @param {object} config - The configuration.
+ * @param {Object<string, string>} sources - Source of each key (see resolveConfig).
+ * @returns {string} The formatted configuration.
+ */
+function formatConfigWithSources(config, sources) {
+  const keys = Object.keys(config);
+  const lines = keys.map((key, index) => {
+    const value = JSON.stringify(config[key], null, 2).replace(/\n/g, '\n  ');
+    return `  ${JSON.stringify(key)}: ${value}${index < keys.length - 1 ? ',' : ''} // ${sources[key] || 'default'}`;
+  });
+  return ['{', ...lines, '}'].join('\n');
 }
 
 /**
@@ -142,22 +403,27 @@ async function loadConfig(configFilePath) {
 async function createConfigFile(desiredConfigFilePath, configTemplate) {
   const targetPath = path.resolve(process.cwd(), desiredConfigFilePath);
   if (existsSync(targetPath)) {
-    console.warn(`Warning: Config file '${targetPath}' already exists. No changes made.`);
+    logger.warn(`Warning: Config file '${targetPath}' already exists. No changes made.`);
     return;
   }
   try {
     await writeFile(targetPath, JSON.stringify(configTemplate, null, 2), 'utf8');
-    console.log(`Successfully created config file: ${targetPath}`);
+    logger.info(`Successfully created config file: ${targetPath}`);
   } catch (error) {
-    console.error(`Error creating config file '${targetPath}': ${error.message}`);
+    logger.error(`Error creating config file '${targetPath}': ${error.message}`);
     // Re-throw or handle as per application's error handling strategy
     throw error; 
   }
 }
 
 module.exports = {
+  DEFAULT_CONFIG_FILENAME,
   DEFAULT_CONFIG,
   UNIVERSAL_INIT_CONFIG,
-  loadConfig,
+  CONFIG_PRESETS,
+  COMMAND_LINE_SOURCE,
+  resolveConfig,
+  formatConfigWithSources,
+  getUserConfigPath,
   createConfigFile,
 };
\ No newline at end of file
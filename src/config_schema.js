@@ -0,0 +1,254 @@
+// src/config_schema.js
+const { findClosestMatch } = require('./string_utils');
+const { RENDERERS, FORMAT_ALIASES } = require('./renderers');
+
+// Schemas are plain objects:
+//   { type: 'string'|'number'|'boolean'|'null'|'array'|'object', or a list of these }
+//   enum: allowed values (ignoreCase: compare strings case-insensitively; extensible: plugins can add values, so
+//         other values are reported as `extensible` issues); integer / minimum: for numbers
+//   regex / regexFlags: a string that must compile as a regular expression / as regular expression flags
+//   items: schema of array items
+//   properties / required: known keys of an object (other keys are errors); without `properties`, any keys are allowed
+//   values: schema of every value of an object with arbitrary keys
+//   oneOf: a list of schemas, the value must match one of them
+const STRING_LIST = { type: 'array', items: { type: 'string' } };
+const STRATEGY = { oneOf: [{ type: 'string' }, STRING_LIST] };
+const TRUNCATION_PROPERTIES = {
+  strategy: { type: 'string', enum: ['head', 'tail', 'head_tail', 'skip'] },
+  maxLines: { type: 'number', integer: true, minimum: 0 },
+  maxBytes: { type: ['number', 'string'] },
+  maxTokens: { type: 'number', integer: true, minimum: 0 },
+};
+
+const CONFIG_SCHEMA = {
+  type: 'object',
+  properties: {
+    extends: { oneOf: [{ type: 'string' }, STRING_LIST] },
+    arrayMerge: {
+      oneOf: [
+        { type: 'string', enum: ['replace', 'append'] },
+        { type: 'object', values: { type: 'string', enum: ['replace', 'append'] } },
+      ],
+    },
+    output: { type: 'string' },
+    format: { type: 'string', enum: [...Object.keys(RENDERERS), ...Object.keys(FORMAT_ALIASES)], ignoreCase: true, extensible: true },
+    ignore: STRING_LIST,
+    ignoreExtensions: STRING_LIST,
+    includeExtensions: STRING_LIST,
+    metadataSuffix: { type: 'string' },
+    maxFileSize: { type: ['number', 'string'] },
+    truncation: { type: 'object', properties: TRUNCATION_PROPERTIES },
+    truncationRules: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: { pathPattern: { type: 'string' }, ...TRUNCATION_PROPERTIES },
+        required: ['pathPattern'],
+      },
+    },
+    lineNumbers: { type: 'boolean' },
+    includeSystem: { type: 'boolean' },
+    entry: STRING_LIST,
+    entryDepth: { type: 'number', integer: true, minimum: 0 },
+    tree: { type: 'boolean' },
+    treeDepth: { type: 'number', integer: true, minimum: 0 },
+    treeCollapseAbove: { type: 'number', integer: true, minimum: 0 },
+    treeShowIgnored: { type: 'boolean' },
+    useGitignore: { type: 'boolean' },
+    useGitInfoExclude: { type: 'boolean' },
+    useCollectignore: { type: 'boolean' },
+    compressionRules: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: { pathPattern: { type: 'string' }, strategy: STRATEGY, options: { type: 'object' } },
+        required: ['pathPattern', 'strategy'],
+      },
+    },
+    transformRules: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          pathPattern: { type: 'string' },
+          transformer: { type: 'string', enum: ['notebook', 'lockfile', 'minify', 'outline'] },
+          options: { type: 'object' },
+        },
+        required: ['pathPattern', 'transformer'],
+      },
+    },
+    redactSecrets: { type: 'boolean' },
+    secretRules: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: { name: { type: 'string' }, pattern: { type: 'string', regex: true }, flags: { type: 'string', regexFlags: true } },
+        required: ['pattern'],
+      },
+    },
+    secretAllowlist: {
+      type: 'array',
+      items: {
+        oneOf: [
+          { type: 'string' },
+          { type: 'object', properties: { pattern: { type: 'string', regex: true }, pathPattern: { type: 'string' }, rule: { type: 'string' } } },
+        ],
+      },
+    },
+    failOnSecrets: { type: 'boolean' },
+    plugins: STRING_LIST,
+    concurrency: { type: 'number', integer: true, minimum: 1 },
+    cache: { type: 'boolean' },
+    cacheDir: { type: ['string', 'null'] },
+    watchDebounceMs: { type: 'number', integer: true, minimum: 0 },
+    gitSince: { type: ['string', 'null'] },
+    gitStaged: { type: 'boolean' },
+    gitDiff: { type: 'string', enum: ['none', 'alongside', 'only'] },
+    maxPartSize: { type: ['number', 'string'] },
+    partPreamble: { type: 'string', enum: ['all', 'first'] },
+    tokenBudget: { type: 'number', integer: true, minimum: 0 },
+    priorities: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: { pathPattern: { type: 'string' }, priority: { type: 'number' } },
+        required: ['pathPattern', 'priority'],
+      },
+    },
+    budgetCompression: {
+      type: 'object',
+      properties: { pathPattern: { type: 'string' }, strategy: STRATEGY, options: { type: 'object' } },
+    },
+  },
+};
+
+// A profile overrides configuration keys for one bundle (selected with --profile); `paths` are the
+// directories and files it collects.
+CONFIG_SCHEMA.properties.profiles = {
+  type: 'object',
+  values: {
+    type: 'object',
+    properties: {
+      ...Object.fromEntries(Object.entries(CONFIG_SCHEMA.properties).filter(([key]) => key !== 'extends')),
+      paths: STRING_LIST,
+    },
+  },
+};
+
+/**
+ * Names the JSON type of a value, distinguishing arrays and null.
+ * @param {*} value - The value.
+ * @returns {string} 'array', 'null', 'object', 'string', 'number' or 'boolean'.
+ */
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  return typeof value;
+}
+
+/**
+ * Describes what a schema accepts, for error messages.
+ * @param {object} schema - The schema.
+ * @returns {string} E.g. "one of 'all', 'first'" or 'string or null'.
+ */
+function describeSchema(schema) {
+  if (schema.oneOf) return schema.oneOf.map(describeSchema).join(' or ');
+  if (schema.enum) return `one of ${schema.enum.map(value => `'${value}'`).join(', ')}`;
+  if (schema.type === 'array' && schema.items && schema.items.type) return `array of ${describeSchema(schema.items)}s`;
+  if (schema.integer) return schema.minimum === 0 ? 'non-negative integer' : (schema.minimum === 1 ? 'positive integer' : 'integer');
+  return [].concat(schema.type).join(' or ');
+}
+
+/**
+ * Validates a value against a schema, collecting every problem.
+ * @param {*} value - The value.
+ * @param {object} schema - The schema.
+ * @param {string} keyPath - The key path of the value, e.g. 'compressionRules[0].strategy'.
+ * @param {Array<{keyPath: string, message: string}>} issues - Problems are appended here.
+ */
+function validateValue(value, schema, keyPath, issues) {
+  if (schema.oneOf) {
+    const matching = schema.oneOf.find(option => [].concat(option.type).includes(typeOf(value)));
+    if (!matching) {
+      issues.push({ keyPath, message: `expected ${describeSchema(schema)}, got ${typeOf(value)}` });
+    } else {
+      validateValue(value, matching, keyPath, issues);
+    }
+    return;
+  }
+
+  const actualType = typeOf(value);
+  if (!schema.type || ![].concat(schema.type).includes(actualType)) {
+    issues.push({ keyPath, message: `expected ${describeSchema(schema)}, got ${actualType}` });
+    return;
+  }
+  const inEnum = schema.ignoreCase && actualType === 'string'
+    ? schema.enum.some(option => option.toLowerCase() === value.toLowerCase())
+    : schema.enum && schema.enum.includes(value);
+  if (schema.enum && !inEnum) {
+    const suggestion = typeof value === 'string' ? findClosestMatch(value, schema.enum) : null;
+    const issue = {
+      keyPath,
+      message: `expected ${describeSchema(schema)}, got ${JSON.stringify(value)}${suggestion ? `. Did you mean '${suggestion}'?` : ''}`,
+    };
+    if (schema.extensible) issue.extensible = true;
+    issues.push(issue);
+    return;
+  }
+  if (actualType === 'string' && (schema.regex || schema.regexFlags)) {
+    try {
+      new RegExp(schema.regex ? value : '', schema.regexFlags ? value : undefined);
+    } catch (error) {
+      issues.push({ keyPath, message: error.message });
+      return;
+    }
+  }
+  if (actualType === 'number' && ((schema.integer && !Number.isInteger(value)) || (schema.minimum !== undefined && value < schema.minimum))) {
+    issues.push({ keyPath, message: `expected ${describeSchema(schema)}, got ${value}` });
+    return;
+  }
+  if (actualType === 'array' && schema.items) {
+    value.forEach((item, index) => validateValue(item, schema.items, `${keyPath}[${index}]`, issues));
+  }
+  if (actualType === 'object') {
+    const prefix = keyPath ? `${keyPath}.` : '';
+    if (schema.values) {
+      for (const key of Object.keys(value)) {
+        validateValue(value[key], schema.values, `${prefix}${key}`, issues);
+      }
+    }
+    if (schema.properties) {
+      const knownKeys = Object.keys(schema.properties);
+      for (const key of Object.keys(value)) {
+        if (!schema.properties[key]) {
+          const suggestion = findClosestMatch(key, knownKeys);
+          issues.push({ keyPath: `${prefix}${key}`, message: `unknown key${suggestion ? `. Did you mean '${suggestion}'?` : ''}` });
+        } else {
+          validateValue(value[key], schema.properties[key], `${prefix}${key}`, issues);
+        }
+      }
+      for (const key of schema.required || []) {
+        if (value[key] === undefined) {
+          issues.push({ keyPath: `${prefix}${key}`, message: 'is required' });
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Validates a configuration object (one config file, a preset or the command line overrides).
+ * @param {object} config - The configuration.
+ * @returns {Array<{keyPath: string, message: string, extensible?: boolean}>} The problems; empty if the configuration
+ *          is valid. `extensible` marks a value that is not built in but could be added by a plugin (such as a format).
+ */
+function validateConfig(config) {
+  const issues = [];
+  validateValue(config, CONFIG_SCHEMA, '', issues);
+  return issues;
+}
+
+module.exports = {
+  CONFIG_SCHEMA,
+  validateConfig,
+};
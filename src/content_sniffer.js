@@ -0,0 +1,210 @@
+// src/content_sniffer.js
+const fs = require('fs');
+const { promisify } = require('util');
+
+const open = promisify(fs.open);
+const read = promisify(fs.read);
+const close = promisify(fs.close);
+const fstat = promisify(fs.fstat);
+
+const SNIFF_BYTES = 8192; // How much of a file is inspected
+const MAX_NON_PRINTABLE_RATIO = 0.1; // More control characters than this means binary
+
+// Signatures of common binary formats: bytes expected at `offset`.
+const MAGIC_NUMBERS = [
+  { type: 'PNG image', bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+  { type: 'JPEG image', bytes: [0xff, 0xd8, 0xff] },
+  { type: 'GIF image', bytes: [0x47, 0x49, 0x46, 0x38] },
+  { type: 'BMP image', bytes: [0x42, 0x4d], requiresBinaryContent: true }, // 'BM' also starts text files
+  { type: 'TIFF image', bytes: [0x49, 0x49, 0x2a, 0x00] },
+  { type: 'TIFF image', bytes: [0x4d, 0x4d, 0x00, 0x2a] },
+  { type: 'ICO image', bytes: [0x00, 0x00, 0x01, 0x00] },
+  { type: 'WebP image', bytes: [0x57, 0x45, 0x42, 0x50], offset: 8 },
+  { type: 'WAV audio', bytes: [0x57, 0x41, 0x56, 0x45], offset: 8 },
+  { type: 'PDF document', bytes: [0x25, 0x50, 0x44, 0x46, 0x2d] },
+  { type: 'ZIP archive', bytes: [0x50, 0x4b, 0x03, 0x04] },
+  { type: 'ZIP archive', bytes: [0x50, 0x4b, 0x05, 0x06] },
+  { type: 'gzip archive', bytes: [0x1f, 0x8b] },
+  { type: '7-Zip archive', bytes: [0x37, 0x7a, 0xbc, 0xaf, 0x27, 0x1c] },
+  { type: 'RAR archive', bytes: [0x52, 0x61, 0x72, 0x21, 0x1a, 0x07] },
+  { type: 'bzip2 archive', bytes: [0x42, 0x5a, 0x68], requiresBinaryContent: true },
+  { type: 'xz archive', bytes: [0xfd, 0x37, 0x7a, 0x58, 0x5a, 0x00] },
+  { type: 'tar archive', bytes: [0x75, 0x73, 0x74, 0x61, 0x72], offset: 257 },
+  { type: 'ELF executable', bytes: [0x7f, 0x45, 0x4c, 0x46] },
+  { type: 'Windows executable', bytes: [0x4d, 0x5a], requiresBinaryContent: true },
+  { type: 'Mach-O binary', bytes: [0xcf, 0xfa, 0xed, 0xfe] },
+  { type: 'Mach-O binary', bytes: [0xce, 0xfa, 0xed, 0xfe] },
+  { type: 'Java class file', bytes: [0xca, 0xfe, 0xba, 0xbe] },
+  { type: 'WebAssembly module', bytes: [0x00, 0x61, 0x73, 0x6d] },
+  { type: 'SQLite database', bytes: [0x53, 0x51, 0x4c, 0x69, 0x74, 0x65, 0x20, 0x66, 0x6f, 0x72, 0x6d, 0x61, 0x74, 0x20, 0x33, 0x00] },
+  { type: 'MP3 audio', bytes: [0x49, 0x44, 0x33] },
+  { type: 'Ogg media', bytes: [0x4f, 0x67, 0x67, 0x53] },
+  { type: 'MP4 media', bytes: [0x66, 0x74, 0x79, 0x70], offset: 4 },
+  { type: 'WOFF font', bytes: [0x77, 0x4f, 0x46, 0x46] },
+  { type: 'WOFF2 font', bytes: [0x77, 0x4f, 0x46, 0x32] },
+  { type: 'TrueType font', bytes: [0x00, 0x01, 0x00, 0x00, 0x00] },
+  { type: 'OpenType font', bytes: [0x4f, 0x54, 0x54, 0x4f, 0x00] },
+];
+
+/**
+ * Finds the format of a binary file from its first bytes.
+ * @param {Buffer} sample - The start of the file.
+ * @param {boolean} looksBinary - Whether the sample already looks binary (weak signatures need this).
+ * @returns {string|null} The detected type, e.g. 'PNG image', or null.
+ */
+function detectMagicType(sample, looksBinary) {
+  for (const magic of MAGIC_NUMBERS) {
+    const offset = magic.offset || 0;
+    if (sample.length < offset + magic.bytes.length || (magic.requiresBinaryContent && !looksBinary)) {
+      continue;
+    }
+    if (magic.bytes.every((byte, index) => sample[offset + index] === byte)) {
+      return magic.type;
+    }
+  }
+  return null;
+}
+
+/**
+ * Detects UTF-16 text without a byte order mark: ASCII-range characters leave every other byte zero.
+ * @param {Buffer} sample - The start of the file.
+ * @returns {'utf16le'|'utf16be'|null} The detected encoding, or null.
+ */
+function detectBomlessUtf16(sample) {
+  const pairs = Math.floor(sample.length / 2);
+  if (pairs < 4) {
+    return null;
+  }
+  let evenZeros = 0;
+  let oddZeros = 0;
+  for (let i = 0; i < pairs * 2; i += 2) {
+    if (sample[i] === 0) evenZeros++;
+    if (sample[i + 1] === 0) oddZeros++;
+  }
+  if (oddZeros / pairs > 0.7 && evenZeros / pairs < 0.1) return 'utf16le';
+  if (evenZeros / pairs > 0.7 && oddZeros / pairs < 0.1) return 'utf16be';
+  return null;
+}
+
+/**
+ * Checks whether a sample is valid UTF-8, ignoring a multi-byte sequence cut off at its end.
+ * @param {Buffer} sample - The sample.
+ * @param {boolean} truncated - Whether the sample is only the start of the file.
+ * @returns {boolean} True if valid.
+ */
+function isValidUtf8(sample, truncated) {
+  let end = sample.length;
+  if (truncated) {
+    // Step back over an incomplete trailing sequence (at most 3 bytes).
+    let start = end - 1;
+    while (start >= 0 && start > end - 4 && (sample[start] & 0xc0) === 0x80) start--;
+    if (start >= 0 && sample[start] >= 0xc0) end = start;
+  }
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(sample.subarray(0, end));
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Computes the ratio of control characters that do not occur in text (anything below 0x20 except
+ * tab, line feed, vertical tab, form feed, carriage return and escape, plus DEL).
+ * @param {Buffer} sample - The sample.
+ * @returns {number} The ratio, 0..1.
+ */
+function nonPrintableRatio(sample) {
+  if (sample.length === 0) {
+    return 0;
+  }
+  let count = 0;
+  for (const byte of sample) {
+    if ((byte < 0x20 && byte !== 0x09 && byte !== 0x0a && byte !== 0x0b && byte !== 0x0c && byte !== 0x0d && byte !== 0x1b) || byte === 0x7f) {
+      count++;
+    }
+  }
+  return count / sample.length;
+}
+
+/**
+ * Classifies the start of a file as binary or text and, for text, finds its encoding.
+ * Checks, in order: byte order marks, signatures of binary formats, BOM-less UTF-16,
+ * NUL bytes, the ratio of non-printable bytes, and UTF-8 validity (falling back to Latin-1).
+ * @param {Buffer} sample - The first bytes of the file (up to SNIFF_BYTES).
+ * @param {boolean} [truncated=false] - Whether the file is longer than the sample.
+ * @returns {{binary: boolean, type: string|null, encoding: 'utf8'|'utf16le'|'utf16be'|'latin1'|null, bomLength: number}}
+ *          The classification; `type` is only set for recognized binary formats.
+ */
+function sniffContent(sample, truncated = false) {
+  const text = (encoding, bomLength = 0) => ({ binary: false, type: null, encoding, bomLength });
+  const binary = (type) => ({ binary: true, type, encoding: null, bomLength: 0 });
+
+  if (sample[0] === 0xef && sample[1] === 0xbb && sample[2] === 0xbf) return text('utf8', 3);
+  if (sample[0] === 0xff && sample[1] === 0xfe && !(sample[2] === 0 && sample[3] === 0)) return text('utf16le', 2);
+  if (sample[0] === 0xfe && sample[1] === 0xff) return text('utf16be', 2);
+
+  const hasNul = sample.includes(0);
+  const looksBinary = hasNul || nonPrintableRatio(sample) > MAX_NON_PRINTABLE_RATIO;
+  const magicType = detectMagicType(sample, looksBinary);
+  if (magicType) return binary(magicType);
+
+  if (hasNul) {
+    const utf16 = detectBomlessUtf16(sample);
+    return utf16 ? text(utf16) : binary(null);
+  }
+  if (looksBinary) return binary(null);
+  return text(isValidUtf8(sample, truncated) ? 'utf8' : 'latin1');
+}
+
+/**
+ * Reads the start of a file and classifies it (see sniffContent).
+ * @param {string} filePath - The file.
+ * @returns {Promise<{binary: boolean, type: string|null, encoding: string|null, bomLength: number, size: number}>}
+ *          The classification and the file size in bytes.
+ */
+async function sniffFile(filePath) {
+  const fd = await open(filePath, 'r');
+  try {
+    const { size } = await fstat(fd);
+    const sample = Buffer.alloc(Math.min(size, SNIFF_BYTES));
+    const { bytesRead } = await read(fd, sample, 0, sample.length, 0);
+    return { ...sniffContent(sample.subarray(0, bytesRead), size > bytesRead), size };
+  } finally {
+    await close(fd);
+  }
+}
+
+/**
+ * Decodes file content in the encoding found by sniffContent, without the byte order mark.
+ * @param {Buffer} buffer - The file content.
+ * @param {{encoding: string, bomLength: number}} sniffed - The classification.
+ * @returns {string} The text.
+ */
+function decodeContent(buffer, sniffed) {
+  const content = buffer.subarray(sniffed.bomLength);
+  if (sniffed.encoding === 'utf16be') {
+    // Node has no UTF-16 BE decoder: swap to LE (dropping an odd trailing byte).
+    const swapped = Buffer.from(content.subarray(0, content.length - (content.length % 2)));
+    return swapped.swap16().toString('utf16le');
+  }
+  return content.toString(sniffed.encoding);
+}
+
+/**
+ * Formats a byte count for humans, e.g. '512 B', '12.3 KB', '4.0 MB'.
+ * @param {number} bytes - The byte count.
+ * @returns {string} The formatted size.
+ */
+function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+module.exports = {
+  sniffFile,
+  sniffContent,
+  decodeContent,
+  formatSize,
+};
@@ -0,0 +1,198 @@
+// src/dependency_resolver.js
+const path = require('path');
+const { readFile, stat } = require('./fs_utils');
+const { lexSource } = require('./compression');
+
+// Extensions tried, in order, for a specifier that does not name a file: Node's own, then
+// those of ES modules and TypeScript sources.
+const RESOLVE_EXTENSIONS = ['.js', '.json', '.node', '.mjs', '.cjs', '.jsx', '.ts', '.tsx'];
+
+// Files whose imports are followed.
+const PARSED_EXTENSIONS = ['.js', '.mjs', '.cjs', '.jsx', '.ts', '.tsx', '.mts', '.cts'];
+
+// What the code right before a string literal looks like when the string is a module specifier.
+const CALL_SPECIFIER_PATTERNS = [/\brequire\s*\(\s*$/, /(?:^|[^.\w$])import\s*\(\s*$/]; // require('x'), import('x')
+const STATEMENT_SPECIFIER_PATTERNS = [/\bfrom\s*$/, /(?:^|[^.\w$])import\s*$/]; // import/export ... from 'x', import 'x'
+
+/**
+ * Finds the module specifiers of a JavaScript or TypeScript source: require('x'), import ... from 'x',
+ * import 'x', export ... from 'x' and import('x'). Specifiers in comments, and computed ones
+ * (template literals with expressions, variables), are not found.
+ * @param {string} source - The source text.
+ * @returns {string[]} The specifiers, in order of appearance.
+ */
+function findImportSpecifiers(source) {
+  const segments = lexSource(source, { jsSyntax: true });
+  const specifiers = [];
+  segments.forEach((segment, index) => {
+    const previous = segments[index - 1];
+    // Whole literals only: template literal chunks around '${...}' start or end with the braces.
+    const isLiteral = /^(['"`])[^]*\1$/.test(segment.text) && segment.text.length > 1 && !segment.text.includes('${');
+    if (segment.type !== 'string' || !isLiteral || !previous || previous.type !== 'code') {
+      return;
+    }
+    const next = segments[index + 1];
+    const isCall = CALL_SPECIFIER_PATTERNS.some(pattern => pattern.test(previous.text))
+      && (!next || (next.type === 'code' && /^\s*[),]/.test(next.text)));
+    if (isCall || STATEMENT_SPECIFIER_PATTERNS.some(pattern => pattern.test(previous.text))) {
+      specifiers.push(segment.text.slice(1, -1));
+    }
+  });
+  return specifiers;
+}
+
+/**
+ * Checks whether a path is an existing file.
+ * @param {string} filePath - The path.
+ * @returns {Promise<boolean>} True for a file, false for a directory or a missing path.
+ */
+async function isFile(filePath) {
+  try {
+    return (await stat(filePath)).isFile();
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Resolves a path as a file: the path itself, then with each of RESOLVE_EXTENSIONS appended.
+ * @param {string} basePath - The absolute path.
+ * @returns {Promise<string|null>} The file, or null.
+ */
+async function resolveAsFile(basePath) {
+  for (const candidate of [basePath, ...RESOLVE_EXTENSIONS.map(extension => basePath + extension)]) {
+    if (await isFile(candidate)) return candidate;
+  }
+  return null;
+}
+
+/**
+ * Resolves a path as a directory: the "main" of its package.json, then its index file.
+ * @param {string} directoryPath - The absolute path.
+ * @returns {Promise<string|null>} The file, or null.
+ */
+async function resolveAsDirectory(directoryPath) {
+  const packagePath = path.join(directoryPath, 'package.json');
+  if (await isFile(packagePath)) {
+    let main = null;
+    try {
+      main = JSON.parse(await readFile(packagePath, 'utf8')).main;
+    } catch (error) {
+      // An unreadable package.json is skipped, like Node falls back to the index file.
+    }
+    if (typeof main === 'string' && main) {
+      const mainPath = path.resolve(directoryPath, main);
+      const resolved = (await resolveAsFile(mainPath)) || (await resolveAsFile(path.join(mainPath, 'index')));
+      if (resolved) return resolved;
+    }
+  }
+  return resolveAsFile(path.join(directoryPath, 'index'));
+}
+
+/**
+ * Checks whether a specifier is a path (relative or absolute) rather than a package name.
+ * @param {string} specifier - The module specifier.
+ * @returns {boolean} True for './x', '../x', '.', '..' and '/x'.
+ */
+function isPathSpecifier(specifier) {
+  return /^\.\.?(\/|$)/.test(specifier) || specifier.startsWith('/');
+}
+
+/**
+ * Resolves a module specifier the way Node's require does for paths: as a file (trying the
+ * extensions), then as a directory (package.json "main", then index). Package names are not resolved.
+ * @param {string} fromPath - The absolute path of the importing file.
+ * @param {string} specifier - The module specifier.
+ * @returns {Promise<string|null>} The absolute path of the imported file, or null.
+ */
+async function resolveSpecifier(fromPath, specifier) {
+  if (!isPathSpecifier(specifier)) {
+    return null;
+  }
+  const basePath = path.resolve(path.dirname(fromPath), specifier);
+  if (specifier.endsWith('/')) {
+    return resolveAsDirectory(basePath);
+  }
+  return (await resolveAsFile(basePath)) || resolveAsDirectory(basePath);
+}
+
+/**
+ * Follows the imports of the entry points, transitively, within a set of collectable files.
+ * A dependency that resolves to a file outside the set (an ignored file, or one outside the
+ * collected directories) is left out and not followed.
+ *
+ * @param {string[]} entryPaths - Absolute paths of the entry points; each must be in `collectable`.
+ * @param {Map<string, {path: string, fullPath: string}>} collectable - The files that may be collected, by full path.
+ * @param {object} [options]
+ * @param {number} [options.maxDepth=0] - Import levels to follow from the entry points (0 = all).
+ * @returns {Promise<{
+ *   files: Array<{path: string, fullPath: string}>,
+ *   edges: Array<{from: string, to: string}>,
+ *   unresolved: Array<{from: string, specifier: string}>,
+ *   excluded: Array<{from: string, fullPath: string}>
+ * }>} The entry points and their dependencies (in the order of `collectable`), the imports between them
+ *     (relative paths), the path specifiers that did not resolve and the dependencies that were left out.
+ */
+async function resolveDependencies(entryPaths, collectable, options = {}) {
+  const maxDepth = options.maxDepth || 0;
+  const depths = new Map(); // Full path -> import levels from the nearest entry point
+  const queue = [];
+  const edges = [];
+  const unresolved = [];
+  const excluded = [];
+  for (const entryPath of entryPaths) {
+    if (collectable.has(entryPath) && !depths.has(entryPath)) {
+      depths.set(entryPath, 0);
+      queue.push(entryPath);
+    }
+  }
+
+  // Breadth first, so every file gets the depth of its shortest import chain.
+  while (queue.length) {
+    const fullPath = queue.shift();
+    const depth = depths.get(fullPath);
+    const fileInfo = collectable.get(fullPath);
+    if (!PARSED_EXTENSIONS.includes(path.extname(fullPath).toLowerCase()) || (maxDepth > 0 && depth >= maxDepth)) {
+      continue;
+    }
+    let source;
+    try {
+      source = await readFile(fullPath, 'utf8');
+    } catch (error) {
+      continue; // Reported when the file is processed
+    }
+
+    const targets = new Set();
+    for (const specifier of findImportSpecifiers(source)) {
+      const resolved = await resolveSpecifier(fullPath, specifier);
+      if (!resolved) {
+        if (isPathSpecifier(specifier)) unresolved.push({ from: fileInfo.path, specifier });
+        continue;
+      }
+      if (!collectable.has(resolved)) {
+        excluded.push({ from: fileInfo.path, fullPath: resolved });
+        continue;
+      }
+      if (targets.has(resolved)) continue;
+      targets.add(resolved);
+      edges.push({ from: fileInfo.path, to: collectable.get(resolved).path });
+      if (!depths.has(resolved)) {
+        depths.set(resolved, depth + 1);
+        queue.push(resolved);
+      }
+    }
+  }
+
+  return {
+    files: [...collectable.values()].filter(fileInfo => depths.has(fileInfo.fullPath)),
+    edges,
+    unresolved,
+    excluded,
+  };
+}
+
+module.exports = {
+  resolveDependencies,
+  resolveSpecifier,
+  findImportSpecifiers, // Exporting for potential direct use or testing
+};
@@ -0,0 +1,80 @@
+// src/errors.js
+
+/**
+ * An invalid configuration: a config file that cannot be read or parsed, or values that do not
+ * match the schema. The message names the file and the key path of every problem.
+ */
+class ConfigError extends Error {
+  /**
+   * @param {string} message - The message.
+   * @param {object} [details]
+   * @param {string|null} [details.source=null] - Where the configuration came from (a file path, a preset or 'command line').
+   * @param {Array<{keyPath: string, message: string}>} [details.issues=[]] - The individual problems.
+   */
+  constructor(message, { source = null, issues = [] } = {}) {
+    super(message);
+    this.name = 'ConfigError';
+    this.source = source;
+    this.issues = issues;
+  }
+}
+
+/**
+ * Invalid command line arguments (an unknown option, a missing or malformed option value) or
+ * paths to collect that do not exist.
+ */
+class UsageError extends Error {
+  /**
+   * @param {string} message - The message.
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+/**
+ * Secrets were found while config.failOnSecrets is set, so the output was not produced.
+ */
+class SecretsError extends Error {
+  /**
+   * @param {string} message - The message.
+   * @param {Array<{path: string, redactions: Array<{rule: string, line: number, source: string}>}>} files - The files
+   *        with secrets and what was found in each.
+   */
+  constructor(message, files) {
+    super(message);
+    this.name = 'SecretsError';
+    this.files = files;
+  }
+}
+
+/**
+ * A plugin (see plugin_manager.js) could not be loaded, or one of its hooks failed. The message
+ * names the plugin, the hook and, when there is one, the file it was processing.
+ */
+class PluginError extends Error {
+  /**
+   * @param {string} message - The message.
+   * @param {object} details
+   * @param {string} details.plugin - The plugin's name (or how it was referenced when it could not be loaded).
+   * @param {string|null} [details.hook=null] - The hook that failed.
+   * @param {string|null} [details.filePath=null] - The file the hook was processing.
+   * @param {Error|null} [details.cause=null] - The error thrown by the plugin.
+   */
+  constructor(message, { plugin, hook = null, filePath = null, cause = null }) {
+    super(message);
+    this.name = 'PluginError';
+    this.plugin = plugin;
+    this.hook = hook;
+    this.filePath = filePath;
+    this.cause = cause;
+  }
+}
+
+module.exports = {
+  ConfigError,
+  UsageError,
+  SecretsError,
+  PluginError,
+};
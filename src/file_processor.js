@@ -1,7 +1,19 @@
 // src/file_processor.js
 const path = require('path');
 const { readFile, existsSync } = require('./fs_utils'); // Using existsSync for quick check of metadata file
+const { findApplicableCompressionRule, applyCompression } = require('./compression');
+const { findTransformRule, applyTransform } = require('./transformers');
+const { estimateTokens } = require('./token_estimator');
+const { redactSecrets } = require('./secret_scanner');
+const { sniffFile, decodeContent } = require('./content_sniffer');
+const { findTruncationRule, skipBySize, truncateContent } = require('./truncation');
+const { parseByteSize } = require('./output_splitter');
+const { NO_PLUGINS } = require('./plugin_manager');
+const { PluginError } = require('./errors');
+const { parseFrontMatter } = require('./metadata');
+const { logger } = require('./logger');
 
+// Always treated as binary, even when the first bytes look like text.
 const COMMON_BINARY_EXTENSIONS = [
   '.exe', '.dll', '.so', '.dylib', '.o', '.a', '.lib', '.bundle', '.obj', '.pdb', '.class', '.pyc', '.pyo', '.beam',
   '.cmo', '.cmi', '.cmx', '.zip', '.tar', '.gz', '.rar', '.7z', '.jar', '.war', '.nupkg', '.pkg', '.dmg',
@@ -9,13 +21,12 @@ const COMMON_BINARY_EXTENSIONS = [
   '.avi', '.pdf', '.woff', '.woff2', '.ttf', '.otf', '.eot', '.sqlite', '.db', '.dat'
 ];
 
-const MAX_CONTENT_LENGTH = 200000; // Max characters for a file's content to avoid huge outputs
-
 /**
- * Reads metadata from a corresponding .meta.txt file if it exists.
+ * Reads metadata from a corresponding .meta.txt file if it exists. Its front matter (directives, see
+ * metadata.js) is left out: the scan has already applied it.
  * @param {string} mainFilePath - The full path to the main file (e.g., /path/to/code.js)
  * @param {string} metadataSuffix - The suffix for metadata files (e.g., .meta.txt)
- * @returns {Promise<string|null>} The metadata content or null if not found/error.
+ * @returns {Promise<string|null>} The metadata content or null if not found/empty/error.
  */
 async function readMetadataFile(mainFilePath, metadataSuffix) {
   const dirName = path.dirname(mainFilePath);
@@ -25,9 +36,9 @@ async function readMetadataFile(mainFilePath, metadataSuffix) {
   if (existsSync(metadataFilePath)) {
     try {
       const metadataContent = await readFile(metadataFilePath, 'utf8');
-      return metadataContent.trim();
+      return parseFrontMatter(metadataContent).body || null;
     } catch (error) {
-      console.warn(`Warning: Could not read metadata file ${metadataFilePath}: ${error.message}`);
+      logger.warn(`Warning: Could not read metadata file ${metadataFilePath}: ${error.message}`);
       return null;
     }
   }
@@ -35,90 +46,273 @@ async function readMetadataFile(mainFilePath, metadataSuffix) {
 }
 
 /**
- * Processes a single file: reads its content, checks for metadata, and formats it for markdown.
- * 
- * @param {{path: string, fullPath: string}} fileInfo - Object containing file's relative and full path.
+ * Redacts secrets in one part of a processed file and records the findings in result.redactions.
+ * Skipped when config.redactSecrets is false, unless config.failOnSecrets asks for detection.
+ * @param {object} result - The processed file.
+ * @param {string|null} text - The text to redact.
+ * @param {'content'|'metadata'|'diff'} source - Which part of the file the text is.
+ * @param {object} config - The application configuration.
+ * @returns {string|null} The redacted text.
+ */
+function redactPart(result, text, source, config) {
+  if (!text || (config.redactSecrets === false && !config.failOnSecrets)) {
+    return text;
+  }
+  const redaction = redactSecrets(text, result.path, config);
+  for (const finding of redaction.findings) {
+    result.redactions.push({ ...finding, source });
+  }
+  return redaction.text;
+}
+
+/**
+ * Attaches a git change (see git_utils.js) to a processed file, redacting secrets in its diff.
+ * Does not update result.tokens.
+ * @param {object} result - The processed file.
+ * @param {{status: string, oldPath: string|null, diff: string|null}} git - The change.
+ * @param {object} config - The application configuration.
+ * @returns {object} The result.
+ */
+function attachGitChange(result, git, config) {
+  result.redactions = result.redactions.filter(finding => finding.source !== 'diff');
+  result.git = { ...git, diff: redactPart(result, git.diff, 'diff', config) };
+  return result;
+}
+
+/**
+ * Estimates the tokens a processed file will take in the output, independent of the output format:
+ * content, metadata and path, plus a small allowance for the per-file heading and delimiters.
+ * @param {object} fileResult - A result of processFileContent.
+ * @returns {number} The estimated token count.
+ */
+function estimateFileTokens(fileResult) {
+  if (fileResult.status === 'omitted') {
+    return 0;
+  }
+  const diff = fileResult.git && fileResult.git.diff;
+  return estimateTokens(fileResult.path) + estimateTokens(fileResult.content || '') + estimateTokens(fileResult.metadata || '')
+    + estimateTokens(diff || '') + 8;
+}
+
+/**
+ * Counts the lines of a text; a final line without a newline counts too.
+ * @param {string} text - The text.
+ * @returns {number} The line count (0 for an empty text).
+ */
+function countLines(text) {
+  if (!text) {
+    return 0;
+  }
+  const newlines = text.split('\n').length - 1;
+  return text.endsWith('\n') ? newlines : newlines + 1;
+}
+
+/**
+ * Processes a single file: reads its content, checks for metadata, applies its transformer, lets plugins transform it
+ * and applies compression.
+ * The result is format-independent; output renderers (see renderers.js) turn it into text.
+ *
+ * @param {{path: string, fullPath: string, directives?: object, git?: object, group?: string}} fileInfo - Object
+ *        containing file's relative and full path, the directives of its metadata files (see metadata.js; their
+ *        'compress' and 'truncate' replace the configured rules), the git change when collecting changed files
+ *        (see git_utils.js) and the group when collecting several roots.
  * @param {object} config - The application configuration object.
  * @param {string} config.metadataSuffix - Suffix for metadata files.
- * @param {Array<object>} config.compressionRules - Compression rules (placeholder for now).
- * @returns {Promise<{path: string, markdown: string}>} Processed file info with markdown content.
+ * @param {Array<object>} config.transformRules - Transform rules (see transformers.js); the first rule whose pathPattern
+ *        matches is applied.
+ * @param {Array<object>} config.compressionRules - Compression rules; the first rule whose pathPattern matches is applied.
+ * @param {string} [config.gitDiff] - 'only' leaves out the content of changed files; their diff stands in for it.
+ * @param {number|string} [config.maxFileSize] - Files larger than this (bytes or e.g. '1mb') are left out; 0 for no limit.
+ *        Like files over the bytes limit of a 'skip' truncation rule (without a transform or compression rule),
+ *        they are never read.
+ * @param {object} [config.truncation] - Content limits (see truncation.js), unless one of config.truncationRules matches.
+ * @param {boolean} [config.lineNumbers] - Prefix the lines of content that is neither transformed nor compressed
+ *        with their line numbers.
+ * @param {object} [options]
+ * @param {object} [options.compressionRule] - Compression rule to apply instead of the one from config.compressionRules
+ *                                             (used by the token budget to demote a file).
+ * @param {object} [options.plugins] - The plugins of the run (see plugin_manager.js): their transformContent hooks
+ *                                     and compression strategies apply.
+ * @throws {PluginError} If a plugin fails on the file.
+ * @returns {Promise<{
+ *   path: string,
+ *   language: string,
+ *   status: 'ok'|'binary'|'oversized'|'unreadable'|'error'|'deleted',
+ *   content: string|null,
+ *   metadata: string|null,
+ *   size: number|null,
+ *   lines: number|null,
+ *   encoding: 'utf8'|'utf16le'|'utf16be'|'latin1'|null,
+ *   detectedType: string|null,
+ *   transform: string|null,
+ *   compression: string[],
+ *   compressed: boolean,
+ *   truncated: boolean,
+ *   truncation: {strategy: string, limits: string, totalLines: number|null, omittedLines: number|null}|null,
+ *   lineNumbers: boolean,
+ *   error: string|null,
+ *   tokens: number,
+ *   redactions: Array<{rule: string, line: number, source: 'content'|'metadata'|'diff'}>,
+ *   git?: {status: string, oldPath: string|null, diff: string|null},
+ *   group?: string
+ * }>} The processed file. `content` is only set for status 'ok'; `error` holds the error code
+ *     (unreadable) or message (error); `size` is the file size in bytes; `lines` is the line count of the
+ *     text as read (before transforms and compression); `encoding` is the encoding the content was decoded from; `detectedType` is the recognized format of a binary file (e.g. 'PNG image');
+ *     `transform` is the transformer that rewrote the content (the `language` is then the one of the result, e.g.
+ *     'python' for a notebook);
+ *     `truncation` describes how the content was cut (with strategy 'skip', the status is 'oversized', and
+ *     the line counts are null when the size of the file was enough to tell);
+ *     `lineNumbers` tells whether the lines of `content` are prefixed with their numbers;
+ *     `tokens` is the estimated token cost of the file;
+ *     `redactions` lists the secrets replaced by placeholders; `git` and `group` are copied from fileInfo.
  */
-async function processFileContent(fileInfo, config) {
+async function processFileContent(fileInfo, config, options = {}) {
+  const { plugins = NO_PLUGINS } = options;
   const normalizedPath = fileInfo.path; // Already normalized to forward slashes by file_scanner
-  let markdownContent = `## ${normalizedPath}\n\n`;
-  let fileContent = '';
-  let errorReadingFile = false;
-  let isBinary = false;
+  const fileExtension = path.extname(normalizedPath).toLowerCase();
+  const result = {
+    path: normalizedPath,
+    language: fileExtension.substring(1) || 'text', // Language for syntax highlighting
+    status: 'ok',
+    content: null,
+    metadata: null,
+    size: null,
+    lines: null,
+    encoding: null,
+    detectedType: null,
+    transform: null,
+    compression: [],
+    compressed: false,
+    truncated: false,
+    truncation: null,
+    lineNumbers: false,
+    error: null,
+    tokens: 0,
+    redactions: [],
+  };
 
   try {
-    const fileExtension = path.extname(normalizedPath).toLowerCase();
-
-    if (COMMON_BINARY_EXTENSIONS.includes(fileExtension)) {
-      isBinary = true;
-      markdownContent += `*Binary file (ext: ${fileExtension}) - content not included*\n\n`;
+    if (fileInfo.git && fileInfo.git.status === 'deleted') {
+      result.status = 'deleted';
     } else {
+      // Classify by content (extensionless binaries, UTF-16 and Latin-1 text), reading only the first bytes
+      let sniffed = null;
       try {
-        fileContent = await readFile(fileInfo.fullPath, 'utf8');
+        sniffed = await sniffFile(fileInfo.fullPath);
+        result.size = sniffed.size;
       } catch (readError) {
-        errorReadingFile = true;
-        markdownContent += `*Unable to read file as text (Error: ${readError.code}). Likely binary or unsupported encoding.*\n\n`;
+        result.status = 'unreadable';
+        result.error = readError.code;
+      }
+
+      // Transformed and compressed content is limited afterwards, so only files without such rules can be skipped by size.
+      // Directives of the metadata files come before the configured rules; null turns a rule off.
+      const directives = fileInfo.directives || {};
+      const transformRule = findTransformRule(normalizedPath, config.transformRules);
+      const applicableRule = options.compressionRule
+        || ('compress' in directives ? directives.compress : findApplicableCompressionRule(normalizedPath, config.compressionRules));
+      const truncationRule = 'truncate' in directives ? directives.truncate : findTruncationRule(normalizedPath, config);
+      const skippedBySize = sniffed && !transformRule && !applicableRule && ['utf8', 'latin1'].includes(sniffed.encoding)
+        ? skipBySize(truncationRule, sniffed.size - sniffed.bomLength)
+        : null;
+
+      let fileContent = null;
+      if (sniffed && (sniffed.binary || COMMON_BINARY_EXTENSIONS.includes(fileExtension))) {
+        result.status = 'binary';
+        result.detectedType = sniffed.type;
+      } else if (sniffed && config.maxFileSize && sniffed.size > parseByteSize(config.maxFileSize, 'maxFileSize')) {
+        result.status = 'oversized';
+      } else if (sniffed && fileInfo.git && config.gitDiff === 'only') {
+        // Diff-only review: the diff replaces the content.
+        result.metadata = redactPart(result, await readMetadataFile(fileInfo.fullPath, config.metadataSuffix), 'metadata', config);
+      } else if (skippedBySize) {
+        // Too large for its 'skip' rule: leave the content out without reading the file.
+        result.metadata = redactPart(result, await readMetadataFile(fileInfo.fullPath, config.metadataSuffix), 'metadata', config);
+        result.encoding = sniffed.encoding;
+        result.status = 'oversized';
+        result.truncated = true;
+        result.truncation = skippedBySize;
+      } else if (sniffed) {
+        try {
+          fileContent = decodeContent(await readFile(fileInfo.fullPath), sniffed);
+          result.encoding = sniffed.encoding;
+          result.lines = countLines(fileContent);
+        } catch (readError) {
+          result.status = 'unreadable';
+          result.error = readError.code;
+        }
       }
 
-      if (!errorReadingFile) {
+      if (fileContent !== null) {
         // Handle metadata file
-        const metadata = await readMetadataFile(fileInfo.fullPath, config.metadataSuffix);
-        if (metadata) {
-          markdownContent += `**Associated Metadata:**\n\`\`\`text\n${metadata}\n\`\`\`\n\n`;
+        result.metadata = redactPart(result, await readMetadataFile(fileInfo.fullPath, config.metadataSuffix), 'metadata', config);
+
+        // Rewrite structured files (notebooks, lockfiles, JSON) from their original text, which is what the
+        // transformers parse. What they leave out, such as notebook outputs, is then not even scanned for secrets.
+        if (transformRule) {
+          const transformed = applyTransform(fileContent, normalizedPath, transformRule);
+          if (transformed) {
+            fileContent = transformed.content;
+            result.transform = transformRule.transformer;
+            result.language = transformed.language || result.language;
+          }
         }
 
-        // TODO: Implement compression strategies based on config.compressionRules
-        // For now, just include full content (or truncated)
-        // Example placeholder for compression:
-        // const applicableRule = findApplicableCompressionRule(normalizedPath, config.compressionRules);
-        // if (applicableRule) {
-        //   fileContent = applyCompression(fileContent, fileExtension, applicableRule);
-        // }
+        // Redact credentials before the other changes, so findings refer to the line numbers of the file
+        // (or of its transformed content)
+        fileContent = redactPart(result, fileContent, 'content', config);
 
+        // Team-specific transforms from plugins, on the redacted content
+        fileContent = await plugins.transformContent(fileContent, { path: normalizedPath, language: result.language });
 
-        // Sanitize backticks for markdown code blocks
-        fileContent = fileContent.replace(/```/g, '\\`\\`\\`');
+        // Apply the first matching compression rule (e.g. extract_signatures for large service layers)
+        if (applicableRule) {
+          const compression = applyCompression(fileContent, normalizedPath, applicableRule, plugins.compressionStrategies);
+          if (compression.strategies.length) {
+            fileContent = compression.content;
+            result.compression = compression.strategies;
+            result.compressed = true;
+          }
+        }
 
-        if (fileContent.length > MAX_CONTENT_LENGTH) {
-          fileContent = fileContent.substring(0, MAX_CONTENT_LENGTH) + `\n\n... [Content truncated due to length] ...`;
+        // Limit the content and number its lines. Transformed and compressed content no longer matches
+        // the lines of the file, so it is not numbered.
+        result.lineNumbers = Boolean(config.lineNumbers) && !result.transform && !result.compressed;
+        const truncation = truncateContent(fileContent, truncationRule, { lineNumbers: result.lineNumbers });
+        result.truncated = truncation.truncated;
+        result.truncation = truncation.truncation;
+        if (truncation.content === null) {
+          result.status = 'oversized';
+          result.lineNumbers = false;
+        } else {
+          result.content = truncation.content;
         }
-        
-        const lang = fileExtension.substring(1) || 'text'; // Get language for syntax highlighting
-        markdownContent += `\`\`\`${lang}\n${fileContent}\n\`\`\`\n\n`;
       }
     }
   } catch (error) {
-    console.error(`Error processing file ${normalizedPath}: ${error.message}`);
-    markdownContent = `## ${normalizedPath}\n\n**Error during processing: ${error.message}**\n\n`;
+    if (error instanceof PluginError) {
+      throw error; // A failing plugin fails the build, rather than leaving the file out
+    }
+    logger.error(`Error processing file ${normalizedPath}: ${error.message}`);
+    result.status = 'error';
+    result.error = error.message;
+    result.content = null;
+    result.metadata = null;
   }
 
-  return {
-    path: normalizedPath,
-    markdown: markdownContent,
-  };
-}
-
-/**
- * Generates a markdown-friendly anchor link from a file path.
- * @param {string} filePath - The file path.
- * @returns {string} The anchor link.
- */
-function pathToAnchor(filePath) {
-  return filePath
-    .toLowerCase()
-    .replace(/\\/g, '/') // Ensure forward slashes
-    .replace(/[^a-z0-9\/\-]/g, '-') // Replace non-alphanumeric (excluding / -) with -
-    .replace(/\/+/g, '-') // Replace multiple slashes with a single dash
-    .replace(/-+/g, '-') // Replace multiple dashes with a single dash
-    .replace(/^-|-$/g, ''); // Trim leading/trailing dashes
+  if (fileInfo.git) {
+    attachGitChange(result, fileInfo.git, config);
+  }
+  if (fileInfo.group !== undefined) {
+    result.group = fileInfo.group;
+  }
+  result.tokens = estimateFileTokens(result);
+  return result;
 }
 
 module.exports = {
   processFileContent,
-  pathToAnchor,
+  estimateFileTokens,
+  attachGitChange,
   readMetadataFile, // Exporting for potential direct use or testing
 };
\ No newline at end of file
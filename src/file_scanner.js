@@ -1,103 +1,221 @@
 // src/file_scanner.js
 const path = require('path');
-const { readdir, stat } = require('./fs_utils');
-const { shouldIgnore } = require('./ignore_handler');
+const { readdir, stat, existsSync } = require('./fs_utils');
+const { shouldIgnore, loadDirectoryIgnoreRules, loadRootIgnoreRules } = require('./ignore_handler');
+const { logger } = require('./logger');
+const { NO_PLUGINS } = require('./plugin_manager');
+const { NO_METADATA } = require('./metadata');
 
 /**
- * Recursively scans a directory for project files based on the configuration.
+ * Recursively walks a directory for project files based on the configuration, yielding each file
+ * as it is found (in directory order, not sorted), so a scan never has to be held in memory whole.
  *
  * @param {string} currentDirPath - The absolute path of the directory to scan currently.
  * @param {string} baseScanPath - The absolute path of the initial directory where scanning started.
  *                                This is used to calculate relative paths for output.
  * @param {object} config - The application configuration object.
- * @param {Array<{path: string, fullPath: string}>} filesList - Accumulator for found files.
- * @returns {Promise<void>}
+ * @param {Array<object>} [inheritedRuleSets=[]] - Rule sets from ignore files of this directory's ancestors.
+ * @param {Array<{path: string, isDirectory: boolean}>|null} [ignoredList=null] - Accumulator for the ignored entries
+ *        (ignored directories are not descended into); null to not record them.
+ * @param {object} [plugins=NO_PLUGINS] - The plugins of the run; their onScanEntry hooks can override the ignore rules.
+ * @param {object} [metadata=NO_METADATA] - The metadata reader of the scan (see metadata.js): entries with an
+ *        'exclude: true' directive are left out, after the ignore rules and before the plugins.
+ * @yields {{path: string, fullPath: string, directives: object}} The files found, with the directives of their
+ *         metadata files.
  */
-async function scanDirectoryRecursive(currentDirPath, baseScanPath, config, filesList) {
-  // Calculate relative path of the current directory from the *baseScanPath*
-  // This relative path is what's checked against ignore rules for directories.
+async function* walkDirectory(currentDirPath, baseScanPath, config, inheritedRuleSets = [], ignoredList = null, plugins = NO_PLUGINS, metadata = NO_METADATA) {
+  // Calculate relative path of the current directory from the *baseScanPath*.
+  // Subdirectories are checked against the ignore rules before descending into them; the directory
+  // where a scan starts is never ignored, as it was named explicitly.
   const relativeCurrentDirPath = path.relative(baseScanPath, currentDirPath) || '.';
 
-  // Check if the current directory itself (by its relative path) should be ignored.
-  // Don't check for '.' (the root of the scan) itself, only subdirectories.
-  if (relativeCurrentDirPath !== '.' && shouldIgnore(relativeCurrentDirPath, true, config)) {
-    // console.log(`Ignoring directory by relative path: ${relativeCurrentDirPath}`);
-    return;
-  }
-
   let entries;
   try {
     entries = await readdir(currentDirPath, { withFileTypes: true });
   } catch (error) {
     if (error.code === 'EPERM' || error.code === 'EACCES') {
-      console.warn(`Permission denied scanning directory: ${currentDirPath}. Skipping.`);
+      logger.warn(`Permission denied scanning directory: ${currentDirPath}. Skipping.`);
     } else {
-      console.error(`Error reading directory ${currentDirPath}: ${error.message}. Skipping.`);
+      logger.error(`Error reading directory ${currentDirPath}: ${error.message}. Skipping.`);
     }
     return;
   }
 
+  // .gitignore/.collectignore in this directory apply to everything below it.
+  const entryNames = entries.map(entry => entry.name);
+  const localRuleSets = await loadDirectoryIgnoreRules(currentDirPath, relativeCurrentDirPath, config, entryNames);
+  const ruleSets = localRuleSets.length ? inheritedRuleSets.concat(localRuleSets) : inheritedRuleSets;
+
   for (const entry of entries) {
     const fullEntryPath = path.join(currentDirPath, entry.name);
     // Relative path from the baseScanPath for ignore checks and final output path
     const relativeEntryPath = path.relative(baseScanPath, fullEntryPath);
+    const normalizedEntryPath = relativeEntryPath.replace(/\\/g, '/'); // Standardize to forward slashes for output
 
     // Check if this specific entry (file or sub-directory) should be ignored.
-    // This uses its relative path from baseScanPath.
-    if (shouldIgnore(relativeEntryPath, entry.isDirectory(), config)) {
+    // This uses its relative path from baseScanPath; metadata can exclude it too, and plugins have the last word.
+    const ignoredByRules = shouldIgnore(relativeEntryPath, entry.isDirectory(), config, ruleSets);
+    const description = ignoredByRules ? null : await metadata.describe(normalizedEntryPath, entry.isDirectory(), entryNames);
+    const { ignored } = await plugins.filterEntry({
+      path: normalizedEntryPath,
+      isDirectory: entry.isDirectory(),
+      ignored: ignoredByRules || description.excludedBy !== null,
+    });
+    if (ignored) {
       // console.log(`Ignoring entry: ${relativeEntryPath} (isDir: ${entry.isDirectory()})`);
+      if (ignoredList) ignoredList.push({ path: normalizedEntryPath, isDirectory: entry.isDirectory() });
       continue;
     }
 
     if (entry.isDirectory()) {
-      await scanDirectoryRecursive(fullEntryPath, baseScanPath, config, filesList);
+      yield* walkDirectory(fullEntryPath, baseScanPath, config, ruleSets, ignoredList, plugins, metadata);
     } else if (entry.isFile()) {
-      filesList.push({
-        path: relativeEntryPath.replace(/\\/g, '/'), // Standardize to forward slashes for output
-        fullPath: fullEntryPath
-      });
+      const { directives } = description || await metadata.describe(normalizedEntryPath, false, entryNames);
+      yield {
+        path: normalizedEntryPath,
+        fullPath: fullEntryPath,
+        directives,
+      };
     }
   }
 }
 
+/**
+ * Loads the rule sets of the per-directory ignore files between the scan root (inclusive) and a
+ * directory below it (exclusive), for scans that start below the scan root.
+ * @param {string} scanRootPath - The absolute path of the scan root.
+ * @param {string} startDirPath - The absolute path of a directory inside the scan root.
+ * @param {object} config - The application configuration object.
+ * @returns {Promise<Array<object>>} Rule sets, lowest precedence first.
+ */
+async function loadStartDirIgnoreRules(scanRootPath, startDirPath, config) {
+  const relativeStartDir = path.relative(scanRootPath, startDirPath);
+  if (!relativeStartDir) {
+    return [];
+  }
+  const segments = relativeStartDir.split(path.sep);
+  const ruleSets = [];
+  for (let depth = 0; depth < segments.length; depth++) {
+    const dirPath = path.join(scanRootPath, ...segments.slice(0, depth));
+    ruleSets.push(...await loadDirectoryIgnoreRules(dirPath, segments.slice(0, depth).join('/') || '.', config));
+  }
+  return ruleSets;
+}
+
+/**
+ * Scans for project files, yielding them as they are found (unsorted).
+ * @param {string} scanRootPath - The absolute path that relative paths (for ignore rules and output) are based on.
+ * @param {object} config - The application configuration object.
+ * @param {string} [startDirPath=scanRootPath] - The absolute path of the directory to scan: the scan root or a
+ *        directory inside it.
+ * @param {Array<{path: string, isDirectory: boolean}>|null} [ignoredList=null] - Accumulator for the entries left
+ *        out by the ignore rules (ignored directories are listed, not their content); null to not record them.
+ * @param {object} [plugins=NO_PLUGINS] - The plugins of the run (see plugin_manager.js).
+ * @param {object} [metadata=NO_METADATA] - The metadata reader of the scan (see metadata.js).
+ * @yields {{path: string, fullPath: string, directives: object}} The files found.
+ */
+async function* scanFiles(scanRootPath, config, startDirPath = scanRootPath, ignoredList = null, plugins = NO_PLUGINS, metadata = NO_METADATA) {
+  const rootRuleSets = await loadRootIgnoreRules(scanRootPath, config);
+  const startRuleSets = await loadStartDirIgnoreRules(scanRootPath, startDirPath, config);
+  yield* walkDirectory(startDirPath, scanRootPath, config, rootRuleSets.concat(startRuleSets), ignoredList, plugins, metadata);
+}
+
 /**
  * Initiates scanning for project files.
- * @param {string} scanRootPath - The absolute path to start scanning from.
+ * @param {string} scanRootPath - The absolute path that relative paths (for ignore rules and output) are based on.
  * @param {object} config - The application configuration object.
- * @returns {Promise<Array<{path: string, fullPath: string}>>} A list of file objects.
+ * @param {string} [startDirPath=scanRootPath] - The absolute path of the directory to scan: the scan root or a
+ *        directory inside it.
+ * @param {Array<{path: string, isDirectory: boolean}>|null} [ignoredList=null] - Accumulator for the entries left
+ *        out by the ignore rules (ignored directories are listed, not their content); null to not record them.
+ * @param {object} [plugins=NO_PLUGINS] - The plugins of the run (see plugin_manager.js).
+ * @param {object} [metadata=NO_METADATA] - The metadata reader of the scan (see metadata.js).
+ * @returns {Promise<Array<{path: string, fullPath: string, directives: object}>>} A list of file objects, sorted by path.
  */
-async function scanProjectFiles(scanRootPath, config) {
+async function scanProjectFiles(scanRootPath, config, startDirPath = scanRootPath, ignoredList = null, plugins = NO_PLUGINS, metadata = NO_METADATA) {
   const filesList = [];
-  // baseScanPath is scanRootPath itself, as relative paths for ignore rules and output
-  // are calculated from where the scan begins.
-  await scanDirectoryRecursive(scanRootPath, scanRootPath, config, filesList);
+  for await (const fileInfo of scanFiles(scanRootPath, config, startDirPath, ignoredList, plugins, metadata)) {
+    filesList.push(fileInfo);
+  }
   filesList.sort((a, b) => a.path.localeCompare(b.path));
   return filesList;
 }
 
+/**
+ * Finds the deepest directory that contains all the given paths.
+ * @param {string[]} fullPaths - Absolute paths (at least one).
+ * @returns {string} The absolute path of the common directory.
+ */
+function findCommonDirectory(fullPaths) {
+  return fullPaths.reduce((common, fullPath) => {
+    while (common !== fullPath && !fullPath.startsWith(common.endsWith(path.sep) ? common : common + path.sep)) {
+      common = path.dirname(common);
+    }
+    return common;
+  });
+}
+
+/**
+ * Resolves the paths to collect (directories and individual files) into the scan root and the roots to scan.
+ * A single directory is the scan root itself; otherwise the scan root is the deepest directory that
+ * contains all of them (for files: their directory), so every collected path stays unique.
+ * @param {string[]} paths - The directories and files, relative to `cwd`.
+ * @param {string} cwd - The working directory.
+ * @returns {Promise<{scanRootPath: string, roots: Array<{fullPath: string, isDirectory: boolean, label: string}>}>}
+ *          The scan root and the de-duplicated roots, in the given order. `label` is the root's path relative to
+ *          the scan root ('.' for the scan root itself).
+ * @throws {Error} If a path does not exist.
+ */
+async function resolveRoots(paths, cwd) {
+  const roots = [];
+  for (const rootPath of paths) {
+    const fullPath = path.resolve(cwd, rootPath);
+    if (roots.some(root => root.fullPath === fullPath)) continue;
+    let stats;
+    try {
+      stats = await stat(fullPath);
+    } catch (error) {
+      throw new Error(`Cannot collect '${rootPath}': ${error.code === 'ENOENT' ? 'no such file or directory' : error.message}`);
+    }
+    roots.push({ fullPath, isDirectory: stats.isDirectory(), label: '' });
+  }
+  let scanRootPath = cwd;
+  if (roots.length) {
+    scanRootPath = findCommonDirectory(roots.map(root => (root.isDirectory ? root.fullPath : path.dirname(root.fullPath))));
+  }
+  for (const root of roots) {
+    root.label = path.relative(scanRootPath, root.fullPath).replace(/\\/g, '/') || '.';
+  }
+  return { scanRootPath, roots };
+}
+
 /**
  * Recursively searches for 'SYSTEM.txt' (case-sensitive).
- * It uses a simplified ignore logic: ignores directories by name if they are in config.ignore
- * and some hardcoded essential ignores like '.git', 'node_modules'.
+ * Directories are skipped using the same ignore patterns as the main file scan.
  *
  * @param {string} currentDir - Absolute path of the directory currently being searched.
  * @param {string} baseScanPath - Absolute path of the initial directory where scanning for SYSTEM.txt started.
- * @param {object} config - The main application configuration, primarily for its 'ignore' list for directory names.
+ * @param {object} config - The main application configuration, used for its 'ignore' patterns.
  * @param {Array<{fullPath: string, relativePath: string}>} foundSystemFilesList - Accumulator.
+ * @param {Array<object>} [inheritedRuleSets=[]] - Rule sets from ignore files of this directory's ancestors.
  * @returns {Promise<void>}
  */
-async function findSystemTxtRecursive(currentDir, baseScanPath, config, foundSystemFilesList) {
+async function findSystemTxtRecursive(currentDir, baseScanPath, config, foundSystemFilesList, inheritedRuleSets = []) {
     let entries;
     try {
         entries = await readdir(currentDir, { withFileTypes: true });
     } catch (err) {
         if (err.code === 'EPERM' || err.code === 'EACCES') {
-            console.warn(`SYSTEM.txt search: Permission denied in ${currentDir}.`);
+            logger.warn(`SYSTEM.txt search: Permission denied in ${currentDir}.`);
         }
-        // else console.warn(`SYSTEM.txt search: Error reading ${currentDir}: ${err.message}`); // Can be noisy
+        // else logger.warn(`SYSTEM.txt search: Error reading ${currentDir}: ${err.message}`); // Can be noisy
         return;
     }
 
+    const relativeCurrentDir = path.relative(baseScanPath, currentDir) || '.';
+    const localRuleSets = await loadDirectoryIgnoreRules(currentDir, relativeCurrentDir, config, entries.map(entry => entry.name));
+    const ruleSets = localRuleSets.length ? inheritedRuleSets.concat(localRuleSets) : inheritedRuleSets;
+
     for (const entry of entries) {
         const fullEntryPath = path.join(currentDir, entry.name);
         const relativeEntryPathFromBaseScan = path.relative(baseScanPath, fullEntryPath).replace(/\\/g, '/');
@@ -108,47 +226,49 @@ async function findSystemTxtRecursive(currentDir, baseScanPath, config, foundSys
                 relativePath: relativeEntryPathFromBaseScan
             });
         } else if (entry.isDirectory()) {
-            let ignoreThisDir = false;
-            const dirName = entry.name;
-
-            // Check against config.ignore (directory names only for this specific search)
-            if (config.ignore && Array.isArray(config.ignore)) {
-                for (const ignorePattern of config.ignore) {
-                    const normalizedIgnorePattern = ignorePattern.replace(/\\/g, '/').trim();
-                    // For SYSTEM.txt search, we only check if the *name* of the directory matches.
-                    // This is a simplified ignore compared to the main file scan.
-                    if (dirName === normalizedIgnorePattern) {
-                         ignoreThisDir = true;
-                         break;
-                    }
-                }
-            }
-            
-            // Hardcoded essential ignores for system search to prevent deep scanning in common large/irrelevant dirs
-            if (['.git', 'node_modules', 'dist', 'build', 'out', 'target', '.next', '.nuxt', '.svelte-kit'].includes(dirName)) {
-                ignoreThisDir = true;
-            }
+            // Directories are pruned with the same rules as the main scan, so SYSTEM.txt
+            // is never picked up from a directory whose files would not be collected.
+            const ignoreThisDir = shouldIgnore(relativeEntryPathFromBaseScan, true, config, ruleSets);
 
             if (!ignoreThisDir) {
-                await findSystemTxtRecursive(fullEntryPath, baseScanPath, config, foundSystemFilesList);
+                await findSystemTxtRecursive(fullEntryPath, baseScanPath, config, foundSystemFilesList, ruleSets);
             }
         }
     }
 }
 
 /**
- * Finds the most relevant 'SYSTEM.txt' file.
- * The most relevant is the one closest to the scan root, then by lexicographical order of relative path.
- * @param {string} scanRootPath - The absolute path to start searching for SYSTEM.txt.
+ * Finds the 'SYSTEM.txt' files of a scan: the one at the scan root is the preamble of the output, the
+ * others are context for their directories. They are sorted closest to the scan root first, then by
+ * lexicographical order of relative path.
+ * Directory roots are searched recursively; a file root counts if it is a SYSTEM.txt itself. When the
+ * scan root is not one of the roots (several roots), a SYSTEM.txt directly in it counts as well.
+ * @param {string} scanRootPath - The absolute path of the scan root; relative paths are based on it.
  * @param {object} config - The application configuration.
- * @returns {Promise<{fullPath: string, relativePath: string} | null>} The found SYSTEM.txt file info or null.
+ * @param {Array<{fullPath: string, isDirectory: boolean}>} [roots] - The roots to search (see resolveRoots);
+ *        by default the scan root.
+ * @returns {Promise<Array<{fullPath: string, relativePath: string}>>} The found SYSTEM.txt files.
  */
-async function findSystemFile(scanRootPath, config) {
+async function findSystemFiles(scanRootPath, config, roots = [{ fullPath: scanRootPath, isDirectory: true }]) {
     const foundSystemFiles = [];
-    await findSystemTxtRecursive(scanRootPath, scanRootPath, config, foundSystemFiles);
-
-    if (foundSystemFiles.length === 0) {
-        return null;
+    const addCandidate = (fullPath) => {
+        if (!foundSystemFiles.some(found => found.fullPath === fullPath)) {
+            foundSystemFiles.push({ fullPath, relativePath: path.relative(scanRootPath, fullPath).replace(/\\/g, '/') });
+        }
+    };
+    const rootRuleSets = await loadRootIgnoreRules(scanRootPath, config);
+    if (!roots.some(root => root.fullPath === scanRootPath) && existsSync(path.join(scanRootPath, 'SYSTEM.txt'))) {
+        addCandidate(path.join(scanRootPath, 'SYSTEM.txt'));
+    }
+    for (const root of roots) {
+        if (!root.isDirectory) {
+            if (path.basename(root.fullPath) === 'SYSTEM.txt') addCandidate(root.fullPath);
+            continue;
+        }
+        const found = [];
+        const startRuleSets = await loadStartDirIgnoreRules(scanRootPath, root.fullPath, config);
+        await findSystemTxtRecursive(root.fullPath, scanRootPath, config, found, rootRuleSets.concat(startRuleSets));
+        found.forEach(systemFile => addCandidate(systemFile.fullPath));
     }
 
     foundSystemFiles.sort((a, b) => {
@@ -157,13 +277,14 @@ async function findSystemFile(scanRootPath, config) {
         if (depthA !== depthB) return depthA - depthB; // shallowest first
         return a.relativePath.localeCompare(b.relativePath); // then lexicographically
     });
-
-    console.log(`Found ${foundSystemFiles.length} SYSTEM.txt files. Selected: ${foundSystemFiles[0].relativePath}`);
-    return foundSystemFiles[0];
+    return foundSystemFiles;
 }
 
 
 module.exports = {
   scanProjectFiles,
-  findSystemFile,
+  scanFiles,
+  loadStartDirIgnoreRules,
+  findSystemFiles,
+  resolveRoots,
 };
\ No newline at end of file
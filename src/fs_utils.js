@@ -9,6 +9,95 @@ const readFile = promisify(fs.readFile);
 const writeFile = promisify(fs.writeFile);
 const exists = promisify(fs.exists); // fs.exists is deprecated, but promisify works. Better to use fs.promises.access or stat.
 const access = promisify(fs.access); // For checking existence and permissions
+const rename = promisify(fs.rename);
+const unlink = promisify(fs.unlink);
+const mkdir = promisify(fs.mkdir);
+const rmdir = promisify(fs.rmdir);
+const rm = promisify(fs.rm);
+const realpath = promisify(fs.realpath);
+
+// Suffix of the temporary files written by writeFileAtomic, so watchers can skip them.
+const ATOMIC_TEMP_SUFFIX = '.collect-files.tmp';
+
+/**
+ * Writes a file atomically: the data goes to a temporary file next to it, which is then renamed
+ * over the target, so readers see either the old or the new content, never a half-written file.
+ * @param {string} filePath - The file to write.
+ * @param {string|Buffer} data - The content.
+ * @param {string} [encoding='utf8'] - The encoding of string data.
+ * @returns {Promise<void>}
+ */
+async function writeFileAtomic(filePath, data, encoding = 'utf8') {
+  const tempPath = `${filePath}.${process.pid}${ATOMIC_TEMP_SUFFIX}`;
+  try {
+    await writeFile(tempPath, data, encoding);
+    await rename(tempPath, filePath);
+  } catch (error) {
+    await unlink(tempPath).catch(() => {});
+    throw error;
+  }
+}
+
+/**
+ * Writes text chunks to a stream one after another, waiting for the stream to drain whenever its
+ * buffer is full, so chunks that are produced lazily are never all held in memory at once.
+ * @param {stream.Writable} stream - The stream (a file stream, or process.stdout).
+ * @param {Iterable<string>|AsyncIterable<string>} chunks - The chunks.
+ * @returns {Promise<void>} Resolves when every chunk was handed to the stream.
+ * @throws The error of the stream, if it fails while writing.
+ */
+async function writeChunks(stream, chunks) {
+  let streamError = null;
+  const onError = (error) => {
+    streamError = error;
+  };
+  stream.on('error', onError);
+  try {
+    for await (const chunk of chunks) {
+      if (streamError) throw streamError;
+      if (!stream.write(chunk, 'utf8')) {
+        await new Promise((resolve) => {
+          const done = () => {
+            stream.removeListener('drain', done);
+            stream.removeListener('error', done);
+            resolve();
+          };
+          stream.on('drain', done);
+          stream.on('error', done);
+        });
+      }
+    }
+    if (streamError) throw streamError;
+  } finally {
+    stream.removeListener('error', onError);
+  }
+}
+
+/**
+ * Writes a file atomically from text chunks (see writeFileAtomic and writeChunks), streaming them to
+ * the temporary file instead of building the whole content first.
+ * @param {string} filePath - The file to write.
+ * @param {Iterable<string>|AsyncIterable<string>} chunks - The content, in order.
+ * @returns {Promise<void>}
+ */
+async function writeFileAtomicStream(filePath, chunks) {
+  const tempPath = `${filePath}.${process.pid}${ATOMIC_TEMP_SUFFIX}`;
+  const stream = fs.createWriteStream(tempPath);
+  try {
+    await writeChunks(stream, chunks);
+    await new Promise((resolve, reject) => {
+      // 'close' comes after the file descriptor is closed, so the file can be renamed on every platform.
+      stream.once('error', reject);
+      stream.once('close', resolve);
+      stream.end();
+    });
+    await rename(tempPath, filePath);
+  } catch (error) {
+    stream.destroy();
+    await unlink(tempPath).catch(() => {});
+    throw error;
+  }
+}
 
 // It's generally recommended to use fs.promises directly if Node version allows (v10+)
 // For broader compatibility or consistency with existing code, promisify is fine.
@@ -20,6 +109,15 @@ module.exports = {
   stat,
   readFile,
   writeFile,
+  writeFileAtomic,
+  writeFileAtomicStream,
+  writeChunks,
+  unlink,
+  mkdir,
+  rmdir,
+  rm,
+  realpath,
+  ATOMIC_TEMP_SUFFIX,
   exists, // Or handle existence checks via stat/access in consuming code
   access,
   // fs.existsSync is synchronous and can be used directly if needed for specific cases
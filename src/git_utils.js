@@ -0,0 +1,187 @@
+// src/git_utils.js
+const path = require('path');
+const { execFile } = require('child_process');
+const { isPathIgnored, loadRootIgnoreRules } = require('./ignore_handler');
+
+const GIT_MAX_BUFFER = 64 * 1024 * 1024; // Diffs of large files can be big
+
+// Letters of `git diff --name-status` mapped to the status reported in the output.
+const NAME_STATUS_CODES = {
+  A: 'added',
+  M: 'modified',
+  D: 'deleted',
+  R: 'renamed',
+  C: 'copied',
+  T: 'typechange',
+  U: 'unmerged',
+};
+
+/**
+ * Checks whether any git mode (--since, --staged, --diff, --diff-only) is enabled.
+ * @param {object} config - The application configuration.
+ * @returns {boolean} True if collection should be limited to changed files.
+ */
+function isGitModeEnabled(config) {
+  return Boolean(config.gitSince) || config.gitStaged === true || (Boolean(config.gitDiff) && config.gitDiff !== 'none');
+}
+
+/**
+ * Runs the local git binary and resolves with its stdout.
+ * @param {string[]} args - Arguments for git.
+ * @param {string} cwd - Directory to run git in.
+ * @param {number[]} [okExitCodes=[0]] - Exit codes that count as success (`git diff --no-index` exits 1 on differences).
+ * @returns {Promise<string>} The output of the command.
+ */
+function runGit(args, cwd, okExitCodes = [0]) {
+  return new Promise((resolve, reject) => {
+    execFile('git', args, { cwd, maxBuffer: GIT_MAX_BUFFER, encoding: 'utf8' }, (error, stdout, stderr) => {
+      if (error && !okExitCodes.includes(error.code)) {
+        const reason = error.code === 'ENOENT' ? 'git is not installed or not on the PATH' : (stderr || error.message).trim();
+        reject(new Error(`git ${args[0]} failed: ${reason}`));
+        return;
+      }
+      resolve(stdout);
+    });
+  });
+}
+
+/**
+ * Builds the `git diff` arguments that select the compared trees:
+ * the index (--staged) or the working tree, against `since` (default HEAD).
+ * @param {object} config - The application configuration.
+ * @returns {string[]} Arguments to put after `git diff`.
+ */
+function getDiffRangeArgs(config) {
+  if (config.gitStaged) {
+    // Without a ref, `git diff --cached` compares with HEAD (or the empty tree in a new repository).
+    return config.gitSince ? ['--cached', config.gitSince] : ['--cached'];
+  }
+  return [config.gitSince || 'HEAD'];
+}
+
+/**
+ * Parses the NUL-separated output of `git diff --name-status -z`.
+ * @param {string} output - The raw output.
+ * @returns {Array<{path: string, status: string, oldPath: string|null}>} The changes.
+ */
+function parseNameStatus(output) {
+  const fields = output.split('\0');
+  const changes = [];
+  for (let i = 0; i < fields.length && fields[i]; ) {
+    const code = fields[i++].charAt(0);
+    const status = NAME_STATUS_CODES[code] || 'modified';
+    if (code === 'R' || code === 'C') {
+      changes.push({ path: fields[i + 1], status, oldPath: fields[i] });
+      i += 2;
+    } else {
+      changes.push({ path: fields[i], status, oldPath: null });
+      i += 1;
+    }
+  }
+  return changes;
+}
+
+/**
+ * Lists the files that changed, relative to the scan root, according to config:
+ * - gitSince: working tree (or index, with gitStaged) compared with that ref.
+ * - gitStaged: staged changes only.
+ * - gitDiff alone: uncommitted changes compared with HEAD.
+ * Untracked files (respecting git's ignore files) count as changes unless only staged changes are asked for.
+ * Only changes below the scan root are reported.
+ * @param {string} scanRootPath - The absolute path of the scan root.
+ * @param {object} config - The application configuration.
+ * @returns {Promise<Map<string, {status: string, oldPath: string|null}>>} Changes keyed by forward-slash path.
+ * @throws {Error} If the scan root is not in a git repository or the ref does not exist.
+ */
+async function getChangedFiles(scanRootPath, config) {
+  await runGit(['rev-parse', '--is-inside-work-tree'], scanRootPath).catch(() => {
+    throw new Error(`--since/--staged/--diff need a git repository, but ${scanRootPath} is not inside one.`);
+  });
+  if (config.gitSince) {
+    if (config.gitSince.startsWith('-')) {
+      throw new Error(`Invalid git ref '${config.gitSince}'.`);
+    }
+    await runGit(['rev-parse', '--verify', '--quiet', `${config.gitSince}^{commit}`], scanRootPath).catch(() => {
+      throw new Error(`Unknown git ref '${config.gitSince}'.`);
+    });
+  }
+
+  const changes = new Map();
+  const nameStatus = await runGit(['diff', '--name-status', '-z', '-M', '--relative', ...getDiffRangeArgs(config)], scanRootPath);
+  for (const change of parseNameStatus(nameStatus)) {
+    changes.set(change.path, { status: change.status, oldPath: change.oldPath });
+  }
+
+  if (!config.gitStaged) {
+    // ls-files reports paths relative to (and limited to) the directory it runs in.
+    const untracked = await runGit(['ls-files', '--others', '--exclude-standard', '-z'], scanRootPath);
+    for (const filePath of untracked.split('\0').filter(Boolean)) {
+      changes.set(filePath, { status: 'untracked', oldPath: null });
+    }
+  }
+  return changes;
+}
+
+/**
+ * Produces the unified diff of one changed file.
+ * @param {string} scanRootPath - The absolute path of the scan root.
+ * @param {string} filePath - Forward-slash path relative to the scan root.
+ * @param {{status: string, oldPath: string|null}} change - The change, as returned by getChangedFiles.
+ * @param {object} config - The application configuration.
+ * @returns {Promise<string>} The diff, without a trailing newline.
+ */
+async function getFileDiff(scanRootPath, filePath, change, config) {
+  let output;
+  if (change.status === 'untracked') {
+    // An untracked file is not known to git; diff it against nothing.
+    output = await runGit(['diff', '--no-index', '--', '/dev/null', filePath], scanRootPath, [0, 1]);
+  } else {
+    const paths = change.oldPath ? [change.oldPath, filePath] : [filePath];
+    output = await runGit(['diff', '-M', '--relative', ...getDiffRangeArgs(config), '--', ...paths], scanRootPath);
+  }
+  return output.replace(/\n$/, '');
+}
+
+/**
+ * Limits scanned files to the ones git reports as changed, and attaches the change to each of them
+ * as `git: {status, oldPath, diff}`. Deleted files are added back (the scan cannot find them) unless
+ * the ignore and extension rules would have excluded them. Diffs are only read when config.gitDiff
+ * is 'alongside' or 'only'.
+ * @param {string} scanRootPath - The absolute path of the scan root.
+ * @param {Array<{path: string, fullPath: string}>} scannedFiles - Result of scanProjectFiles.
+ * @param {object} config - The application configuration.
+ * @returns {Promise<Array<{path: string, fullPath: string, git: object}>>} The changed files, sorted by path.
+ */
+async function selectChangedFiles(scanRootPath, scannedFiles, config) {
+  const changes = await getChangedFiles(scanRootPath, config);
+  const selected = scannedFiles.filter(fileInfo => changes.has(fileInfo.path));
+
+  const deletedPaths = [...changes.keys()].filter(filePath => changes.get(filePath).status === 'deleted');
+  if (deletedPaths.length) {
+    const rootRuleSets = await loadRootIgnoreRules(scanRootPath, config);
+    for (const filePath of deletedPaths) {
+      if (!isPathIgnored(filePath, config, rootRuleSets)) {
+        selected.push({ path: filePath, fullPath: path.join(scanRootPath, filePath) });
+      }
+    }
+    selected.sort((a, b) => a.path.localeCompare(b.path));
+  }
+
+  const withDiffs = config.gitDiff === 'alongside' || config.gitDiff === 'only';
+  for (const fileInfo of selected) {
+    const change = changes.get(fileInfo.path);
+    fileInfo.git = {
+      status: change.status,
+      oldPath: change.oldPath,
+      diff: withDiffs ? await getFileDiff(scanRootPath, fileInfo.path, change, config) : null,
+    };
+  }
+  return selected;
+}
+
+module.exports = {
+  isGitModeEnabled,
+  selectChangedFiles,
+  getChangedFiles,
+  parseNameStatus, // Exporting for potential direct use or testing
+};
@@ -0,0 +1,225 @@
+// src/glob_matcher.js
+
+const REGEX_SPECIAL_CHARS = /[.*+?^${}()|[\]\\\/]/g;
+
+/**
+ * Escapes a string so it can be embedded literally in a regular expression.
+ * @param {string} text - The text to escape.
+ * @returns {string} The escaped text.
+ */
+function escapeRegex(text) {
+  return text.replace(REGEX_SPECIAL_CHARS, '\\$&');
+}
+
+/**
+ * Converts a character class starting at `startIndex` (the '[') into regex source.
+ * Supports '[!...]' and '[^...]' negation and ranges like 'a-z'. Classes never match '/'.
+ * @param {string} glob - The full glob string.
+ * @param {number} startIndex - Index of the opening '['.
+ * @returns {{source: string, endIndex: number} | null} The regex source and index of the closing ']',
+ *                                                      or null if the class is never closed.
+ */
+function convertCharacterClass(glob, startIndex) {
+  let i = startIndex + 1;
+  let negated = false;
+  if (glob[i] === '!' || glob[i] === '^') {
+    negated = true;
+    i++;
+  }
+  let body = '';
+  // A ']' directly after the opening bracket is a literal member of the class.
+  if (glob[i] === ']') {
+    body += '\\]';
+    i++;
+  }
+  while (i < glob.length && glob[i] !== ']') {
+    const char = glob[i];
+    if (char === '\\' && i + 1 < glob.length) {
+      body += escapeRegex(glob[i + 1]);
+      i += 2;
+      continue;
+    }
+    body += (char === '[' || char === '^') ? `\\${char}` : char;
+    i++;
+  }
+  if (i >= glob.length) {
+    return null;
+  }
+  const source = negated ? `[^/${body}]` : `[${body}]`;
+  return { source, endIndex: i };
+}
+
+/**
+ * Converts a glob (without leading '!' or trailing '/') into regex source.
+ *  - '**' as a whole path segment matches zero or more directories.
+ *  - '*' matches anything except '/'.
+ *  - '?' matches a single character except '/'.
+ *  - '[...]' is a character class, '\' escapes the next character.
+ * @param {string} glob - The glob pattern.
+ * @returns {string} The regex source (without anchors).
+ */
+function globToRegexSource(glob) {
+  let source = '';
+  let i = 0;
+  while (i < glob.length) {
+    const char = glob[i];
+    const atSegmentStart = i === 0 || glob[i - 1] === '/';
+
+    if (char === '*' && glob[i + 1] === '*' && atSegmentStart) {
+      if (glob[i + 2] === '/') {
+        source += '(?:.*/)?'; // '**/' - zero or more directories
+        i += 3;
+        continue;
+      }
+      if (i + 2 === glob.length) {
+        source += '.*'; // trailing '**' - everything below
+        i += 2;
+        continue;
+      }
+    }
+
+    if (char === '*') {
+      while (glob[i] === '*') i++; // Collapse runs like '***' that are not a segment-level '**'
+      source += '[^/]*';
+      continue;
+    }
+    if (char === '?') {
+      source += '[^/]';
+      i++;
+      continue;
+    }
+    if (char === '[') {
+      const charClass = convertCharacterClass(glob, i);
+      if (charClass) {
+        source += charClass.source;
+        i = charClass.endIndex + 1;
+        continue;
+      }
+      source += '\\[';
+      i++;
+      continue;
+    }
+    if (char === '\\' && i + 1 < glob.length) {
+      source += escapeRegex(glob[i + 1]);
+      i += 2;
+      continue;
+    }
+    source += escapeRegex(char);
+    i++;
+  }
+  return source;
+}
+
+/**
+ * Compiles a single gitignore-style pattern.
+ *
+ * Semantics follow .gitignore:
+ *  - Blank lines and lines starting with '#' are not patterns.
+ *  - A leading '!' negates the pattern (re-includes a previously ignored path).
+ *  - A trailing '/' restricts the pattern to directories.
+ *  - A pattern containing a '/' anywhere but at the end is anchored to the base directory;
+ *    otherwise it "floats" and matches the name at any depth.
+ *
+ * @param {string} rawPattern - The pattern as written.
+ * @param {object} [options]
+ * @param {string} [options.source] - Human readable origin of the pattern (e.g. 'config', 'src/.gitignore').
+ * @param {boolean} [options.normalizeSlashes=false] - Treat '\' as a path separator instead of an escape
+ *                                                     (used for config entries written with Windows paths).
+ * @returns {{pattern: string, source: string, negated: boolean, dirOnly: boolean, anchored: boolean, regex: RegExp} | null}
+ *          The compiled rule, or null if the line holds no pattern.
+ */
+function compilePattern(rawPattern, options = {}) {
+  if (typeof rawPattern !== 'string') {
+    return null;
+  }
+  let pattern = options.normalizeSlashes ? rawPattern.replace(/\\/g, '/').trim() : rawPattern.trim();
+  if (pattern === '' || pattern.startsWith('#')) {
+    return null;
+  }
+
+  let negated = false;
+  if (pattern.startsWith('!')) {
+    negated = true;
+    pattern = pattern.substring(1);
+  } else if (pattern.startsWith('\\!') || pattern.startsWith('\\#')) {
+    pattern = pattern.substring(1);
+  }
+
+  let dirOnly = false;
+  while (pattern.endsWith('/')) {
+    dirOnly = true;
+    pattern = pattern.substring(0, pattern.length - 1);
+  }
+  if (pattern === '') {
+    return null;
+  }
+
+  const anchored = pattern.includes('/');
+  pattern = pattern.replace(/^\/+/, '');
+
+  const body = globToRegexSource(pattern);
+  const regex = new RegExp(anchored ? `^${body}$` : `^(?:.*/)?${body}$`);
+
+  return {
+    pattern: rawPattern.trim(),
+    source: options.source || 'config',
+    negated,
+    dirOnly,
+    anchored,
+    regex,
+  };
+}
+
+/**
+ * Tests a compiled rule against a path. Negation is not applied here; callers decide
+ * what a match of a negated rule means.
+ * @param {object} rule - A rule produced by compilePattern.
+ * @param {string} relativePath - Forward-slash path relative to the rule's base directory.
+ * @param {boolean} isDirectory - Whether the path is a directory.
+ * @returns {boolean} True if the rule's glob matches the path.
+ */
+function ruleMatches(rule, relativePath, isDirectory) {
+  if (rule.dirOnly && !isDirectory) {
+    return false;
+  }
+  return rule.regex.test(relativePath);
+}
+
+const pathPatternCache = new Map();
+
+/**
+ * Checks whether a file path is selected by a glob, as used by path-based config rules
+ * (e.g. `compressionRules[].pathPattern`). A pattern that matches one of the file's
+ * ancestor directories selects the file as well, so 'src/services' selects everything below it.
+ * @param {string} filePath - Forward-slash path relative to the scan root.
+ * @param {string} pattern - The glob pattern.
+ * @returns {boolean} True if the pattern selects the file.
+ */
+function matchesPathPattern(filePath, pattern) {
+  let rule = pathPatternCache.get(pattern);
+  if (rule === undefined) {
+    rule = compilePattern(pattern, { normalizeSlashes: true });
+    pathPatternCache.set(pattern, rule);
+  }
+  if (!rule) {
+    return false;
+  }
+  const normalizedPath = filePath.replace(/\\/g, '/');
+  if (ruleMatches(rule, normalizedPath, false)) {
+    return true;
+  }
+  const segments = normalizedPath.split('/');
+  for (let depth = segments.length - 1; depth > 0; depth--) {
+    if (ruleMatches(rule, segments.slice(0, depth).join('/'), true)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+module.exports = {
+  compilePattern,
+  ruleMatches,
+  matchesPathPattern,
+  globToRegexSource, // Exporting for potential direct use or testing
+};
@@ -1,61 +1,328 @@
 // src/ignore_handler.js
 const path = require('path');
+const { readFile, existsSync } = require('./fs_utils');
+const { compilePattern, ruleMatches } = require('./glob_matcher');
+const { logger } = require('./logger');
+
+// Per-directory ignore files and the config switch that enables each of them.
+const DIRECTORY_IGNORE_FILES = [
+  { fileName: '.gitignore', configKey: 'useGitignore' },
+  { fileName: '.collectignore', configKey: 'useCollectignore' },
+];
+
+// Compiled config.ignore entries, keyed by the raw entry. config.ignore is extended at runtime
+// (output file, SYSTEM.txt), so caching per entry rather than per array keeps this correct.
+const configRuleCache = new Map();
 
 /**
- * Checks if an item (file or directory) should be ignored based on the configuration.
- * 
+ * Compiles the entries of config.ignore into ignore rules (cached per entry).
+ * @param {string[]} ignoreEntries - The config.ignore list.
+ * @returns {Array<object>} Compiled rules, in the order of the list.
+ */
+function getConfigRules(ignoreEntries) {
+  const rules = [];
+  for (const entry of ignoreEntries || []) {
+    let rule = configRuleCache.get(entry);
+    if (rule === undefined) {
+      rule = compilePattern(entry, { source: 'config', normalizeSlashes: true });
+      configRuleCache.set(entry, rule);
+    }
+    if (rule) {
+      rules.push(rule);
+    }
+  }
+  return rules;
+}
+
+/**
+ * Parses the content of an ignore file (.gitignore syntax) into compiled rules.
+ * @param {string} content - The file content.
+ * @param {string} source - Label used when reporting where a rule came from (e.g. 'src/.gitignore').
+ * @returns {Array<object>} Compiled rules, in file order, each with the `line` it was read from.
+ */
+function parseIgnoreFile(content, source) {
+  const rules = [];
+  content.split(/\r?\n/).forEach((line, index) => {
+    // Trailing spaces are insignificant unless escaped with a backslash.
+    const trimmedLine = line.replace(/(^|[^\\])\s+$/, '$1');
+    const rule = compilePattern(trimmedLine, { source });
+    if (rule) {
+      rules.push({ ...rule, line: index + 1 });
+    }
+  });
+  return rules;
+}
+
+/**
+ * Reads an ignore file and wraps its rules in a rule set.
+ * @param {string} filePath - Absolute path of the ignore file.
+ * @param {object} scope - Where the rules apply (see toRuleSetPath).
+ * @param {string} [scope.base] - Directory of the ignore file relative to the scan root ('' for the root).
+ * @param {string} [scope.prefix] - For ignore files above the scan root: the scan root relative to their directory.
+ * @param {string} source - Label for the rules' origin.
+ * @returns {Promise<{base: string, prefix: string, rules: Array<object>} | null>} The rule set, or null if unreadable/empty.
+ */
+async function readRuleSet(filePath, scope, source) {
+  let content;
+  try {
+    content = await readFile(filePath, 'utf8');
+  } catch (error) {
+    logger.warn(`Warning: Could not read ignore file ${filePath}: ${error.message}`);
+    return null;
+  }
+  const rules = parseIgnoreFile(content, source);
+  if (rules.length === 0) {
+    return null;
+  }
+  return { base: scope.base || '', prefix: scope.prefix || '', rules };
+}
+
+/**
+ * Loads the enabled per-directory ignore files (.gitignore, .collectignore) of one directory.
+ * @param {string} dirFullPath - Absolute path of the directory.
+ * @param {string} relativeDirPath - Path of the directory relative to the scan root ('' or '.' for the root).
+ * @param {object} config - The application configuration object.
+ * @param {string[]} [entryNames] - Names in the directory, if already read, to avoid extra existence checks.
+ * @returns {Promise<Array<object>>} Rule sets, .gitignore first so .collectignore can override it.
+ */
+async function loadDirectoryIgnoreRules(dirFullPath, relativeDirPath, config, entryNames) {
+  const base = relativeDirPath === '.' ? '' : relativeDirPath.replace(/\\/g, '/');
+  const ruleSets = [];
+  for (const { fileName, configKey } of DIRECTORY_IGNORE_FILES) {
+    if (config[configKey] === false) continue;
+    const present = entryNames ? entryNames.includes(fileName) : existsSync(path.join(dirFullPath, fileName));
+    if (!present) continue;
+    const source = base ? `${base}/${fileName}` : fileName;
+    const ruleSet = await readRuleSet(path.join(dirFullPath, fileName), { base }, source);
+    if (ruleSet) ruleSets.push(ruleSet);
+  }
+  return ruleSets;
+}
+
+/**
+ * Locates the git directory of the repository containing `startPath`, following
+ * `.git` files (worktrees, submodules) to the directory that holds `info/exclude`.
+ * @param {string} startPath - Absolute path inside the repository.
+ * @returns {Promise<{workTree: string, gitDir: string} | null>} The repository paths, or null if not in a repository.
+ */
+async function findGitRepository(startPath) {
+  let current = startPath;
+  while (true) {
+    const dotGit = path.join(current, '.git');
+    if (existsSync(dotGit)) {
+      let gitDir = dotGit;
+      try {
+        const content = await readFile(dotGit, 'utf8'); // Throws EISDIR for a regular .git directory
+        const match = content.match(/^gitdir:\s*(.+)$/m);
+        if (match) {
+          gitDir = path.resolve(current, match[1].trim());
+          const commonDirFile = path.join(gitDir, 'commondir');
+          if (existsSync(commonDirFile)) {
+            gitDir = path.resolve(gitDir, (await readFile(commonDirFile, 'utf8')).trim());
+          }
+        }
+      } catch (error) {
+        // A directory: gitDir is already correct.
+      }
+      return { workTree: current, gitDir };
+    }
+    const parent = path.dirname(current);
+    if (parent === current) {
+      return null;
+    }
+    current = parent;
+  }
+}
+
+/**
+ * Loads the ignore rules that apply to the scan root from outside of it:
+ * `.git/info/exclude` of the enclosing repository and the per-directory ignore files of
+ * every directory between the repository root and the scan root (exclusive).
+ * Directories inside the scan root are handled by the scanner as it walks.
+ * @param {string} scanRootPath - Absolute path of the scan root.
+ * @param {object} config - The application configuration object.
+ * @returns {Promise<Array<object>>} Rule sets, lowest precedence first.
+ */
+async function loadRootIgnoreRules(scanRootPath, config) {
+  const wantsAncestors = DIRECTORY_IGNORE_FILES.some(({ configKey }) => config[configKey] !== false);
+  if (config.useGitInfoExclude === false && !wantsAncestors) {
+    return [];
+  }
+  const repository = await findGitRepository(scanRootPath);
+  if (!repository) {
+    return [];
+  }
+
+  const ruleSets = [];
+  const toPrefix = (dir) => path.relative(dir, scanRootPath).replace(/\\/g, '/');
+
+  if (config.useGitInfoExclude !== false) {
+    const excludePath = path.join(repository.gitDir, 'info', 'exclude');
+    if (existsSync(excludePath)) {
+      const ruleSet = await readRuleSet(excludePath, { prefix: toPrefix(repository.workTree) }, '.git/info/exclude');
+      if (ruleSet) ruleSets.push(ruleSet);
+    }
+  }
+
+  // Ancestors from the repository root down to (but excluding) the scan root.
+  const ancestors = [];
+  for (let dir = scanRootPath; dir !== repository.workTree && path.dirname(dir) !== dir;) {
+    dir = path.dirname(dir);
+    ancestors.unshift(dir);
+  }
+  for (const dir of ancestors) {
+    for (const { fileName, configKey } of DIRECTORY_IGNORE_FILES) {
+      if (config[configKey] === false) continue;
+      const ignoreFilePath = path.join(dir, fileName);
+      if (!existsSync(ignoreFilePath)) continue;
+      const source = path.relative(scanRootPath, ignoreFilePath).replace(/\\/g, '/');
+      const ruleSet = await readRuleSet(ignoreFilePath, { prefix: toPrefix(dir) }, source);
+      if (ruleSet) ruleSets.push(ruleSet);
+    }
+  }
+  return ruleSets;
+}
+
+/**
+ * Converts a path relative to the scan root into a path relative to a rule set's directory.
+ * @param {object} ruleSet - The rule set.
+ * @param {string} normalizedItemPath - Forward-slash path relative to the scan root.
+ * @returns {string|null} The path to match the set's rules against, or null if the set does not apply.
+ */
+function toRuleSetPath(ruleSet, normalizedItemPath) {
+  if (ruleSet.prefix) {
+    return `${ruleSet.prefix}/${normalizedItemPath}`;
+  }
+  if (!ruleSet.base) {
+    return normalizedItemPath;
+  }
+  if (normalizedItemPath.startsWith(`${ruleSet.base}/`)) {
+    return normalizedItemPath.substring(ruleSet.base.length + 1);
+  }
+  return null;
+}
+
+/**
+ * Applies a list of rules with last-match-wins semantics.
+ * @param {Array<object>} rules - Compiled rules.
+ * @param {string} normalizedItemPath - Forward-slash path relative to the rules' base directory.
+ * @param {boolean} isDirectory - Whether the item is a directory.
+ * @param {object|null} currentRule - The deciding rule of earlier rule lists (null if undecided).
+ * @returns {object|null} The deciding rule: it ignores the item, or re-includes it if negated; null if no rule matched.
+ */
+function applyRules(rules, normalizedItemPath, isDirectory, currentRule) {
+  let decidingRule = currentRule;
+  for (const rule of rules) {
+    if (ruleMatches(rule, normalizedItemPath, isDirectory)) {
+      decidingRule = rule;
+    }
+  }
+  return decidingRule;
+}
+
+/**
+ * Decides whether an item (file or directory) is ignored, and why.
+ *
+ * Entries in config.ignore are gitignore-style globs ('**', '*', '?', '[...]', trailing '/'
+ * for directories, leading '!' to re-include). When several patterns match, the last one wins.
+ * Note that, as with git, a file cannot be re-included if one of its parent directories is
+ * ignored, because the scanner never descends into that directory.
+ *
+ * Metadata files (ending with config.metadataSuffix) are always ignored: they are shown with the file
+ * they annotate, or apply to their directory (see metadata.js).
+ *
+ * Rules from ignore files (.git/info/exclude, .gitignore, .collectignore) are passed in as
+ * `ruleSets`, lowest precedence first. config.ignore is applied on top of them, so a config
+ * entry like '!dist/keep.js' can re-include a file that a .gitignore excludes.
+ *
  * @param {string} relativeItemPath - The relative path of the item from the scan base.
  * @param {boolean} isDirectory - True if the item is a directory, false if it's a file.
  * @param {object} config - The application configuration object.
- * @param {string[]} config.ignore - List of names or relative paths to ignore.
+ * @param {string[]} config.ignore - List of glob patterns to ignore.
  * @param {string[]} config.ignoreExtensions - List of file extensions to ignore.
  * @param {string[]} config.includeExtensions - List of file extensions to include (acts as whitelist).
- * @returns {boolean} True if the item should be ignored, false otherwise.
+ * @param {string} [config.metadataSuffix] - Suffix of metadata files.
+ * @param {Array<object>} [ruleSets=[]] - Rule sets from ignore files that are in scope for the item.
+ * @returns {{ignored: boolean, reason: 'metadataSuffix'|'pattern'|'ignoreExtensions'|'includeExtensions'|null, rule: object|null,
+ *          extension: string}} The decision. `reason` is 'pattern' when an ignore rule decided: `rule` ignores the
+ *          item, or re-includes it if `rule.negated`. The extension lists only apply to files; `extension` is the
+ *          file's extension (lowercase, without the dot). `reason` is null when no rule applies.
  */
-function shouldIgnore(relativeItemPath, isDirectory, config) {
+function explainIgnore(relativeItemPath, isDirectory, config, ruleSets = []) {
   const normalizedItemPath = relativeItemPath.replace(/\\/g, '/'); // e.g., "src/some/file.js" or "node_modules"
-  const itemName = path.basename(normalizedItemPath); // e.g., "file.js" or "node_modules"
-
-  // Dynamically add the output file to the ignore list if not already present
-  // This check should ideally be done once when config is finalized,
-  // but for safety, can be checked here or ensured by the caller.
-  // For now, assuming config.ignore is already populated with the output file.
+  const fileExtension = isDirectory ? '' : path.extname(normalizedItemPath).substring(1).toLowerCase();
+  if (!isDirectory && config.metadataSuffix && normalizedItemPath.endsWith(config.metadataSuffix)) {
+    return { ignored: true, reason: 'metadataSuffix', rule: null, extension: fileExtension };
+  }
 
-  // Check against config.ignore (names or full relative paths)
-  for (const ignoreEntry of config.ignore) {
-    const normalizedIgnoreEntry = ignoreEntry.replace(/\\/g, '/').trim();
-    if (itemName === normalizedIgnoreEntry || normalizedItemPath === normalizedIgnoreEntry) {
-      return true;
+  // Output file and SYSTEM.txt are expected to be in config.ignore already (added by the caller).
+  let rule = null;
+  for (const ruleSet of ruleSets) {
+    const ruleSetPath = toRuleSetPath(ruleSet, normalizedItemPath);
+    if (ruleSetPath !== null) {
+      rule = applyRules(ruleSet.rules, ruleSetPath, isDirectory, rule);
     }
   }
+  rule = applyRules(getConfigRules(config.ignore), normalizedItemPath, isDirectory, rule);
+  const decision = { ignored: Boolean(rule && !rule.negated), reason: rule ? 'pattern' : null, rule, extension: fileExtension };
+  if (decision.ignored || isDirectory) {
+    // For directories, only the ignore patterns apply.
+    return decision;
+  }
 
-  if (isDirectory) {
-    // For directories, only the name/path check in config.ignore applies.
-    return false;
-  } else {
-    // For files:
-    const fileExtension = path.extname(normalizedItemPath).substring(1).toLowerCase();
+  // 1. Check ignoreExtensions
+  if (config.ignoreExtensions && config.ignoreExtensions.includes(fileExtension)) {
+    return { ...decision, ignored: true, reason: 'ignoreExtensions', rule: null };
+  }
 
-    // 1. Check ignoreExtensions
-    if (config.ignoreExtensions && config.ignoreExtensions.includes(fileExtension)) {
-      return true;
-    }
+  // 2. Apply includeExtensions logic (if non-empty, acts as a whitelist)
+  // This must happen *after* pattern ignores and extension ignores.
+  if (config.includeExtensions && config.includeExtensions.length > 0 && !config.includeExtensions.includes(fileExtension)) {
+    return { ...decision, ignored: true, reason: 'includeExtensions', rule: null };
+  }
 
-    // 2. Apply includeExtensions logic (if non-empty, acts as a whitelist)
-    // This must happen *after* specific name/path ignores and extension ignores.
-    // If includeExtensions is restrictive, a file not matching it is "ignored".
-    if (config.includeExtensions && config.includeExtensions.length > 0) {
-      if (!config.includeExtensions.includes(fileExtension)) {
-        return true; // Ignored because it's not in the include list
-      }
+  // Not ignored by pattern or extension rules; if includeExtensions is used, it passed that whitelist.
+  return decision;
+}
+
+/**
+ * Checks if an item (file or directory) should be ignored based on the configuration.
+ * See explainIgnore for the rules.
+ *
+ * @param {string} relativeItemPath - The relative path of the item from the scan base.
+ * @param {boolean} isDirectory - True if the item is a directory, false if it's a file.
+ * @param {object} config - The application configuration object.
+ * @param {Array<object>} [ruleSets=[]] - Rule sets from ignore files that are in scope for the item.
+ * @returns {boolean} True if the item should be ignored, false otherwise.
+ */
+function shouldIgnore(relativeItemPath, isDirectory, config, ruleSets = []) {
+  return explainIgnore(relativeItemPath, isDirectory, config, ruleSets).ignored;
+}
+
+/**
+ * Checks a file path the way a directory scan would reach it: the file is ignored if any of its
+ * ancestor directories is ignored, or if the file itself is. Used for paths that are not found by
+ * scanning, such as files deleted in git.
+ * @param {string} relativeFilePath - Path of the file relative to the scan root.
+ * @param {object} config - The application configuration.
+ * @param {Array<object>} [ruleSets=[]] - Rule sets from ignore files.
+ * @returns {boolean} True if the file would not be collected.
+ */
+function isPathIgnored(relativeFilePath, config, ruleSets = []) {
+  const segments = relativeFilePath.replace(/\\/g, '/').split('/');
+  for (let depth = 1; depth < segments.length; depth++) {
+    if (shouldIgnore(segments.slice(0, depth).join('/'), true, config, ruleSets)) {
+      return true;
     }
-    
-    // If we reach here, the file is not ignored by name, path, or extension rules,
-    // and if includeExtensions is used, it passed that whitelist.
-    return false;
   }
+  return shouldIgnore(segments.join('/'), false, config, ruleSets);
 }
 
 module.exports = {
   shouldIgnore,
-};
\ No newline at end of file
+  explainIgnore,
+  isPathIgnored,
+  loadDirectoryIgnoreRules,
+  loadRootIgnoreRules,
+  parseIgnoreFile, // Exporting for potential direct use or testing
+};
@@ -0,0 +1,28 @@
+// src/index.js
+// The library API. The command line tool (src/main.js) is built on the same functions.
+const { version } = require('../package.json');
+const { collect, createCollector } = require('./collector');
+const { unpack } = require('./unpacker');
+const { resolveConfig, DEFAULT_CONFIG, CONFIG_PRESETS } = require('./config_manager');
+const { validateConfig } = require('./config_schema');
+const { RENDERERS, getRenderer } = require('./renderers');
+const { estimateTokens } = require('./token_estimator');
+const { ConfigError, SecretsError, UsageError, PluginError } = require('./errors');
+
+module.exports = {
+  collect,
+  createCollector,
+  unpack,
+  resolveConfig,
+  validateConfig,
+  DEFAULT_CONFIG,
+  CONFIG_PRESETS,
+  RENDERERS,
+  getRenderer,
+  estimateTokens,
+  ConfigError,
+  SecretsError,
+  UsageError,
+  PluginError,
+  version,
+};
@@ -0,0 +1,72 @@
+// src/logger.js
+const util = require('util');
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Progress and diagnostics go to stderr, so stdout only ever carries the output itself (see '-o -').
+//   quiet:   warnings and errors
+//   normal:  plus progress (files found, output written...)
+//   verbose: plus details (effective ignore patterns, config files, cache stats...)
+const LOG_LEVELS = {
+  quiet: 0,
+  normal: 1,
+  verbose: 2,
+};
+
+let currentLevel = LOG_LEVELS.normal;
+
+// Handler that receives the messages logged by the current call chain instead of stderr (see routeLogs).
+const logRouting = new AsyncLocalStorage();
+
+/**
+ * Sets how much is logged.
+ * @param {'quiet'|'normal'|'verbose'} level - The level.
+ * @throws {Error} If the level is unknown.
+ */
+function setLogLevel(level) {
+  if (LOG_LEVELS[level] === undefined) {
+    throw new Error(`Unknown log level '${level}'. Available levels: ${Object.keys(LOG_LEVELS).join(', ')}.`);
+  }
+  currentLevel = LOG_LEVELS[level];
+}
+
+/**
+ * Runs a function with every message it logs (including from async work it starts) passed to
+ * `handler` instead of being written to stderr, regardless of the log level. Used by the library
+ * API, which reports messages as events and never writes to the console itself.
+ * @param {function('error'|'warn'|'info'|'debug', string): void} handler - Receives the method and the formatted message.
+ * @param {function(): *} fn - The function.
+ * @returns {*} What `fn` returns.
+ */
+function routeLogs(handler, fn) {
+  return logRouting.run(handler, fn);
+}
+
+/**
+ * Writes a message to stderr when the current level includes `level`, or passes it to the handler of routeLogs.
+ * @param {'error'|'warn'|'info'|'debug'} method - The logger method.
+ * @param {number} level - The minimum level (see LOG_LEVELS).
+ * @param {Array<*>} args - Arguments, formatted like console.log.
+ */
+function write(method, level, args) {
+  const handler = logRouting.getStore();
+  if (handler) {
+    // The handler itself may log (e.g. the CLI forwards the messages to the logger): that goes to stderr.
+    logRouting.exit(() => handler(method, util.format(...args)));
+  } else if (currentLevel >= level) {
+    process.stderr.write(util.format(...args) + '\n');
+  }
+}
+
+const logger = {
+  error: (...args) => write('error', LOG_LEVELS.quiet, args),
+  warn: (...args) => write('warn', LOG_LEVELS.quiet, args),
+  info: (...args) => write('info', LOG_LEVELS.normal, args),
+  debug: (...args) => write('debug', LOG_LEVELS.verbose, args),
+};
+
+module.exports = {
+  logger,
+  setLogLevel,
+  routeLogs,
+  LOG_LEVELS,
+};
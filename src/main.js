@@ -1,109 +1,406 @@
 #!/usr/bin/env node
+// src/main.js
+// The command line tool: a thin wrapper around the library API (see collector.js).
 
 const path = require('path');
-// Updated path to require package.json from one directory up
-const { version } = require('../package.json'); // For displaying version if needed
 
 // Import modularized functions
-const { readFile, writeFile } = require('./fs_utils'); // These are in the same src/ directory
-const { loadConfig, createConfigFile, UNIVERSAL_INIT_CONFIG } = require('./config_manager');
-const { parseArgs, showHelp, DEFAULT_CONFIG_FILENAME } = require('./cli_parser');
-const { scanProjectFiles, findSystemFile } = require('./file_scanner');
-const { processFileContent, pathToAnchor } = require('./file_processor');
-// Note: ignore_handler.js is used internally by file_scanner.js
+const { readFile, ATOMIC_TEMP_SUFFIX } = require('./fs_utils'); // These are in the same src/ directory
+const { resolveConfig, formatConfigWithSources, createConfigFile, UNIVERSAL_INIT_CONFIG, DEFAULT_CONFIG_FILENAME, COMMAND_LINE_SOURCE } = require('./config_manager');
+const { ConfigError, UsageError, SecretsError, PluginError } = require('./errors');
+const { logger, setLogLevel } = require('./logger');
+const { parseArgs, showHelp } = require('./cli_parser');
+const { clearCache, getCacheDirPath } = require('./cache');
+const {
+  createCollector, prepareRun, logRunSettings, collectFiles, explainPaths, isWithinRoots, processFiles, checkSecrets, renderOutputs,
+  writeOutputs,
+} = require('./collector');
+const { formatSize } = require('./content_sniffer');
+const { resolveRoots } = require('./file_scanner');
+const { shouldIgnore, isPathIgnored } = require('./ignore_handler');
+const { watchDirectory } = require('./watcher');
+const { unpack } = require('./unpacker');
+const { DIRECTORY_METADATA_NAME } = require('./metadata');
+
+// Files whose changes matter in watch mode even though they are never collected themselves.
+const WATCHED_CONTROL_FILES = ['SYSTEM.txt', 'POSTAMBLE.txt', '.gitignore', '.collectignore'];
+
+// Minimum time (ms) between two redraws of the progress line.
+const PROGRESS_INTERVAL_MS = 100;
+
+/**
+ * Reads a list of paths, one per line or NUL-separated (as printed by `git ls-files -z` or `rg -l -0`).
+ * @param {string} source - The file holding the list, or '-' for stdin.
+ * @returns {Promise<string[]>} The paths, without empty entries.
+ */
+async function readPathList(source) {
+  let content;
+  if (source === '-') {
+    const chunks = [];
+    for await (const chunk of process.stdin) chunks.push(chunk);
+    content = Buffer.concat(chunks).toString('utf8');
+  } else {
+    try {
+      content = await readFile(source, 'utf8');
+    } catch (error) {
+      throw new UsageError(`Cannot read --files-from '${source}': ${error.message}`);
+    }
+  }
+  return content.split(content.includes('\0') ? '\0' : /\r?\n/).filter(Boolean);
+}
+
+/**
+ * Maps the parsed command line arguments to the options of collect, reading the --files-from list.
+ * @param {object} cliArgs - Parsed command line arguments.
+ * @returns {Promise<{paths: string[]|undefined, configFile: string, config: object, profiles: string[], allProfiles: boolean}>}
+ *          The collect options; `paths` is undefined when none are given (the profiles' or '.').
+ */
+async function toCollectOptions(cliArgs) {
+  const listedPaths = cliArgs.filesFrom ? await readPathList(cliArgs.filesFrom) : [];
+  const paths = cliArgs.paths.length || cliArgs.filesFrom ? [...cliArgs.paths, ...listedPaths] : undefined;
+  return { paths, configFile: cliArgs.configFile, config: cliArgs.overrides, profiles: cliArgs.profiles, allProfiles: cliArgs.allProfiles };
+}
+
+/**
+ * Logs the secrets found in a build that had to fail on them.
+ * @param {SecretsError} error - The error thrown by checkSecrets.
+ */
+function reportSecrets(error) {
+  logger.error(error.message.replace(/\.$/, ':'));
+  for (const file of error.files) {
+    for (const finding of file.redactions) {
+      logger.error(`  ${file.path}:${finding.line}  ${finding.rule}${finding.source === 'content' ? '' : ` (in ${finding.source})`}`);
+    }
+  }
+  logger.error('Output not written. Remove the secrets, or add false positives to "secretAllowlist" in the config file.');
+}
+
+/**
+ * Forwards the log messages of a collector to the logger and, when stderr is a terminal, shows how
+ * far the processing of the files is on a single line that is redrawn in place. Log messages are
+ * written above that line. Redirected stderr only gets the log messages.
+ * @param {EventEmitter} collector - The collector (see createCollector).
+ * @param {string} logLevel - The log level; no progress is shown when 'quiet'.
+ * @returns {function(): void} Removes the progress line (for when the build ends early with an error).
+ */
+function followCollector(collector, logLevel) {
+  let shown = false;
+  let drawnAt = 0;
+  const clearProgress = () => {
+    if (shown) {
+      process.stderr.write('\r\x1b[K');
+      shown = false;
+    }
+  };
+  collector.on('log', ({ level, message }) => {
+    clearProgress();
+    logger[level](message);
+  });
+  if (!process.stderr.isTTY || logLevel === 'quiet') {
+    return clearProgress;
+  }
+  collector.on('file', ({ completed, total }) => {
+    if (completed === total) {
+      clearProgress();
+      return;
+    }
+    if (Date.now() - drawnAt < PROGRESS_INTERVAL_MS) {
+      return;
+    }
+    drawnAt = Date.now();
+    // Files are processed while the scan goes on: the total is only known once it ends.
+    const counts = total === null ? `${completed} (scanning...)` : `${completed}/${total} (${Math.floor((completed / total) * 100)}%)`;
+    process.stderr.write(`\r\x1b[KProcessing files: ${counts}`);
+    shown = true;
+  });
+  return clearProgress;
+}
+
+/**
+ * Prints the files a build would write, with their sizes and estimated tokens (for --dry-run).
+ * @param {object} result - The result of collect.
+ */
+function printDryRun(result) {
+  const rows = result.files.map(file => [
+    typeof file.size === 'number' ? formatSize(file.size) : '-',
+    file.tokens.toLocaleString(),
+    file.status === 'ok' ? file.path : `${file.path} (${file.status})`,
+  ]);
+  rows.unshift(['Size', 'Tokens', 'Path']);
+  const widths = [0, 1].map(column => Math.max(...rows.map(row => row[column].length)));
+  for (const [size, tokens, filePath] of rows) {
+    console.log(`${size.padStart(widths[0])}  ${tokens.padStart(widths[1])}  ${filePath}`);
+  }
+  const partCount = result.outputs.length > 1 ? result.outputs.length - 1 : 0; // Parts are followed by the index
+  console.log(`\nDry run: ${result.stats.fileCount} files, ~${result.stats.tokens.toLocaleString()} tokens, ${formatSize(result.stats.bytes)}`
+    + ` would be written to ${result.outputPath || 'stdout'}${partCount ? ` in ${partCount} parts` : ''}. Nothing was written.`);
+}
+
+/**
+ * Writes the files of markdown bundles back to disk (the 'unpack' command), printing the diff of
+ * every change and a summary.
+ * @param {object} cliArgs - Parsed command line arguments: the bundles in `paths`, `target` and `dryRun`.
+ * @returns {Promise<void>}
+ */
+async function runUnpack(cliArgs) {
+  if (cliArgs.paths.length === 0) {
+    throw new UsageError('unpack needs the markdown bundle to read, e.g. collect-files unpack output.md');
+  }
+  const result = await unpack(cliArgs.paths, { root: cliArgs.target || '.', dryRun: cliArgs.dryRun });
+  const counts = { created: 0, modified: 0, unchanged: 0, skipped: 0 };
+  for (const file of result.files) {
+    counts[file.status]++;
+    if (file.status === 'skipped') {
+      logger.warn(`Warning: Skipping ${file.path}: ${file.reason}.`);
+    } else if (file.diff) {
+      console.log(file.diff);
+    }
+  }
+  const summary = Object.entries(counts).filter(([, count]) => count > 0).map(([status, count]) => `${count} ${status}`).join(', ');
+  logger.info(cliArgs.dryRun
+    ? `Dry run in ${result.root}: ${summary}. Nothing was written.`
+    : `Unpacked into ${result.root}: ${summary}.`);
+}
+
+/**
+ * Watches the scan root and rebuilds the output after changes, re-processing only the files that
+ * were added or changed. A change of a config file triggers a full rebuild; a change of a SYSTEM.txt or
+ * POSTAMBLE.txt re-reads them; a change of a metadata file re-processes its main file, or every file of its
+ * directory for a directory metadata file.
+ * @param {object} options - The collect options (see toCollectOptions).
+ * @param {object} initialRun - The run of the initial build.
+ * @param {Map<string, object>} initialResults - The results of the initial build, keyed by path (records of initialRun.store).
+ * @returns {{close: function(): Promise<void>}} Handle to stop watching; closes the store of the results.
+ */
+function watchAndRebuild(options, initialRun, initialResults) {
+  let run = initialRun;
+  let results = initialResults;
+  let watcher = null;
+  const configPath = path.resolve(process.cwd(), options.configFile || DEFAULT_CONFIG_FILENAME);
+  // The project config file (even before it exists) and every config file the configuration was read from.
+  const isConfigFile = (fullPath) => fullPath === configPath || run.configFiles.includes(fullPath);
+
+  const ignorePath = (relativePath, isDirectory) => {
+    if (isDirectory) {
+      return !isWithinRoots(run, relativePath) || shouldIgnore(relativePath, true, run.config);
+    }
+    if (relativePath.endsWith(ATOMIC_TEMP_SUFFIX)) return true;
+    if (isConfigFile(path.join(run.scanRootPath, relativePath))) return false;
+    if (WATCHED_CONTROL_FILES.includes(path.posix.basename(relativePath))) return false;
+    // Metadata files are never collected, but they change the files they describe.
+    if (run.config.metadataSuffix && relativePath.endsWith(run.config.metadataSuffix)) return !isWithinRoots(run, relativePath);
+    return !isWithinRoots(run, relativePath) || isPathIgnored(relativePath, run.config);
+  };
+
+  const rebuild = async (changedFullPaths) => {
+    const configChanged = changedFullPaths.some(isConfigFile);
+    const changedPaths = new Set(changedFullPaths.map(fullPath => path.relative(run.scanRootPath, fullPath).replace(/\\/g, '/')));
+    const systemChanged = [...changedPaths].some(changedPath => ['SYSTEM.txt', 'POSTAMBLE.txt'].includes(path.posix.basename(changedPath)));
+
+    if (configChanged) {
+      logger.info('\nConfig file changed: full rebuild.');
+      const previousStore = run.store;
+      run = await prepareRun(options);
+      results = new Map();
+      await previousStore.close();
+      logRunSettings(run);
+      // Ignore patterns may have changed: watch the tree again with the new configuration.
+      watcher.close();
+      watcher = startWatching();
+    } else if (systemChanged) {
+      logger.info('\nSYSTEM.txt or POSTAMBLE.txt changed: reading them again.');
+      run = { ...await prepareRun(options), store: run.store }; // Keeps the results, so their store too
+    }
+
+    // A changed metadata file changes the output of its main file, or of every file below its directory.
+    const metadataSuffix = run.config.metadataSuffix;
+    const changedDirectories = [];
+    if (metadataSuffix) {
+      for (const changedPath of [...changedPaths]) {
+        if (!changedPath.endsWith(metadataSuffix)) continue;
+        const mainPath = changedPath.slice(0, -metadataSuffix.length);
+        if (path.posix.basename(mainPath) === DIRECTORY_METADATA_NAME) {
+          changedDirectories.push(path.posix.dirname(mainPath));
+        } else {
+          changedPaths.add(mainPath);
+        }
+      }
+    }
+
+    const filesToProcess = await collectFiles(run);
+    for (const fileInfo of filesToProcess) {
+      if (changedDirectories.some(directory => directory === '.' || fileInfo.path.startsWith(`${directory}/`))) {
+        changedPaths.add(fileInfo.path);
+      }
+    }
+    const collectedPaths = new Set(filesToProcess.map(fileInfo => fileInfo.path));
+    const addedCount = filesToProcess.filter(fileInfo => !results.has(fileInfo.path)).length;
+    const removedCount = [...results.keys()].filter(filePath => !collectedPaths.has(filePath)).length;
+    const changedCount = filesToProcess.filter(fileInfo => results.has(fileInfo.path) && changedPaths.has(fileInfo.path)).length;
+    if (!configChanged && !systemChanged && addedCount + removedCount + changedCount === 0) {
+      return; // Only files that are not collected changed.
+    }
+
+    results = new Map((await processFiles(run, filesToProcess, results, changedPaths)).map(result => [result.path, result]));
+    try {
+      checkSecrets(run, [...results.values()]);
+    } catch (error) {
+      if (!(error instanceof SecretsError)) throw error;
+      reportSecrets(error);
+      return;
+    }
+    await writeOutputs(run, (await renderOutputs(run, filesToProcess, [...results.values()])).outputs);
+    logger.info(`Rebuilt at ${new Date().toLocaleTimeString()}: ${changedCount} changed, ${addedCount} added, ${removedCount} removed. Watching for changes...`);
+  };
+
+  const startWatching = () => watchDirectory(run.scanRootPath, {
+    debounceMs: run.config.watchDebounceMs,
+    ignorePath,
+    extraFiles: [...new Set([configPath, ...run.configFiles])],
+  }, rebuild);
+
+  watcher = startWatching();
+  logger.info(`\nWatching ${run.scanRootPath} for changes (Ctrl+C to stop)...`);
+  return {
+    async close() {
+      watcher.close();
+      await run.store.close();
+    },
+  };
+}
+
+/**
+ * Ends the process quietly when the reader of stdout goes away (e.g. `collect-files src -o - | head`):
+ * the rest of the output is not wanted, which is not an error.
+ */
+function exitWhenStdoutCloses() {
+  process.stdout.on('error', (error) => {
+    if (error.code !== 'EPIPE') {
+      throw error;
+    }
+    process.exit(0);
+  });
+}
 
 async function main() {
+  exitWhenStdoutCloses();
   try {
     const cliArgs = parseArgs(process.argv);
+    setLogLevel(cliArgs.logLevel);
 
     if (cliArgs.help) {
       showHelp();
       return;
     }
 
-    if (cliArgs.init) {
-      await createConfigFile(cliArgs.configFile || DEFAULT_CONFIG_FILENAME, UNIVERSAL_INIT_CONFIG);
+    if (cliArgs.command === 'unpack') {
+      await runUnpack(cliArgs);
       return;
     }
 
-    let config = await loadConfig(cliArgs.configFile);
-    if (cliArgs.output) {
-      config.output = cliArgs.output;
+    if (cliArgs.target) {
+      throw new UsageError('--to is an option of the unpack command.');
     }
 
-    const currentWorkingDirectory = process.cwd();
-    const scanRootPath = path.resolve(currentWorkingDirectory, cliArgs.directory);
-
-    let systemFilePreamble = '';
-    const systemFileInfo = await findSystemFile(scanRootPath, config);
-
-    if (systemFileInfo) {
-      console.log(`Using SYSTEM.txt found at: ${systemFileInfo.fullPath}`);
-      try {
-        const content = await readFile(systemFileInfo.fullPath, 'utf8');
-        systemFilePreamble = `SYSTEM: ${content.trim()}\n\n`;
-        if (systemFileInfo.relativePath && !config.ignore.includes(systemFileInfo.relativePath)) {
-          config.ignore.push(systemFileInfo.relativePath);
-        }
-      } catch (err) {
-        console.warn(`Could not read selected SYSTEM.txt ${systemFileInfo.fullPath}: ${err.message}`);
-      }
+    if (cliArgs.init) {
+      await createConfigFile(cliArgs.configFile || DEFAULT_CONFIG_FILENAME, UNIVERSAL_INIT_CONFIG);
+      return;
     }
 
-    const outputFileName = path.basename(config.output);
-    if (outputFileName && !config.ignore.includes(outputFileName)) {
-      config.ignore.push(outputFileName);
-    }
-    const outputPathRelativeToCwd = path.relative(currentWorkingDirectory, path.resolve(currentWorkingDirectory, config.output)).replace(/\\/g, '/');
-    if (outputPathRelativeToCwd && !config.ignore.includes(outputPathRelativeToCwd) && outputPathRelativeToCwd !== outputFileName) {
-      config.ignore.push(outputPathRelativeToCwd);
+    if (cliArgs.printConfig) {
+      const { config, sources } = await resolveConfig({ configFile: cliArgs.configFile, overrides: cliArgs.overrides, profiles: cliArgs.profiles });
+      console.log(formatConfigWithSources(config, sources));
+      return;
     }
-    // Add metadata file for output to ignores.
-    // This ensures that if output.md.meta.txt exists, it's not included.
-    // The shouldIgnore in ignore_handler.js handles this based on config.metadataSuffix.
-    // No explicit push here is needed if ignore_handler is correctly set up.
 
-    console.log(`Starting scan in: ${scanRootPath}`);
-    console.log(`Outputting to: ${path.resolve(currentWorkingDirectory, config.output)}`);
-    if (config.ignore.length) console.log(`Effective ignore patterns (names/paths relative to scan root, or basenames): ${config.ignore.join(', ')}`);
-    if (config.ignoreExtensions.length) console.log(`Ignoring extensions: ${config.ignoreExtensions.join(', ')}`);
-    if (config.includeExtensions.length) console.log(`Including only extensions: ${config.includeExtensions.join(', ')}`);
-    if (config.metadataSuffix) console.log(`Using metadata file suffix: ${config.metadataSuffix} (these will be ignored as primary files)`);
+    const options = await toCollectOptions(cliArgs);
 
+    if (cliArgs.clearCache) {
+      const { config: { cacheDir }, paths: profilePaths } = await resolveConfig({
+        configFile: cliArgs.configFile, overrides: cliArgs.overrides, profiles: cliArgs.profiles,
+      });
+      const { scanRootPath } = await resolveRoots(options.paths || profilePaths || ['.'], process.cwd()).catch(error => {
+        throw new UsageError(error.message);
+      });
+      const cacheDirPath = getCacheDirPath(scanRootPath, cacheDir);
+      logger.info(await clearCache(cacheDirPath) ? `Cleared cache: ${cacheDirPath}` : `No cache to clear at ${cacheDirPath}`);
+    }
 
-    const filesToProcess = await scanProjectFiles(scanRootPath, config);
-    console.log(`Found ${filesToProcess.length} files matching criteria.`);
+    if (cliArgs.allProfiles && (cliArgs.watch || cliArgs.explain.length || cliArgs.profiles.length)) {
+      throw new UsageError('--all-profiles cannot be combined with --profile, --explain or --watch.');
+    }
 
-    if (filesToProcess.length === 0) {
-        console.log("No files found to process. Output file will not be created or will be minimal.");
+    if (cliArgs.explain.length) {
+      const run = await prepareRun(options);
+      for (const explanation of await explainPaths(run, cliArgs.explain)) {
+        console.log(`${explanation.path}${explanation.exists ? '' : ' (does not exist)'}: ${explanation.message}`);
+      }
+      return;
     }
 
-    const processedFileMarkdownPromises = filesToProcess.map(fileInfo =>
-      processFileContent(fileInfo, config)
-    );
-    const processedFileResults = await Promise.all(processedFileMarkdownPromises);
+    if (cliArgs.dryRun) {
+      const collector = createCollector(options);
+      const clearProgress = followCollector(collector, cliArgs.logLevel);
+      const result = await collector.run().finally(clearProgress);
+      if (cliArgs.allProfiles) {
+        result.forEach((profileResult, index) => {
+          console.log(`${index ? '\n' : ''}Profile '${profileResult.profile}':`);
+          printDryRun(profileResult);
+        });
+      } else {
+        printDryRun(result);
+      }
+      return;
+    }
 
-    const titleScanDir = path.relative(currentWorkingDirectory, scanRootPath).replace(/\\/g, '/') || '.';
-    const mdHeader = [
-      `# Project Files\n`,
-      `*Generated on: ${new Date().toLocaleString()}*\n`,
-      `*Tool Version: ${version}*\n`,
-      `*Starting directory: ${titleScanDir}*\n\n`,
-      `## Table of Contents\n`,
-      ...processedFileResults.map(file => `- [${file.path}](#${pathToAnchor(file.path)})`),
-      `\n`
-    ].join('\n');
+    if (cliArgs.watch) {
+      const watchOptions = { ...options, stream: true };
+      const run = await prepareRun(watchOptions);
+      if (!run.outputPath) {
+        throw new UsageError('--watch cannot write the output to stdout. Use -o <filename>.');
+      }
+      logRunSettings(run);
+      const filesToProcess = await collectFiles(run);
+      const results = await processFiles(run, filesToProcess);
+      checkSecrets(run, results);
+      await writeOutputs(run, (await renderOutputs(run, filesToProcess, results)).outputs);
 
-    const mdBody = processedFileResults.map(file => file.markdown).join('');
-    const finalMarkdown = systemFilePreamble + mdHeader + mdBody;
+      const watching = watchAndRebuild(watchOptions, run, new Map(results.map(result => [result.path, result])));
+      process.on('SIGINT', () => {
+        watching.close().finally(() => {
+          logger.info('\nStopped watching.');
+          process.exit(0);
+        });
+      });
+      return;
+    }
 
-    await writeFile(path.resolve(currentWorkingDirectory, config.output), finalMarkdown, 'utf8');
-    console.log(`Successfully wrote ${processedFileResults.length} files to ${path.resolve(currentWorkingDirectory, config.output)}`);
+    const collector = createCollector({ ...options, write: true, stream: true });
+    const clearProgress = followCollector(collector, cliArgs.logLevel);
+    await collector.run().finally(clearProgress);
 
   } catch (error) {
-    console.error('An error occurred during execution:', error);
+    // An invalid value given as an option (rather than in a config file) is a usage error too.
+    if (error instanceof UsageError || (error instanceof ConfigError && error.source === COMMAND_LINE_SOURCE)) {
+      logger.error(`Error: ${error.message}\nRun 'collect-files --help' for the available options.`);
+    } else if (error instanceof ConfigError) {
+      logger.error(`Error: ${error.message}`);
+    } else if (error instanceof PluginError) {
+      logger.error(`Error: ${error.message}`);
+      if (error.cause) logger.debug(error.cause.stack); // With --verbose: where in the plugin
+    } else if (error instanceof SecretsError) {
+      reportSecrets(error);
+    } else {
+      logger.error('An error occurred during execution:', error);
+    }
     process.exit(1);
   }
 }
 
-main();
\ No newline at end of file
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  main,
+};
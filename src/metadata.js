@@ -0,0 +1,219 @@
+// src/metadata.js
+const path = require('path');
+const { readFile } = require('./fs_utils');
+const { TRUNCATION_STRATEGIES } = require('./truncation');
+const { parseByteSize } = require('./output_splitter');
+const { logger } = require('./logger');
+
+// Metadata files (the file name plus config.metadataSuffix, e.g. 'app.js.meta.txt') annotate one file.
+// A metadata file named after this (e.g. '_dir.meta.txt') annotates its whole directory instead.
+//
+// Both can start with a front matter block of directives, between two '---' lines:
+//   ---
+//   priority: 10                      Token budget priority (see token_budget.js), instead of config.priorities
+//   exclude: true                     Leave the file (or the directory) out
+//   compress: extract_signatures      Compression strategies, comma-separated, or 'none'
+//   truncate: head_tail, 200 lines    Truncation strategy and limits ('N lines', 'N tokens', a byte size), or 'none'
+//   ---
+// Lines starting with '#' are comments. The text after the block is the metadata shown with the file;
+// for a directory, it is context shown before the first file of the directory. Directives of a directory
+// apply to everything below it (except 'exclude', which already leaves all of it out); deeper directories
+// and the files' own metadata override them.
+const DIRECTORY_METADATA_NAME = '_dir';
+
+/**
+ * Reads the value of a 'compress' directive.
+ * @param {string} value - The value, e.g. 'extract_signatures, strip_comments' or 'none'.
+ * @returns {{strategy: string[]}|null} The compression rule, or null for 'none'.
+ * @throws {Error} If no strategy is named.
+ */
+function parseCompressDirective(value) {
+  if (value === 'none') {
+    return null;
+  }
+  const strategy = value.split(/[\s,]+/).filter(Boolean);
+  if (strategy.length === 0) {
+    throw new Error("name the compression strategies, or 'none'");
+  }
+  return { strategy };
+}
+
+/**
+ * Reads the value of a 'truncate' directive: an optional strategy followed by limits, e.g.
+ * 'head_tail, 200 lines', 'tail 5000 tokens' or '50kb'.
+ * @param {string} value - The value, or 'none' for no limits.
+ * @returns {{strategy: string, maxLines?: number, maxTokens?: number, maxBytes?: number}|null} The truncation
+ *          rule (see truncation.js), or null for 'none'.
+ * @throws {Error} If a part of the value cannot be read or no limit is given.
+ */
+function parseTruncateDirective(value) {
+  if (value === 'none') {
+    return null;
+  }
+  const rule = { strategy: 'head' };
+  const [first, ...rest] = value.split(',').map(piece => piece.trim());
+  const strategyMatch = first.match(/^([a-z_]+)(?:\s+(.*))?$/);
+  let pieces = [first, ...rest];
+  if (strategyMatch && TRUNCATION_STRATEGIES.includes(strategyMatch[1])) {
+    rule.strategy = strategyMatch[1];
+    pieces = [strategyMatch[2], ...rest];
+  }
+  for (const piece of pieces.filter(Boolean)) {
+    const count = piece.match(/^(\d+)\s*(lines?|tokens?)$/);
+    if (count) {
+      rule[count[2].startsWith('line') ? 'maxLines' : 'maxTokens'] = Number(count[1]);
+      continue;
+    }
+    try {
+      rule.maxBytes = parseByteSize(piece, 'limit');
+    } catch (error) {
+      throw new Error(`cannot read '${piece}' (use a strategy (${TRUNCATION_STRATEGIES.join(', ')}), 'N lines', 'N tokens' or a byte size)`);
+    }
+  }
+  if (!rule.maxLines && !rule.maxTokens && !rule.maxBytes) {
+    throw new Error("give a limit (e.g. '200 lines', '5000 tokens' or '50kb'), or 'none'");
+  }
+  return rule;
+}
+
+/**
+ * Splits the text of a metadata file into its front matter directives and its body.
+ * @param {string} text - The text of the metadata file.
+ * @returns {{directives: {priority?: number, exclude?: boolean, compress?: object|null, truncate?: object|null},
+ *          body: string, problems: Array<{line: number, message: string}>}} The directives that were read (a
+ *          null `compress` or `truncate` turns the configured rules off), the trimmed body, and the lines that
+ *          could not be read.
+ */
+function parseFrontMatter(text) {
+  const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/);
+  const result = { directives: {}, body: text.trim(), problems: [] };
+  if (lines[0].trim() !== '---') {
+    return result;
+  }
+  const end = lines.findIndex((line, index) => index > 0 && line.trim() === '---');
+  if (end === -1) {
+    result.problems.push({ line: 1, message: "the front matter has no closing '---' line; reading the file as text" });
+    return result;
+  }
+
+  result.body = lines.slice(end + 1).join('\n').trim();
+  for (let index = 1; index < end; index++) {
+    const line = lines[index].trim();
+    if (!line || line.startsWith('#')) continue;
+    const problem = (message) => result.problems.push({ line: index + 1, message });
+    const match = line.match(/^([A-Za-z]+)\s*:\s*(.*)$/);
+    if (!match) {
+      problem(`expected 'name: value', found '${line}'`);
+      continue;
+    }
+    const [, name, value] = match;
+    try {
+      if (name === 'priority') {
+        if (!/^-?\d+(\.\d+)?$/.test(value)) throw new Error(`expected a number, found '${value}'`);
+        result.directives.priority = Number(value);
+      } else if (name === 'exclude') {
+        if (!['true', 'false'].includes(value)) throw new Error(`expected true or false, found '${value}'`);
+        result.directives.exclude = value === 'true';
+      } else if (name === 'compress') {
+        result.directives.compress = parseCompressDirective(value);
+      } else if (name === 'truncate') {
+        result.directives.truncate = parseTruncateDirective(value);
+      } else {
+        problem(`unknown directive '${name}' (use priority, exclude, compress or truncate)`);
+      }
+    } catch (error) {
+      problem(`${name}: ${error.message}`);
+    }
+  }
+  return result;
+}
+
+/**
+ * Creates a reader for the metadata files of a scan: it reads the directory metadata files once,
+ * combines their directives down the directory tree, and warns once about lines it cannot read.
+ * With an empty config.metadataSuffix there are no metadata files and the reader finds nothing.
+ * @param {string} scanRootPath - The absolute path of the scan root.
+ * @param {object} config - The application configuration.
+ * @returns {{
+ *   describe: function(string, boolean, string[]=): Promise<{directives: object, excludedBy: string|null}>,
+ *   contexts: function(): Promise<Array<{directory: string, source: string, content: string}>>
+ * }} The reader. describe(relativePath, isDirectory, entryNames) gives the directives that apply to a file (none
+ *    for a directory) and the metadata file that excludes it, if any; `entryNames` are the names in the file's
+ *    directory, to skip reading metadata files that are not there. contexts() lists the bodies of the directory
+ *    metadata files read so far, for directories that are not excluded.
+ */
+function createMetadataReader(scanRootPath, config) {
+  const suffix = config.metadataSuffix;
+  const files = new Map(); // Relative path of a metadata file -> Promise of its parsed front matter (or null)
+  const chains = new Map(); // Relative directory -> Promise of the directives its files inherit
+
+  const readMetadata = (relativePath) => {
+    if (!files.has(relativePath)) {
+      files.set(relativePath, readFile(path.join(scanRootPath, relativePath), 'utf8').then((text) => {
+        const parsed = parseFrontMatter(text);
+        for (const { line, message } of parsed.problems) {
+          logger.warn(`Warning: ${relativePath} (line ${line}): ${message}.`);
+        }
+        return parsed;
+      }, (error) => {
+        if (error.code !== 'ENOENT' && error.code !== 'EISDIR') {
+          logger.warn(`Warning: Could not read metadata file ${relativePath}: ${error.message}`);
+        }
+        return null;
+      }));
+    }
+    return files.get(relativePath);
+  };
+  const directoryMetadataPath = (relativeDir) => path.posix.join(relativeDir, DIRECTORY_METADATA_NAME + suffix);
+  const inheritedDirectives = (relativeDir) => {
+    if (!chains.has(relativeDir)) {
+      const parentDir = relativeDir === '.' ? null : path.posix.dirname(relativeDir);
+      chains.set(relativeDir, Promise.all([
+        parentDir ? inheritedDirectives(parentDir) : {},
+        readMetadata(directoryMetadataPath(relativeDir)),
+      ]).then(([inherited, own]) => {
+        const { exclude, ...directives } = own ? own.directives : {};
+        return { ...inherited, ...directives };
+      }));
+    }
+    return chains.get(relativeDir);
+  };
+
+  return {
+    async describe(relativePath, isDirectory, entryNames = null) {
+      if (!suffix) {
+        return { directives: {}, excludedBy: null };
+      }
+      const metadataPath = isDirectory ? directoryMetadataPath(relativePath) : relativePath + suffix;
+      const present = isDirectory || !entryNames || entryNames.includes(path.posix.basename(metadataPath));
+      const own = present ? await readMetadata(metadataPath) : null;
+      const excludedBy = own && own.directives.exclude ? metadataPath : null;
+      if (isDirectory) {
+        return { directives: {}, excludedBy };
+      }
+      const { exclude, ...directives } = own ? own.directives : {};
+      return { directives: { ...await inheritedDirectives(path.posix.dirname(relativePath)), ...directives }, excludedBy };
+    },
+
+    async contexts() {
+      const contexts = [];
+      for (const [relativePath, read] of files) {
+        const metadata = await read;
+        if (path.posix.basename(relativePath) === DIRECTORY_METADATA_NAME + suffix && metadata && metadata.body && !metadata.directives.exclude) {
+          contexts.push({ directory: path.posix.dirname(relativePath), source: relativePath, content: metadata.body });
+        }
+      }
+      return contexts;
+    },
+  };
+}
+
+// The reader of scans without metadata files.
+const NO_METADATA = createMetadataReader('', { metadataSuffix: '' });
+
+module.exports = {
+  DIRECTORY_METADATA_NAME,
+  NO_METADATA,
+  createMetadataReader,
+  parseFrontMatter, // Exporting for potential direct use or testing
+};
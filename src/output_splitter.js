@@ -0,0 +1,203 @@
+// src/output_splitter.js
+const path = require('path');
+const { estimateTokens } = require('./token_estimator');
+const { createResultStore } = require('./result_store');
+
+// Multipliers for the suffixes accepted by parsePartSize and parseByteSize.
+const BYTE_UNITS = { '': 1, b: 1, bytes: 1, k: 1024, kb: 1024, m: 1024 * 1024, mb: 1024 * 1024 };
+const TOKEN_UNITS = { t: 1, tokens: 1, kt: 1000, ktokens: 1000 };
+
+/**
+ * Parses a part size: a byte size such as 500000, "500kb" or "2mb", or an estimated token count
+ * such as "50000tokens", "50000t" or "80k tokens". A plain number is a byte count.
+ * @param {number|string} value - The size from config or the command line.
+ * @returns {{limit: number, unit: 'bytes'|'tokens'} | null} The parsed size, or null if splitting is disabled (0/empty).
+ * @throws {Error} If the value cannot be parsed.
+ */
+function parsePartSize(value) {
+  if (value === null || value === undefined || value === '' || Number(value) === 0) {
+    return null;
+  }
+  const match = String(value).replace(/\s+/g, '').toLowerCase().match(/^(\d+(?:\.\d+)?)([a-z]*)$/);
+  if (match) {
+    const amount = parseFloat(match[1]);
+    const unit = match[2].replace(/^(k?)(?:token|tok)s?$/, '$1tokens');
+    if (BYTE_UNITS[unit]) {
+      return { limit: Math.floor(amount * BYTE_UNITS[unit]), unit: 'bytes' };
+    }
+    if (TOKEN_UNITS[unit]) {
+      return { limit: Math.floor(amount * TOKEN_UNITS[unit]), unit: 'tokens' };
+    }
+  }
+  throw new Error(`Invalid part size '${value}'. Use a byte size (e.g. 500000, 500kb, 2mb) or a token count (e.g. 50000tokens, 80k tokens).`);
+}
+
+/**
+ * Parses a byte size such as 500000, "500kb" or "1mb" (used for config.maxFileSize).
+ * @param {number|string} value - The size from config or the command line.
+ * @param {string} [name='size'] - What the size is, for the error message.
+ * @returns {number} The size in bytes; 0 if no limit is set (0/empty).
+ * @throws {Error} If the value cannot be parsed.
+ */
+function parseByteSize(value, name = 'size') {
+  if (value === null || value === undefined || value === '' || Number(value) === 0) {
+    return 0;
+  }
+  const match = String(value).replace(/\s+/g, '').toLowerCase().match(/^(\d+(?:\.\d+)?)([a-z]*)$/);
+  if (match && BYTE_UNITS[match[2]]) {
+    return Math.floor(parseFloat(match[1]) * BYTE_UNITS[match[2]]);
+  }
+  throw new Error(`Invalid ${name} '${value}'. Use a byte size (e.g. 500000, 500kb, 1mb).`);
+}
+
+/**
+ * Builds the file name of a part or of the index, next to the output file:
+ * 'output.md' becomes 'output.part1.md' / 'output.index.md'.
+ * @param {string} outputPath - The configured output path.
+ * @param {number|'index'} part - The part number, or 'index'.
+ * @returns {string} The path of the part file.
+ */
+function getPartPath(outputPath, part) {
+  const extension = path.extname(outputPath);
+  const base = outputPath.substring(0, outputPath.length - extension.length);
+  return part === 'index' ? `${base}.index${extension}` : `${base}.part${part}${extension}`;
+}
+
+/**
+ * Builds the ignore patterns that keep part and index files of earlier runs out of the scan.
+ * @param {string} outputPath - The configured output path.
+ * @returns {string[]} Glob patterns.
+ */
+function getPartIgnorePatterns(outputPath) {
+  const extension = path.extname(outputPath);
+  const base = path.basename(outputPath, extension).replace(/[*?[\\]/g, '\\$&');
+  return [`${base}.part[0-9]*${extension}`, `${base}.index${extension}`];
+}
+
+/**
+ * Splits file content into consecutive chunks that each measure at most `limit`,
+ * cutting at line boundaries (or inside a line only if one line alone is too large).
+ * @param {string} content - The content to split.
+ * @param {number} limit - Maximum size of a chunk.
+ * @param {function(string): number} measure - Size function.
+ * @returns {string[]} The chunks.
+ */
+function splitContent(content, limit, measure) {
+  const chunks = [];
+  let current = '';
+  const pushPiece = (piece) => {
+    if (current && measure(current + piece) > limit) {
+      chunks.push(current);
+      current = '';
+    }
+    current += piece;
+  };
+  for (const line of content.split(/(?<=\n)/)) {
+    if (measure(line) <= limit) {
+      pushPiece(line);
+      continue;
+    }
+    // A single oversized line: cut it into pieces that fit.
+    const step = Math.max(1, Math.floor(line.length * limit / measure(line)));
+    for (let offset = 0; offset < line.length; offset += step) {
+      pushPiece(line.substring(offset, offset + step));
+    }
+  }
+  if (current || chunks.length === 0) {
+    chunks.push(current);
+  }
+  return chunks;
+}
+
+/**
+ * Distributes the files of a document over parts of at most `partSize` each.
+ *
+ * Files are packed greedily in order and are never split, unless a single file does not fit in
+ * an empty part: then its content is cut into chunks (at line boundaries) spread over consecutive parts.
+ * Every part repeats the header (with a "part N of M" marker) and, depending on `preambleMode`,
+ * the SYSTEM preamble and the postamble; the directory tree and dependencies are only on part 1. The
+ * contexts of a directory go with the file they precede (see collector.js). Sizes are computed
+ * from the rendered output, so the limit holds for the header and TOC too; token sizes are estimates.
+ *
+ * @param {object} renderer - The renderer (see renderers.js).
+ * @param {object} document - The full document.
+ * @param {{limit: number, unit: 'bytes'|'tokens'}} partSize - The parsed part size.
+ * @param {'all'|'first'} [preambleMode='all'] - Repeat the SYSTEM preamble and the postamble on every part, or
+ *        put them only on part 1 and the last part.
+ * @param {object} [store] - The store holding the files (see result_store.js): files are loaded one at a time
+ *        to be measured, and the chunks of a split file are put in it. By default the files are complete results.
+ * @returns {Promise<Array<object>>} One document per part, each with its `part` marker set.
+ */
+async function splitDocument(renderer, document, partSize, preambleMode = 'all', store = createResultStore()) {
+  const measure = partSize.unit === 'tokens' ? estimateTokens : (text) => Buffer.byteLength(text, 'utf8');
+  // Parts are measured with the postamble, as any of them may turn out to be the last one.
+  const partDocument = (files, partNumber, total, measured = false) => ({
+    ...document,
+    systemPreamble: preambleMode === 'first' && partNumber > 1 ? '' : document.systemPreamble,
+    postamble: preambleMode === 'first' && partNumber < total && !measured ? '' : document.postamble,
+    tree: partNumber > 1 ? null : document.tree,
+    dependencies: partNumber > 1 ? null : document.dependencies,
+    files,
+    part: { number: partNumber, total },
+  });
+  // Measure with a large part total so the "part N of M" marker is not under-estimated.
+  const baseSize = (partNumber) => {
+    const emptyPart = partDocument([], partNumber, 999, true);
+    return measure(renderer.renderHeader(emptyPart) + renderer.renderFooter(emptyPart));
+  };
+  const fileSize = (file, partNumber) => {
+    const withFile = partDocument([file], partNumber, 999, true);
+    const emptyPart = partDocument([], partNumber, 999, true);
+    const tocCost = measure(renderer.renderHeader(withFile)) - measure(renderer.renderHeader(emptyPart));
+    return tocCost + measure(renderer.renderFile(file, 1, withFile)); // index 1: include JSON separators
+  };
+
+  const parts = [];
+  let currentFiles = [];
+  let currentSize = baseSize(1);
+  const closePart = () => {
+    parts.push(currentFiles);
+    currentFiles = [];
+    currentSize = baseSize(parts.length + 1);
+  };
+
+  for (const record of document.files) {
+    const file = await store.load(record);
+    const size = fileSize(file, parts.length + 1);
+    if (currentFiles.length && currentSize + size > partSize.limit) {
+      closePart();
+    }
+    if (currentSize + size <= partSize.limit || file.content === null) {
+      currentFiles.push(record);
+      currentSize += size;
+      continue;
+    }
+
+    // The file does not fit in an empty part: split its content.
+    // A git diff and the contexts are not split: they go with the first chunk only.
+    const withoutDiff = file.git ? { ...file, git: { ...file.git, diff: null } } : file;
+    const { contexts, ...continuation } = withoutDiff;
+    const overhead = fileSize({ ...withoutDiff, content: '', chunk: { number: 999, total: 999 } }, parts.length + 1);
+    const available = Math.max(1, partSize.limit - baseSize(parts.length + 1) - overhead);
+    const chunks = splitContent(file.content, available, measure);
+    for (const [index, chunk] of chunks.entries()) {
+      if (currentFiles.length) closePart();
+      currentFiles.push(await store.put({ ...(index === 0 ? file : continuation), content: chunk, chunk: { number: index + 1, total: chunks.length } }));
+      currentSize += overhead + measure(chunk);
+    }
+  }
+  if (currentFiles.length || parts.length === 0) {
+    parts.push(currentFiles);
+  }
+
+  return parts.map((files, index) => partDocument(files, index + 1, parts.length));
+}
+
+module.exports = {
+  parsePartSize,
+  parseByteSize,
+  splitDocument,
+  getPartPath,
+  getPartIgnorePatterns,
+  splitContent, // Exporting for potential direct use or testing
+};
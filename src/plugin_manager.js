@@ -0,0 +1,339 @@
+// src/plugin_manager.js
+const path = require('path');
+const crypto = require('crypto');
+const { readFile } = require('./fs_utils');
+const { COMPRESSION_STRATEGIES } = require('./compression');
+const { RENDERERS } = require('./renderers');
+const { PluginError } = require('./errors');
+
+// A plugin is a CommonJS module (listed in config.plugins) exporting an object. Every property is optional:
+//   name: string                             // Used in messages; defaults to how config.plugins refers to it
+//   onScanEntry(entry, context)              // entry = {path, isDirectory, ignored}: return false to exclude the
+//                                            // file or directory, true to include it, anything else to keep `ignored`
+//   transformContent(content, file, context) // file = {path, language}: return the new content. Runs after transform
+//                                            // rules and secret redaction, before compression and truncation
+//   renderFile(file, renderContext, context) // renderContext = {format, index, document, render}: return the text of
+//                                            // a processed file in the output; render() gives the default text
+//   beforeWrite(output, context)             // output = {path, content, part, files}: return new content to write
+//   afterWrite(written, context)             // written = {path, part, bytes, tokens}, once the output is written
+//   compressionStrategies: { name: function(content, {language, path, options}): string }
+//   formats: { name: renderer }              // See renderers.js; the renderer needs an `extension` too
+// where context = {config, root}: the effective configuration and the absolute path of the scan root.
+// Hooks may return promises, except renderFile; renderers and compression strategies are synchronous too.
+const HOOKS = ['onScanEntry', 'transformContent', 'renderFile', 'beforeWrite', 'afterWrite'];
+const RENDERER_METHODS = ['renderHeader', 'renderFile', 'renderFooter', 'renderIndex'];
+
+/**
+ * Hashes data with SHA-1 (used as a fingerprint, not for security).
+ * @param {string|Buffer} data - The data.
+ * @returns {string} The hex digest.
+ */
+function hash(data) {
+  return crypto.createHash('sha1').update(data).digest('hex');
+}
+
+/**
+ * Creates the error for a failed plugin function, naming the plugin, the hook and the file.
+ * Errors that already are PluginErrors (from a nested render() call) are kept as they are.
+ * @param {{name: string}} plugin - The plugin.
+ * @param {string} hook - The hook, e.g. 'transformContent' or "compression strategy 'x'".
+ * @param {string|null} filePath - The file being processed, if any.
+ * @param {*} error - What the plugin threw.
+ * @returns {PluginError} The error.
+ */
+function hookError(plugin, hook, filePath, error) {
+  if (error instanceof PluginError) {
+    return error;
+  }
+  const reason = error instanceof Error ? error.message : String(error);
+  return new PluginError(`Plugin '${plugin.name}' failed in ${hook}${filePath ? ` while processing ${filePath}` : ''}: ${reason}`, {
+    plugin: plugin.name, hook, filePath, cause: error instanceof Error ? error : null,
+  });
+}
+
+/**
+ * Calls a function of a plugin, turning whatever it throws (or rejects with) into a PluginError.
+ * @param {{name: string}} plugin - The plugin.
+ * @param {string} hook - The hook, for the error message.
+ * @param {string|null} filePath - The file being processed, for the error message.
+ * @param {function} fn - The function.
+ * @param {Array<*>} args - Its arguments.
+ * @returns {*} What the function returns (a promise if it is async).
+ */
+function callPlugin(plugin, hook, filePath, fn, args) {
+  let result;
+  try {
+    result = fn(...args);
+  } catch (error) {
+    throw hookError(plugin, hook, filePath, error);
+  }
+  if (result && typeof result.then === 'function') {
+    return result.then(undefined, (error) => {
+      throw hookError(plugin, hook, filePath, error);
+    });
+  }
+  return result;
+}
+
+/**
+ * Checks what a plugin module exports.
+ * @param {*} pluginModule - The exports of the module.
+ * @returns {string[]} The problems; empty if the plugin is usable.
+ */
+function checkPluginModule(pluginModule) {
+  if (pluginModule === null || typeof pluginModule !== 'object' || Array.isArray(pluginModule)) {
+    return ['it must export an object (module.exports = { name, transformContent, ... })'];
+  }
+  const problems = [];
+  for (const hook of HOOKS) {
+    if (pluginModule[hook] !== undefined && typeof pluginModule[hook] !== 'function') {
+      problems.push(`${hook} must be a function`);
+    }
+  }
+  for (const [name, strategy] of Object.entries(pluginModule.compressionStrategies || {})) {
+    if (typeof strategy !== 'function') problems.push(`compression strategy '${name}' must be a function`);
+  }
+  for (const [name, renderer] of Object.entries(pluginModule.formats || {})) {
+    const missing = RENDERER_METHODS.filter(method => !renderer || typeof renderer[method] !== 'function');
+    if (missing.length) problems.push(`format '${name}' lacks ${missing.join(', ')}`);
+    if (renderer && typeof renderer.extension !== 'string') problems.push(`format '${name}' needs an extension (e.g. '.csv')`);
+  }
+  return problems;
+}
+
+/**
+ * Finds and loads a plugin module.
+ * @param {string} reference - A path relative to `cwd` ('./plugins/x.js') or the name of an installed package.
+ * @param {string} cwd - The working directory.
+ * @returns {Promise<{name: string, path: string, hash: string, module: object}>} The plugin: its name, the
+ *          resolved module path, the hash of the module file and its exports.
+ * @throws {PluginError} If the module cannot be found or loaded, or does not export a valid plugin.
+ */
+async function loadPlugin(reference, cwd) {
+  const isPath = reference.startsWith('.') || path.isAbsolute(reference);
+  let modulePath;
+  try {
+    modulePath = require.resolve(isPath ? path.resolve(cwd, reference) : reference, { paths: [cwd] });
+  } catch (error) {
+    throw new PluginError(`Cannot find plugin '${reference}' (resolved from ${cwd}).`, { plugin: reference, cause: error });
+  }
+  let pluginModule;
+  try {
+    pluginModule = require(modulePath);
+  } catch (error) {
+    throw new PluginError(`Cannot load plugin '${reference}': ${error.message}`, { plugin: reference, cause: error });
+  }
+  const problems = checkPluginModule(pluginModule);
+  if (problems.length) {
+    throw new PluginError(`Invalid plugin '${reference}': ${problems.join('; ')}.`, { plugin: reference });
+  }
+  const name = typeof pluginModule.name === 'string' && pluginModule.name ? pluginModule.name : reference;
+  return { name, path: modulePath, hash: hash(await readFile(modulePath)), module: pluginModule };
+}
+
+/**
+ * Collects the compression strategies and output formats that plugins register, next to the
+ * built-in ones. Their functions are wrapped so that errors name the plugin and the file.
+ * @param {Array<object>} plugins - The loaded plugins.
+ * @returns {{compressionStrategies: Object<string, function>, formats: Object<string, object>}} All strategies and formats.
+ * @throws {PluginError} If a plugin registers a name that is built in or registered by another plugin.
+ */
+function registerExtensions(plugins) {
+  const compressionStrategies = { ...COMPRESSION_STRATEGIES };
+  const formats = { ...RENDERERS };
+  const owners = new Map();
+  const claim = (kind, name, plugin, registry) => {
+    if (registry[name]) {
+      const owner = owners.get(`${kind}:${name}`);
+      throw new PluginError(`Plugin '${plugin.name}' registers the ${kind} '${name}', which ${owner ? `plugin '${owner}' registers too` : 'is built in'}.`, { plugin: plugin.name });
+    }
+    owners.set(`${kind}:${name}`, plugin.name);
+  };
+
+  for (const plugin of plugins) {
+    for (const [name, strategy] of Object.entries(plugin.module.compressionStrategies || {})) {
+      claim('compression strategy', name, plugin, compressionStrategies);
+      const hook = `compression strategy '${name}'`;
+      compressionStrategies[name] = (content, context) => {
+        const result = callPlugin(plugin, hook, context.path, strategy, [content, context]);
+        if (typeof result !== 'string') {
+          throw hookError(plugin, hook, context.path, new Error(`it returned ${typeof result} instead of a string`));
+        }
+        return result;
+      };
+    }
+    for (const [name, renderer] of Object.entries(plugin.module.formats || {})) {
+      claim('format', name, plugin, formats);
+      const wrapped = { ...renderer, name };
+      for (const method of RENDERER_METHODS) {
+        // renderFile(file, ...) is the one call that concerns a single file.
+        wrapped[method] = (...args) => callPlugin(plugin, `${method} of format '${name}'`, method === 'renderFile' ? args[0].path : null,
+          renderer[method].bind(renderer), args);
+      }
+      formats[name] = wrapped;
+    }
+  }
+  return { compressionStrategies, formats };
+}
+
+/**
+ * Creates the set of loaded plugins that the pipeline calls into. Plugins run in the order of
+ * config.plugins: the result of one plugin's hook is what the next one sees.
+ * @param {Array<object>} plugins - The loaded plugins (see loadPlugin).
+ * @param {{config: object|null, root: string|null}} context - Passed to every hook.
+ * @returns {object} The plugin set: `plugins` ({name, path} of each), `fingerprint` (changes when a plugin
+ *          file does; null without plugins), the `compressionStrategies` and `formats` including the plugins'
+ *          ones, `hasHook(hook)`, and the async filterEntry, transformContent, beforeWrite and afterWrite,
+ *          and wrapRenderer (see below).
+ * @throws {PluginError} If plugins register conflicting strategies or formats.
+ */
+function createPluginSet(plugins, context) {
+  const hooked = {};
+  for (const hook of HOOKS) {
+    hooked[hook] = plugins.filter(plugin => typeof plugin.module[hook] === 'function');
+  }
+  const { compressionStrategies, formats } = registerExtensions(plugins);
+
+  return {
+    plugins: plugins.map(({ name, path: modulePath }) => ({ name, path: modulePath })),
+    fingerprint: plugins.length ? hash(plugins.map(plugin => `${plugin.name}:${plugin.hash}`).join('\n')) : null,
+    compressionStrategies,
+    formats,
+
+    /**
+     * Tells whether any plugin implements a hook.
+     * @param {string} hook - The hook.
+     * @returns {boolean} True if one does.
+     */
+    hasHook(hook) {
+      return hooked[hook].length > 0;
+    },
+
+    /**
+     * Lets the plugins include or exclude a scanned file or directory (onScanEntry).
+     * @param {{path: string, isDirectory: boolean, ignored: boolean}} entry - The entry and what the ignore rules decided.
+     * @returns {Promise<{ignored: boolean, plugin: string|null}>} The decision, and the last plugin that changed it.
+     */
+    async filterEntry(entry) {
+      let { ignored } = entry;
+      let decidedBy = null;
+      for (const plugin of hooked.onScanEntry) {
+        const verdict = await callPlugin(plugin, 'onScanEntry', entry.path, plugin.module.onScanEntry, [{ ...entry, ignored }, context]);
+        if (typeof verdict === 'boolean' && verdict === ignored) {
+          ignored = !verdict;
+          decidedBy = plugin.name;
+        }
+      }
+      return { ignored, plugin: decidedBy };
+    },
+
+    /**
+     * Passes the content of a file through the plugins (transformContent).
+     * @param {string} content - The content.
+     * @param {{path: string, language: string}} file - The file.
+     * @returns {Promise<string>} The transformed content.
+     */
+    async transformContent(content, file) {
+      let result = content;
+      for (const plugin of hooked.transformContent) {
+        const transformed = await callPlugin(plugin, 'transformContent', file.path, plugin.module.transformContent, [result, { ...file }, context]);
+        if (transformed === undefined || transformed === null) continue;
+        if (typeof transformed !== 'string') {
+          throw hookError(plugin, 'transformContent', file.path, new Error(`it returned ${typeof transformed} instead of a string`));
+        }
+        result = transformed;
+      }
+      return result;
+    },
+
+    /**
+     * Wraps a renderer so that the plugins' renderFile hooks render the files. Each hook can call
+     * render() for the text of the next plugin, or of the renderer itself.
+     * @param {object} renderer - The renderer (see renderers.js).
+     * @returns {object} The renderer, or a copy with a hooked renderFile.
+     */
+    wrapRenderer(renderer) {
+      if (hooked.renderFile.length === 0) {
+        return renderer;
+      }
+      return {
+        ...renderer,
+        renderFile(file, index, document) {
+          const renderFrom = (position) => {
+            if (position === hooked.renderFile.length) {
+              return renderer.renderFile(file, index, document);
+            }
+            const plugin = hooked.renderFile[position];
+            const renderContext = { format: renderer.name, index, document, render: () => renderFrom(position + 1) };
+            const text = callPlugin(plugin, 'renderFile', file.path, plugin.module.renderFile, [file, renderContext, context]);
+            if (text === undefined || text === null) {
+              return renderFrom(position + 1);
+            }
+            if (typeof text !== 'string') {
+              throw hookError(plugin, 'renderFile', file.path, new Error(`it returned ${typeof text} instead of a string`));
+            }
+            return text;
+          };
+          return renderFrom(0);
+        },
+      };
+    },
+
+    /**
+     * Lets the plugins change an output before it is written (beforeWrite). Sets output.content.
+     * @param {{path: string|null, content: string, part: number|'index'|null, files: Array<object>}} output - The output.
+     * @returns {Promise<void>}
+     */
+    async beforeWrite(output) {
+      for (const plugin of hooked.beforeWrite) {
+        const content = await callPlugin(plugin, 'beforeWrite', output.path, plugin.module.beforeWrite, [output, context]);
+        if (content === undefined || content === null) continue;
+        if (typeof content !== 'string') {
+          throw hookError(plugin, 'beforeWrite', output.path, new Error(`it returned ${typeof content} instead of a string`));
+        }
+        output.content = content;
+      }
+    },
+
+    /**
+     * Tells the plugins that an output was written (afterWrite).
+     * @param {{path: string|null, part: number|'index'|null, bytes: number, tokens: number}} written - The output.
+     * @returns {Promise<void>}
+     */
+    async afterWrite(written) {
+      for (const plugin of hooked.afterWrite) {
+        await callPlugin(plugin, 'afterWrite', written.path, plugin.module.afterWrite, [{ ...written }, context]);
+      }
+    },
+  };
+}
+
+// The plugin set of a run without plugins.
+const NO_PLUGINS = createPluginSet([], { config: null, root: null });
+
+/**
+ * Loads the plugins listed in a configuration.
+ * @param {string[]} references - config.plugins: paths relative to `cwd`, or package names.
+ * @param {object} options
+ * @param {string} options.cwd - The working directory.
+ * @param {object} options.config - The effective configuration, passed to the hooks.
+ * @param {string} options.root - Absolute path of the scan root, passed to the hooks.
+ * @returns {Promise<object>} The plugin set (see createPluginSet).
+ * @throws {PluginError} If a plugin cannot be loaded or plugins conflict.
+ */
+async function loadPlugins(references, { cwd, config, root }) {
+  if (!references || references.length === 0) {
+    return NO_PLUGINS;
+  }
+  const plugins = [];
+  for (const reference of references) {
+    plugins.push(await loadPlugin(reference, cwd));
+  }
+  return createPluginSet(plugins, { config, root });
+}
+
+module.exports = {
+  loadPlugins,
+  NO_PLUGINS,
+  createPluginSet, // Exporting for potential direct use or testing
+};
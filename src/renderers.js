@@ -0,0 +1,659 @@
+// src/renderers.js
+const path = require('path');
+const { formatSize } = require('./content_sniffer');
+const { ConfigError } = require('./errors');
+const { findClosestMatch } = require('./string_utils');
+
+// A renderer turns a document into text in three parts, so callers can render files one at a time:
+//   renderHeader(document) + renderFile(file, index, document) for each file + renderFooter(document)
+// where document = {
+//   meta: { generatedAt: Date, toolVersion: string, scanDirectory: string },
+//   systemPreamble: string, // SYSTEM.txt content, '' if none
+//   postamble: string,      // POSTAMBLE.txt content, '' if none
+//   files: Array<object>,   // Results of processFileContent (see file_processor.js); the first file of a directory
+//                           // with context has `contexts`: [{ directory, source, content }] (see collector.js)
+//   tree: string|null,      // Directory tree overview (see tree_view.js), null when not enabled
+//   dependencies: Array<{from, to}>|null, // Imports between the files when following entry points, else null
+//   part: { number, total } // Only set when the output is split into parts (see output_splitter.js)
+// }
+// When the output is split, renderIndex(parts, document) renders the index file, where
+// parts = [{ number, fileName, files }].
+
+/**
+ * Generates a markdown-friendly anchor link from a file path.
+ * @param {string} filePath - The file path.
+ * @returns {string} The anchor link.
+ */
+function pathToAnchor(filePath) {
+  return filePath
+    .toLowerCase()
+    .replace(/\\/g, '/') // Ensure forward slashes
+    .replace(/[^a-z0-9\/\-]/g, '-') // Replace non-alphanumeric (excluding / -) with -
+    .replace(/\/+/g, '-') // Replace multiple slashes with a single dash
+    .replace(/-+/g, '-') // Replace multiple dashes with a single dash
+    .replace(/^-|-$/g, ''); // Trim leading/trailing dashes
+}
+
+/**
+ * Describes the git change of a file, e.g. 'modified' or 'renamed from src/old.js'.
+ * @param {{status: string, oldPath: string|null}} git - The change (see git_utils.js).
+ * @returns {string} The description.
+ */
+function describeGitChange(git) {
+  return git.oldPath ? `${git.status} from ${git.oldPath}` : git.status;
+}
+
+/**
+ * Builds the suffix shown after a file in a table of contents: token budget omission and git change.
+ * @param {object} file - A processed file.
+ * @returns {string} The suffix, e.g. ' (git: deleted)', or ''.
+ */
+function describeTocEntry(file) {
+  const labels = [];
+  if (file.status === 'omitted') labels.push('omitted: token budget');
+  if (file.git) labels.push(`git: ${describeGitChange(file.git)}`);
+  return labels.length ? ` (${labels.join(', ')})` : '';
+}
+
+/**
+ * Renders one line per file, preceded by a heading line wherever a new group starts (files are
+ * only grouped when several roots were collected; see collector.js).
+ * @param {Array<object>} files - The processed files, grouped.
+ * @param {function(object): string} renderEntry - Renders the line of a file.
+ * @param {function(string): string} renderGroup - Renders the heading of a group.
+ * @returns {string[]} The lines.
+ */
+function renderGroupedList(files, renderEntry, renderGroup) {
+  const lines = [];
+  let currentGroup;
+  for (const file of files) {
+    if (file.group !== undefined && file.group !== currentGroup) {
+      lines.push(renderGroup(file.group));
+      currentGroup = file.group;
+    }
+    lines.push(renderEntry(file));
+  }
+  return lines;
+}
+
+// Titles of the markdown sections that are not files (files are sections titled with their path).
+const MARKDOWN_SECTIONS = {
+  tree: 'Directory Tree',
+  dependencies: 'Dependencies',
+  contents: 'Table of Contents',
+  binaries: 'Skipped Binary Files',
+  context: 'Context', // Followed by the directory, e.g. 'Context: src/api/'
+};
+
+// Display names of the non-UTF-8 encodings text files are decoded from (see content_sniffer.js).
+const ENCODING_NAMES = {
+  utf16le: 'UTF-16 LE',
+  utf16be: 'UTF-16 BE',
+  latin1: 'Latin-1',
+};
+
+/**
+ * Describes a binary file by its detected type (or extension) and size, e.g. 'PNG image, 12.1 KB'.
+ * @param {object} file - A processed file with status 'binary'.
+ * @returns {string} The description.
+ */
+function describeBinary(file) {
+  const extension = path.extname(file.path).toLowerCase();
+  const type = file.detectedType || (extension ? `ext: ${extension}` : 'unknown type');
+  return typeof file.size === 'number' ? `${type}, ${formatSize(file.size)}` : type;
+}
+
+/**
+ * Collects the binary files of a document, for the summary of skipped binaries.
+ * @param {Array<object>} files - The processed files.
+ * @returns {{files: Array<object>, totalSize: number}|null} The binary files and their total size, or null if none.
+ */
+function summarizeBinaries(files) {
+  const binaries = files.filter(file => file.status === 'binary');
+  if (binaries.length === 0) {
+    return null;
+  }
+  return { files: binaries, totalSize: binaries.reduce((total, file) => total + (file.size || 0), 0) };
+}
+
+/**
+ * Describes why a file has no content, or how its content was altered, as short notes.
+ * @param {object} file - A processed file.
+ * @returns {string[]} Human readable notes, in display order.
+ */
+function describeFile(file) {
+  const notes = [];
+  if (file.status === 'omitted') {
+    notes.push('Omitted to fit the token budget');
+  } else if (file.status === 'binary') {
+    notes.push(`Binary file (${describeBinary(file)}) - content not included`);
+  } else if (file.status === 'oversized' && file.truncation) {
+    notes.push(`File over the truncation limit (${file.truncation.limits}) - content not included`);
+  } else if (file.status === 'oversized') {
+    notes.push(`File too large (${formatSize(file.size)}) - content not included`);
+  } else if (file.status === 'deleted') {
+    notes.push('File deleted - content not included');
+  } else if (file.status === 'unreadable') {
+    notes.push(`Unable to read file as text (Error: ${file.error}). Likely binary or unsupported encoding.`);
+  }
+  if (file.encoding && ENCODING_NAMES[file.encoding]) {
+    notes.push(`Decoded from ${ENCODING_NAMES[file.encoding]}`);
+  }
+  if (file.transform) {
+    notes.push(`Content transformed (${file.transform})`);
+  }
+  if (file.compression && file.compression.length) {
+    notes.push(`Content compressed (${file.compression.join(', ')})`);
+  }
+  if (file.lineNumbers) {
+    notes.push('Lines prefixed with their line numbers');
+  }
+  if (file.truncation && file.status === 'ok') {
+    const { strategy, limits, totalLines, omittedLines } = file.truncation;
+    notes.push(`Content truncated to ${limits} (${strategy}): ${omittedLines} of ${totalLines} lines left out`);
+  }
+  if (file.redactions && file.redactions.length) {
+    const rules = [...new Set(file.redactions.map(finding => finding.rule))];
+    notes.push(`${file.redactions.length} secret${file.redactions.length === 1 ? '' : 's'} redacted (${rules.join(', ')})`);
+  }
+  if (file.git && file.status !== 'deleted') {
+    notes.push(`Git: ${describeGitChange(file.git)}`);
+  }
+  if (file.chunk) {
+    notes.push(`File split across parts: chunk ${file.chunk.number} of ${file.chunk.total}`);
+  }
+  return notes;
+}
+
+/**
+ * Names the directory of a context (see collector.js) for display, e.g. 'src/api/' or './'.
+ * @param {{directory: string}} context - The context.
+ * @returns {string} The directory, with a trailing slash.
+ */
+function describeContextDirectory(context) {
+  return `${context.directory}/`;
+}
+
+/**
+ * Escapes a value for use inside a double-quoted XML attribute.
+ * @param {string} value - The raw value.
+ * @returns {string} The escaped value.
+ */
+function escapeXmlAttribute(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/"/g, '&quot;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+/**
+ * Groups dependency edges by importing file.
+ * @param {Array<{from: string, to: string}>|null} edges - The imports (see resolveDependencies).
+ * @returns {Array<{from: string, to: string[]}>} The imported files of each importing file, in order.
+ */
+function groupDependencies(edges) {
+  const groups = new Map();
+  for (const edge of edges || []) {
+    if (!groups.has(edge.from)) groups.set(edge.from, []);
+    groups.get(edge.from).push(edge.to);
+  }
+  return [...groups].map(([from, to]) => ({ from, to }));
+}
+
+/**
+ * Builds a markdown code fence longer than any backtick run in a text, so the text can be put in
+ * the fenced block as is and read back unchanged (see unpacker.js).
+ * @param {string} text - The text to fence.
+ * @returns {string} The fence: at least three backticks.
+ */
+function fenceFor(text) {
+  const longestRun = Math.max(0, ...(text.match(/`+/g) || []).map(run => run.length));
+  return '`'.repeat(Math.max(3, longestRun + 1));
+}
+
+/**
+ * Renders the contexts shown before a file (SYSTEM.txt and directory metadata of its directory) as
+ * markdown sections ('' if it has none).
+ * @param {object} file - A processed file.
+ * @returns {string} The sections.
+ */
+function renderMarkdownContexts(file) {
+  return (file.contexts || []).map((context) => {
+    const fence = fenceFor(context.content);
+    return `## ${MARKDOWN_SECTIONS.context}: ${describeContextDirectory(context)}\n\n*From ${context.source}*\n\n`
+      + `${fence}text\n${context.content}\n${fence}\n\n`;
+  }).join('');
+}
+
+/**
+ * Renders the summary of skipped binary files as markdown lines (none if there are no binaries).
+ * @param {{files: Array<object>, totalSize: number}|null} summary - See summarizeBinaries.
+ * @returns {string[]} The lines.
+ */
+function renderMarkdownBinarySummary(summary) {
+  if (!summary) {
+    return [];
+  }
+  return [
+    `\n## ${MARKDOWN_SECTIONS.binaries}\n`,
+    `*${summary.files.length} binary file${summary.files.length === 1 ? '' : 's'} (${formatSize(summary.totalSize)}) - content not included*\n`,
+    ...summary.files.map(file => `- ${file.path} (${describeBinary(file)})`),
+  ];
+}
+
+const markdownRenderer = {
+  name: 'markdown',
+  extension: '.md',
+  renderHeader(document) {
+    const preamble = document.systemPreamble ? `SYSTEM: ${document.systemPreamble}\n\n` : '';
+    return preamble + [
+      `# Project Files\n`,
+      `*Generated on: ${document.meta.generatedAt.toLocaleString()}*\n`,
+      `*Tool Version: ${document.meta.toolVersion}*\n`,
+      `*Starting directory: ${document.meta.scanDirectory}*\n`,
+      ...(document.part ? [`*Part ${document.part.number} of ${document.part.total}*\n`] : []),
+      ...(document.tree ? [`\n## ${MARKDOWN_SECTIONS.tree}\n`, `${fenceFor(document.tree)}text`, document.tree, fenceFor(document.tree)] : []),
+      ...(document.dependencies && document.dependencies.length ? [`\n## ${MARKDOWN_SECTIONS.dependencies}\n`] : []),
+      ...groupDependencies(document.dependencies).map(group => `- ${group.from} → ${group.to.join(', ')}`),
+      `\n## ${MARKDOWN_SECTIONS.contents}\n`,
+      // Files omitted by the token budget have no section to link to.
+      ...renderGroupedList(document.files, file => {
+        const entry = file.status === 'omitted' ? `- ${file.path}` : `- [${file.path}](#${pathToAnchor(file.path)})`;
+        const suffix = describeTocEntry(file);
+        return suffix ? `${entry} *${suffix.trim()}*` : entry;
+      }, group => `\n### ${group}\n`),
+      ...renderMarkdownBinarySummary(summarizeBinaries(document.files)),
+      `\n`
+    ].join('\n');
+  },
+  renderFile(file) {
+    if (file.status === 'omitted') {
+      return '';
+    }
+    if (file.status === 'error') {
+      return `${renderMarkdownContexts(file)}## ${file.path}\n\n**Error during processing: ${file.error}**\n\n`;
+    }
+    let markdown = `${renderMarkdownContexts(file)}## ${file.path}\n\n`;
+    if (file.metadata) {
+      const fence = fenceFor(file.metadata);
+      markdown += `**Associated Metadata:**\n${fence}text\n${file.metadata}\n${fence}\n\n`;
+    }
+    for (const note of describeFile(file)) {
+      markdown += `*${note}*\n\n`;
+    }
+    if (file.content !== null) {
+      // The content is kept exactly as is: the fence is longer than any backtick run in it
+      const fence = fenceFor(file.content);
+      markdown += `${fence}${file.language}\n${file.content}\n${fence}\n\n`;
+    }
+    if (file.git && file.git.diff) {
+      const fence = fenceFor(file.git.diff);
+      markdown += `**Changes:**\n${fence}diff\n${file.git.diff}\n${fence}\n\n`;
+    }
+    return markdown;
+  },
+  renderFooter(document) {
+    return document.postamble ? `POSTAMBLE: ${document.postamble}\n` : '';
+  },
+  renderIndex(parts, document) {
+    const lines = [
+      `# Project Files - Index\n`,
+      `*Generated on: ${document.meta.generatedAt.toLocaleString()}*\n`,
+      `*Tool Version: ${document.meta.toolVersion}*\n`,
+      `*Starting directory: ${document.meta.scanDirectory}*\n`,
+      `*${parts.length} parts, ${document.files.length} files*\n`,
+    ];
+    for (const part of parts) {
+      lines.push(`\n## Part ${part.number}: [${part.fileName}](${encodeURI(part.fileName)})\n`);
+      for (const file of part.files) {
+        lines.push(`- ${file.path}${file.chunk ? ` (chunk ${file.chunk.number} of ${file.chunk.total})` : ''}`);
+      }
+    }
+    return lines.join('\n') + '\n';
+  },
+};
+
+const jsonRenderer = {
+  name: 'json',
+  extension: '.json',
+  renderHeader(document) {
+    const meta = {
+      generatedAt: document.meta.generatedAt.toISOString(),
+      toolVersion: document.meta.toolVersion,
+      scanDirectory: document.meta.scanDirectory,
+      fileCount: document.files.length,
+    };
+    const binaries = summarizeBinaries(document.files);
+    if (binaries) {
+      meta.skippedBinaries = {
+        count: binaries.files.length,
+        totalSize: binaries.totalSize,
+        files: binaries.files.map(file => ({ path: file.path, type: file.detectedType || null, size: file.size })),
+      };
+    }
+    if (document.part) {
+      meta.part = document.part.number;
+      meta.totalParts = document.part.total;
+    }
+    return [
+      '{',
+      `  "meta": ${JSON.stringify(meta, null, 2).replace(/\n/g, '\n  ')},`,
+      `  "system": ${JSON.stringify(document.systemPreamble || null)},`,
+      ...(document.tree ? [`  "tree": ${JSON.stringify(document.tree)},`] : []),
+      ...(document.dependencies ? [`  "dependencies": ${JSON.stringify(document.dependencies)},`] : []),
+      '  "files": [',
+    ].join('\n') + '\n';
+  },
+  renderFile(file, index) {
+    const record = {
+      path: file.path,
+      language: file.language,
+      status: file.status,
+      content: file.content,
+      metadata: file.metadata,
+      size: typeof file.size === 'number' ? file.size : null,
+      lines: typeof file.lines === 'number' ? file.lines : null,
+      encoding: file.encoding || null,
+      detectedType: file.detectedType || null,
+      transform: file.transform || null,
+      compression: file.compression || [],
+      truncated: Boolean(file.truncated),
+      truncation: file.truncation || null,
+      lineNumbers: Boolean(file.lineNumbers),
+      error: file.error || null,
+      tokens: file.tokens,
+      redactions: file.redactions || [],
+    };
+    if (file.git) {
+      record.git = file.git;
+    }
+    if (file.group !== undefined) {
+      record.group = file.group;
+    }
+    if (file.chunk) {
+      record.chunk = file.chunk;
+    }
+    if (file.contexts) {
+      record.contexts = file.contexts;
+    }
+    const separator = index > 0 ? ',\n' : '';
+    return separator + '    ' + JSON.stringify(record, null, 2).replace(/\n/g, '\n    ');
+  },
+  renderFooter(document) {
+    return `\n  ],\n  "postamble": ${JSON.stringify(document.postamble || null)}\n}\n`;
+  },
+  renderIndex(parts, document) {
+    const index = {
+      meta: {
+        generatedAt: document.meta.generatedAt.toISOString(),
+        toolVersion: document.meta.toolVersion,
+        scanDirectory: document.meta.scanDirectory,
+        fileCount: document.files.length,
+        totalParts: parts.length,
+      },
+      parts: parts.map(part => ({
+        part: part.number,
+        file: part.fileName,
+        files: part.files.map(file => (file.chunk ? { path: file.path, chunk: file.chunk } : { path: file.path })),
+      })),
+    };
+    return JSON.stringify(index, null, 2) + '\n';
+  },
+};
+
+/**
+ * Renders the summary of skipped binary files as an XML element ('' if there are no binaries).
+ * @param {{files: Array<object>, totalSize: number}|null} summary - See summarizeBinaries.
+ * @returns {string} The element.
+ */
+function renderXmlBinarySummary(summary) {
+  if (!summary) {
+    return '';
+  }
+  const files = summary.files.map(file => {
+    const type = file.detectedType ? ` type="${escapeXmlAttribute(file.detectedType)}"` : '';
+    const size = typeof file.size === 'number' ? ` size="${file.size}"` : '';
+    return `<file path="${escapeXmlAttribute(file.path)}"${type}${size} />`;
+  });
+  return `<skipped_binaries count="${summary.files.length}" total-size="${summary.totalSize}">\n${files.join('\n')}\n</skipped_binaries>\n`;
+}
+
+/**
+ * Renders the imports between the files as an XML element ('' if there are none).
+ * @param {Array<{from: string, to: string}>|null} edges - The imports (see resolveDependencies).
+ * @returns {string} The element.
+ */
+function renderXmlDependencies(edges) {
+  if (!edges || edges.length === 0) {
+    return '';
+  }
+  const lines = edges.map(edge => `<dependency from="${escapeXmlAttribute(edge.from)}" to="${escapeXmlAttribute(edge.to)}" />`);
+  return `<dependencies>\n${lines.join('\n')}\n</dependencies>\n`;
+}
+
+const xmlRenderer = {
+  name: 'xml',
+  extension: '.xml',
+  renderHeader(document) {
+    const system = document.systemPreamble ? `<system>\n${document.systemPreamble}\n</system>\n\n` : '';
+    return system + `<documents generated="${escapeXmlAttribute(document.meta.generatedAt.toISOString())}"` +
+      ` tool-version="${escapeXmlAttribute(document.meta.toolVersion)}"` +
+      ` directory="${escapeXmlAttribute(document.meta.scanDirectory)}"` +
+      (document.part ? ` part="${document.part.number}" total-parts="${document.part.total}"` : '') + '>\n' +
+      (document.tree ? `<directory_tree>\n${document.tree}\n</directory_tree>\n` : '') +
+      renderXmlDependencies(document.dependencies) +
+      renderXmlBinarySummary(summarizeBinaries(document.files));
+  },
+  renderFile(file, index) {
+    // Content is emitted raw (not entity-escaped): LLM prompts read it verbatim.
+    let attributes = `index="${index + 1}" path="${escapeXmlAttribute(file.path)}" language="${escapeXmlAttribute(file.language)}"`;
+    if (file.group !== undefined) attributes += ` group="${escapeXmlAttribute(file.group)}"`;
+    if (file.status !== 'ok') attributes += ` status="${file.status}"`;
+    if (file.detectedType) attributes += ` detected-type="${escapeXmlAttribute(file.detectedType)}"`;
+    if ((file.status === 'binary' || file.status === 'oversized') && typeof file.size === 'number') attributes += ` size="${file.size}"`;
+    if (file.encoding && file.encoding !== 'utf8') attributes += ` encoding="${file.encoding}"`;
+    if (file.transform) attributes += ` transform="${file.transform}"`;
+    if (file.compression && file.compression.length) attributes += ` compression="${escapeXmlAttribute(file.compression.join(','))}"`;
+    if (file.truncated) attributes += ' truncated="true"';
+    if (file.redactions && file.redactions.length) attributes += ` redactions="${file.redactions.length}"`;
+    if (file.git) attributes += ` git-status="${file.git.status}"`;
+    if (file.git && file.git.oldPath) attributes += ` old-path="${escapeXmlAttribute(file.git.oldPath)}"`;
+    if (file.chunk) attributes += ` chunk="${file.chunk.number}" total-chunks="${file.chunk.total}"`;
+
+    const children = [];
+    const notes = file.status === 'ok' ? [] : describeFile(file); // Compression is an attribute
+    if (file.status === 'error') notes.push(`Error during processing: ${file.error}`);
+    for (const note of notes) children.push(`<note>${note}</note>`);
+    if (file.metadata) children.push(`<metadata>\n${file.metadata}\n</metadata>`);
+    if (file.content !== null) children.push(`<document_content>\n${file.content}\n</document_content>`);
+    if (file.git && file.git.diff) children.push(`<diff>\n${file.git.diff}\n</diff>`);
+
+    const contexts = (file.contexts || []).map(context => `<context directory="${escapeXmlAttribute(describeContextDirectory(context))}"`
+      + ` source="${escapeXmlAttribute(context.source)}">\n${context.content}\n</context>\n`).join('');
+    if (children.length === 0) {
+      return `${contexts}<document ${attributes} />\n`;
+    }
+    return `${contexts}<document ${attributes}>\n${children.join('\n')}\n</document>\n`;
+  },
+  renderFooter(document) {
+    const postamble = document.postamble ? `\n<postamble>\n${document.postamble}\n</postamble>\n` : '';
+    return '</documents>\n' + postamble;
+  },
+  renderIndex(parts, document) {
+    const lines = [
+      `<index generated="${escapeXmlAttribute(document.meta.generatedAt.toISOString())}"` +
+      ` tool-version="${escapeXmlAttribute(document.meta.toolVersion)}"` +
+      ` directory="${escapeXmlAttribute(document.meta.scanDirectory)}" total-parts="${parts.length}">`,
+    ];
+    for (const part of parts) {
+      lines.push(`<part number="${part.number}" file="${escapeXmlAttribute(part.fileName)}">`);
+      for (const file of part.files) {
+        const chunk = file.chunk ? ` chunk="${file.chunk.number}" total-chunks="${file.chunk.total}"` : '';
+        lines.push(`<file path="${escapeXmlAttribute(file.path)}"${chunk} />`);
+      }
+      lines.push('</part>');
+    }
+    lines.push('</index>');
+    return lines.join('\n') + '\n';
+  },
+};
+
+const TEXT_SEPARATOR = '='.repeat(80);
+
+/**
+ * Renders the summary of skipped binary files as plain text lines (none if there are no binaries).
+ * @param {{files: Array<object>, totalSize: number}|null} summary - See summarizeBinaries.
+ * @returns {string[]} The lines.
+ */
+function renderTextBinarySummary(summary) {
+  if (!summary) {
+    return [];
+  }
+  return [
+    '',
+    `Skipped binary files (${summary.files.length}, ${formatSize(summary.totalSize)}):`,
+    ...summary.files.map(file => `  ${file.path} (${describeBinary(file)})`),
+  ];
+}
+
+const textRenderer = {
+  name: 'text',
+  extension: '.txt',
+  renderHeader(document) {
+    const preamble = document.systemPreamble ? `SYSTEM: ${document.systemPreamble}\n\n` : '';
+    return preamble + [
+      'Project Files',
+      `Generated on: ${document.meta.generatedAt.toLocaleString()}`,
+      `Tool Version: ${document.meta.toolVersion}`,
+      `Starting directory: ${document.meta.scanDirectory}`,
+      ...(document.part ? [`Part ${document.part.number} of ${document.part.total}`] : []),
+      ...(document.tree ? ['', 'Directory tree:', ...document.tree.split('\n').map(line => `  ${line}`)] : []),
+      ...(document.dependencies && document.dependencies.length ? ['', 'Dependencies:'] : []),
+      ...groupDependencies(document.dependencies).map(group => `  ${group.from} → ${group.to.join(', ')}`),
+      '',
+      'Files:',
+      ...renderGroupedList(document.files, file => `  ${file.path}${describeTocEntry(file)}`, group => `  [${group}]`),
+      ...renderTextBinarySummary(summarizeBinaries(document.files)),
+      '',
+      '',
+    ].join('\n');
+  },
+  renderFile(file) {
+    if (file.status === 'omitted') {
+      return '';
+    }
+    let text = '';
+    for (const context of file.contexts || []) {
+      text += `${TEXT_SEPARATOR}\nCONTEXT: ${describeContextDirectory(context)} (from ${context.source})\n${TEXT_SEPARATOR}\n${context.content}\n\n`;
+    }
+    text += `${TEXT_SEPARATOR}\nFILE: ${file.path}\n${TEXT_SEPARATOR}\n`;
+    for (const note of describeFile(file)) {
+      text += `[${note}]\n`;
+    }
+    if (file.status === 'error') {
+      text += `[Error during processing: ${file.error}]\n`;
+    }
+    if (file.metadata) {
+      text += `Metadata:\n${file.metadata}\n${'-'.repeat(80)}\n`;
+    }
+    if (file.content !== null) {
+      text += `${file.content}\n`;
+    }
+    if (file.git && file.git.diff) {
+      text += `${'-'.repeat(80)}\nChanges:\n${file.git.diff}\n`;
+    }
+    return text + '\n';
+  },
+  renderFooter(document) {
+    return document.postamble ? `POSTAMBLE: ${document.postamble}\n` : '';
+  },
+  renderIndex(parts, document) {
+    const lines = [
+      'Project Files - Index',
+      `Generated on: ${document.meta.generatedAt.toLocaleString()}`,
+      `Tool Version: ${document.meta.toolVersion}`,
+      `Starting directory: ${document.meta.scanDirectory}`,
+      `${parts.length} parts, ${document.files.length} files`,
+    ];
+    for (const part of parts) {
+      lines.push('', `Part ${part.number}: ${part.fileName}`);
+      for (const file of part.files) {
+        lines.push(`  ${file.path}${file.chunk ? ` (chunk ${file.chunk.number} of ${file.chunk.total})` : ''}`);
+      }
+    }
+    return lines.join('\n') + '\n';
+  },
+};
+
+const RENDERERS = {
+  markdown: markdownRenderer,
+  json: jsonRenderer,
+  xml: xmlRenderer,
+  text: textRenderer,
+};
+
+// Alternative names accepted for --format.
+const FORMAT_ALIASES = {
+  md: 'markdown',
+  txt: 'text',
+  plain: 'text',
+};
+
+/**
+ * Looks up a renderer by format name.
+ * @param {string} format - The format name (e.g. 'markdown', 'json', 'xml', 'text') or an alias.
+ * @param {Object<string, object>} [renderers=RENDERERS] - The available renderers (with the formats of plugins).
+ * @returns {object} The renderer.
+ * @throws {ConfigError} If the format is unknown.
+ */
+function getRenderer(format, renderers = RENDERERS) {
+  const name = String(format || 'markdown').toLowerCase();
+  const renderer = renderers[format] || renderers[FORMAT_ALIASES[name] || name];
+  if (!renderer) {
+    const suggestion = findClosestMatch(name, [...Object.keys(renderers), ...Object.keys(FORMAT_ALIASES)]);
+    const hint = suggestion ? ` Did you mean '${FORMAT_ALIASES[suggestion] || suggestion}'?` : '';
+    throw new ConfigError(`Unknown output format '${format}'.${hint} Available formats: ${Object.keys(renderers).join(', ')}.`);
+  }
+  return renderer;
+}
+
+/**
+ * Renders a document piece by piece: the header, each file in order, then the footer. Writing the
+ * pieces as they come (see writeFileAtomicStream) keeps only one file's text in memory at a time,
+ * when the files are loaded one at a time too (see result_store.js).
+ * @param {object} renderer - The renderer (see getRenderer).
+ * @param {object} document - The document to render.
+ * @param {function(object): Promise<object>} [loadFile] - Resolves with the complete result of a file of the
+ *        document; the header only needs the summary of each file. By default the files are complete.
+ * @yields {string} The rendered pieces.
+ */
+async function* renderDocumentChunks(renderer, document, loadFile = async file => file) {
+  yield renderer.renderHeader(document);
+  for (let index = 0; index < document.files.length; index++) {
+    yield renderer.renderFile(await loadFile(document.files[index]), index, document);
+  }
+  yield renderer.renderFooter(document);
+}
+
+/**
+ * Renders a complete document with the given renderer.
+ * @param {object} renderer - The renderer (see getRenderer).
+ * @param {object} document - The document to render, with complete files.
+ * @returns {string} The rendered output.
+ */
+function renderDocument(renderer, document) {
+  const fileTexts = document.files.map((file, index) => renderer.renderFile(file, index, document));
+  return renderer.renderHeader(document) + fileTexts.join('') + renderer.renderFooter(document);
+}
+
+module.exports = {
+  RENDERERS,
+  getRenderer,
+  FORMAT_ALIASES,
+  renderDocument,
+  renderDocumentChunks,
+  summarizeBinaries,
+  pathToAnchor,
+  MARKDOWN_SECTIONS,
+};
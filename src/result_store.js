@@ -0,0 +1,97 @@
+// src/result_store.js
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const fs = require('fs');
+const { unlink } = require('./fs_utils');
+
+/**
+ * Creates a store for processed files (see processFileContent). The collector puts every result in
+ * the store as soon as the file is processed, and loads it back when the file is rendered.
+ *
+ * In memory, results are kept as they are. With `spool`, the text of each result (content, metadata
+ * and git diff) goes to a temporary file and only a summary stays in memory, so the memory used by a
+ * run does not grow with the size of the collected files. The temporary file is removed as soon as it
+ * is opened: it stays readable through its handle and disappears with it, even if the process is killed.
+ * @param {object} [options]
+ * @param {boolean} [options.spool=false] - Keep the text of the results in a temporary file.
+ * @returns {{put: function(object): Promise<object>, load: function(object): Promise<object>, close: function(): Promise<void>}}
+ *          The store. `put` resolves with the record to keep: with `spool`, a copy of the result whose content,
+ *          metadata and diff are null. `load` resolves with the complete result of a record; records that
+ *          were not put (such as copies of them) are returned as they are. `close` discards the store.
+ */
+function createResultStore({ spool = false } = {}) {
+  if (!spool) {
+    return {
+      put: async result => result,
+      load: async record => record,
+      close: async () => {},
+    };
+  }
+
+  const locations = new WeakMap(); // Record → { position, length } of its text in the file
+  let handlePromise = null;
+  let size = 0;
+
+  const openFile = () => {
+    if (!handlePromise) {
+      const filePath = path.join(os.tmpdir(), `collect-files-${process.pid}-${crypto.randomBytes(6).toString('hex')}.spool`);
+      handlePromise = fs.promises.open(filePath, 'wx+', 0o600).then(async handle => {
+        await unlink(filePath).catch(() => {}); // Not possible everywhere; then close() removes it
+        handle.filePath = filePath;
+        return handle;
+      });
+    }
+    return handlePromise;
+  };
+
+  return {
+    async put(result) {
+      if (locations.has(result)) {
+        return result;
+      }
+      const diff = result.git ? result.git.diff : null;
+      const text = Buffer.from(JSON.stringify([result.content, result.metadata, diff]), 'utf8');
+      const position = size;
+      size += text.length; // Reserved before writing, so concurrent puts do not overlap
+      const handle = await openFile();
+      await handle.write(text, 0, text.length, position);
+      const record = { ...result, content: null, metadata: null };
+      if (result.git) {
+        record.git = { ...result.git, diff: null };
+      }
+      locations.set(record, { position, length: text.length });
+      return record;
+    },
+
+    async load(record) {
+      const location = locations.get(record);
+      if (!location) {
+        return record;
+      }
+      const handle = await openFile();
+      const text = Buffer.alloc(location.length);
+      await handle.read(text, 0, location.length, location.position);
+      const [content, metadata, diff] = JSON.parse(text.toString('utf8'));
+      const result = { ...record, content, metadata };
+      if (record.git) {
+        result.git = { ...record.git, diff };
+      }
+      return result;
+    },
+
+    async close() {
+      if (!handlePromise) {
+        return;
+      }
+      const handle = await handlePromise;
+      handlePromise = null;
+      await handle.close();
+      await unlink(handle.filePath).catch(() => {});
+    },
+  };
+}
+
+module.exports = {
+  createResultStore, // Exporting for potential direct use or testing
+};
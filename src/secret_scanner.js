@@ -0,0 +1,189 @@
+// src/secret_scanner.js
+const { matchesPathPattern } = require('./glob_matcher');
+const { logger } = require('./logger');
+
+// Names that mark an assigned value as a credential.
+const SECRET_NAME = '(?:password|passwd|pwd|secret|token|api[_-]?key|access[_-]?key|auth[_-]?key|private[_-]?key|credentials?)';
+
+// Minimum Shannon entropy (bits per character) of a value assigned to a secret-looking name.
+// Keeps 'password = "changeme"' style placeholders and identifiers out, while random strings are caught.
+const MIN_ASSIGNED_SECRET_ENTROPY = 3;
+const MIN_ASSIGNED_SECRET_LENGTH = 8;
+
+/**
+ * Computes the Shannon entropy of a string.
+ * @param {string} value - The string.
+ * @returns {number} Bits per character.
+ */
+function shannonEntropy(value) {
+  const counts = new Map();
+  for (const char of value) {
+    counts.set(char, (counts.get(char) || 0) + 1);
+  }
+  let entropy = 0;
+  for (const count of counts.values()) {
+    const probability = count / value.length;
+    entropy -= probability * Math.log2(probability);
+  }
+  return entropy;
+}
+
+/**
+ * Checks whether a value assigned to a secret-looking name is a literal credential rather than
+ * code (a function call, a variable or template reference) or a low-entropy placeholder.
+ * @param {string} value - The assigned value.
+ * @returns {boolean} True if it looks like a credential.
+ */
+function looksLikeSecretValue(value) {
+  if (value.length < MIN_ASSIGNED_SECRET_LENGTH || /[()[\]{}<>$\s]/.test(value) || /^process\.env\b/.test(value)) {
+    return false;
+  }
+  return /[A-Za-z]/.test(value) && /[0-9]/.test(value) && shannonEntropy(value) >= MIN_ASSIGNED_SECRET_ENTROPY;
+}
+
+// Built-in detectors. When a pattern has a named group 'secret', only that part is redacted.
+const BUILTIN_SECRET_RULES = [
+  {
+    name: 'private_key',
+    pattern: /-----BEGIN ((?:[A-Z0-9]+ )*)PRIVATE KEY( BLOCK)?-----[\s\S]*?-----END \1PRIVATE KEY\2-----/g,
+  },
+  {
+    name: 'aws_access_key_id',
+    pattern: /\b(?:AKIA|ASIA|ABIA|ACCA)[0-9A-Z]{16}\b/g,
+  },
+  {
+    name: 'aws_secret_access_key',
+    pattern: /aws_?secret(?:_?access)?_?key["']?\s*(?::=|=>|=|:)\s*["']?(?<secret>[A-Za-z0-9/+=]{40})(?![A-Za-z0-9/+=])/gi,
+  },
+  {
+    name: 'jwt',
+    pattern: /\beyJ[A-Za-z0-9_-]{8,}\.eyJ[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,}/g,
+  },
+  {
+    name: 'connection_string_password',
+    pattern: /\b[a-z][a-z0-9+.-]*:\/\/[^\s:@/'"`]+:(?<secret>[^\s@/'"`]+)@/gi,
+    validate: secret => !/^(?:\$|\{|<|\[REDACTED:|\*+$)/.test(secret), // Skip references and placeholders
+  },
+  {
+    // password = "s3cr3tV4lue", "apiKey": "..." (quoted values in code and config files)
+    name: 'assigned_secret',
+    pattern: new RegExp(`[\\w.-]*${SECRET_NAME}[\\w.-]*["']?\\s*(?::=|=>|=|:)\\s*(["'\`])(?<secret>[^"'\`\\n]+)\\1`, 'gi'),
+    validate: looksLikeSecretValue,
+  },
+  {
+    // DB_PASSWORD=s3cr3tV4lue, password: s3cr3tV4lue (unquoted values in .env, .ini and YAML files)
+    name: 'assigned_secret',
+    pattern: new RegExp(`^[ \\t]*(?:export[ \\t]+)?[\\w.-]*${SECRET_NAME}[\\w.-]*[ \\t]*[:=][ \\t]*(?<secret>[^\\s'"\`]+)[ \\t]*(?:#.*)?$`, 'gim'),
+    validate: looksLikeSecretValue,
+  },
+];
+
+// Compiled config.secretRules, keyed by the config array.
+const customRuleCache = new WeakMap();
+
+/**
+ * Compiles the custom rules of config.secretRules ({name, pattern, flags}), warning about invalid ones.
+ * @param {Array<{name: string, pattern: string, flags?: string}>} secretRules - The rules from config.
+ * @returns {Array<{name: string, pattern: RegExp}>} The compiled rules.
+ */
+function compileCustomRules(secretRules) {
+  if (!Array.isArray(secretRules) || secretRules.length === 0) {
+    return [];
+  }
+  let compiled = customRuleCache.get(secretRules);
+  if (!compiled) {
+    compiled = [];
+    for (const rule of secretRules) {
+      if (!rule || typeof rule.pattern !== 'string') {
+        logger.warn(`Warning: Secret rule ${JSON.stringify(rule)} has no 'pattern'. Skipping it.`);
+        continue;
+      }
+      try {
+        const flags = (rule.flags || '').replace(/g/g, '') + 'g';
+        compiled.push({ name: rule.name || 'custom', pattern: new RegExp(rule.pattern, flags) });
+      } catch (error) {
+        logger.warn(`Warning: Invalid secret rule '${rule.name || rule.pattern}': ${error.message}. Skipping it.`);
+      }
+    }
+    customRuleCache.set(secretRules, compiled);
+  }
+  return compiled;
+}
+
+/**
+ * Checks whether a finding is allowed by config.secretAllowlist. A string entry allows that exact value;
+ * an object entry ({pattern, pathPattern, rule}) allows findings that match all of its fields.
+ * @param {{rule: string, value: string}} finding - The finding.
+ * @param {string} filePath - The file the finding is in.
+ * @param {Array<string|object>} allowlist - config.secretAllowlist.
+ * @returns {boolean} True if the finding is allowed (not redacted).
+ */
+function isAllowed(finding, filePath, allowlist) {
+  return (allowlist || []).some(entry => {
+    if (typeof entry === 'string') {
+      return entry === finding.value;
+    }
+    if (!entry || typeof entry !== 'object') {
+      return false;
+    }
+    return (entry.rule === undefined || entry.rule === finding.rule)
+      && (entry.pathPattern === undefined || matchesPathPattern(filePath, entry.pathPattern))
+      && (entry.pattern === undefined || new RegExp(entry.pattern).test(finding.value));
+  });
+}
+
+/**
+ * Finds credentials in a text and replaces them with '[REDACTED:<rule>]' placeholders.
+ * All rules run on the original text; overlapping findings are merged into the first one.
+ * @param {string} text - The text to scan.
+ * @param {string} filePath - Path of the file the text belongs to (for the allowlist).
+ * @param {object} config - The application configuration.
+ * @param {Array<object>} [config.secretRules] - Custom rules ({name, pattern, flags}).
+ * @param {Array<string|object>} [config.secretAllowlist] - Values or {pattern, pathPattern, rule} to leave alone.
+ * @returns {{text: string, findings: Array<{rule: string, line: number}>}} The redacted text and what was found.
+ */
+function redactSecrets(text, filePath, config) {
+  const candidates = [];
+  for (const rule of [...BUILTIN_SECRET_RULES, ...compileCustomRules(config.secretRules)]) {
+    rule.pattern.lastIndex = 0;
+    let match;
+    while ((match = rule.pattern.exec(text)) !== null) {
+      if (match[0] === '') {
+        rule.pattern.lastIndex++;
+        continue;
+      }
+      const value = match.groups && match.groups.secret !== undefined ? match.groups.secret : match[0];
+      const start = match.index + match[0].lastIndexOf(value);
+      if (value && (!rule.validate || rule.validate(value))) {
+        candidates.push({ rule: rule.name, value, start, end: start + value.length });
+      }
+    }
+  }
+  if (candidates.length === 0) {
+    return { text, findings: [] };
+  }
+
+  candidates.sort((a, b) => a.start - b.start || b.end - a.end);
+  const findings = [];
+  let redacted = '';
+  let position = 0;
+  let line = 1;
+  for (const candidate of candidates) {
+    if (candidate.start < position || isAllowed(candidate, filePath, config.secretAllowlist)) {
+      continue;
+    }
+    const before = text.substring(position, candidate.start);
+    line += before.split('\n').length - 1;
+    findings.push({ rule: candidate.rule, line });
+    redacted += before + `[REDACTED:${candidate.rule}]`;
+    line += candidate.value.split('\n').length - 1;
+    position = candidate.end;
+  }
+  return { text: redacted + text.substring(position), findings };
+}
+
+module.exports = {
+  redactSecrets,
+  BUILTIN_SECRET_RULES,
+  shannonEntropy, // Exporting for potential direct use or testing
+};
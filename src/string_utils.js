@@ -0,0 +1,46 @@
+// src/string_utils.js
+
+/**
+ * Computes the Levenshtein edit distance between two strings.
+ * @param {string} a - The first string.
+ * @param {string} b - The second string.
+ * @returns {number} The number of single-character insertions, deletions and substitutions.
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const substitution = previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1);
+      current.push(Math.min(previous[j] + 1, current[j - 1] + 1, substitution));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Finds the candidate closest to a misspelled name, for "did you mean" hints.
+ * Case is ignored; candidates too far away to be a typo are not suggested.
+ * @param {string} name - The unknown name.
+ * @param {string[]} candidates - The known names.
+ * @returns {string|null} The closest candidate, or null if none is close enough.
+ */
+function findClosestMatch(name, candidates) {
+  const maxDistance = Math.max(2, Math.floor(name.length / 3));
+  let best = null;
+  let bestDistance = Infinity;
+  for (const candidate of candidates) {
+    const distance = editDistance(name.toLowerCase(), candidate.toLowerCase());
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+  return bestDistance <= maxDistance ? best : null;
+}
+
+module.exports = {
+  findClosestMatch,
+  editDistance, // Exporting for potential direct use or testing
+};
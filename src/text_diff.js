@@ -0,0 +1,156 @@
+// src/text_diff.js
+
+// Above this many stored diagonal positions, diffLines gives up on a minimal diff and replaces the
+// whole changed region (keeps memory bounded for completely rewritten large files).
+const MAX_TRACE_SIZE = 4000000;
+
+/**
+ * Splits a text into lines, each with its newline; a last line without one stays without.
+ * @param {string} text - The text.
+ * @returns {string[]} The lines.
+ */
+function splitLines(text) {
+  return text ? text.split(/(?<=\n)/) : [];
+}
+
+/**
+ * Finds the shortest edit script between two lists of lines (Myers' algorithm), after setting aside
+ * their common start and end.
+ * @param {string[]} oldLines - The lines before.
+ * @param {string[]} newLines - The lines after.
+ * @returns {Array<{type: ' '|'-'|'+', text: string}>} Kept, removed and added lines, in order.
+ */
+function diffLines(oldLines, newLines) {
+  let start = 0;
+  while (start < oldLines.length && start < newLines.length && oldLines[start] === newLines[start]) start++;
+  let oldEnd = oldLines.length;
+  let newEnd = newLines.length;
+  while (oldEnd > start && newEnd > start && oldLines[oldEnd - 1] === newLines[newEnd - 1]) {
+    oldEnd--;
+    newEnd--;
+  }
+  const a = oldLines.slice(start, oldEnd);
+  const b = newLines.slice(start, newEnd);
+  const kept = (lines) => lines.map(text => ({ type: ' ', text }));
+
+  const n = a.length;
+  const m = b.length;
+  const offset = n + m;
+  const v = new Array(2 * offset + 2).fill(0);
+  const trace = [];
+  let found = n === 0 && m === 0;
+  for (let d = 0; d <= n + m && !found; d++) {
+    if ((trace.length + 1) * v.length > MAX_TRACE_SIZE) {
+      break;
+    }
+    trace.push(v.slice());
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]) ? v[offset + k + 1] : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+      if (x >= n && y >= m) {
+        found = true;
+        break;
+      }
+    }
+  }
+
+  let middle;
+  if (!found) {
+    middle = [...a.map(text => ({ type: '-', text })), ...b.map(text => ({ type: '+', text }))];
+  } else {
+    // Walk back through the trace from the end, collecting the moves in reverse.
+    middle = [];
+    let x = n;
+    let y = m;
+    for (let d = trace.length - 1; d >= 0; d--) {
+      const previous = trace[d];
+      const k = x - y;
+      const previousK = k === -d || (k !== d && previous[offset + k - 1] < previous[offset + k + 1]) ? k + 1 : k - 1;
+      const previousX = previous[offset + previousK];
+      const previousY = previousX - previousK;
+      while (x > previousX && y > previousY) {
+        middle.push({ type: ' ', text: a[--x] });
+        y--;
+      }
+      if (d > 0) {
+        if (x === previousX) middle.push({ type: '+', text: b[--y] });
+        else middle.push({ type: '-', text: a[--x] });
+      }
+    }
+    middle.reverse();
+  }
+  return [...kept(oldLines.slice(0, start)), ...middle, ...kept(oldLines.slice(oldEnd))];
+}
+
+/**
+ * Formats a hunk range for a unified diff header: 'start,count', or just 'start' for one line.
+ * @param {number} start - The first line number (the line before, for an empty range).
+ * @param {number} count - The number of lines.
+ * @returns {string} The range.
+ */
+function formatRange(start, count) {
+  return count === 1 ? String(start) : `${start},${count}`;
+}
+
+/**
+ * Creates a unified diff (as printed by `diff -u` and `git diff`) between two texts.
+ * @param {string} oldText - The text before ('' for a new file).
+ * @param {string} newText - The text after.
+ * @param {object} [options]
+ * @param {string} [options.oldLabel='a'] - The name on the '---' line (e.g. 'a/src/x.js' or '/dev/null').
+ * @param {string} [options.newLabel='b'] - The name on the '+++' line.
+ * @param {number} [options.context=3] - Unchanged lines shown around each change.
+ * @returns {string} The diff, without a trailing newline; '' when the texts are equal.
+ */
+function createUnifiedDiff(oldText, newText, options = {}) {
+  const { oldLabel = 'a', newLabel = 'b', context = 3 } = options;
+  const operations = diffLines(splitLines(oldText), splitLines(newText));
+  let oldLine = 1;
+  let newLine = 1;
+  for (const operation of operations) {
+    operation.oldLine = oldLine;
+    operation.newLine = newLine;
+    if (operation.type !== '+') oldLine++;
+    if (operation.type !== '-') newLine++;
+  }
+  const changes = operations.map((operation, index) => (operation.type === ' ' ? -1 : index)).filter(index => index !== -1);
+  if (changes.length === 0) {
+    return '';
+  }
+
+  // Changes closer than twice the context share a hunk.
+  const hunks = [];
+  for (const index of changes) {
+    const last = hunks[hunks.length - 1];
+    if (last && index - last.end <= 2 * context) {
+      last.end = index;
+    } else {
+      hunks.push({ start: index, end: index });
+    }
+  }
+
+  const lines = [`--- ${oldLabel}`, `+++ ${newLabel}`];
+  for (const hunk of hunks) {
+    const hunkOperations = operations.slice(Math.max(0, hunk.start - context), Math.min(operations.length, hunk.end + context + 1));
+    const oldCount = hunkOperations.filter(operation => operation.type !== '+').length;
+    const newCount = hunkOperations.filter(operation => operation.type !== '-').length;
+    const oldStart = oldCount ? hunkOperations[0].oldLine : hunkOperations[0].oldLine - 1;
+    const newStart = newCount ? hunkOperations[0].newLine : hunkOperations[0].newLine - 1;
+    lines.push(`@@ -${formatRange(oldStart, oldCount)} +${formatRange(newStart, newCount)} @@`);
+    for (const operation of hunkOperations) {
+      lines.push(operation.type + operation.text.replace(/\n$/, ''));
+      if (!operation.text.endsWith('\n')) lines.push('\\ No newline at end of file');
+    }
+  }
+  return lines.join('\n');
+}
+
+module.exports = {
+  createUnifiedDiff,
+  diffLines, // Exporting for potential direct use or testing
+};
@@ -0,0 +1,159 @@
+// src/token_budget.js
+const { matchesPathPattern } = require('./glob_matcher');
+const { processFileContent } = require('./file_processor');
+
+// Compression used to demote a file when no compression rule already applies to it.
+// extract_signatures only affects JS/TS, strip_comments only languages it knows, so this is safe for any file.
+const DEFAULT_BUDGET_COMPRESSION = {
+  strategy: ['extract_signatures', 'strip_comments', 'collapse_whitespace'],
+  options: { keepDocComments: true },
+};
+
+/**
+ * Finds the priority of a file: the priority of the first rule whose pathPattern selects it, or 0.
+ * Higher priorities are kept intact longer when the budget is exceeded.
+ * @param {string} filePath - Forward-slash path relative to the scan root.
+ * @param {Array<{pathPattern: string, priority: number}>} priorities - The priority rules from config.
+ * @returns {number} The file's priority.
+ */
+function getFilePriority(filePath, priorities) {
+  if (Array.isArray(priorities)) {
+    for (const rule of priorities) {
+      if (rule && typeof rule.pathPattern === 'string' && matchesPathPattern(filePath, rule.pathPattern)) {
+        return Number(rule.priority) || 0;
+      }
+    }
+  }
+  return 0;
+}
+
+/**
+ * Finds the priority of a scanned file: its 'priority' directive, or else its priority from config.priorities.
+ * @param {{directives?: object}} fileInfo - The scanned file.
+ * @param {string} filePath - Forward-slash path relative to the scan root.
+ * @param {Array<{pathPattern: string, priority: number}>} priorities - The priority rules from config.
+ * @returns {number} The file's priority.
+ */
+function getPriority(fileInfo, filePath, priorities) {
+  const directives = fileInfo.directives || {};
+  return 'priority' in directives ? directives.priority : getFilePriority(filePath, priorities);
+}
+
+/**
+ * Fits the processed files into config.tokenBudget by demoting files, lowest priority first.
+ *
+ * A 'priority' directive in a file's metadata (see metadata.js) takes precedence over config.priorities.
+ * Within a priority tier, files are first compressed (largest first) and, if the total is still
+ * over budget, omitted (largest first) so that only their TOC entry remains. A tier is fully
+ * demoted before any file of a higher tier is touched.
+ *
+ * @param {Array<{path: string, fullPath: string, directives?: object}>} filesToProcess - The scanned files.
+ * @param {Array<object>} processedFileResults - Results of processFileContent, in the same order.
+ * @param {object} config - The application configuration object.
+ * @param {number} config.tokenBudget - Maximum estimated tokens for the whole output.
+ * @param {Array<object>} config.priorities - Priority rules ({pathPattern, priority}).
+ * @param {object} [config.budgetCompression] - Compression rule ({strategy, options}) used for demotion.
+ * @param {number} overheadTokens - Estimated tokens of everything that is not file content (preamble, header, TOC, footer).
+ * @param {function(object): Promise<object>} [storeResult] - Called with each compressed result; resolves with the
+ *        record to keep in its place (see result_store.js). By default the result is kept as it is.
+ * @param {object} [processOptions] - Options for processFileContent when re-processing a file (e.g. the plugins of the run).
+ * @returns {Promise<{results: Array<object>, report: Array<object>, totalTokens: number, overheadTokens: number, budget: number}>}
+ *          The (possibly demoted) results in the original order and a per-file report.
+ */
+async function applyTokenBudget(filesToProcess, processedFileResults, config, overheadTokens, storeResult = async result => result, processOptions = {}) {
+  const budget = config.tokenBudget;
+  const compressionRule = config.budgetCompression || DEFAULT_BUDGET_COMPRESSION;
+
+  const entries = processedFileResults.map((result, index) => ({
+    fileInfo: filesToProcess[index],
+    result,
+    priority: getPriority(filesToProcess[index], result.path, config.priorities),
+    level: result.compressed ? 'compressed' : 'full',
+    originalTokens: result.tokens,
+  }));
+  let totalTokens = entries.reduce((sum, entry) => sum + entry.result.tokens, overheadTokens);
+
+  const tiers = [...new Set(entries.map(entry => entry.priority))].sort((a, b) => a - b);
+  for (const tier of tiers) {
+    if (totalTokens <= budget) break;
+    const tierEntries = entries.filter(entry => entry.priority === tier);
+
+    // Step 1: full -> compressed
+    tierEntries.sort((a, b) => b.result.tokens - a.result.tokens);
+    for (const entry of tierEntries) {
+      if (totalTokens <= budget) break;
+      if (entry.level !== 'full') continue;
+      const compressedResult = await processFileContent(entry.fileInfo, config, { ...processOptions, compressionRule });
+      if (compressedResult.compressed && compressedResult.tokens < entry.result.tokens) {
+        totalTokens -= entry.result.tokens - compressedResult.tokens;
+        entry.result = await storeResult(compressedResult);
+        entry.level = 'compressed';
+      }
+    }
+
+    // Step 2: compressed (or incompressible) -> TOC-only mention
+    tierEntries.sort((a, b) => b.result.tokens - a.result.tokens);
+    for (const entry of tierEntries) {
+      if (totalTokens <= budget) break;
+      totalTokens -= entry.result.tokens;
+      entry.result = {
+        ...entry.result,
+        status: 'omitted',
+        content: null,
+        metadata: null,
+        transform: null,
+        compression: [],
+        compressed: false,
+        truncated: false,
+        tokens: 0,
+        ...(entry.result.git ? { git: { ...entry.result.git, diff: null } } : {}),
+      };
+      entry.level = 'omitted';
+    }
+  }
+
+  return {
+    results: entries.map(entry => entry.result),
+    report: entries.map(entry => ({
+      path: entry.result.path,
+      priority: entry.priority,
+      level: entry.level,
+      originalTokens: entry.originalTokens,
+      tokens: entry.result.tokens,
+    })),
+    totalTokens,
+    overheadTokens,
+    budget,
+  };
+}
+
+/**
+ * Formats the outcome of applyTokenBudget as a plain-text report for the console:
+ * a summary line, then every file's token cost (most expensive first) and what happened to it.
+ * @param {object} budgetResult - The value returned by applyTokenBudget.
+ * @returns {string} The report.
+ */
+function formatBudgetReport(budgetResult) {
+  const { report, totalTokens, overheadTokens, budget } = budgetResult;
+  const compressedCount = report.filter(entry => entry.level === 'compressed' && entry.tokens < entry.originalTokens).length;
+  const omittedCount = report.filter(entry => entry.level === 'omitted').length;
+  const status = totalTokens <= budget ? 'within budget' : 'OVER BUDGET (nothing left to demote)';
+
+  const lines = [
+    `Token budget: ${totalTokens.toLocaleString()} / ${budget.toLocaleString()} estimated tokens, ${status}.`,
+    `  Header/TOC/preamble: ${overheadTokens.toLocaleString()} tokens. Demoted: ${compressedCount} compressed, ${omittedCount} omitted.`,
+    `  ${'Tokens'.padStart(8)}  ${'Original'.padStart(8)}  ${'Prio'.padStart(4)}  ${'Level'.padEnd(10)}  Path`,
+  ];
+  const sortedReport = [...report].sort((a, b) => b.originalTokens - a.originalTokens || a.path.localeCompare(b.path));
+  for (const entry of sortedReport) {
+    lines.push(`  ${String(entry.tokens).padStart(8)}  ${String(entry.originalTokens).padStart(8)}  ${String(entry.priority).padStart(4)}  ${entry.level.padEnd(10)}  ${entry.path}`);
+  }
+  return lines.join('\n');
+}
+
+module.exports = {
+  applyTokenBudget,
+  formatBudgetReport,
+  getFilePriority,
+  DEFAULT_BUDGET_COMPRESSION,
+};
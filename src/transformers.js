@@ -0,0 +1,476 @@
+// src/transformers.js
+const path = require('path');
+const { matchesPathPattern } = require('./glob_matcher');
+const { logger } = require('./logger');
+
+// Transformers rewrite structured files whose raw text is a poor fit for an LLM (notebooks with base64
+// outputs, lockfiles, pretty-printed JSON) into a compact text. Each one is called as
+// transformer(content, {path, options}) and returns {content, language?}, where language replaces the
+// language of the file for syntax highlighting. They throw when the file cannot be parsed.
+
+// Notebook outputs with these MIME types are shown as text; other outputs (images, HTML...) are only named.
+const NOTEBOOK_TEXT_MIME_TYPES = ['text/plain'];
+const NPM_LOCKFILES = ['package-lock.json', 'npm-shrinkwrap.json'];
+const YAML_EXTENSIONS = ['.yml', '.yaml'];
+const JSON_WHITESPACE = ' \t\n\r';
+
+/**
+ * Reads a numeric option of a transform rule.
+ * @param {object} options - The options of the rule.
+ * @param {string} name - The option name.
+ * @param {number} defaultValue - The value when the option is missing or not a number.
+ * @returns {number} The value.
+ */
+function numberOption(options, name, defaultValue) {
+  return typeof options[name] === 'number' ? options[name] : defaultValue;
+}
+
+/**
+ * Joins the `source` or `text` of a notebook cell or output, which is either a string or a list of lines.
+ * @param {string|string[]|undefined} text - The text.
+ * @returns {string} The joined text.
+ */
+function joinNotebookText(text) {
+  if (Array.isArray(text)) {
+    return text.join('');
+  }
+  return typeof text === 'string' ? text : '';
+}
+
+/**
+ * Renders the outputs of a notebook code cell as comment lines: text outputs (cut to maxLines lines)
+ * and errors in full, other outputs (images, HTML...) by their MIME type only.
+ * @param {Array<object>} outputs - The outputs of the cell.
+ * @param {number} maxLines - Lines kept of each text output (0 = all).
+ * @returns {string[]} The lines.
+ */
+function renderNotebookOutputs(outputs, maxLines) {
+  const lines = [];
+  for (const output of outputs || []) {
+    let text = null;
+    if (output.output_type === 'stream') {
+      text = joinNotebookText(output.text);
+    } else if (output.output_type === 'error') {
+      text = `${output.ename}: ${output.evalue}`;
+    } else if (output.data) {
+      const mimeType = NOTEBOOK_TEXT_MIME_TYPES.find(type => output.data[type] !== undefined);
+      if (mimeType) {
+        text = joinNotebookText(output.data[mimeType]);
+      } else {
+        lines.push(`# [${Object.keys(output.data).join(', ')} output omitted]`);
+        continue;
+      }
+    }
+    if (text === null) {
+      continue;
+    }
+    const textLines = text.replace(/\n$/, '').split('\n');
+    const kept = maxLines > 0 ? textLines.slice(0, maxLines) : textLines;
+    lines.push('# Output:', ...kept.map(line => `# ${line}`));
+    if (kept.length < textLines.length) {
+      lines.push(`# ... ${textLines.length - kept.length} more lines`);
+    }
+  }
+  return lines;
+}
+
+/**
+ * Transformer 'notebook': turns a Jupyter notebook (.ipynb) into the sources of its cells, each after a
+ * `# %%` marker (`# %% [markdown]` for markdown and raw cells), leaving out the notebook metadata and
+ * the cell outputs, which often hold base64 images.
+ *
+ * @param {string} content - The notebook JSON.
+ * @param {{options: object}} context - Transform context.
+ *        options.outputs (boolean, default false) adds the text outputs and errors of code cells as comments;
+ *        options.maxOutputLines (number, default 20) is the number of lines kept of each output (0 = all).
+ * @returns {{content: string, language: string}} The cell sources, in the language of the notebook kernel.
+ */
+function transformNotebook(content, context) {
+  const notebook = JSON.parse(content);
+  if (!notebook || !Array.isArray(notebook.cells)) {
+    throw new Error('not a Jupyter notebook (it has no cells)');
+  }
+  const options = context.options || {};
+  const metadata = notebook.metadata || {};
+  const language = (metadata.kernelspec && metadata.kernelspec.language)
+    || (metadata.language_info && metadata.language_info.name)
+    || 'python';
+  const maxOutputLines = numberOption(options, 'maxOutputLines', 20);
+
+  const cells = notebook.cells.map((cell) => {
+    const lines = [cell.cell_type === 'code' ? '# %%' : `# %% [${cell.cell_type}]`];
+    const source = joinNotebookText(cell.source).replace(/\n$/, '');
+    if (source) {
+      lines.push(source);
+    }
+    if (options.outputs && cell.cell_type === 'code') {
+      lines.push(...renderNotebookOutputs(cell.outputs, maxOutputLines));
+    }
+    return lines.join('\n');
+  });
+  return { content: cells.join('\n\n') + '\n', language: String(language).toLowerCase() };
+}
+
+/**
+ * Describes the installed version of an npm package from the `packages` of a lockfile (v2 and later).
+ * @param {object} packages - The `packages` of the lockfile.
+ * @param {string} name - The package name.
+ * @returns {string} The version, the linked workspace path, or 'not installed'.
+ */
+function describeNpmPackage(packages, name) {
+  const entry = packages[`node_modules/${name}`];
+  if (!entry) {
+    return 'not installed';
+  }
+  if (entry.link) {
+    const target = packages[entry.resolved] || {};
+    return target.version ? `${target.version} (${entry.resolved})` : `link to ${entry.resolved}`;
+  }
+  return entry.version || 'unknown version';
+}
+
+/**
+ * Summarizes package-lock.json or npm-shrinkwrap.json. From lockfile version 2 on, lists the direct
+ * dependencies of the project (by dependency type) with the versions they resolve to; version 1 lockfiles
+ * do not record them, so all top-level (hoisted) packages are listed.
+ * @param {string} content - The lockfile.
+ * @param {string} fileName - The name of the lockfile.
+ * @param {boolean} all - List every installed package instead.
+ * @returns {string} The summary.
+ */
+function summarizeNpmLockfile(content, fileName, all) {
+  const lock = JSON.parse(content);
+  const version = lock.lockfileVersion || 1;
+  if (lock.packages) {
+    const installed = Object.keys(lock.packages).filter(key => key.startsWith('node_modules/') || key.includes('/node_modules/'));
+    const header = `${fileName} (lockfileVersion ${version}): ${installed.length} packages installed`;
+    if (all) {
+      const lines = installed.map((key) => {
+        const entry = lock.packages[key];
+        const version = entry.link ? `link to ${entry.resolved}` : entry.version || 'unknown version';
+        return `  ${key.replace(/^node_modules\//, '').replace(/\/node_modules\//g, ' > ')} ${version}`;
+      });
+      return [header, ...lines].join('\n') + '\n';
+    }
+    const root = lock.packages[''] || {};
+    const lines = [header];
+    for (const type of ['dependencies', 'devDependencies', 'optionalDependencies', 'peerDependencies']) {
+      const names = Object.keys(root[type] || {}).sort();
+      if (names.length) {
+        lines.push(`${type}:`, ...names.map(name => `  ${name} ${describeNpmPackage(lock.packages, name)}`));
+      }
+    }
+    return lines.join('\n') + '\n';
+  }
+  const dependencies = lock.dependencies || {};
+  const names = Object.keys(dependencies).sort();
+  const lines = [`${fileName} (lockfileVersion ${version}): ${names.length} top-level packages`];
+  for (const name of names) {
+    const entry = dependencies[name];
+    lines.push(`  ${name} ${entry.version || 'unknown version'}${entry.dev ? ' (dev)' : ''}`);
+  }
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Takes the package name out of a yarn.lock descriptor, e.g. '@babel/core@^7.0.0' or 'lodash@npm:^4.17.21'.
+ * @param {string} descriptor - The descriptor.
+ * @returns {string} The package name.
+ */
+function yarnPackageName(descriptor) {
+  const at = descriptor.indexOf('@', descriptor.startsWith('@') ? 1 : 0);
+  return at === -1 ? descriptor : descriptor.slice(0, at);
+}
+
+/**
+ * Parses the entries of a yarn.lock, classic (v1) or Berry: their descriptors, resolved version and,
+ * for Berry, dependencies.
+ * @param {string} content - The lockfile.
+ * @returns {Array<{descriptors: string[], version: string|null, dependencies: Object<string, string>}>} The entries.
+ */
+function parseYarnLock(content) {
+  const entries = [];
+  let entry = null;
+  let inDependencies = false;
+  const unquote = text => text.trim().replace(/^"|"$/g, ''); // Berry quotes a whole list of descriptors
+  for (const line of content.split(/\r?\n/)) {
+    if (!line.trim() || line.trim().startsWith('#')) {
+      continue;
+    }
+    const indent = line.length - line.trimStart().length;
+    if (indent === 0) {
+      entry = null;
+      if (line.endsWith(':') && !line.startsWith('__metadata')) {
+        entry = { descriptors: line.slice(0, -1).split(',').map(unquote), version: null, dependencies: {} };
+        entries.push(entry);
+      }
+    } else if (entry && indent === 2) {
+      const match = line.trim().match(/^(\S+?):?\s+(.*)$/);
+      inDependencies = /^dependencies:?$/.test(line.trim());
+      if (match && match[1] === 'version') {
+        entry.version = unquote(match[2]);
+      }
+    } else if (entry && inDependencies) {
+      const match = line.trim().match(/^("[^"]+"|\S+?):?\s+(.*)$/);
+      if (match) {
+        entry.dependencies[unquote(match[1])] = unquote(match[2]);
+      }
+    }
+  }
+  return entries;
+}
+
+/**
+ * Summarizes a yarn.lock. Berry lockfiles record the root workspace, so its dependencies are listed
+ * with the versions they resolve to; classic lockfiles do not, so every package is listed with its
+ * resolved versions.
+ * @param {string} content - The lockfile.
+ * @param {string} fileName - The name of the lockfile.
+ * @param {boolean} all - List every package even when the root workspace is known.
+ * @returns {string} The summary.
+ */
+function summarizeYarnLock(content, fileName, all) {
+  const entries = parseYarnLock(content);
+  const root = entries.find(entry => entry.descriptors.some(descriptor => descriptor.endsWith('@workspace:.')));
+  const packages = entries.filter(entry => entry !== root);
+  const versionsByName = new Map();
+  for (const entry of packages) {
+    const name = yarnPackageName(entry.descriptors[0]);
+    const versions = versionsByName.get(name) || [];
+    if (entry.version && !versions.includes(entry.version)) versions.push(entry.version);
+    versionsByName.set(name, versions);
+  }
+  const header = `${fileName}: ${versionsByName.size} packages`;
+  if (root && !all) {
+    const lines = [header, 'dependencies of the root workspace:'];
+    for (const name of Object.keys(root.dependencies).sort()) {
+      const descriptor = `${name}@${root.dependencies[name]}`;
+      const resolved = packages.find(entry => entry.descriptors.includes(descriptor));
+      lines.push(`  ${name} ${resolved && resolved.version ? resolved.version : 'not resolved'}`);
+    }
+    return lines.join('\n') + '\n';
+  }
+  const names = [...versionsByName.keys()].sort();
+  return [header, ...names.map(name => `  ${name} ${versionsByName.get(name).join(', ')}`)].join('\n') + '\n';
+}
+
+/**
+ * Transformer 'lockfile': replaces package-lock.json, npm-shrinkwrap.json or yarn.lock by the list of
+ * the direct dependencies of the project with the versions they resolve to (or, when the lockfile does
+ * not record which ones are direct, the top-level packages).
+ *
+ * @param {string} content - The lockfile.
+ * @param {{path: string, options: object}} context - Transform context.
+ *        options.all (boolean, default false) lists every package in the lockfile instead.
+ * @returns {{content: string, language: string}} The summary, as plain text.
+ */
+function transformLockfile(content, context) {
+  const fileName = path.posix.basename(context.path);
+  const all = Boolean((context.options || {}).all);
+  if (NPM_LOCKFILES.includes(fileName)) {
+    return { content: summarizeNpmLockfile(content, fileName, all), language: 'text' };
+  }
+  if (fileName === 'yarn.lock') {
+    return { content: summarizeYarnLock(content, fileName, all), language: 'text' };
+  }
+  throw new Error(`not a supported lockfile (expected ${[...NPM_LOCKFILES, 'yarn.lock'].join(', ')})`);
+}
+
+/**
+ * Removes the whitespace between the tokens of a JSON text. Unlike re-serializing it, this keeps every
+ * value exactly as written (large numbers, escapes).
+ * @param {string} content - Valid JSON.
+ * @returns {string} The minified JSON.
+ */
+function minifyJson(content) {
+  let result = '';
+  let inString = false;
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+    if (inString) {
+      result += char;
+      if (char === '\\') {
+        result += content[++i];
+      } else if (char === '"') {
+        inString = false;
+      }
+    } else if (char === '"') {
+      inString = true;
+      result += char;
+    } else if (!JSON_WHITESPACE.includes(char)) {
+      result += char;
+    }
+  }
+  return result;
+}
+
+/**
+ * Removes the comment lines, blank lines and trailing whitespace of a YAML text. Lines of block
+ * scalars (`|` and `>`) are kept as they are, as their blank lines and `#` characters are content.
+ * @param {string} content - The YAML text.
+ * @returns {string} The minified YAML.
+ */
+function minifyYaml(content) {
+  const lines = [];
+  let blockIndent = null; // Indentation of the line that started the current block scalar
+  for (const line of content.split(/\r?\n/)) {
+    const indent = line.length - line.trimStart().length;
+    if (blockIndent !== null && (!line.trim() || indent > blockIndent)) {
+      lines.push(line);
+      continue;
+    }
+    blockIndent = null;
+    if (!line.trim() || /^\s*#/.test(line)) {
+      continue;
+    }
+    lines.push(line.trimEnd());
+    if (/(:|^\s*-)\s+[|>][-+0-9]*\s*(#.*)?$/.test(line)) {
+      blockIndent = indent;
+    }
+  }
+  while (lines.length && !lines[lines.length - 1].trim()) {
+    lines.pop();
+  }
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Transformer 'minify': removes the whitespace of JSON files, and the comments and blank lines of YAML
+ * files (.yml, .yaml). Values are kept exactly as written.
+ *
+ * @param {string} content - The file content.
+ * @param {{path: string}} context - Transform context.
+ * @returns {{content: string}} The minified content.
+ */
+function transformMinify(content, context) {
+  if (YAML_EXTENSIONS.includes(path.posix.extname(context.path).toLowerCase())) {
+    return { content: minifyYaml(content) };
+  }
+  JSON.parse(content); // Only valid JSON is minified: comments (as in tsconfig.json) would swallow what follows them
+  return { content: minifyJson(content) + '\n' };
+}
+
+/**
+ * Counts things for the outline, e.g. '1 key' or '98 more items'.
+ * @param {number} count - The count.
+ * @param {string} noun - The singular noun.
+ * @returns {string} The count with the noun.
+ */
+function countOf(count, noun) {
+  return `${count} ${noun}${count === 1 ? '' : 's'}`;
+}
+
+/**
+ * Shortens a parsed JSON value for the outline: arrays keep their first items, objects their first keys,
+ * long strings their start, and what is left out is counted in a string in its place.
+ * @param {*} value - The value.
+ * @param {{maxItems: number, maxKeys: number, maxStringLength: number, maxDepth: number}} limits - The limits (0 = none).
+ * @param {number} depth - The nesting level of the value.
+ * @returns {*} The shortened value.
+ */
+function outlineValue(value, limits, depth) {
+  if (Array.isArray(value)) {
+    if (limits.maxDepth && depth >= limits.maxDepth && value.length) {
+      return `... array of ${countOf(value.length, 'item')}`;
+    }
+    const items = (limits.maxItems ? value.slice(0, limits.maxItems) : value).map(item => outlineValue(item, limits, depth + 1));
+    if (items.length < value.length) {
+      items.push(`... ${countOf(value.length - items.length, 'more item')}`);
+    }
+    return items;
+  }
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value);
+    if (limits.maxDepth && depth >= limits.maxDepth && keys.length) {
+      return `... object with ${countOf(keys.length, 'key')}`;
+    }
+    const outline = {};
+    const keptKeys = limits.maxKeys ? keys.slice(0, limits.maxKeys) : keys;
+    for (const key of keptKeys) {
+      outline[key] = outlineValue(value[key], limits, depth + 1);
+    }
+    if (keptKeys.length < keys.length) {
+      outline['...'] = countOf(keys.length - keptKeys.length, 'more key');
+    }
+    return outline;
+  }
+  if (typeof value === 'string' && limits.maxStringLength && value.length > limits.maxStringLength) {
+    return `${value.slice(0, limits.maxStringLength)}... (${value.length} characters)`;
+  }
+  return value;
+}
+
+/**
+ * Transformer 'outline': shortens a JSON file to an outline of its structure with sample values.
+ * The result is still JSON, with strings such as "... 98 more items" where values were left out.
+ *
+ * @param {string} content - The JSON text.
+ * @param {{options: object}} context - Transform context.
+ *        options.maxItems (number, default 2) is the number of items kept of each array;
+ *        options.maxKeys (number, default 0) the number of keys kept of each object;
+ *        options.maxStringLength (number, default 80) the length strings are cut to;
+ *        options.maxDepth (number, default 0) the nesting level below which values are only counted. 0 = no limit.
+ * @returns {{content: string}} The outline.
+ */
+function transformOutline(content, context) {
+  const options = context.options || {};
+  const limits = {
+    maxItems: numberOption(options, 'maxItems', 2),
+    maxKeys: numberOption(options, 'maxKeys', 0),
+    maxStringLength: numberOption(options, 'maxStringLength', 80),
+    maxDepth: numberOption(options, 'maxDepth', 0),
+  };
+  return { content: JSON.stringify(outlineValue(JSON.parse(content), limits, 0), null, 2) + '\n' };
+}
+
+const TRANSFORMERS = {
+  notebook: transformNotebook,
+  lockfile: transformLockfile,
+  minify: transformMinify,
+  outline: transformOutline,
+};
+
+/**
+ * Finds the first transform rule whose pathPattern selects the file.
+ * @param {string} filePath - Forward-slash path relative to the scan root.
+ * @param {Array<{pathPattern: string, transformer: string, options?: object}>} transformRules - The rules from config.
+ * @returns {object|null} The applicable rule, or null.
+ */
+function findTransformRule(filePath, transformRules) {
+  if (!Array.isArray(transformRules)) {
+    return null;
+  }
+  for (const rule of transformRules) {
+    if (rule && typeof rule.pathPattern === 'string' && matchesPathPattern(filePath, rule.pathPattern)) {
+      return rule;
+    }
+  }
+  return null;
+}
+
+/**
+ * Applies a transform rule to file content. A file the transformer cannot parse is left as it is, with a warning.
+ * @param {string} content - The file content.
+ * @param {string} filePath - Forward-slash path of the file.
+ * @param {{transformer: string, options?: object}} rule - The transform rule.
+ * @returns {{content: string, language?: string}|null} The transformed content, or null if it was left as it is.
+ */
+function applyTransform(content, filePath, rule) {
+  const transformer = TRANSFORMERS[rule.transformer];
+  if (!transformer) {
+    logger.warn(`Warning: Unknown transformer '${rule.transformer}' for ${filePath}. Skipping it.`);
+    return null;
+  }
+  try {
+    return transformer(content, { path: filePath, options: rule.options || {} });
+  } catch (error) {
+    logger.warn(`Warning: Transformer '${rule.transformer}' cannot read ${filePath} (${error.message}). Keeping its content as it is.`);
+    return null;
+  }
+}
+
+module.exports = {
+  TRANSFORMERS,
+  findTransformRule,
+  applyTransform, // Exporting for potential direct use or testing
+};
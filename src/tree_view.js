@@ -0,0 +1,145 @@
+// src/tree_view.js
+const { formatSize } = require('./content_sniffer');
+
+/**
+ * Builds a directory tree from the collected files and, optionally, the entries the ignore rules left out.
+ * @param {Array<object>} files - The processed files (see processFileContent); `path` is relative to the scan root.
+ * @param {Array<{path: string, isDirectory: boolean}>} [ignoredEntries=[]] - Ignored entries (see scanProjectFiles).
+ * @returns {{name: string, isDirectory: true, children: Map<string, object>}} The root node. Directory nodes have
+ *          `children`; file nodes have `file`; ignored nodes have `ignored: true`.
+ */
+function buildTree(files, ignoredEntries = []) {
+  const root = { name: '', isDirectory: true, children: new Map() };
+  const getDirectory = (segments) => {
+    let node = root;
+    for (const segment of segments) {
+      if (!node.children.has(segment)) {
+        node.children.set(segment, { name: segment, isDirectory: true, children: new Map() });
+      }
+      node = node.children.get(segment);
+    }
+    return node;
+  };
+
+  for (const file of files) {
+    const segments = file.path.split('/');
+    const name = segments.pop();
+    getDirectory(segments).children.set(name, { name, isDirectory: false, file });
+  }
+  for (const entry of ignoredEntries) {
+    const segments = entry.path.split('/');
+    const name = segments.pop();
+    const parent = getDirectory(segments);
+    if (!parent.children.has(name)) {
+      parent.children.set(name, { name, isDirectory: entry.isDirectory, ignored: true, children: new Map() });
+    }
+  }
+  return root;
+}
+
+/**
+ * Adds up the collected files below a directory node (ignored entries are not counted).
+ * @param {object} node - A directory node.
+ * @returns {{files: number, lines: number, size: number}} The totals.
+ */
+function summarizeDirectory(node) {
+  const totals = { files: 0, lines: 0, size: 0 };
+  for (const child of node.children.values()) {
+    if (child.ignored) continue;
+    if (child.isDirectory) {
+      const childTotals = summarizeDirectory(child);
+      totals.files += childTotals.files;
+      totals.lines += childTotals.lines;
+      totals.size += childTotals.size;
+    } else {
+      totals.files++;
+      totals.lines += child.file.lines || 0;
+      totals.size += child.file.size || 0;
+    }
+  }
+  return totals;
+}
+
+/**
+ * Describes a file in the tree, e.g. '(120 lines, 4.2 KB)' or '(binary, 12.0 KB)'.
+ * @param {object} file - A processed file.
+ * @returns {string} The description in parentheses, or '' if there is nothing to say.
+ */
+function describeFileEntry(file) {
+  const details = [];
+  if (file.status === 'binary') details.push('binary');
+  if (file.status === 'oversized') details.push('too large');
+  if (file.status === 'deleted') details.push('deleted');
+  if (file.status === 'unreadable' || file.status === 'error') details.push('unreadable');
+  if (typeof file.lines === 'number') details.push(`${file.lines} line${file.lines === 1 ? '' : 's'}`);
+  if (typeof file.size === 'number') details.push(formatSize(file.size));
+  return details.length ? ` (${details.join(', ')})` : '';
+}
+
+/**
+ * Orders the children of a directory node: directories first, then files, each by name.
+ * @param {object} node - A directory node.
+ * @returns {Array<object>} The children.
+ */
+function sortChildren(node) {
+  return [...node.children.values()].sort((a, b) => {
+    if (a.isDirectory !== b.isDirectory) return a.isDirectory ? -1 : 1;
+    return a.name.localeCompare(b.name);
+  });
+}
+
+/**
+ * Renders the children of a directory node as tree lines.
+ * @param {object} node - The directory node.
+ * @param {string} prefix - The indentation drawn before the children's connectors.
+ * @param {number} depth - The depth of the children (1 for the root's children).
+ * @param {{maxDepth: number, collapseAbove: number}} options - See renderTree.
+ * @param {string[]} lines - Rendered lines are appended here.
+ */
+function renderChildren(node, prefix, depth, options, lines) {
+  const children = sortChildren(node);
+  children.forEach((child, index) => {
+    const isLast = index === children.length - 1;
+    const connector = prefix + (isLast ? '└── ' : '├── ');
+    if (child.ignored) {
+      lines.push(`${connector}${child.name}${child.isDirectory ? '/' : ''} [ignored]`);
+      return;
+    }
+    if (!child.isDirectory) {
+      lines.push(`${connector}${child.name}${describeFileEntry(child.file)}`);
+      return;
+    }
+    const collapsed = (options.maxDepth > 0 && depth >= options.maxDepth)
+      || (options.collapseAbove > 0 && child.children.size > options.collapseAbove);
+    if (collapsed) {
+      const totals = summarizeDirectory(child);
+      lines.push(`${connector}${child.name}/ (${totals.files} file${totals.files === 1 ? '' : 's'}, ${totals.lines} lines, ${formatSize(totals.size)})`);
+      return;
+    }
+    lines.push(`${connector}${child.name}/`);
+    renderChildren(child, prefix + (isLast ? '    ' : '│   '), depth + 1, options, lines);
+  });
+}
+
+/**
+ * Renders the collected files as an indented ASCII tree with line counts and sizes. Collapsed
+ * directories show the totals of the files below them instead of their content.
+ * @param {Array<object>} files - The processed files.
+ * @param {object} [options]
+ * @param {Array<{path: string, isDirectory: boolean}>} [options.ignored=[]] - Ignored entries to show, marked [ignored].
+ * @param {number} [options.maxDepth=0] - Levels to show below the root; deeper directories are collapsed (0 = all).
+ * @param {number} [options.collapseAbove=0] - Collapse directories with more entries than this (0 = never).
+ * @param {string} [options.rootLabel='.'] - The name shown for the scan root.
+ * @returns {string} The tree, without a trailing newline.
+ */
+function renderTree(files, options = {}) {
+  const { ignored = [], maxDepth = 0, collapseAbove = 0, rootLabel = '.' } = options;
+  const lines = [rootLabel.endsWith('/') || rootLabel === '.' ? rootLabel : `${rootLabel}/`];
+  renderChildren(buildTree(files, ignored), '', 1, { maxDepth, collapseAbove }, lines);
+  return lines.join('\n');
+}
+
+module.exports = {
+  renderTree,
+  buildTree, // Exporting for potential direct use or testing
+};
@@ -0,0 +1,245 @@
+// src/truncation.js
+const { matchesPathPattern } = require('./glob_matcher');
+const { estimateTokens } = require('./token_estimator');
+const { parseByteSize } = require('./output_splitter');
+const { logger } = require('./logger');
+
+const TRUNCATION_STRATEGIES = ['head', 'tail', 'head_tail', 'skip'];
+
+/**
+ * Finds the truncation rule for a file: the first of config.truncationRules whose pathPattern selects
+ * it, otherwise config.truncation.
+ * @param {string} filePath - Forward-slash path relative to the scan root.
+ * @param {object} config - The application configuration.
+ * @returns {object|null} The rule ({strategy, maxLines, maxBytes, maxTokens}), or null.
+ */
+function findTruncationRule(filePath, config) {
+  for (const rule of config.truncationRules || []) {
+    if (rule && typeof rule.pathPattern === 'string' && matchesPathPattern(filePath, rule.pathPattern)) {
+      return rule;
+    }
+  }
+  return config.truncation || null;
+}
+
+/**
+ * Reads the limits of a truncation rule. Missing and zero limits are unlimited.
+ * @param {object} rule - The truncation rule.
+ * @returns {{lines: number, bytes: number, tokens: number}} The limits, Infinity where unlimited.
+ */
+function getLimits(rule) {
+  const limit = (value) => (value > 0 ? value : Infinity);
+  return {
+    lines: limit(rule.maxLines),
+    bytes: limit(parseByteSize(rule.maxBytes, 'maxBytes')),
+    tokens: limit(rule.maxTokens),
+  };
+}
+
+/**
+ * Describes the limits of a truncation rule, e.g. '2000 lines' or '200000 bytes, 5000 tokens'.
+ * @param {{lines: number, bytes: number, tokens: number}} limits - See getLimits.
+ * @returns {string} The description.
+ */
+function describeLimits(limits) {
+  return ['lines', 'bytes', 'tokens']
+    .filter(unit => limits[unit] !== Infinity)
+    .map(unit => `${limits[unit]} ${unit}`)
+    .join(', ');
+}
+
+/**
+ * Measures a line as it is counted against the limits, including its newline.
+ * @param {string} line - The line, without its newline.
+ * @returns {{lines: number, bytes: number, tokens: number}} The cost.
+ */
+function measureLine(line) {
+  return { lines: 1, bytes: Buffer.byteLength(line, 'utf8') + 1, tokens: estimateTokens(line) + 1 };
+}
+
+/**
+ * Takes whole lines from the start (or the end) of a list while they fit within a budget.
+ * @param {Array<{text: string, cost: object}>} lines - The measured lines.
+ * @param {{lines: number, bytes: number, tokens: number}} budget - The budget; reduced by what is taken.
+ * @param {boolean} fromEnd - Take from the end instead of the start.
+ * @returns {number} How many lines were taken.
+ */
+function takeLines(lines, budget, fromEnd) {
+  let count = 0;
+  while (count < lines.length) {
+    const { cost } = lines[fromEnd ? lines.length - 1 - count : count];
+    if (cost.lines > budget.lines || cost.bytes > budget.bytes || cost.tokens > budget.tokens) {
+      break;
+    }
+    budget.lines -= cost.lines;
+    budget.bytes -= cost.bytes;
+    budget.tokens -= cost.tokens;
+    count++;
+  }
+  return count;
+}
+
+/**
+ * Cuts a single line that is longer than the whole budget (e.g. minified code) to the longest start
+ * (or end) that fits, without splitting a surrogate pair.
+ * @param {string} line - The line.
+ * @param {{bytes: number, tokens: number}} budget - The budget.
+ * @param {boolean} fromEnd - Keep the end of the line instead of its start.
+ * @returns {string} The part of the line that is kept.
+ */
+function cutLine(line, budget, fromEnd) {
+  const slice = (length) => (fromEnd ? line.slice(line.length - length) : line.slice(0, length));
+  const fits = (text) => Buffer.byteLength(text, 'utf8') + 1 <= budget.bytes && estimateTokens(text) + 1 <= budget.tokens;
+  let low = 0;
+  let high = line.length;
+  while (low < high) {
+    const middle = Math.ceil((low + high) / 2);
+    if (fits(slice(middle))) low = middle;
+    else high = middle - 1;
+  }
+  let kept = slice(low);
+  if (/^[\uDC00-\uDFFF]/.test(kept)) kept = kept.slice(1);
+  if (/[\uD800-\uDBFF]$/.test(kept)) kept = kept.slice(0, -1);
+  return kept;
+}
+
+/**
+ * Formats a count of lines, e.g. '1 line' or '1,204 lines'.
+ * @param {number} count - The count.
+ * @returns {string} The formatted count.
+ */
+function formatLines(count) {
+  return `${count.toLocaleString('en-US')} line${count === 1 ? '' : 's'}`;
+}
+
+/**
+ * Renders kept lines and elision markers as text, optionally numbering the lines with their
+ * line numbers in the original content. Markers are not numbered.
+ * @param {Array<{number: number, text: string}|{marker: string}>} entries - Kept lines and markers.
+ * @param {boolean} lineNumbers - Prefix each line with its number.
+ * @param {number} totalLines - The line count of the original content (for the number width).
+ * @param {boolean} trailingNewline - Whether the original content ends with a newline.
+ * @returns {string} The text.
+ */
+function renderLines(entries, lineNumbers, totalLines, trailingNewline) {
+  const width = String(totalLines).length;
+  const lines = entries.map((entry) => {
+    if (entry.marker) {
+      return entry.marker;
+    }
+    return lineNumbers ? `${String(entry.number).padStart(width)} | ${entry.text}` : entry.text;
+  });
+  return lines.join('\n') + (trailingNewline ? '\n' : '');
+}
+
+/**
+ * Tells from the size of a file alone whether a 'skip' rule leaves out its content, so the file does
+ * not have to be read: UTF-8 and Latin-1 text take at least as many bytes decoded as in the file.
+ * @param {object|null} rule - The truncation rule (see findTruncationRule).
+ * @param {number} contentBytes - The size of the text in the file, without its byte order mark.
+ * @returns {object|null} The truncation (see truncateContent; the line counts are null, as the file
+ *          is not read), or null if the file has to be read to tell.
+ */
+function skipBySize(rule, contentBytes) {
+  if (!rule || rule.strategy !== 'skip') {
+    return null;
+  }
+  const limits = getLimits(rule);
+  if (contentBytes <= limits.bytes) {
+    return null;
+  }
+  return { strategy: 'skip', limits: describeLimits(limits), totalLines: null, omittedLines: null };
+}
+
+/**
+ * Limits file content by lines, bytes and/or estimated tokens. Content is only cut at line
+ * boundaries (a single line is only cut when not even one line fits), and a marker tells how many
+ * lines were left out. Strategies:
+ *   'head'      - Keeps the start.
+ *   'tail'      - Keeps the end (e.g. logs).
+ *   'head_tail' - Keeps the start and the end, each within half of the limits, with the number of
+ *                 left out lines in between.
+ *   'skip'      - Leaves out the whole content.
+ *
+ * @param {string} content - The file content.
+ * @param {object|null} rule - The truncation rule (see findTruncationRule); null for no limits.
+ * @param {object} [options]
+ * @param {boolean} [options.lineNumbers=false] - Prefix each kept line with its line number.
+ * @returns {{content: string|null, truncated: boolean, truncation: object|null}} The content (null when
+ *          skipped) and, when truncated, {strategy, limits, totalLines, omittedLines} describing it.
+ */
+function truncateContent(content, rule, options = {}) {
+  const lineNumbers = Boolean(options.lineNumbers);
+  const trailingNewline = content.endsWith('\n');
+  const texts = content.split('\n');
+  if (trailingNewline) texts.pop();
+  const lines = texts.map(text => ({ text, cost: measureLine(text) }));
+  const unchanged = (text) => ({ content: text, truncated: false, truncation: null });
+
+  const limits = rule ? getLimits(rule) : { lines: Infinity, bytes: Infinity, tokens: Infinity };
+  const total = lines.reduce((sum, { cost }) => ({
+    lines: sum.lines + cost.lines, bytes: sum.bytes + cost.bytes, tokens: sum.tokens + cost.tokens,
+  }), { lines: 0, bytes: 0, tokens: 0 });
+  if (total.lines <= limits.lines && total.bytes <= limits.bytes && total.tokens <= limits.tokens) {
+    if (!lineNumbers) {
+      return unchanged(content);
+    }
+    return unchanged(renderLines(texts.map((text, index) => ({ number: index + 1, text })), true, texts.length, trailingNewline));
+  }
+
+  let strategy = rule.strategy || 'head';
+  if (!TRUNCATION_STRATEGIES.includes(strategy)) {
+    logger.warn(`Warning: Unknown truncation strategy '${strategy}'. Using 'head'.`);
+    strategy = 'head';
+  }
+  const truncation = { strategy, limits: describeLimits(limits), totalLines: lines.length, omittedLines: lines.length };
+  if (strategy === 'skip') {
+    return { content: null, truncated: true, truncation };
+  }
+
+  const keepEnd = strategy === 'tail';
+  const share = strategy === 'head_tail' ? 2 : 1;
+  const budget = { lines: Math.floor(limits.lines / share), bytes: Math.floor(limits.bytes / share), tokens: Math.floor(limits.tokens / share) };
+  const entries = [];
+  const numbered = (index) => ({ number: index + 1, text: lines[index].text });
+
+  // The first part: the start, or the end for 'tail'.
+  const firstCount = takeLines(lines, budget, keepEnd);
+  let cutText = null;
+  if (firstCount === 0 && strategy !== 'head_tail') {
+    cutText = cutLine(lines[keepEnd ? lines.length - 1 : 0].text, budget, keepEnd);
+  }
+  let omittedLines = lines.length - firstCount - (cutText !== null ? 1 : 0);
+
+  if (strategy === 'head_tail') {
+    // The end gets its half, plus whatever the start left unused.
+    budget.lines += limits.lines - Math.floor(limits.lines / 2);
+    budget.bytes += limits.bytes - Math.floor(limits.bytes / 2);
+    budget.tokens += limits.tokens - Math.floor(limits.tokens / 2);
+    const lastCount = takeLines(lines.slice(firstCount), budget, true);
+    omittedLines -= lastCount;
+    for (let index = 0; index < firstCount; index++) entries.push(numbered(index));
+    entries.push({ marker: `... [${formatLines(omittedLines)} omitted] ...` });
+    for (let index = lines.length - lastCount; index < lines.length; index++) entries.push(numbered(index));
+  } else if (keepEnd) {
+    const omitted = [omittedLines ? `the first ${formatLines(omittedLines)}` : '', cutText !== null ? `the start of line ${lines.length}` : ''];
+    entries.push({ marker: `... [Truncated: ${omitted.filter(Boolean).join(' and ')}] ...` });
+    if (cutText !== null) entries.push({ number: lines.length, text: cutText });
+    for (let index = lines.length - firstCount; index < lines.length; index++) entries.push(numbered(index));
+  } else {
+    for (let index = 0; index < firstCount; index++) entries.push(numbered(index));
+    if (cutText !== null) entries.push({ number: 1, text: cutText });
+    const omitted = [cutText !== null ? 'the rest of line 1' : '', omittedLines ? `${omittedLines.toLocaleString('en-US')} more line${omittedLines === 1 ? '' : 's'}` : ''];
+    entries.push({ marker: `... [Truncated: ${omitted.filter(Boolean).join(' and ')}] ...` });
+  }
+
+  truncation.omittedLines = omittedLines;
+  return { content: renderLines(entries, lineNumbers, lines.length, trailingNewline), truncated: true, truncation };
+}
+
+module.exports = {
+  TRUNCATION_STRATEGIES,
+  findTruncationRule,
+  skipBySize,
+  truncateContent, // Exporting for potential direct use or testing
+};
@@ -0,0 +1,251 @@
+// src/unpacker.js
+const path = require('path');
+const { readFile, stat, mkdir, realpath, writeFileAtomic } = require('./fs_utils');
+const { MARKDOWN_SECTIONS } = require('./renderers');
+const { createUnifiedDiff } = require('./text_diff');
+const { UsageError } = require('./errors');
+const { logger } = require('./logger');
+
+// Notes of the markdown renderer (see describeFile in renderers.js) on sections whose content is not
+// the file as it is on disk. Writing such content back would lose part of the file.
+const LOSSY_NOTES = [
+  { pattern: /^Content truncated/, reason: 'its content is truncated' },
+  { pattern: /^Content transformed/, reason: 'its content is transformed' },
+  { pattern: /^Content compressed/, reason: 'its content is compressed' },
+  { pattern: /^\d+ secrets? redacted/, reason: 'secrets in it are redacted' },
+  { pattern: /^Lines prefixed with their line numbers/, reason: 'its lines are numbered' },
+];
+
+/**
+ * Parses a markdown bundle (as written by the markdown renderer, or an edited copy of one, such as
+ * an LLM reply) into its file sections: a `## path` heading followed by the content in a fenced block.
+ * The metadata and git diff blocks of a section are skipped, as are the sections that are not files
+ * (directory tree, table of contents, directory contexts...), the SYSTEM preamble before the '# Project Files'
+ * title and the POSTAMBLE at the end.
+ *
+ * @param {string} text - The bundle.
+ * @returns {Array<{path: string, line: number, content: string|null, notes: string[], error: string|null,
+ *          complete: boolean}>} The file sections, in order. `content` is null for sections without content
+ *          (binary, deleted, omitted files); `complete` is false when the content block is not closed.
+ */
+function parseMarkdownBundle(text) {
+  const lines = text.split('\n');
+  const titleIndex = lines.findIndex(line => /^# Project Files\s*$/.test(line));
+  const otherSections = Object.values(MARKDOWN_SECTIONS);
+  const sections = [];
+  let section = null;
+  let pendingBlock = null; // 'metadata' or 'diff' when the next fenced block is not the content
+
+  for (let index = titleIndex + 1; index < lines.length; index++) {
+    const line = lines[index].replace(/\s+$/, '');
+    if (line.startsWith('POSTAMBLE: ')) {
+      break;
+    }
+    const heading = line.match(/^## (.+)$/);
+    if (heading) {
+      const title = heading[1].trim().replace(/^`(.+)`$/, '$1');
+      section = otherSections.includes(title) || title.startsWith(`${MARKDOWN_SECTIONS.context}: `)
+        ? null
+        : { path: title, line: index + 1, content: null, notes: [], error: null, complete: true };
+      if (section) sections.push(section);
+      pendingBlock = null;
+      continue;
+    }
+
+    const fence = line.match(/^(`{3,})[^`]*$/);
+    if (fence) {
+      // The block ends at a line of at least as many backticks (CommonMark), or with the bundle.
+      let end = index + 1;
+      while (end < lines.length && !(/^`+\s*$/.test(lines[end]) && lines[end].trim().length >= fence[1].length)) end++;
+      if (section && pendingBlock === null && section.content === null) {
+        section.content = lines.slice(index + 1, end).join('\n');
+        section.complete = end < lines.length;
+      }
+      pendingBlock = null;
+      index = end;
+      continue;
+    }
+
+    if (!section) continue;
+    const note = line.match(/^\*([^*].*)\*$/);
+    if (line === '**Associated Metadata:**') {
+      pendingBlock = 'metadata';
+    } else if (line === '**Changes:**') {
+      pendingBlock = 'diff';
+    } else if (line.startsWith('**Error during processing')) {
+      section.error = line.replace(/^\*\*|\*\*$/g, '');
+    } else if (note && section.content === null) {
+      section.notes.push(note[1]);
+    }
+  }
+  return sections;
+}
+
+/**
+ * Checks that a path from a bundle stays inside the target directory, also when directories on the
+ * way are symbolic links.
+ * @param {string} rootPath - The real path of the target directory.
+ * @param {string} filePath - The path from the bundle.
+ * @returns {Promise<string|null>} The absolute path to write, or null if it would be outside the directory.
+ */
+async function resolveTargetPath(rootPath, filePath) {
+  if (!filePath || filePath.includes('\0') || path.isAbsolute(filePath) || /^[a-zA-Z]:/.test(filePath)) {
+    return null;
+  }
+  const isInside = (candidate) => {
+    const relative = path.relative(rootPath, candidate);
+    return relative !== '' && !relative.startsWith('..') && !path.isAbsolute(relative);
+  };
+  const fullPath = path.resolve(rootPath, filePath);
+  if (!isInside(fullPath)) {
+    return null;
+  }
+  // The closest existing directory must really be inside the target too.
+  let directory = path.dirname(fullPath);
+  for (;;) {
+    try {
+      const realDirectory = await realpath(directory);
+      return realDirectory === rootPath || isInside(realDirectory) ? fullPath : null;
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      directory = path.dirname(directory);
+    }
+  }
+}
+
+/**
+ * Reads the current content of a file to be written.
+ * @param {string} fullPath - The path.
+ * @returns {Promise<{exists: boolean, isFile: boolean, content: string}>} What is there now.
+ */
+async function readCurrent(fullPath) {
+  try {
+    if (!(await stat(fullPath)).isFile()) {
+      return { exists: true, isFile: false, content: '' };
+    }
+    return { exists: true, isFile: true, content: await readFile(fullPath, 'utf8') };
+  } catch (error) {
+    if (error.code === 'ENOENT') return { exists: false, isFile: false, content: '' };
+    throw error;
+  }
+}
+
+/**
+ * Collects the files of one or more markdown bundles. When a bundle was split into parts, the
+ * sections of a file in later parts continue its content; within one bundle, a later section of
+ * the same path replaces an earlier one.
+ * @param {string[]} bundlePaths - Absolute paths of the bundles, in order.
+ * @returns {Promise<Map<string, object>>} The sections (see parseMarkdownBundle) by path.
+ */
+async function readBundles(bundlePaths) {
+  const files = new Map();
+  for (const bundlePath of bundlePaths) {
+    let text;
+    try {
+      text = await readFile(bundlePath, 'utf8');
+    } catch (error) {
+      throw new UsageError(`Cannot read bundle '${bundlePath}': ${error.message}`);
+    }
+    const seen = new Set();
+    for (const section of parseMarkdownBundle(text)) {
+      const previous = files.get(section.path);
+      if (seen.has(section.path)) {
+        logger.warn(`Warning: ${section.path} appears more than once in ${bundlePath}; using the section at line ${section.line}.`);
+        files.set(section.path, section);
+      } else if (previous && previous.content !== null && section.content !== null) {
+        files.set(section.path, { ...section, content: `${previous.content}${section.content}`, complete: previous.complete && section.complete });
+      } else {
+        files.set(section.path, section);
+      }
+      seen.add(section.path);
+    }
+  }
+  return files;
+}
+
+/**
+ * Writes the files of markdown bundles back to disk: the reverse of collecting into a markdown
+ * output. Typically the bundle is an LLM reply that edited some of the sections. Every file gets a
+ * unified diff against what is on disk. Paths outside the target directory are refused, as are
+ * sections whose content is not the whole file (truncated, transformed, compressed, redacted or numbered).
+ *
+ * @param {string[]} bundlePaths - The markdown bundles, relative to cwd; parts of a split output in order.
+ * @param {object} [options]
+ * @param {string} [options.root='.'] - The directory the paths in the bundle are relative to (relative to cwd).
+ * @param {string} [options.cwd=process.cwd()] - Base for the bundle and root paths.
+ * @param {boolean} [options.dryRun=false] - Only compute the diffs; write nothing.
+ * @returns {Promise<{root: string, files: Array<{path: string, status: 'created'|'modified'|'unchanged'|'skipped',
+ *          reason: string|null, diff: string}>}>} What was (or would be) done with every file of the bundles;
+ *          `reason` says why a file was skipped.
+ * @throws {UsageError} If a bundle cannot be read, has no file sections, or the root is not a directory.
+ */
+async function unpack(bundlePaths, options = {}) {
+  const { root = '.', cwd = process.cwd(), dryRun = false } = options;
+  let rootPath;
+  try {
+    rootPath = await realpath(path.resolve(cwd, root));
+    if (!(await stat(rootPath)).isDirectory()) throw new Error('not a directory');
+  } catch (error) {
+    throw new UsageError(`Target directory not found: ${root}`);
+  }
+
+  const sections = await readBundles(bundlePaths.map(bundlePath => path.resolve(cwd, bundlePath)));
+  if (sections.size === 0) {
+    throw new UsageError(`No files found in ${bundlePaths.join(', ')}. Only markdown bundles can be unpacked.`);
+  }
+
+  const files = [];
+  for (const section of sections.values()) {
+    const skip = (reason) => files.push({ path: section.path, status: 'skipped', reason, diff: '' });
+    const lossyNote = LOSSY_NOTES.find(({ pattern }) => section.notes.some(note => pattern.test(note)));
+    if (section.error || section.content === null) {
+      skip(section.error || 'it has no content in the bundle');
+      continue;
+    }
+    if (lossyNote) {
+      skip(lossyNote.reason);
+      continue;
+    }
+    if (!section.complete) {
+      skip('its content block is not closed (incomplete bundle?)');
+      continue;
+    }
+    const fullPath = await resolveTargetPath(rootPath, section.path);
+    if (!fullPath) {
+      skip(`it is outside the target directory ${rootPath}`);
+      continue;
+    }
+    const current = await readCurrent(fullPath);
+    if (current.exists && !current.isFile) {
+      skip('a directory or special file is in its place');
+      continue;
+    }
+    const decodedNote = section.notes.find(note => note.startsWith('Decoded from'));
+    if (decodedNote) {
+      logger.warn(`Warning: ${section.path} was ${decodedNote.replace(/^Decoded/, 'decoded')}; it is written as UTF-8.`);
+    }
+
+    // The renderer puts a blank line before the closing fence of content that ends with a newline.
+    // Edited copies (LLM replies) tend to drop it: keep the final newline the file has now.
+    let content = section.content;
+    if (current.content.endsWith('\n') && content && !content.endsWith('\n')) {
+      content += '\n';
+    }
+    const diff = createUnifiedDiff(current.content, content, {
+      oldLabel: current.exists ? `a/${section.path}` : '/dev/null',
+      newLabel: `b/${section.path}`,
+    });
+    const status = !current.exists ? 'created' : (diff ? 'modified' : 'unchanged');
+    files.push({ path: section.path, status, reason: null, diff });
+    if (!dryRun && status !== 'unchanged') {
+      await mkdir(path.dirname(fullPath), { recursive: true });
+      await writeFileAtomic(fullPath, content);
+    }
+  }
+  return { root: rootPath, files };
+}
+
+module.exports = {
+  unpack,
+  parseMarkdownBundle, // Exporting for potential direct use or testing
+};
@@ -0,0 +1,148 @@
+// src/watcher.js
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+// fs.watch({recursive: true}) is native on macOS and Windows. Elsewhere (Linux) every directory gets
+// its own watcher, which lets ignored directories such as node_modules be skipped entirely.
+const NATIVE_RECURSIVE_PLATFORMS = ['darwin', 'win32'];
+
+/**
+ * Watches a directory tree and reports changed paths in debounced batches.
+ *
+ * Batches are delivered one at a time: while `onChange` runs, new events are collected and
+ * delivered in the next batch once it has finished.
+ *
+ * @param {string} rootPath - Absolute path of the directory to watch.
+ * @param {object} options
+ * @param {number} [options.debounceMs=200] - Quiet time to wait for before delivering a batch.
+ * @param {function(string, boolean): boolean} [options.ignorePath] - Called with a forward-slash path relative
+ *        to rootPath and whether it is a directory; return true to drop its events (and, for directories
+ *        watched one by one, to not watch it).
+ * @param {string[]} [options.extraFiles=[]] - Absolute paths of files outside the tree to watch as well
+ *        (e.g. the config file).
+ * @param {function(string[]): Promise<void>} onChange - Receives the absolute paths changed since the previous batch.
+ * @returns {{close: function(): void}} Handle to stop watching.
+ */
+function watchDirectory(rootPath, options, onChange) {
+  const { debounceMs = 200, ignorePath = () => false, extraFiles = [] } = options;
+  const watchers = new Map(); // Watched directory -> fs.FSWatcher
+  let pending = new Set();
+  let timer = null;
+  let busy = false;
+  let closed = false;
+
+  const toRelative = (fullPath) => path.relative(rootPath, fullPath).replace(/\\/g, '/');
+
+  const flush = async () => {
+    timer = null;
+    if (busy || closed || pending.size === 0) return;
+    const batch = [...pending];
+    pending = new Set();
+    busy = true;
+    try {
+      await onChange(batch);
+    } catch (error) {
+      logger.error(`Watch: rebuild failed: ${error.message}`);
+    }
+    busy = false;
+    if (pending.size) schedule();
+  };
+
+  const schedule = () => {
+    if (timer) clearTimeout(timer);
+    timer = setTimeout(flush, debounceMs);
+  };
+
+  const record = (fullPath) => {
+    const relativePath = toRelative(fullPath);
+    const insideRoot = relativePath && !relativePath.startsWith('../');
+    if (insideRoot && ignorePath(relativePath, false)) return;
+    pending.add(fullPath);
+    schedule();
+  };
+
+  const addWatcher = (dirPath, watchOptions, onEvent) => {
+    try {
+      const watcher = fs.watch(dirPath, watchOptions, onEvent);
+      watcher.on('error', () => {
+        // Typically the directory was removed.
+        watcher.close();
+        watchers.delete(dirPath);
+      });
+      watchers.set(dirPath, watcher);
+      return true;
+    } catch (error) {
+      if (error.code === 'ERR_FEATURE_UNAVAILABLE_ON_PLATFORM') throw error;
+      if (error.code !== 'ENOENT') logger.warn(`Watch: cannot watch ${dirPath}: ${error.message}`);
+      return false;
+    }
+  };
+
+  // Watches a directory and its subdirectories one by one (the fallback for non-recursive platforms).
+  const watchTree = (dirPath) => {
+    if (closed || watchers.has(dirPath)) return;
+    const relativeDirPath = toRelative(dirPath);
+    if (relativeDirPath && ignorePath(relativeDirPath, true)) return;
+    const watching = addWatcher(dirPath, {}, (eventType, fileName) => {
+      const fullPath = fileName ? path.join(dirPath, fileName.toString()) : dirPath;
+      record(fullPath);
+      // A new subdirectory needs a watcher of its own; report the files it was created with.
+      fs.stat(fullPath, (error, stats) => {
+        if (!error && stats.isDirectory() && !watchers.has(fullPath)) {
+          watchTree(fullPath);
+          fs.readdir(fullPath, (readError, names) => {
+            if (!readError) names.forEach(name => record(path.join(fullPath, name)));
+          });
+        }
+      });
+    });
+    if (!watching) return;
+    let entries = [];
+    try {
+      entries = fs.readdirSync(dirPath, { withFileTypes: true });
+    } catch (error) {
+      return;
+    }
+    for (const entry of entries) {
+      if (entry.isDirectory()) watchTree(path.join(dirPath, entry.name));
+    }
+  };
+
+  let recursive = NATIVE_RECURSIVE_PLATFORMS.includes(process.platform);
+  if (recursive) {
+    try {
+      addWatcher(rootPath, { recursive: true }, (eventType, fileName) => {
+        record(fileName ? path.join(rootPath, fileName.toString()) : rootPath);
+      });
+    } catch (error) {
+      recursive = false;
+    }
+  }
+  if (!recursive) {
+    watchTree(rootPath);
+  }
+
+  // Watch the directories of extra files (editors often replace a file instead of writing it in place).
+  for (const filePath of extraFiles) {
+    const dirPath = path.dirname(filePath);
+    const covered = recursive ? !toRelative(dirPath).startsWith('..') : watchers.has(dirPath);
+    if (covered) continue;
+    addWatcher(dirPath, {}, (eventType, fileName) => {
+      if (fileName && path.join(dirPath, fileName.toString()) === filePath) record(filePath);
+    });
+  }
+
+  return {
+    close() {
+      closed = true;
+      if (timer) clearTimeout(timer);
+      for (const watcher of watchers.values()) watcher.close();
+      watchers.clear();
+    },
+  };
+}
+
+module.exports = {
+  watchDirectory,
+};
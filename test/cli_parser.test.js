@@ -0,0 +1,58 @@
+// test/cli_parser.test.js
+const { test } = require('node:test');
+const assert = require('assert');
+const { parseArgs } = require('../src/cli_parser');
+const { UsageError } = require('../src/errors');
+
+/**
+ * Parses arguments the way they arrive from the shell.
+ * @param {...string} args - The arguments after the script name.
+ * @returns {object} The parsed arguments.
+ */
+function parse(...args) {
+  return parseArgs(['node', 'collect-files', ...args]);
+}
+
+test('every config key has an option, with shorter aliases', () => {
+  const args = parse('-o', 'out.xml', '--format=xml', '--metadata-suffix', '.notes', '--token-budget', '5000', 'src');
+  assert.deepStrictEqual(args.overrides, { output: 'out.xml', format: 'xml', metadataSuffix: '.notes', tokenBudget: 5000 });
+  assert.deepStrictEqual(args.paths, ['src']);
+});
+
+test('boolean keys have --no- forms and list options can be repeated', () => {
+  const args = parse('--no-cache', '--use-gitignore', '--ignore', 'dist/,build/', '--ignore', 'tmp/');
+  assert.deepStrictEqual(args.overrides, { cache: false, useGitignore: true, ignore: ['dist/', 'build/', 'tmp/'] });
+});
+
+test('switches set fixed values and command options are not config keys', () => {
+  const args = parse('--diff-only', '--since', 'main', '-q', '--clear-cache');
+  assert.deepStrictEqual(args.overrides, { gitDiff: 'only', gitSince: 'main' });
+  assert.strictEqual(args.logLevel, 'quiet');
+  assert.strictEqual(args.clearCache, true);
+});
+
+test('JSON values are parsed for keys holding objects', () => {
+  const args = parse('--compression-rules', '{"pathPattern": "src/**", "strategy": "strip_comments"}');
+  assert.deepStrictEqual(args.overrides.compressionRules, [{ pathPattern: 'src/**', strategy: 'strip_comments' }]);
+  assert.throws(() => parse('--compression-rules', '{nope}'), /Option --compression-rules expects JSON/);
+});
+
+test('formats are checked with the configuration, as plugins can add formats; case does not matter', () => {
+  assert.strictEqual(parse('-f', 'JSON').overrides.format, 'JSON');
+  assert.strictEqual(parse('--format', 'html').overrides.format, 'html');
+});
+
+test('mistakes are usage errors', () => {
+  assert.throws(() => parse('--formt', 'json'), error => error instanceof UsageError && /Did you mean '--format'\?/.test(error.message));
+  assert.throws(() => parse('--output'), /Option --output requires a value/);
+  assert.throws(() => parse('--no-cache=yes'), /does not take a value/);
+  assert.throws(() => parse('--cache=maybe'), /expects true or false/);
+  assert.throws(() => parse('--token-budget', 'lots'), /expects a number/);
+  assert.throws(() => parse('--git-diff', 'alongsde'), /Did you mean 'alongside'\?/);
+});
+
+test('several paths can be given, and everything after -- is a path', () => {
+  assert.deepStrictEqual(parse('src', 'README.md', '--files-from', '-').paths, ['src', 'README.md']);
+  assert.strictEqual(parse('--files-from', 'list.txt').filesFrom, 'list.txt');
+  assert.deepStrictEqual(parse('--', '-odd-name', '--format').paths, ['-odd-name', '--format']);
+});
@@ -0,0 +1,82 @@
+// test/compression.test.js
+const { test } = require('node:test');
+const assert = require('assert');
+const { applyCompression } = require('../src/compression');
+
+/**
+ * Compresses TypeScript source with extract_signatures.
+ * @param {string} source - The source.
+ * @returns {string} The compressed source.
+ */
+function signatures(source) {
+  return applyCompression(source, 'src/example.ts', { strategy: 'extract_signatures' }).content;
+}
+
+test('function bodies are elided', () => {
+  assert.strictEqual(signatures('function add(a, b) {\n  return a + b;\n}'), 'function add(a, b) { ... }');
+  assert.strictEqual(signatures('const add = (a, b) => {\n  return a + b;\n};'), 'const add = (a, b) => { ... };');
+});
+
+test('object literals, interfaces and type literals are kept', () => {
+  const source = 'const options = { a: 1, b: { c: 2 } };\ninterface Shape { area(): number; name: string }';
+  assert.strictEqual(signatures(source), source);
+});
+
+test('an object return type is kept and the body after it is elided', () => {
+  assert.strictEqual(
+    signatures('function f(): { a: number } {\n  return { a: 1 };\n}'),
+    'function f(): { a: number } { ... }'
+  );
+  assert.strictEqual(
+    signatures('const f = (): { a: number } => {\n  return { a: 1 };\n};'),
+    'const f = (): { a: number } => { ... };'
+  );
+});
+
+test('object types nested in a return type are kept', () => {
+  assert.strictEqual(
+    signatures('async function load(id: string): Promise<{ user: { id: string }; tags: string[] }> {\n  return fetch(id);\n}'),
+    'async function load(id: string): Promise<{ user: { id: string }; tags: string[] }> { ... }'
+  );
+  assert.strictEqual(
+    signatures('function pick(): { a: 1 } | { b: 2 } {\n  return { a: 1 };\n}'),
+    'function pick(): { a: 1 } | { b: 2 } { ... }'
+  );
+});
+
+test('methods, constructors and arrow properties of classes are elided', () => {
+  const source = [
+    'class Account {',
+    '  constructor(owner: string, limits: { daily: number }) {',
+    '    this.owner = owner;',
+    '  }',
+    '  balance(): number {',
+    '    return 0;',
+    '  }',
+    '  totals(): { in: number; out: number } {',
+    '    return { in: 0, out: 0 };',
+    '  }',
+    '  onChange = (event): void => {',
+    '    this.refresh();',
+    '  };',
+    '}',
+  ].join('\n');
+  assert.strictEqual(signatures(source), [
+    'class Account {',
+    '  constructor(owner: string, limits: { daily: number }) { ... }',
+    '  balance(): number { ... }',
+    '  totals(): { in: number; out: number } { ... }',
+    '  onChange = (event): void => { ... };',
+    '}',
+  ].join('\n'));
+});
+
+test('braces in strings, templates and regular expressions do not count', () => {
+  const source = "function f() {\n  const s = '}';\n  const t = `${'{'}`;\n  return /{/.test(s + t);\n}\nconst after = 1;";
+  assert.strictEqual(signatures(source), 'function f() { ... }\nconst after = 1;');
+});
+
+test('files in other languages are left unchanged', () => {
+  const source = 'def f():\n    return {"a": 1}\n';
+  assert.strictEqual(applyCompression(source, 'example.py', { strategy: 'extract_signatures' }).content, source);
+});
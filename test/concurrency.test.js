@@ -0,0 +1,60 @@
+// test/concurrency.test.js
+const { test } = require('node:test');
+const assert = require('assert');
+const { mapConcurrent } = require('../src/concurrency');
+
+/**
+ * Waits a few milliseconds.
+ * @param {number} ms - The delay.
+ * @returns {Promise<void>}
+ */
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+test('results keep the order of the items, whatever order the calls finish in', async () => {
+  const results = await mapConcurrent([30, 5, 15, 0], 4, async (ms, index) => {
+    await delay(ms);
+    return `${index}:${ms}`;
+  });
+  assert.deepStrictEqual(results, ['0:30', '1:5', '2:15', '3:0']);
+});
+
+test('no more than `limit` calls run at once', async () => {
+  let running = 0;
+  let maxRunning = 0;
+  await mapConcurrent(Array.from({ length: 10 }, (_, index) => index), 3, async () => {
+    running++;
+    maxRunning = Math.max(maxRunning, running);
+    await delay(2);
+    running--;
+  });
+  assert.strictEqual(maxRunning, 3);
+});
+
+test('a lazy source is only read when a call can start', async () => {
+  const taken = [];
+  async function* source() {
+    for (let index = 0; index < 5; index++) {
+      taken.push(index);
+      yield index;
+    }
+  }
+  const takenWhenStarting = [];
+  await mapConcurrent(source(), 2, async (item) => {
+    takenWhenStarting.push(taken.length - 1 - item);
+    await delay(2);
+  });
+  assert.deepStrictEqual(taken, [0, 1, 2, 3, 4]);
+  // Each call starts with at most one item taken ahead of it (by the other worker).
+  assert.ok(takenWhenStarting.every(ahead => ahead <= 1));
+});
+
+test('the first error rejects and no calls start after it', async () => {
+  const started = [];
+  await assert.rejects(mapConcurrent([1, 2, 3, 4, 5], 1, async (item) => {
+    started.push(item);
+    if (item === 2) throw new Error('failed at 2');
+  }), /failed at 2/);
+  assert.deepStrictEqual(started, [1, 2]);
+});
@@ -0,0 +1,90 @@
+// test/config_schema.test.js
+const { test, after } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { validateConfig } = require('../src/config_schema');
+const { DEFAULT_CONFIG, CONFIG_PRESETS, resolveConfig } = require('../src/config_manager');
+const { ConfigError } = require('../src/errors');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'collect-files-config-'));
+after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+test('the default configuration and the presets are valid', () => {
+  assert.deepStrictEqual(validateConfig(DEFAULT_CONFIG), []);
+  for (const [name, preset] of Object.entries(CONFIG_PRESETS)) {
+    assert.deepStrictEqual(validateConfig(preset), [], name);
+  }
+});
+
+test('unknown keys are reported with a suggestion', () => {
+  assert.deepStrictEqual(validateConfig({ ignor: ['dist/'] }), [
+    { keyPath: 'ignor', message: "unknown key. Did you mean 'ignore'?" },
+  ]);
+});
+
+test('values of the wrong type or range are reported with their key path', () => {
+  assert.deepStrictEqual(validateConfig({ watchDebounceMs: 'soon', tokenBudget: -1 }), [
+    { keyPath: 'watchDebounceMs', message: 'expected non-negative integer, got string' },
+    { keyPath: 'tokenBudget', message: 'expected non-negative integer, got -1' },
+  ]);
+});
+
+test('rules are checked item by item', () => {
+  const issues = validateConfig({ compressionRules: [{ pathPattern: 'src/', strategy: 'strip_comments' }, { strategy: 'strip_comments' }] });
+  assert.deepStrictEqual(issues, [{ keyPath: 'compressionRules[1].pathPattern', message: 'is required' }]);
+});
+
+test('the format must name a renderer, in any case', () => {
+  assert.deepStrictEqual(validateConfig({ format: 'JSON' }), []);
+  assert.deepStrictEqual(validateConfig({ format: 'md' }), []);
+  const [issue] = validateConfig({ format: 'jsno' });
+  assert.strictEqual(issue.keyPath, 'format');
+  assert.match(issue.message, /^expected one of 'markdown', 'json', 'xml', 'text'.*, got "jsno"\. Did you mean 'json'\?$/);
+});
+
+test('secret patterns must compile, and the issue names the key and index', () => {
+  const issues = validateConfig({
+    secretRules: [{ pattern: 'ok_[a-z]+' }, { name: 'broken', pattern: 'corp_[a-z' }, { pattern: 'x', flags: 'q' }],
+    secretAllowlist: ['(a plain value', { pattern: '(' }],
+  });
+  assert.deepStrictEqual(issues.map(issue => issue.keyPath), ['secretRules[1].pattern', 'secretRules[2].flags', 'secretAllowlist[1].pattern']);
+  assert.match(issues[0].message, /Invalid regular expression/);
+});
+
+test('an invalid config file is rejected when it is loaded', async () => {
+  const configFile = path.join(tempDir, 'collect-files.config.json');
+  fs.writeFileSync(configFile, JSON.stringify({ format: 'xmll', secretAllowlist: [{ pattern: '[' }] }));
+  await assert.rejects(resolveConfig({ configFile, userConfigFile: null }), error => error instanceof ConfigError
+    && error.issues.map(issue => issue.keyPath).join() === 'format,secretAllowlist[0].pattern'
+    && error.message.includes(configFile));
+});
+
+test('profiles override the config files, and the command line overrides the profiles', async () => {
+  const configFile = path.join(tempDir, 'profiles.config.json');
+  fs.writeFileSync(configFile, JSON.stringify({
+    ignore: ['dist/'],
+    profiles: {
+      backend: { paths: ['server'], output: 'backend.md', ignore: ['*.sql'] },
+      compact: { format: 'json', tokenBudget: 5000 },
+    },
+  }));
+  const { config, sources, paths } = await resolveConfig({
+    configFile, userConfigFile: null, profiles: ['backend', 'compact'], overrides: { tokenBudget: 100, ignore: ['tmp/'] },
+  });
+  assert.deepStrictEqual(paths, ['server']);
+  assert.deepStrictEqual([config.output, config.format, config.tokenBudget], ['backend.md', 'json', 100]);
+  assert.deepStrictEqual([sources.output, sources.format, sources.tokenBudget], ["profile 'backend'", "profile 'compact'", 'command line']);
+  assert.ok(config.ignore.includes('tmp/'));
+  assert.strictEqual((await resolveConfig({ configFile, userConfigFile: null })).paths, null);
+});
+
+test('an unknown profile is an error with a suggestion', async () => {
+  const configFile = path.join(tempDir, 'profiles.config.json');
+  fs.writeFileSync(configFile, JSON.stringify({ profiles: { backend: { paths: ['server'] } } }));
+  await assert.rejects(resolveConfig({ configFile, userConfigFile: null, profiles: ['backnd'] }),
+    error => error instanceof ConfigError && /^Unknown profile 'backnd'\. Did you mean 'backend'\? Available profiles: backend\.$/.test(error.message));
+  assert.deepStrictEqual(validateConfig({ profiles: { web: { paths: 'web', extends: 'x' } } }).map(issue => issue.keyPath),
+    ['profiles.web.paths', 'profiles.web.extends']);
+});
@@ -0,0 +1,60 @@
+// test/content_sniffer.test.js
+const { test, after } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { sniffContent, sniffFile, decodeContent, formatSize } = require('../src/content_sniffer');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'collect-files-sniff-'));
+after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+test('plain UTF-8 and Latin-1 text are text', () => {
+  assert.deepStrictEqual(sniffContent(Buffer.from('const café = "ü";\n', 'utf8')), { binary: false, type: null, encoding: 'utf8', bomLength: 0 });
+  assert.strictEqual(sniffContent(Buffer.from('caf\xe9 cr\xe8me\n', 'latin1')).encoding, 'latin1');
+});
+
+test('byte order marks select the encoding', () => {
+  assert.deepStrictEqual(sniffContent(Buffer.from([0xef, 0xbb, 0xbf, 0x61])), { binary: false, type: null, encoding: 'utf8', bomLength: 3 });
+  assert.strictEqual(sniffContent(Buffer.from([0xff, 0xfe, 0x61, 0x00])).encoding, 'utf16le');
+  assert.strictEqual(sniffContent(Buffer.from([0xfe, 0xff, 0x00, 0x61])).encoding, 'utf16be');
+});
+
+test('UTF-16 without a byte order mark is recognized from its zero bytes', () => {
+  assert.strictEqual(sniffContent(Buffer.from('hello world', 'utf16le')).encoding, 'utf16le');
+  assert.strictEqual(sniffContent(Buffer.from('hello world', 'utf16le').swap16()).encoding, 'utf16be');
+});
+
+test('binary formats are recognized by their signature', () => {
+  const png = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00, 0x00]);
+  assert.deepStrictEqual(sniffContent(png), { binary: true, type: 'PNG image', encoding: null, bomLength: 0 });
+  assert.strictEqual(sniffContent(Buffer.from('%PDF-1.7\n')).type, 'PDF document');
+  assert.strictEqual(sniffContent(Buffer.from([0x00, 0x01, 0x02, 0x03, 0xfe, 0x10])).binary, true);
+});
+
+test('weak signatures need binary-looking content', () => {
+  // 'BM' and 'MZ' also start ordinary words.
+  assert.strictEqual(sniffContent(Buffer.from('BMW models\n')).binary, false);
+  assert.strictEqual(sniffContent(Buffer.from('MZ is a region\n')).binary, false);
+  assert.strictEqual(sniffContent(Buffer.from([0x4d, 0x5a, 0x90, 0x00, 0x03, 0x00])).type, 'Windows executable');
+});
+
+test('a multi-byte character cut off at the end of the sample is still UTF-8', () => {
+  const sample = Buffer.from('abc€', 'utf8').subarray(0, 5); // '€' is 3 bytes
+  assert.strictEqual(sniffContent(sample, true).encoding, 'utf8');
+  assert.strictEqual(sniffContent(sample, false).encoding, 'latin1');
+});
+
+test('files are sniffed from disk and decoded without the byte order mark', async () => {
+  const filePath = path.join(tempDir, 'utf16.txt');
+  fs.writeFileSync(filePath, Buffer.concat([Buffer.from([0xfe, 0xff]), Buffer.from('Grüße\n', 'utf16le').swap16()]));
+  const sniffed = await sniffFile(filePath);
+  assert.deepStrictEqual(sniffed, { binary: false, type: null, encoding: 'utf16be', bomLength: 2, size: 14 });
+  assert.strictEqual(decodeContent(fs.readFileSync(filePath), sniffed), 'Grüße\n');
+});
+
+test('sizes are formatted for humans', () => {
+  assert.strictEqual(formatSize(512), '512 B');
+  assert.strictEqual(formatSize(12595), '12.3 KB');
+  assert.strictEqual(formatSize(4 * 1024 * 1024), '4.0 MB');
+});
@@ -0,0 +1,87 @@
+// test/dependency_resolver.test.js
+const { test, after } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { resolveDependencies, resolveSpecifier, findImportSpecifiers } = require('../src/dependency_resolver');
+const { collect, UsageError } = require('../src/index');
+
+const rootPath = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'collect-files-deps-')));
+after(() => fs.rmSync(rootPath, { recursive: true, force: true }));
+
+const projectFiles = {
+  'src/main.js': "const util = require('./util');\nimport config from './config.json';\nconst lib = require('./lib');\nrequire('lodash');\nrequire('./missing');\n",
+  'src/util.js': "export * from './helpers/format';\n",
+  'src/helpers/format.ts': "import { pad } from '../../vendor/pad';\n",
+  'src/config.json': '{}',
+  'src/lib/package.json': '{"main": "entry"}',
+  'src/lib/entry.js': "module.exports = require('../util');\n",
+  'src/unused.js': '',
+  'vendor/pad.js': '',
+};
+for (const [filePath, content] of Object.entries(projectFiles)) {
+  fs.mkdirSync(path.dirname(path.join(rootPath, filePath)), { recursive: true });
+  fs.writeFileSync(path.join(rootPath, filePath), content);
+}
+
+/**
+ * Lists the project files as collectable files, optionally leaving some out.
+ * @param {string[]} [leftOut=[]] - Paths that are not collectable.
+ * @returns {Map<string, {path: string, fullPath: string}>} The files by full path.
+ */
+function collectable(leftOut = []) {
+  return new Map(Object.keys(projectFiles).filter(filePath => !leftOut.includes(filePath))
+    .map(filePath => [path.join(rootPath, filePath), { path: filePath, fullPath: path.join(rootPath, filePath) }]));
+}
+
+test('import specifiers are found in code, not in comments or computed strings', () => {
+  const source = [
+    "import a from 'a';",
+    "import 'side-effect';",
+    "export { b } from \"./b\";",
+    "const c = require('./c');",
+    'const d = await import(`./d`);',
+    "// require('./commented')",
+    "const e = require(`./${name}`);",
+    "const f = require('./f' + suffix);",
+    "obj.import('./method');",
+  ].join('\n');
+  assert.deepStrictEqual(findImportSpecifiers(source), ['a', 'side-effect', './b', './c', './d']);
+});
+
+test('specifiers resolve like Node: extensions, package.json main, index files', async () => {
+  const fromPath = path.join(rootPath, 'src', 'main.js');
+  assert.strictEqual(await resolveSpecifier(fromPath, './util'), path.join(rootPath, 'src', 'util.js'));
+  assert.strictEqual(await resolveSpecifier(fromPath, './helpers/format'), path.join(rootPath, 'src', 'helpers', 'format.ts'));
+  assert.strictEqual(await resolveSpecifier(fromPath, './lib'), path.join(rootPath, 'src', 'lib', 'entry.js'));
+  assert.strictEqual(await resolveSpecifier(fromPath, 'lodash'), null);
+  assert.strictEqual(await resolveSpecifier(fromPath, './missing'), null);
+});
+
+test('imports are followed transitively, in the order of the collectable files', async () => {
+  const result = await resolveDependencies([path.join(rootPath, 'src', 'main.js')], collectable());
+  assert.deepStrictEqual(result.files.map(fileInfo => fileInfo.path),
+    ['src/main.js', 'src/util.js', 'src/helpers/format.ts', 'src/config.json', 'src/lib/entry.js', 'vendor/pad.js']);
+  assert.deepStrictEqual(result.edges.filter(edge => edge.to === 'src/util.js').map(edge => edge.from), ['src/main.js', 'src/lib/entry.js']);
+  assert.deepStrictEqual(result.unresolved, [{ from: 'src/main.js', specifier: './missing' }]);
+});
+
+test('files outside the collectable set are left out and not followed', async () => {
+  const result = await resolveDependencies([path.join(rootPath, 'src', 'main.js')], collectable(['src/util.js']));
+  assert.strictEqual(result.files.some(fileInfo => fileInfo.path === 'src/helpers/format.ts'), false);
+  assert.deepStrictEqual(result.excluded.map(entry => [entry.from, path.relative(rootPath, entry.fullPath)]),
+    [['src/main.js', path.join('src', 'util.js')], ['src/lib/entry.js', path.join('src', 'util.js')]]);
+});
+
+test('maxDepth limits the import levels followed', async () => {
+  const result = await resolveDependencies([path.join(rootPath, 'src', 'main.js')], collectable(), { maxDepth: 1 });
+  assert.deepStrictEqual(result.files.map(fileInfo => fileInfo.path), ['src/main.js', 'src/util.js', 'src/config.json', 'src/lib/entry.js']);
+});
+
+test('--entry collects only the entry point and what it imports', async () => {
+  const options = { cwd: rootPath, configFile: null, userConfigFile: null };
+  const result = await collect({ ...options, config: { cache: false, entry: ['src/lib/entry.js'] } });
+  assert.deepStrictEqual(result.files.map(file => file.path), ['src/helpers/format.ts', 'src/lib/entry.js', 'src/util.js', 'vendor/pad.js']);
+  await assert.rejects(collect({ ...options, config: { entry: ['src/nope.js'] } }), error => error instanceof UsageError && /Entry point not found/.test(error.message));
+});
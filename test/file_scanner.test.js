@@ -0,0 +1,43 @@
+// test/file_scanner.test.js
+const { test, after } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { resolveRoots } = require('../src/file_scanner');
+
+const rootPath = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'collect-files-roots-')));
+after(() => fs.rmSync(rootPath, { recursive: true, force: true }));
+
+for (const filePath of ['src/api/a.js', 'src/lib/b.js', 'docs/guide.md', 'README.md']) {
+  fs.mkdirSync(path.dirname(path.join(rootPath, filePath)), { recursive: true });
+  fs.writeFileSync(path.join(rootPath, filePath), '');
+}
+
+test('a single directory is the scan root', async () => {
+  const { scanRootPath, roots } = await resolveRoots(['src'], rootPath);
+  assert.strictEqual(scanRootPath, path.join(rootPath, 'src'));
+  assert.deepStrictEqual(roots, [{ fullPath: path.join(rootPath, 'src'), isDirectory: true, label: '.' }]);
+});
+
+test('several paths share the deepest common directory as scan root', async () => {
+  const { scanRootPath, roots } = await resolveRoots(['src/api', 'src/lib/b.js'], rootPath);
+  assert.strictEqual(scanRootPath, path.join(rootPath, 'src'));
+  assert.deepStrictEqual(roots.map(root => [root.label, root.isDirectory]), [['api', true], ['lib/b.js', false]]);
+
+  const spread = await resolveRoots(['src/api', 'docs', 'README.md'], rootPath);
+  assert.strictEqual(spread.scanRootPath, rootPath);
+  assert.deepStrictEqual(spread.roots.map(root => root.label), ['src/api', 'docs', 'README.md']);
+});
+
+test('a directory is not mistaken for the parent of a sibling with a longer name', async () => {
+  fs.mkdirSync(path.join(rootPath, 'src-extra'), { recursive: true });
+  const { scanRootPath } = await resolveRoots(['src', 'src-extra'], rootPath);
+  assert.strictEqual(scanRootPath, rootPath);
+});
+
+test('repeated paths are collected once and missing paths are errors', async () => {
+  const { roots } = await resolveRoots(['docs', './docs/', 'docs'], rootPath);
+  assert.strictEqual(roots.length, 1);
+  await assert.rejects(resolveRoots(['docs', 'nope'], rootPath), /Cannot collect 'nope': no such file or directory/);
+});
@@ -0,0 +1,119 @@
+// test/git_utils.test.js
+const { test, before, after } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { isGitModeEnabled, getChangedFiles, selectChangedFiles } = require('../src/git_utils');
+
+const repoPath = fs.mkdtempSync(path.join(os.tmpdir(), 'collect-files-git-'));
+after(() => fs.rmSync(repoPath, { recursive: true, force: true }));
+
+const baseConfig = { ignore: [], ignoreExtensions: [], includeExtensions: [], metadataSuffix: '.meta.txt' };
+
+/**
+ * Runs git in the test repository.
+ * @param {...string} args - Arguments for git.
+ * @returns {string} The output.
+ */
+function git(...args) {
+  return execFileSync('git', ['-c', 'user.name=Test', '-c', 'user.email=test@example.com', '-c', 'commit.gpgsign=false', ...args], {
+    cwd: repoPath,
+    encoding: 'utf8',
+  });
+}
+
+/**
+ * Writes a file in the test repository.
+ * @param {string} filePath - Forward-slash path relative to the repository.
+ * @param {string} content - The content.
+ */
+function write(filePath, content) {
+  fs.mkdirSync(path.dirname(path.join(repoPath, filePath)), { recursive: true });
+  fs.writeFileSync(path.join(repoPath, filePath), content);
+}
+
+/**
+ * Lists the scannable files of the test repository, the way scanProjectFiles reports them.
+ * @returns {Array<{path: string, fullPath: string}>} The files.
+ */
+function scannedFiles() {
+  return git('ls-files', '--cached', '--others', '--exclude-standard')
+    .split('\n').filter(filePath => filePath && fs.existsSync(path.join(repoPath, filePath)))
+    .map(filePath => ({ path: filePath, fullPath: path.join(repoPath, filePath) }));
+}
+
+before(() => {
+  git('init', '-q');
+  write('keep.js', 'const keep = 1;\n');
+  write('edit.js', 'const edit = 1;\n');
+  write('gone.js', 'const gone = 1;\n');
+  write('old-name.js', 'const moved = "a fairly long line so the rename is detected";\n');
+  git('add', '-A');
+  git('commit', '-q', '-m', 'first');
+  git('tag', 'v1');
+
+  write('edit.js', 'const edit = 2;\n');
+  git('rm', '-q', 'gone.js');
+  git('mv', 'old-name.js', 'new-name.js');
+  write('staged.js', 'const staged = 1;\n');
+  git('add', 'edit.js', 'staged.js');
+  write('untracked.js', 'const untracked = 1;\n');
+});
+
+test('git mode is on for --since, --staged and --diff', () => {
+  assert.strictEqual(isGitModeEnabled({}), false);
+  assert.strictEqual(isGitModeEnabled({ gitDiff: 'none' }), false);
+  assert.strictEqual(isGitModeEnabled({ gitSince: 'main' }), true);
+  assert.strictEqual(isGitModeEnabled({ gitStaged: true }), true);
+  assert.strictEqual(isGitModeEnabled({ gitDiff: 'only' }), true);
+});
+
+test('--since reports modified, added, deleted, renamed and untracked files', async () => {
+  const changes = await getChangedFiles(repoPath, { ...baseConfig, gitSince: 'v1' });
+  assert.deepStrictEqual(Object.fromEntries(changes), {
+    'edit.js': { status: 'modified', oldPath: null },
+    'gone.js': { status: 'deleted', oldPath: null },
+    'new-name.js': { status: 'renamed', oldPath: 'old-name.js' },
+    'staged.js': { status: 'added', oldPath: null },
+    'untracked.js': { status: 'untracked', oldPath: null },
+  });
+});
+
+test('--staged leaves out unstaged and untracked files', async () => {
+  write('edit.js', 'const edit = 3;\n'); // unstaged on top of the staged change
+  try {
+    const changes = await getChangedFiles(repoPath, { ...baseConfig, gitStaged: true });
+    assert.deepStrictEqual([...changes.keys()].sort(), ['edit.js', 'gone.js', 'new-name.js', 'staged.js']);
+  } finally {
+    write('edit.js', 'const edit = 2;\n');
+  }
+});
+
+test('an unknown ref or a directory outside a repository is an error', async () => {
+  await assert.rejects(getChangedFiles(repoPath, { ...baseConfig, gitSince: 'no-such-ref' }), /Unknown git ref 'no-such-ref'/);
+  await assert.rejects(getChangedFiles(repoPath, { ...baseConfig, gitSince: '--output=x' }), /Invalid git ref/);
+  const outside = fs.mkdtempSync(path.join(os.tmpdir(), 'collect-files-nogit-'));
+  try {
+    await assert.rejects(getChangedFiles(outside, { ...baseConfig, gitDiff: 'only' }), /need a git repository/);
+  } finally {
+    fs.rmSync(outside, { recursive: true, force: true });
+  }
+});
+
+test('changed files get their diff, and deleted files are added back', async () => {
+  const config = { ...baseConfig, gitSince: 'v1', gitDiff: 'alongside' };
+  const selected = await selectChangedFiles(repoPath, scannedFiles(), config);
+  assert.deepStrictEqual(selected.map(fileInfo => fileInfo.path), ['edit.js', 'gone.js', 'new-name.js', 'staged.js', 'untracked.js']);
+  const byPath = Object.fromEntries(selected.map(fileInfo => [fileInfo.path, fileInfo.git]));
+  assert.match(byPath['edit.js'].diff, /-const edit = 1;\n\+const edit = 2;$/);
+  assert.match(byPath['untracked.js'].diff, /\+const untracked = 1;$/);
+  assert.strictEqual(byPath['gone.js'].status, 'deleted');
+  assert.strictEqual(selected.some(fileInfo => fileInfo.path === 'keep.js'), false);
+});
+
+test('diffs are not read unless they are asked for', async () => {
+  const selected = await selectChangedFiles(repoPath, scannedFiles(), { ...baseConfig, gitSince: 'v1' });
+  assert.strictEqual(selected.every(fileInfo => fileInfo.git.diff === null), true);
+});
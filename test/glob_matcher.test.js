@@ -0,0 +1,104 @@
+// test/glob_matcher.test.js
+const { test } = require('node:test');
+const assert = require('assert');
+const { compilePattern, ruleMatches, matchesPathPattern } = require('../src/glob_matcher');
+const { shouldIgnore, isPathIgnored, explainIgnore, parseIgnoreFile } = require('../src/ignore_handler');
+
+/**
+ * Builds the part of the configuration that the ignore rules read.
+ * @param {string[]} ignore - The ignore patterns.
+ * @returns {object} The configuration.
+ */
+function configWith(ignore) {
+  return { ignore, ignoreExtensions: [], includeExtensions: [], metadataSuffix: '.meta.txt' };
+}
+
+test('a pattern without a slash matches the name at any depth', () => {
+  const config = configWith(['*.log']);
+  assert.strictEqual(shouldIgnore('debug.log', false, config), true);
+  assert.strictEqual(shouldIgnore('deep/in/the/tree/debug.log', false, config), true);
+  assert.strictEqual(shouldIgnore('debug.log.txt', false, config), false);
+});
+
+test('a leading or inner slash anchors the pattern to the scan root', () => {
+  const config = configWith(['/build', 'docs/*.md']);
+  assert.strictEqual(shouldIgnore('build', true, config), true);
+  assert.strictEqual(shouldIgnore('src/build', true, config), false);
+  assert.strictEqual(shouldIgnore('docs/intro.md', false, config), true);
+  assert.strictEqual(shouldIgnore('docs/guide/intro.md', false, config), false);
+  assert.strictEqual(shouldIgnore('site/docs/intro.md', false, config), false);
+});
+
+test('a trailing slash only matches directories', () => {
+  const config = configWith(['logs/']);
+  assert.strictEqual(shouldIgnore('logs', true, config), true);
+  assert.strictEqual(shouldIgnore('app/logs', true, config), true);
+  assert.strictEqual(shouldIgnore('logs', false, config), false);
+});
+
+test('** matches any number of directories', () => {
+  const config = configWith(['**/tmp/**', 'a/**/b']);
+  assert.strictEqual(shouldIgnore('tmp/x.js', false, config), true);
+  assert.strictEqual(shouldIgnore('src/tmp/deep/x.js', false, config), true);
+  assert.strictEqual(shouldIgnore('a/b', true, config), true);
+  assert.strictEqual(shouldIgnore('a/x/y/b', true, config), true);
+  assert.strictEqual(shouldIgnore('b', true, config), false);
+});
+
+test('a negated pattern re-includes what an earlier pattern ignored', () => {
+  const config = configWith(['*.log', '!keep.log']);
+  assert.strictEqual(shouldIgnore('other.log', false, config), true);
+  assert.strictEqual(shouldIgnore('keep.log', false, config), false);
+  assert.strictEqual(shouldIgnore('sub/keep.log', false, config), false);
+});
+
+test('the last matching pattern wins', () => {
+  const config = configWith(['!keep.log', '*.log']);
+  assert.strictEqual(shouldIgnore('keep.log', false, config), true);
+});
+
+test('a file cannot be re-included when its directory is ignored', () => {
+  assert.strictEqual(isPathIgnored('dist/keep.js', configWith(['dist/', '!dist/keep.js'])), true);
+  const contentsOnly = configWith(['dist/*', '!dist/keep.js']);
+  assert.strictEqual(isPathIgnored('dist/keep.js', contentsOnly), false);
+  assert.strictEqual(isPathIgnored('dist/other.js', contentsOnly), true);
+});
+
+test('character classes, ? and escapes', () => {
+  assert.strictEqual(ruleMatches(compilePattern('file[0-9].txt'), 'file5.txt', false), true);
+  assert.strictEqual(ruleMatches(compilePattern('file[!0-9].txt'), 'file5.txt', false), false);
+  assert.strictEqual(ruleMatches(compilePattern('a?c'), 'abc', false), true);
+  assert.strictEqual(ruleMatches(compilePattern('a?c'), 'a/c', false), false);
+  assert.strictEqual(ruleMatches(compilePattern('\\!important'), '!important', false), true);
+  assert.strictEqual(compilePattern('\\!important').negated, false);
+  assert.strictEqual(ruleMatches(compilePattern('\\#file'), '#file', false), true);
+});
+
+test('comments and blank lines are not patterns', () => {
+  assert.strictEqual(compilePattern('# a comment'), null);
+  assert.strictEqual(compilePattern('   '), null);
+  assert.strictEqual(compilePattern('/'), null);
+});
+
+test('a path pattern selects the files below a matching directory', () => {
+  assert.strictEqual(matchesPathPattern('src/services/billing/api.ts', 'src/services'), true);
+  assert.strictEqual(matchesPathPattern('lib/src/services/api.ts', 'src/services/'), false);
+  assert.strictEqual(matchesPathPattern('src/index.ts', '**/*.ts'), true);
+  assert.strictEqual(matchesPathPattern('src\\index.ts', 'src/*.ts'), true);
+});
+
+test('the decision names the rule or extension list that decided it', () => {
+  const config = { ...configWith(['*.log', '!keep.log']), ignoreExtensions: ['png'], includeExtensions: [] };
+  const ignored = explainIgnore('debug.log', false, config);
+  assert.deepStrictEqual([ignored.ignored, ignored.reason, ignored.rule.pattern], [true, 'pattern', '*.log']);
+  const reincluded = explainIgnore('keep.log', false, config);
+  assert.deepStrictEqual([reincluded.ignored, reincluded.reason, reincluded.rule.negated], [false, 'pattern', true]);
+  assert.deepStrictEqual(explainIgnore('logo.PNG', false, config), { ignored: true, reason: 'ignoreExtensions', rule: null, extension: 'png' });
+  assert.strictEqual(explainIgnore('Makefile', false, { ...config, includeExtensions: ['js'] }).reason, 'includeExtensions');
+  assert.deepStrictEqual(explainIgnore('src/a.js', false, config), { ignored: false, reason: null, rule: null, extension: 'js' });
+});
+
+test('rules from ignore files remember their line', () => {
+  const rules = parseIgnoreFile('# build output\n\ndist/\n*.tmp\n', '.gitignore');
+  assert.deepStrictEqual(rules.map(rule => [rule.pattern, rule.source, rule.line]), [['dist/', '.gitignore', 3], ['*.tmp', '.gitignore', 4]]);
+});
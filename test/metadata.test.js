@@ -0,0 +1,98 @@
+// test/metadata.test.js
+const { test, after } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseFrontMatter, createMetadataReader } = require('../src/metadata');
+const { collect } = require('../src/index');
+
+const tempDirs = [];
+after(() => tempDirs.forEach(dirPath => fs.rmSync(dirPath, { recursive: true, force: true })));
+
+/**
+ * Creates a project directory with the given files, removed when the tests end.
+ * @param {Object<string, string>} files - Content by forward-slash path.
+ * @returns {string} The project path.
+ */
+function makeProject(files) {
+  const rootPath = fs.mkdtempSync(path.join(os.tmpdir(), 'collect-files-metadata-'));
+  tempDirs.push(rootPath);
+  for (const [filePath, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(rootPath, filePath)), { recursive: true });
+    fs.writeFileSync(path.join(rootPath, filePath), content);
+  }
+  return rootPath;
+}
+
+// No config files and no cache, so the tests do not depend on (or write to) the user's environment.
+const isolated = { configFile: null, userConfigFile: null };
+
+test('front matter directives are read, and the rest is the body', () => {
+  const text = '---\npriority: 10\n# A comment\ncompress: extract_signatures, strip_comments\ntruncate: head_tail, 200 lines\nbogus: 1\n---\nNotes here\n';
+  assert.deepStrictEqual(parseFrontMatter(text), {
+    directives: {
+      priority: 10,
+      compress: { strategy: ['extract_signatures', 'strip_comments'] },
+      truncate: { strategy: 'head_tail', maxLines: 200 },
+    },
+    body: 'Notes here',
+    problems: [{ line: 6, message: "unknown directive 'bogus' (use priority, exclude, compress or truncate)" }],
+  });
+  assert.deepStrictEqual(parseFrontMatter('Just notes\n'), { directives: {}, body: 'Just notes', problems: [] });
+  assert.deepStrictEqual(parseFrontMatter('---\ncompress: none\ntruncate: none\n---\n').directives, { compress: null, truncate: null });
+});
+
+test('directory directives apply below the directory, and deeper files override them', async () => {
+  const cwd = makeProject({
+    'src/_dir.meta.txt': '---\npriority: 5\ntruncate: 10 lines\n---\nThe sources.\n',
+    'src/api/_dir.meta.txt': '---\npriority: 8\n---\n',
+    'src/api/users.js.meta.txt': '---\ntruncate: none\n---\n',
+    'src/legacy/_dir.meta.txt': '---\nexclude: true\n---\n',
+  });
+  const reader = createMetadataReader(cwd, { metadataSuffix: '.meta.txt' });
+  assert.deepStrictEqual(await reader.describe('src/app.js', false), { directives: { priority: 5, truncate: { strategy: 'head', maxLines: 10 } }, excludedBy: null });
+  assert.deepStrictEqual(await reader.describe('src/api/users.js', false), { directives: { priority: 8, truncate: null }, excludedBy: null });
+  assert.strictEqual((await reader.describe('src/legacy', true)).excludedBy, 'src/legacy/_dir.meta.txt');
+  assert.deepStrictEqual(await reader.contexts(), [{ directory: 'src', source: 'src/_dir.meta.txt', content: 'The sources.' }]);
+});
+
+test('scoped SYSTEM.txt and directory metadata are shown before the first file of their directory', async () => {
+  const cwd = makeProject({
+    'SYSTEM.txt': 'Review this project.',
+    'POSTAMBLE.txt': 'What would you change?',
+    'README.md': '# Project\n',
+    'src/SYSTEM.txt': 'These are the sources.',
+    'src/_dir.meta.txt': 'Plain JavaScript.',
+    'src/a.js': 'const a = 1;\n',
+    'src/b.js': 'const b = 2;\n',
+    'src/old/_dir.meta.txt': '---\nexclude: true\n---\n',
+    'src/old/c.js': 'const c = 3;\n',
+  });
+  const result = await collect({ ...isolated, cwd, config: { cache: false, metadataSuffix: '.meta.txt' } });
+  assert.deepStrictEqual(result.files.map(file => file.path), ['README.md', 'src/a.js', 'src/b.js']);
+  assert.strictEqual(result.systemPreamble, 'Review this project.');
+  assert.strictEqual(result.postamble, 'What would you change?');
+  assert.deepStrictEqual(result.contexts.map(context => context.source), ['src/SYSTEM.txt', 'src/_dir.meta.txt']);
+  const output = result.outputs[0].content;
+  assert.ok(output.indexOf('These are the sources.') < output.indexOf('Plain JavaScript.'));
+  assert.ok(output.indexOf('Plain JavaScript.') < output.indexOf('const a = 1;'));
+  assert.ok(output.trimEnd().endsWith('What would you change?'));
+});
+
+test('a streamed output shows the contexts and contents like a rendered one', async () => {
+  const cwd = makeProject({
+    'lib/SYSTEM.txt': 'Library code.',
+    'lib/a.js': 'const a = 1;\n',
+    'lib/b.js': 'const b = 2;\n',
+  });
+  const config = { cache: false, format: 'json', output: 'out.json' };
+  const rendered = await collect({ ...isolated, cwd, config });
+  const streamed = await collect({ ...isolated, cwd, write: true, stream: true, config });
+  const written = JSON.parse(fs.readFileSync(streamed.outputPath, 'utf8'));
+  const expected = JSON.parse(rendered.outputs[0].content);
+  delete written.meta.generatedAt;
+  delete expected.meta.generatedAt;
+  assert.deepStrictEqual(written, expected);
+  assert.strictEqual(written.files[0].content, 'const a = 1;\n');
+});
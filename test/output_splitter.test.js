@@ -0,0 +1,97 @@
+// test/output_splitter.test.js
+const { test } = require('node:test');
+const assert = require('assert');
+const { parsePartSize, splitDocument, splitContent, getPartPath, getPartIgnorePatterns } = require('../src/output_splitter');
+const { getRenderer, renderDocument } = require('../src/renderers');
+
+const byteLength = (text) => Buffer.byteLength(text, 'utf8');
+
+/**
+ * Builds a document from file paths and contents.
+ * @param {Object<string, string>} contents - Content by path.
+ * @returns {object} The document.
+ */
+function documentWith(contents) {
+  return {
+    meta: { generatedAt: new Date('2024-01-02T03:04:05Z'), toolVersion: '1.0.0', scanDirectory: '/project' },
+    systemPreamble: 'Be brief.',
+    files: Object.entries(contents).map(([path, content]) => ({
+      path, language: 'js', status: 'ok', content, metadata: null, compression: [], tokens: 0,
+    })),
+  };
+}
+
+/**
+ * Builds numbered lines of code.
+ * @param {number} count - Number of lines.
+ * @returns {string} The lines, each ending with a newline.
+ */
+function numberedLines(count) {
+  let text = '';
+  for (let i = 1; i <= count; i++) text += `const line${i} = ${i};\n`;
+  return text;
+}
+
+test('part sizes are bytes by default and tokens with a token suffix', () => {
+  assert.deepStrictEqual(parsePartSize(500000), { limit: 500000, unit: 'bytes' });
+  assert.deepStrictEqual(parsePartSize('500kb'), { limit: 512000, unit: 'bytes' });
+  assert.deepStrictEqual(parsePartSize('2MB'), { limit: 2097152, unit: 'bytes' });
+  assert.deepStrictEqual(parsePartSize('50000tokens'), { limit: 50000, unit: 'tokens' });
+  assert.deepStrictEqual(parsePartSize('80k tokens'), { limit: 80000, unit: 'tokens' });
+  assert.strictEqual(parsePartSize(0), null);
+  assert.strictEqual(parsePartSize(''), null);
+  assert.throws(() => parsePartSize('lots'), /Invalid part size 'lots'/);
+});
+
+test('part and index files are named after the output file', () => {
+  assert.strictEqual(getPartPath('out/bundle.md', 2), 'out/bundle.part2.md');
+  assert.strictEqual(getPartPath('bundle.md', 'index'), 'bundle.index.md');
+  assert.deepStrictEqual(getPartIgnorePatterns('out/bundle[1].md'), ['bundle\\[1].part[0-9]*.md', 'bundle\\[1].index.md']);
+});
+
+test('content is cut at line boundaries', () => {
+  const content = numberedLines(50);
+  const chunks = splitContent(content, 100, byteLength);
+  assert.ok(chunks.length > 1);
+  assert.strictEqual(chunks.join(''), content);
+  for (const chunk of chunks) {
+    assert.ok(byteLength(chunk) <= 100, `chunk of ${byteLength(chunk)} bytes`);
+    assert.ok(chunk.endsWith('\n'), 'chunk ends inside a line');
+  }
+});
+
+test('a line longer than the limit is cut inside the line', () => {
+  const content = 'short\n' + 'x'.repeat(250) + '\nend\n';
+  const chunks = splitContent(content, 100, byteLength);
+  assert.strictEqual(chunks.join(''), content);
+  assert.ok(chunks.every(chunk => byteLength(chunk) <= 100));
+});
+
+test('files that fit are packed whole, in order', async () => {
+  const document = documentWith({ 'a.js': numberedLines(10), 'b.js': numberedLines(10), 'c.js': numberedLines(10) });
+  const renderer = getRenderer('markdown');
+  const limit = byteLength(renderDocument(renderer, documentWith({ 'a.js': numberedLines(10), 'b.js': numberedLines(10) }))) + 200;
+  const parts = await splitDocument(renderer, document, { limit, unit: 'bytes' });
+  assert.deepStrictEqual(parts.map(part => part.files.map(file => file.path)), [['a.js', 'b.js'], ['c.js']]);
+  assert.deepStrictEqual(parts.map(part => part.part), [{ number: 1, total: 2 }, { number: 2, total: 2 }]);
+  for (const part of parts) {
+    assert.ok(byteLength(renderDocument(renderer, part)) <= limit);
+  }
+});
+
+test('a file larger than a part is chunked at line boundaries over consecutive parts', async () => {
+  const content = numberedLines(400);
+  const renderer = getRenderer('markdown');
+  const limit = 2000;
+  const parts = await splitDocument(renderer, documentWith({ 'small.js': 'const x = 1;\n', 'big.js': content }), { limit, unit: 'bytes' }, 'first');
+  const chunks = parts.flatMap(part => part.files).filter(file => file.path === 'big.js');
+  assert.ok(chunks.length > 1);
+  assert.deepStrictEqual(chunks.map(chunk => chunk.chunk.number), chunks.map((_, index) => index + 1));
+  assert.ok(chunks.every(chunk => chunk.chunk.total === chunks.length && chunk.content.endsWith('\n')));
+  assert.strictEqual(chunks.map(chunk => chunk.content).join(''), content);
+  for (const part of parts) {
+    assert.ok(byteLength(renderDocument(renderer, part)) <= limit);
+  }
+  assert.strictEqual(parts[0].systemPreamble, 'Be brief.');
+  assert.strictEqual(parts[1].systemPreamble, '');
+});
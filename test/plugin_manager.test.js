@@ -0,0 +1,134 @@
+// test/plugin_manager.test.js
+const { test, after } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { collect, ConfigError, PluginError } = require('../src/index');
+const { loadPlugins } = require('../src/plugin_manager');
+
+const tempDirs = [];
+after(() => tempDirs.forEach(dirPath => fs.rmSync(dirPath, { recursive: true, force: true })));
+
+/**
+ * Creates a project directory with the given files, removed when the tests end.
+ * @param {Object<string, string>} files - Content by forward-slash path.
+ * @returns {string} The project path.
+ */
+function makeProject(files) {
+  const rootPath = fs.mkdtempSync(path.join(os.tmpdir(), 'collect-files-plugins-'));
+  tempDirs.push(rootPath);
+  for (const [filePath, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(rootPath, filePath)), { recursive: true });
+    fs.writeFileSync(path.join(rootPath, filePath), content);
+  }
+  return rootPath;
+}
+
+// No config files and no cache, so the tests do not depend on (or write to) the user's environment.
+const isolated = { configFile: null, userConfigFile: null };
+
+// A plugin using every hook, and a 'csv' format.
+const PLUGIN = `
+module.exports = {
+  name: 'test-plugin',
+  onScanEntry(entry) {
+    if (entry.path === 'generated') return false;
+    if (entry.path === 'notes.log') return true;
+    return undefined;
+  },
+  async transformContent(content, file) {
+    return file.language === 'js' ? content.replace('TODO', 'DONE') : content;
+  },
+  renderFile(file, renderContext) {
+    return renderContext.format === 'markdown' ? '<!-- ' + file.path + ' -->\\n' + renderContext.render() : null;
+  },
+  beforeWrite(output) {
+    return output.content + '\\n<!-- end -->\\n';
+  },
+  afterWrite(written) {
+    require('fs').writeFileSync(require('path').join(__dirname, 'written.txt'), written.path + ' ' + written.bytes);
+  },
+  formats: {
+    csv: {
+      extension: '.csv',
+      renderHeader: () => 'path,lines\\n',
+      renderFile: file => file.path + ',' + file.content.split('\\n').length + '\\n',
+      renderFooter: () => '',
+      renderIndex: () => '',
+    },
+  },
+};
+`;
+
+test('plugin hooks filter, transform, render and post-process the output', async () => {
+  const cwd = makeProject({
+    'plugin.js': PLUGIN,
+    'a.js': '// TODO\n',
+    'generated/b.js': 'const b = 1;\n',
+    'notes.log': 'log\n',
+  });
+  const result = await collect({
+    ...isolated, cwd, write: true, config: { cache: false, plugins: ['./plugin.js'], ignore: ['plugin.js', '*.log'] },
+  });
+  assert.deepStrictEqual(result.files.map(file => file.path), ['a.js', 'notes.log']);
+  const written = fs.readFileSync(result.outputPath, 'utf8');
+  assert.match(written, /<!-- a\.js -->\n[\s\S]*\/\/ DONE/);
+  assert.match(written, /<!-- end -->\n$/);
+  assert.strictEqual(fs.readFileSync(path.join(cwd, 'written.txt'), 'utf8'), `${result.outputPath} ${Buffer.byteLength(written)}`);
+});
+
+test('a plugin format can be selected in the configuration and on the command line', async () => {
+  const cwd = makeProject({ 'plugin.js': PLUGIN, 'a.js': 'one\ntwo\n', 'collect-files.config.json': '{"plugins": ["./plugin.js"], "ignore": ["plugin.js", "*.json"]}' });
+  const result = await collect({ cwd, userConfigFile: null, config: { cache: false, format: 'csv' } });
+  assert.strictEqual(result.outputs[0].content, 'path,lines\na.js,3\n');
+
+  const child = spawnSync(process.execPath, [path.join(__dirname, '..', 'src', 'main.js'), '-q', '--no-cache', '-o', '-', '--format', 'csv'], {
+    cwd,
+    env: { ...process.env, XDG_CONFIG_HOME: cwd }, // No user-global config
+    encoding: 'utf8',
+    timeout: 30000,
+  });
+  assert.strictEqual(child.status, 0, child.stderr);
+  assert.strictEqual(child.stdout, 'path,lines\na.js,3\n\n<!-- end -->\n');
+});
+
+test('unknown formats are reported with a suggestion, including the formats of plugins', async () => {
+  const cwd = makeProject({ 'plugin.js': PLUGIN });
+  await assert.rejects(collect({ ...isolated, cwd, config: { cache: false, plugins: ['./plugin.js'], format: 'cvs' } }),
+    error => error instanceof ConfigError && /Did you mean 'csv'\?/.test(error.message));
+
+  const child = spawnSync(process.execPath, [path.join(__dirname, '..', 'src', 'main.js'), '-q', '--no-cache', '--format', 'jsno'], {
+    cwd,
+    env: { ...process.env, XDG_CONFIG_HOME: cwd }, // No user-global config
+    encoding: 'utf8',
+    timeout: 30000,
+  });
+  assert.strictEqual(child.status, 1);
+  assert.match(child.stderr, /Did you mean 'json'\?/);
+  assert.match(child.stderr, /--help/);
+});
+
+test('a failing hook rejects with a PluginError naming the plugin, the hook and the file', async () => {
+  const cwd = makeProject({
+    'plugin.js': "module.exports = { name: 'broken', transformContent() { throw new Error('nope'); } };",
+    'a.js': '',
+  });
+  await assert.rejects(collect({ ...isolated, cwd, config: { cache: false, plugins: ['./plugin.js'], ignore: ['plugin.js'] } }),
+    error => error instanceof PluginError && error.plugin === 'broken' && error.hook === 'transformContent' && error.filePath === 'a.js'
+      && error.message === "Plugin 'broken' failed in transformContent while processing a.js: nope");
+});
+
+test('missing, invalid and conflicting plugins are rejected', async () => {
+  const cwd = makeProject({
+    'invalid.js': "module.exports = { transformContent: 'yes' };",
+    'json.js': "module.exports = { name: 'json-again', formats: { json: { extension: '.json', renderHeader() {}, renderFile() {}, renderFooter() {}, renderIndex() {} } } };",
+    'plugin.js': PLUGIN,
+  });
+  const options = { cwd, config: {}, root: cwd };
+  await assert.rejects(loadPlugins(['./missing.js'], options), error => error instanceof PluginError && /Cannot find plugin '\.\/missing\.js'/.test(error.message));
+  await assert.rejects(loadPlugins(['./invalid.js'], options), /Invalid plugin '\.\/invalid\.js': transformContent must be a function\./);
+  await assert.rejects(loadPlugins(['./json.js'], options), /registers the format 'json', which is built in/);
+  await assert.rejects(loadPlugins(['./plugin.js', './plugin.js'], options), /which plugin 'test-plugin' registers too/);
+});
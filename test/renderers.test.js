@@ -0,0 +1,59 @@
+// test/renderers.test.js
+const { test } = require('node:test');
+const assert = require('assert');
+const { getRenderer, renderDocument } = require('../src/renderers');
+const { ConfigError } = require('../src/errors');
+
+/**
+ * Builds a document with one regular file and one omitted by the token budget.
+ * @returns {object} The document.
+ */
+function sampleDocument() {
+  return {
+    meta: { generatedAt: new Date('2024-01-02T03:04:05Z'), toolVersion: '1.0.0', scanDirectory: '/project' },
+    systemPreamble: '',
+    files: [
+      { path: 'src/a.js', language: 'js', status: 'ok', content: 'const a = "<b>";', metadata: null, compression: [], tokens: 5 },
+      { path: 'src/big.js', language: 'js', status: 'omitted', content: null, metadata: null, compression: [], tokens: 0 },
+    ],
+  };
+}
+
+test('formats are found by name or alias, in any case', () => {
+  assert.strictEqual(getRenderer('JSON').name, 'json');
+  assert.strictEqual(getRenderer('md').name, 'markdown');
+  assert.strictEqual(getRenderer('plain').name, 'text');
+  assert.strictEqual(getRenderer(undefined).name, 'markdown');
+});
+
+test('an unknown format is a ConfigError that suggests the closest format', () => {
+  assert.throws(() => getRenderer('jsno'), error => error instanceof ConfigError
+    && /Unknown output format 'jsno'\. Did you mean 'json'\?/.test(error.message));
+  assert.throws(() => getRenderer('txet'), /Did you mean 'text'\?/);
+  assert.throws(() => getRenderer('spreadsheet'), error => error instanceof ConfigError
+    && !/Did you mean/.test(error.message) && /Available formats: markdown, json, xml, text/.test(error.message));
+});
+
+test('the JSON renderer produces valid JSON with every file', () => {
+  const parsed = JSON.parse(renderDocument(getRenderer('json'), sampleDocument()));
+  assert.strictEqual(parsed.meta.fileCount, 2);
+  assert.deepStrictEqual(parsed.files.map(file => [file.path, file.status]), [['src/a.js', 'ok'], ['src/big.js', 'omitted']]);
+  assert.strictEqual(parsed.files[0].content, 'const a = "<b>";');
+});
+
+test('omitted files are listed in the table of contents but have no section', () => {
+  const markdown = renderDocument(getRenderer('markdown'), sampleDocument());
+  assert.ok(markdown.includes('- [src/a.js](#src-a-js)'));
+  assert.ok(markdown.includes('- src/big.js *(omitted: token budget)*'));
+  assert.ok(markdown.includes('## src/a.js'));
+  assert.ok(!markdown.includes('## src/big.js'));
+});
+
+test('XML attributes are escaped and content is kept verbatim', () => {
+  const document = sampleDocument();
+  document.files[0].path = 'src/a&b.js';
+  const xml = renderDocument(getRenderer('xml'), document);
+  assert.ok(xml.includes('path="src/a&amp;b.js"'));
+  assert.ok(xml.includes('<document_content>\nconst a = "<b>";\n</document_content>'));
+  assert.ok(xml.includes('<document index="2" path="src/big.js" language="js" status="omitted">'));
+});
@@ -0,0 +1,67 @@
+// test/result_store.test.js
+const { test } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const { createResultStore } = require('../src/result_store');
+
+const result = {
+  path: 'src/a.js',
+  status: 'ok',
+  content: 'const a = "é";\n',
+  metadata: 'Owner: team A',
+  redactions: [],
+  git: { status: 'modified', oldPath: null, diff: '@@ -1 +1 @@\n' },
+};
+
+/**
+ * Lists the spool files of this process in the temporary directory.
+ * @returns {string[]} The file names.
+ */
+function spoolFiles() {
+  return fs.readdirSync(os.tmpdir()).filter(name => name.startsWith(`collect-files-${process.pid}-`));
+}
+
+test('in memory, results are kept as they are', async () => {
+  const store = createResultStore();
+  const record = await store.put(result);
+  assert.strictEqual(record, result);
+  assert.strictEqual(await store.load(record), result);
+  await store.close();
+});
+
+test('spooled results keep only a summary in memory and load back complete', async () => {
+  const store = createResultStore({ spool: true });
+  const record = await store.put(result);
+  assert.deepStrictEqual([record.content, record.metadata, record.git.diff], [null, null, null]);
+  assert.strictEqual(record.path, 'src/a.js');
+  assert.strictEqual(result.content, 'const a = "é";\n'); // The result itself is left alone
+  assert.deepStrictEqual(await store.load(record), result);
+  assert.strictEqual(await store.put(record), record);
+  await store.close();
+});
+
+test('copies of a spooled record are not loaded, so an omitted file stays empty', async () => {
+  const store = createResultStore({ spool: true });
+  const record = await store.put(result);
+  const omitted = { ...record, status: 'omitted' };
+  assert.strictEqual(await store.load(omitted), omitted);
+  await store.close();
+});
+
+test('concurrent puts do not overwrite each other', async () => {
+  const store = createResultStore({ spool: true });
+  const results = Array.from({ length: 20 }, (_, index) => ({ ...result, path: `${index}.js`, content: `${index}\n`.repeat(index + 1) }));
+  const records = await Promise.all(results.map(item => store.put(item)));
+  for (const [index, record] of records.entries()) {
+    assert.deepStrictEqual(await store.load(record), results[index]);
+  }
+  await store.close();
+});
+
+test('the temporary file is gone once the store is closed', async () => {
+  const store = createResultStore({ spool: true });
+  await store.put(result);
+  await store.close();
+  assert.deepStrictEqual(spoolFiles(), []);
+});
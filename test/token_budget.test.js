@@ -0,0 +1,90 @@
+// test/token_budget.test.js
+const { test, after } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { applyTokenBudget, getFilePriority } = require('../src/token_budget');
+const { processFileContent } = require('../src/file_processor');
+const { estimateTokens } = require('../src/token_estimator');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'collect-files-budget-'));
+after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+const config = {
+  metadataSuffix: '.meta.txt',
+  compressionRules: [],
+  priorities: [{ pathPattern: 'src/core', priority: 10 }],
+};
+
+/**
+ * Writes a TypeScript file whose function bodies are large, so that extract_signatures shrinks it a lot.
+ * @param {string} relativePath - Forward-slash path below the temporary scan root.
+ * @param {number} functionCount - Number of functions to write.
+ * @returns {{path: string, fullPath: string}} The scanned file.
+ */
+function writeSource(relativePath, functionCount) {
+  const fullPath = path.join(tempDir, relativePath);
+  fs.mkdirSync(path.dirname(fullPath), { recursive: true });
+  let source = '';
+  for (let i = 0; i < functionCount; i++) {
+    source += `export function step${i}(input: number): number {\n`;
+    source += '  const doubled = input * 2;\n  const shifted = doubled + 17;\n  return shifted % 1000;\n}\n\n';
+  }
+  fs.writeFileSync(fullPath, source);
+  return { path: relativePath, fullPath };
+}
+
+/**
+ * Processes the files the way the CLI does before the budget is applied.
+ * @param {Array<{path: string, fullPath: string}>} files - The scanned files.
+ * @returns {Promise<Array<object>>} The processed results.
+ */
+function processAll(files) {
+  return Promise.all(files.map(file => processFileContent(file, config)));
+}
+
+const coreFile = writeSource('src/core/engine.ts', 40);
+const utilFile = writeSource('src/util/helpers.ts', 40);
+
+test('the estimator counts words, digits and punctuation', () => {
+  assert.strictEqual(estimateTokens(''), 0);
+  assert.strictEqual(estimateTokens('hello world'), 2);
+  assert.ok(estimateTokens('const value = computeSomethingLong(42);') > 5);
+});
+
+test('the first matching priority rule wins and unmatched files get 0', () => {
+  const priorities = [{ pathPattern: 'src/core', priority: 10 }, { pathPattern: 'src', priority: 5 }];
+  assert.strictEqual(getFilePriority('src/core/engine.ts', priorities), 10);
+  assert.strictEqual(getFilePriority('src/util/helpers.ts', priorities), 5);
+  assert.strictEqual(getFilePriority('README.md', priorities), 0);
+});
+
+test('nothing is demoted when the output fits the budget', async () => {
+  const files = [coreFile, utilFile];
+  const results = await processAll(files);
+  const total = results.reduce((sum, result) => sum + result.tokens, 0);
+  const outcome = await applyTokenBudget(files, results, { ...config, tokenBudget: total + 100 }, 100);
+  assert.deepStrictEqual(outcome.report.map(entry => entry.level), ['full', 'full']);
+  assert.strictEqual(outcome.totalTokens, total + 100);
+});
+
+test('the lowest priority tier is compressed before a higher one is touched', async () => {
+  const files = [coreFile, utilFile];
+  const results = await processAll(files);
+  const budget = results[0].tokens + Math.ceil(results[1].tokens / 2);
+  const outcome = await applyTokenBudget(files, results, { ...config, tokenBudget: budget }, 0);
+  const levels = Object.fromEntries(outcome.report.map(entry => [entry.path, entry.level]));
+  assert.deepStrictEqual(levels, { 'src/core/engine.ts': 'full', 'src/util/helpers.ts': 'compressed' });
+  assert.ok(outcome.totalTokens <= budget);
+  assert.ok(outcome.results[1].tokens < results[1].tokens);
+});
+
+test('files are omitted when compression is not enough', async () => {
+  const files = [coreFile, utilFile];
+  const results = await processAll(files);
+  const outcome = await applyTokenBudget(files, results, { ...config, tokenBudget: 50 }, 40);
+  assert.deepStrictEqual(outcome.report.map(entry => entry.level), ['omitted', 'omitted']);
+  assert.strictEqual(outcome.results.every(result => result.status === 'omitted' && result.tokens === 0), true);
+  assert.strictEqual(outcome.totalTokens, 40);
+});
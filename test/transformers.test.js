@@ -0,0 +1,104 @@
+// test/transformers.test.js
+const { test, after } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { findTransformRule, applyTransform } = require('../src/transformers');
+const { processFileContent } = require('../src/file_processor');
+const { routeLogs } = require('../src/logger');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'collect-files-transform-'));
+after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+/**
+ * Applies a transformer to content.
+ * @param {string} transformer - The transformer name.
+ * @param {string} content - The content.
+ * @param {string} filePath - The path of the file.
+ * @param {object} [options] - The options of the rule.
+ * @returns {{content: string, language?: string}|null} What applyTransform returns.
+ */
+function transform(transformer, content, filePath, options) {
+  return applyTransform(content, filePath, { transformer, options });
+}
+
+const NOTEBOOK = JSON.stringify({
+  metadata: { kernelspec: { language: 'python' } },
+  cells: [
+    { cell_type: 'markdown', source: ['# Analysis\n', 'Notes'] },
+    {
+      cell_type: 'code',
+      source: 'print(1)\n',
+      outputs: [
+        { output_type: 'stream', text: ['1\n'] },
+        { output_type: 'display_data', data: { 'image/png': 'iVBORw0KGgo=' } },
+      ],
+    },
+  ],
+});
+
+test('notebooks become their cell sources, with text outputs on request', () => {
+  assert.deepStrictEqual(transform('notebook', NOTEBOOK, 'a.ipynb'), {
+    content: '# %% [markdown]\n# Analysis\nNotes\n\n# %%\nprint(1)\n',
+    language: 'python',
+  });
+  assert.strictEqual(transform('notebook', NOTEBOOK, 'a.ipynb', { outputs: true }).content,
+    '# %% [markdown]\n# Analysis\nNotes\n\n# %%\nprint(1)\n# Output:\n# 1\n# [image/png output omitted]\n');
+});
+
+test('lockfiles become the direct dependencies and their resolved versions', () => {
+  const npmLock = JSON.stringify({
+    lockfileVersion: 3,
+    packages: {
+      '': { dependencies: { lodash: '^4.17.0' }, devDependencies: { mocha: '^10.0.0' } },
+      'node_modules/lodash': { version: '4.17.21' },
+      'node_modules/mocha': { version: '10.2.0', dev: true },
+      'node_modules/ms': { version: '2.1.3' },
+    },
+  });
+  assert.deepStrictEqual(transform('lockfile', npmLock, 'package-lock.json'), {
+    content: 'package-lock.json (lockfileVersion 3): 3 packages installed\ndependencies:\n  lodash 4.17.21\ndevDependencies:\n  mocha 10.2.0\n',
+    language: 'text',
+  });
+  const yarnLock = '# yarn lockfile v1\n\n"a@^1.0.0", a@^1.1.0:\n  version "1.2.0"\n  resolved "https://example.com/a.tgz"\n\nb@^2.0.0:\n  version "2.0.0"\n';
+  assert.strictEqual(transform('lockfile', yarnLock, 'yarn.lock').content, 'yarn.lock: 2 packages\n  a 1.2.0\n  b 2.0.0\n');
+});
+
+test('JSON is minified with its values as written, and YAML without comments', () => {
+  assert.strictEqual(transform('minify', '{\n  "big": 12345678901234567890,\n  "text": "a \\" b"\n}\n', 'data.json').content,
+    '{"big":12345678901234567890,"text":"a \\" b"}\n');
+  assert.strictEqual(transform('minify', '# Settings\nname: app   \n\nscript: |\n  echo 1\n\n  # not a comment\nport: 80\n', 'app.yml').content,
+    'name: app\nscript: |\n  echo 1\n\n  # not a comment\nport: 80\n');
+});
+
+test('outlines keep the first items of arrays and count the rest', () => {
+  const content = JSON.stringify({ users: [{ name: 'a' }, { name: 'b' }, { name: 'c' }], note: 'x'.repeat(10) });
+  assert.deepStrictEqual(JSON.parse(transform('outline', content, 'users.json', { maxItems: 1, maxStringLength: 4 }).content), {
+    users: [{ name: 'a' }, '... 2 more items'],
+    note: 'xxxx... (10 characters)',
+  });
+});
+
+test('a file that cannot be parsed is kept, with a warning; the first matching rule applies', () => {
+  const warnings = [];
+  const transformed = routeLogs((method, message) => warnings.push(message), () => transform('minify', '{ // comment\n}', 'tsconfig.json'));
+  assert.strictEqual(transformed, null);
+  assert.match(warnings[0], /^Warning: Transformer 'minify' cannot read tsconfig\.json/);
+
+  const rules = [{ pathPattern: 'fixtures/**', transformer: 'outline' }, { pathPattern: '**/*.json', transformer: 'minify' }];
+  assert.strictEqual(findTransformRule('fixtures/big.json', rules).transformer, 'outline');
+  assert.strictEqual(findTransformRule('src/data.json', rules).transformer, 'minify');
+  assert.strictEqual(findTransformRule('src/data.js', rules), null);
+});
+
+test('transformed files are marked and get the language of the result', async () => {
+  fs.writeFileSync(path.join(tempDir, 'analysis.ipynb'), NOTEBOOK);
+  const result = await processFileContent(
+    { path: 'analysis.ipynb', fullPath: path.join(tempDir, 'analysis.ipynb') },
+    { transformRules: [{ pathPattern: '**/*.ipynb', transformer: 'notebook' }], lineNumbers: true },
+  );
+  assert.strictEqual(result.transform, 'notebook');
+  assert.strictEqual(result.language, 'python');
+  assert.strictEqual(result.content, '# %% [markdown]\n# Analysis\nNotes\n\n# %%\nprint(1)\n');
+});
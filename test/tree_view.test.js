@@ -0,0 +1,51 @@
+// test/tree_view.test.js
+const { test } = require('node:test');
+const assert = require('assert');
+const { renderTree, buildTree } = require('../src/tree_view');
+
+const files = [
+  { path: 'README.md', status: 'included', lines: 10, size: 300 },
+  { path: 'src/main.js', status: 'included', lines: 1, size: 20 },
+  { path: 'src/lib/util.js', status: 'included', lines: 40, size: 1200 },
+  { path: 'src/lib/helper.js', status: 'included', lines: 5, size: 100 },
+  { path: 'assets/logo.png', status: 'binary', size: 2048 },
+];
+
+test('directories come first, then files, each by name', () => {
+  assert.strictEqual(renderTree(files), [
+    '.',
+    '├── assets/',
+    '│   └── logo.png (binary, 2.0 KB)',
+    '├── src/',
+    '│   ├── lib/',
+    '│   │   ├── helper.js (5 lines, 100 B)',
+    '│   │   └── util.js (40 lines, 1.2 KB)',
+    '│   └── main.js (1 line, 20 B)',
+    '└── README.md (10 lines, 300 B)',
+  ].join('\n'));
+});
+
+test('directories deeper than maxDepth are collapsed into totals', () => {
+  assert.strictEqual(renderTree(files, { maxDepth: 1, rootLabel: 'project' }), [
+    'project/',
+    '├── assets/ (1 file, 0 lines, 2.0 KB)',
+    '├── src/ (3 files, 46 lines, 1.3 KB)',
+    '└── README.md (10 lines, 300 B)',
+  ].join('\n'));
+});
+
+test('directories with more entries than collapseAbove are collapsed', () => {
+  const tree = renderTree(files, { collapseAbove: 1 });
+  assert.match(tree, /├── src\/ \(3 files, 46 lines, 1\.3 KB\)/);
+  assert.match(tree, /│   └── logo\.png/);
+});
+
+test('ignored entries are marked and not counted', () => {
+  const ignored = [{ path: 'node_modules', isDirectory: true }, { path: 'src/lib/util.js', isDirectory: false }, { path: 'src/debug.log', isDirectory: false }];
+  const tree = renderTree(files, { ignored, maxDepth: 1 });
+  assert.match(tree, /├── node_modules\/ \[ignored\]/);
+  assert.match(tree, /├── src\/ \(3 files, 46 lines/);
+  const root = buildTree(files, ignored);
+  assert.strictEqual(root.children.get('src').children.get('lib').children.get('util.js').file, files[2]);
+  assert.strictEqual(root.children.get('src').children.get('debug.log').ignored, true);
+});
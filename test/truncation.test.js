@@ -0,0 +1,55 @@
+// test/truncation.test.js
+const { test } = require('node:test');
+const assert = require('assert');
+const { findTruncationRule, truncateContent } = require('../src/truncation');
+
+const tenLines = Array.from({ length: 10 }, (_, index) => `line ${index + 1}`).join('\n') + '\n';
+
+test('content within the limits is unchanged', () => {
+  assert.deepStrictEqual(truncateContent(tenLines, { maxLines: 10 }), { content: tenLines, truncated: false, truncation: null });
+  assert.strictEqual(truncateContent(tenLines, null).content, tenLines);
+});
+
+test('head keeps the first lines and says how many were left out', () => {
+  const result = truncateContent(tenLines, { strategy: 'head', maxLines: 3 });
+  assert.strictEqual(result.content, 'line 1\nline 2\nline 3\n... [Truncated: 7 more lines] ...\n');
+  assert.deepStrictEqual(result.truncation, { strategy: 'head', limits: '3 lines', totalLines: 10, omittedLines: 7 });
+});
+
+test('tail keeps the last lines', () => {
+  assert.strictEqual(truncateContent(tenLines, { strategy: 'tail', maxLines: 2 }).content,
+    '... [Truncated: the first 8 lines] ...\nline 9\nline 10\n');
+});
+
+test('head_tail keeps both ends, with the omitted lines in between', () => {
+  assert.strictEqual(truncateContent(tenLines, { strategy: 'head_tail', maxLines: 4 }).content,
+    'line 1\nline 2\n... [6 lines omitted] ...\nline 9\nline 10\n');
+});
+
+test('skip leaves out the whole content', () => {
+  assert.deepStrictEqual(truncateContent(tenLines, { strategy: 'skip', maxBytes: '20b' }),
+    { content: null, truncated: true, truncation: { strategy: 'skip', limits: '20 bytes', totalLines: 10, omittedLines: 10 } });
+});
+
+test('content is cut at line boundaries; a single long line is cut when nothing else fits', () => {
+  assert.strictEqual(truncateContent(tenLines, { maxBytes: 16 }).content, 'line 1\nline 2\n... [Truncated: 8 more lines] ...\n');
+  const minified = 'x'.repeat(100);
+  assert.strictEqual(truncateContent(minified, { maxBytes: 11 }).content, `${'x'.repeat(10)}\n... [Truncated: the rest of line 1] ...`);
+  assert.strictEqual(truncateContent('😀😀😀', { maxBytes: 7 }).content, '😀\n... [Truncated: the rest of line 1] ...');
+});
+
+test('lines are numbered with their original numbers', () => {
+  assert.strictEqual(truncateContent(tenLines, { strategy: 'tail', maxLines: 2 }, { lineNumbers: true }).content,
+    '... [Truncated: the first 8 lines] ...\n 9 | line 9\n10 | line 10\n');
+  assert.strictEqual(truncateContent('a\nb', null, { lineNumbers: true }).content, '1 | a\n2 | b');
+});
+
+test('the first matching truncation rule replaces the default', () => {
+  const config = {
+    truncation: { maxBytes: 1000 },
+    truncationRules: [{ pathPattern: '**/*.log', strategy: 'tail', maxLines: 50 }, { pathPattern: 'logs/', strategy: 'skip' }],
+  };
+  assert.strictEqual(findTruncationRule('logs/app.log', config).strategy, 'tail');
+  assert.strictEqual(findTruncationRule('logs/app.txt', config).strategy, 'skip');
+  assert.strictEqual(findTruncationRule('src/a.js', config), config.truncation);
+});
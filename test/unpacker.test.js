@@ -0,0 +1,128 @@
+// test/unpacker.test.js
+const { test } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { collect } = require('../src/collector');
+const { unpack } = require('../src/unpacker');
+
+/**
+ * Runs a test body in a fresh temporary directory, which is removed afterwards.
+ * @param {function(string): Promise<void>} body - Called with the path of the directory.
+ * @returns {Promise<void>}
+ */
+async function inTempDir(body) {
+  const dirPath = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'collect-files-test-')));
+  try {
+    await body(dirPath);
+  } finally {
+    fs.rmSync(dirPath, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Writes files below a directory, creating their directories.
+ * @param {string} dirPath - The directory.
+ * @param {Object<string, string>} files - Content by relative path.
+ */
+function writeFiles(dirPath, files) {
+  for (const [filePath, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(dirPath, filePath)), { recursive: true });
+    fs.writeFileSync(path.join(dirPath, filePath), content);
+  }
+}
+
+/**
+ * Builds a markdown bundle with one section per file, as the markdown renderer writes them.
+ * @param {Object<string, string>} files - Content by path, as written in the headings.
+ * @returns {string} The bundle.
+ */
+function bundleOf(files) {
+  const sections = Object.entries(files).map(([filePath, content]) => `## ${filePath}\n\n\`\`\`text\n${content}\n\`\`\`\n`);
+  return `# Project Files\n\n${sections.join('\n')}`;
+}
+
+const PROJECT = {
+  'README.md': '# Title\n\n```js\nconst fenced = true;\n```\n',
+  'src/index.js': "const answer = 42;\nmodule.exports = { answer };\n",
+  'src/no-final-newline.txt': 'last line',
+  'src/deep/er/data.json': '{ "a": [1, 2] }\n',
+};
+
+test('a collected markdown bundle unpacks to the same files', async () => {
+  await inTempDir(async (dirPath) => {
+    const projectPath = path.join(dirPath, 'project');
+    writeFiles(projectPath, PROJECT);
+    const result = await collect({ root: projectPath, configFile: null, userConfigFile: null, config: { cache: false } });
+    fs.writeFileSync(path.join(dirPath, 'bundle.md'), result.outputs[0].content);
+
+    const unchanged = await unpack(['bundle.md'], { cwd: dirPath, root: 'project', dryRun: true });
+    assert.deepStrictEqual(unchanged.files.map(file => file.status), Object.keys(PROJECT).map(() => 'unchanged'));
+
+    fs.mkdirSync(path.join(dirPath, 'copy'));
+    const created = await unpack(['bundle.md'], { cwd: dirPath, root: 'copy' });
+    assert.deepStrictEqual(created.files.map(file => file.status), Object.keys(PROJECT).map(() => 'created'));
+    for (const [filePath, content] of Object.entries(PROJECT)) {
+      assert.strictEqual(fs.readFileSync(path.join(dirPath, 'copy', filePath), 'utf8'), content, filePath);
+    }
+  });
+});
+
+test('an edited section is written back with its diff', async () => {
+  await inTempDir(async (dirPath) => {
+    writeFiles(dirPath, { 'src/a.js': 'old\n', 'bundle.md': bundleOf({ 'src/a.js': 'new' }) });
+    const result = await unpack(['bundle.md'], { cwd: dirPath });
+    assert.strictEqual(result.files[0].status, 'modified');
+    assert.match(result.files[0].diff, /^-old$/m);
+    assert.match(result.files[0].diff, /^\+new$/m);
+    assert.strictEqual(fs.readFileSync(path.join(dirPath, 'src/a.js'), 'utf8'), 'new\n');
+  });
+});
+
+test('paths that escape the target directory are refused', async () => {
+  await inTempDir(async (dirPath) => {
+    const outsidePath = path.join(dirPath, 'outside');
+    const targetPath = path.join(dirPath, 'target');
+    fs.mkdirSync(outsidePath);
+    fs.mkdirSync(targetPath);
+    fs.symlinkSync(outsidePath, path.join(targetPath, 'link'), 'dir');
+    const absolutePath = path.join(outsidePath, 'absolute.txt');
+    writeFiles(dirPath, {
+      'bundle.md': bundleOf({
+        '../outside/dots.txt': 'escaped',
+        'src/../../outside/inner-dots.txt': 'escaped',
+        [absolutePath]: 'escaped',
+        'link/through-symlink.txt': 'escaped',
+        'link/new-dir/through-symlink.txt': 'escaped',
+        'inside.txt': 'kept',
+      }),
+    });
+
+    const result = await unpack(['bundle.md'], { cwd: dirPath, root: 'target' });
+    const statuses = Object.fromEntries(result.files.map(file => [file.path, file.status]));
+    assert.deepStrictEqual(statuses, {
+      '../outside/dots.txt': 'skipped',
+      'src/../../outside/inner-dots.txt': 'skipped',
+      [absolutePath]: 'skipped',
+      'link/through-symlink.txt': 'skipped',
+      'link/new-dir/through-symlink.txt': 'skipped',
+      'inside.txt': 'created',
+    });
+    for (const file of result.files.filter(file => file.status === 'skipped')) {
+      assert.match(file.reason, /outside the target directory/);
+    }
+    assert.deepStrictEqual(fs.readdirSync(outsidePath), []);
+    assert.strictEqual(fs.readFileSync(path.join(targetPath, 'inside.txt'), 'utf8'), 'kept');
+  });
+});
+
+test('sections whose content is not the whole file are not written', async () => {
+  await inTempDir(async (dirPath) => {
+    const bundle = '# Project Files\n\n## a.js\n\n*Content compressed (extract_signatures)*\n\n```js\nfunction f() { ... }\n```\n';
+    writeFiles(dirPath, { 'a.js': 'function f() {\n  return 1;\n}\n', 'bundle.md': bundle });
+    const result = await unpack(['bundle.md'], { cwd: dirPath });
+    assert.deepStrictEqual(result.files.map(file => [file.status, file.reason]), [['skipped', 'its content is compressed']]);
+    assert.strictEqual(fs.readFileSync(path.join(dirPath, 'a.js'), 'utf8'), 'function f() {\n  return 1;\n}\n');
+  });
+});
@@ -0,0 +1,157 @@
+// test/watcher.test.js
+const { test, after } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const { watchDirectory } = require('../src/watcher');
+const { writeFileAtomic, ATOMIC_TEMP_SUFFIX } = require('../src/fs_utils');
+
+const tempDirs = [];
+after(() => tempDirs.forEach(dirPath => fs.rmSync(dirPath, { recursive: true, force: true })));
+
+/**
+ * Creates an empty temporary directory, removed when the tests end.
+ * @returns {string} Its path.
+ */
+function makeTempDir() {
+  const dirPath = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'collect-files-watch-')));
+  tempDirs.push(dirPath);
+  return dirPath;
+}
+
+/**
+ * Watches a directory and collects the batches it reports.
+ * @param {string} rootPath - The directory.
+ * @param {object} [options] - Options for watchDirectory.
+ * @returns {{nextBatch: function(number=): Promise<string[]>, close: function(): void}} The watch, with a way
+ *          to wait for the next batch (rejecting after a timeout).
+ */
+function watch(rootPath, options = {}) {
+  const waiting = [];
+  const batches = [];
+  const watcher = watchDirectory(rootPath, { debounceMs: 50, ...options }, async (batch) => {
+    const relative = batch.map(fullPath => path.relative(rootPath, fullPath).replace(/\\/g, '/')).sort();
+    if (waiting.length) waiting.shift()(relative);
+    else batches.push(relative);
+  });
+  return {
+    nextBatch(timeoutMs = 3000) {
+      if (batches.length) return Promise.resolve(batches.shift());
+      return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error('no change reported')), timeoutMs);
+        waiting.push((batch) => {
+          clearTimeout(timer);
+          resolve(batch);
+        });
+      });
+    },
+    close: () => watcher.close(),
+  };
+}
+
+test('changes are reported in one debounced batch', async () => {
+  const rootPath = makeTempDir();
+  const watcher = watch(rootPath);
+  try {
+    fs.writeFileSync(path.join(rootPath, 'a.js'), 'a');
+    fs.writeFileSync(path.join(rootPath, 'b.js'), 'b');
+    assert.deepStrictEqual(await watcher.nextBatch(), ['a.js', 'b.js']);
+  } finally {
+    watcher.close();
+  }
+});
+
+test('ignored files and directories are not reported', async () => {
+  const rootPath = makeTempDir();
+  fs.mkdirSync(path.join(rootPath, 'node_modules'));
+  const ignorePath = (relativePath) => relativePath.startsWith('node_modules') || relativePath.endsWith('.log');
+  const watcher = watch(rootPath, { ignorePath });
+  try {
+    fs.writeFileSync(path.join(rootPath, 'node_modules', 'dep.js'), 'x');
+    fs.writeFileSync(path.join(rootPath, 'debug.log'), 'x');
+    fs.writeFileSync(path.join(rootPath, 'kept.js'), 'x');
+    assert.deepStrictEqual(await watcher.nextBatch(), ['kept.js']);
+  } finally {
+    watcher.close();
+  }
+});
+
+test('files in a new subdirectory are reported', async () => {
+  const rootPath = makeTempDir();
+  const watcher = watch(rootPath);
+  try {
+    fs.mkdirSync(path.join(rootPath, 'lib'));
+    await watcher.nextBatch();
+    fs.writeFileSync(path.join(rootPath, 'lib', 'new.js'), 'x');
+    const batch = await watcher.nextBatch();
+    assert.ok(batch.includes('lib/new.js'), `batch was ${batch.join(', ')}`);
+  } finally {
+    watcher.close();
+  }
+});
+
+test('extra files outside the tree are watched', async () => {
+  const rootPath = makeTempDir();
+  const configDir = makeTempDir();
+  const configPath = path.join(configDir, 'collect-files.config.json');
+  fs.writeFileSync(configPath, '{}');
+  fs.writeFileSync(path.join(configDir, 'unrelated.txt'), '');
+  const watcher = watch(rootPath, { extraFiles: [configPath] });
+  try {
+    fs.writeFileSync(path.join(configDir, 'unrelated.txt'), 'x');
+    fs.writeFileSync(configPath, '{"format": "json"}');
+    assert.deepStrictEqual(await watcher.nextBatch(), [path.relative(rootPath, configPath).replace(/\\/g, '/')]);
+  } finally {
+    watcher.close();
+  }
+});
+
+/**
+ * Waits until a file exists and its content passes a check.
+ * @param {string} filePath - The file.
+ * @param {function(string): boolean} check - The check.
+ * @param {number} [timeoutMs=10000] - How long to wait.
+ * @returns {Promise<string>} The content.
+ */
+async function waitForContent(filePath, check, timeoutMs = 10000) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const content = fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : null;
+    if (content !== null && check(content)) return content;
+    if (Date.now() > deadline) throw new Error(`${path.basename(filePath)} was not rebuilt:\n${content}`);
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+}
+
+test('--watch rebuilds the output when a file is changed or added', async () => {
+  const rootPath = makeTempDir();
+  fs.writeFileSync(path.join(rootPath, 'a.js'), 'const a = 1;\n');
+  const outputPath = path.join(rootPath, 'out.md');
+  const child = spawn(process.execPath, [path.join(__dirname, '..', 'src', 'main.js'), '--watch', '-o', 'out.md'], {
+    cwd: rootPath,
+    env: { ...process.env, XDG_CACHE_HOME: makeTempDir() }, // Keep the cache of the run out of the user's cache
+    stdio: 'ignore',
+  });
+  try {
+    await waitForContent(outputPath, content => content.includes('const a = 1;'));
+    await new Promise(resolve => setTimeout(resolve, 300)); // Let the watchers start
+    fs.writeFileSync(path.join(rootPath, 'a.js'), 'const a = 2;\n');
+    fs.writeFileSync(path.join(rootPath, 'b.js'), 'const b = 1;\n');
+    const rebuilt = await waitForContent(outputPath, content => content.includes('const b = 1;') && content.includes('const a = 2;'));
+    assert.ok(!rebuilt.includes('const a = 1;'));
+    assert.ok(!rebuilt.includes('## out.md'));
+  } finally {
+    child.kill();
+  }
+});
+
+test('an atomic write replaces the file and leaves no temporary file', async () => {
+  const rootPath = makeTempDir();
+  const outputPath = path.join(rootPath, 'output.md');
+  fs.writeFileSync(outputPath, 'old');
+  await writeFileAtomic(outputPath, 'new', 'utf8');
+  assert.strictEqual(fs.readFileSync(outputPath, 'utf8'), 'new');
+  assert.deepStrictEqual(fs.readdirSync(rootPath).filter(name => name.endsWith(ATOMIC_TEMP_SUFFIX)), []);
+});